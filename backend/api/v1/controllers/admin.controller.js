@@ -9,8 +9,23 @@
 const userRepository = require('../../../database/repositories/user.repository');
 const balanceRepository = require('../../../database/repositories/balance.repository');
 const poolAccountService = require('../../../services/poolAccount/poolAccount.service');
-const { successResponse } = require('../../../src/shared/utils/response');
+const paymentFactory = require('../../../services/payment/paymentFactory');
+const outboxService = require('../../../services/outbox/outbox.service');
+const schedulerService = require('../../../services/scheduler/scheduler.service');
+const bankAccountVerificationService = require('../../../services/bankAccount/bankAccountVerification.service');
+const permissionService = require('../../../services/auth/permission.service');
+const userService = require('../../../services/user/user.service');
+const approvalService = require('../../../services/approval/approval.service');
+const auditService = require('../../../services/audit/audit.service');
+const kycService = require('../../../services/kyc/kyc.service');
+const feeService = require('../../../services/fee/fee.service');
+const fxService = require('../../../services/fx/fx.service');
+const limitService = require('../../../services/limit/limit.service');
+const { successResponse, createdResponse, acceptedResponse } = require('../../../src/shared/utils/response');
+const { getRequestContext } = require('../../../src/shared/utils/requestContext');
+const config = require('../../../src/config/environment.config');
 const logger = require('../../../src/shared/utils/logger');
+const { APPROVAL_ACTIONS } = require('../../../src/config/constants.config');
 
 class AdminController {
   /**
@@ -90,7 +105,7 @@ class AdminController {
       const { status } = req.body;
       const adminId = req.userId;
 
-      const user = await userRepository.updateStatus(userId, status);
+      const user = await userService.updateStatus(userId, status, getRequestContext(req));
 
       logger.security('User status updated by admin', {
         userId,
@@ -108,6 +123,44 @@ class AdminController {
     }
   }
 
+  /**
+   * @desc    Set a seller's preferred payment provider
+   * @route   PATCH /api/v1/admin/users/:userId/payment-provider
+   * @access  Private (Admin)
+   */
+  async updateUserPaymentProvider(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { provider } = req.body;
+      const adminId = req.userId;
+
+      // Reject unknown providers before saving
+      if (provider) {
+        paymentFactory.getProvider(provider);
+      }
+
+      const user = await userService.updatePaymentProvider(
+        userId,
+        provider || null,
+        getRequestContext(req)
+      );
+
+      logger.security('User payment provider updated by admin', {
+        userId,
+        adminId,
+        provider: provider || null
+      });
+
+      return successResponse(
+        res,
+        user,
+        'Payment provider updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Suspend user account
    * @route   POST /api/v1/admin/users/:userId/suspend
@@ -119,7 +172,7 @@ class AdminController {
       const { reason } = req.body;
       const adminId = req.userId;
 
-      const user = await userRepository.suspendUser(userId, reason);
+      const user = await userService.suspendUser(userId, reason, getRequestContext(req));
 
       logger.security('User suspended by admin', {
         userId,
@@ -147,7 +200,7 @@ class AdminController {
       const { userId } = req.params;
       const adminId = req.userId;
 
-      const user = await userRepository.activateUser(userId);
+      const user = await userService.activateUser(userId, getRequestContext(req));
 
       logger.security('User activated by admin', {
         userId,
@@ -164,6 +217,90 @@ class AdminController {
     }
   }
 
+  /**
+   * @desc    Change a user's role
+   * @route   PATCH /api/v1/admin/users/:userId/role
+   * @access  Private (Super Admin)
+   */
+  async updateUserRole(req, res, next) {
+    try {
+      const user = await permissionService.changeUserRole(
+        req.params.userId,
+        req.body.role,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        user,
+        'User role updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get back-office roles and their permissions
+   * @route   GET /api/v1/admin/roles
+   * @access  Private (Super Admin)
+   */
+  async getRoles(req, res, next) {
+    try {
+      const roles = await permissionService.getRoles();
+
+      return successResponse(
+        res,
+        roles,
+        'Roles retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Replace the permissions of a role
+   * @route   PUT /api/v1/admin/roles/:role/permissions
+   * @access  Private (Super Admin)
+   */
+  async setRolePermissions(req, res, next) {
+    try {
+      const result = await permissionService.setRolePermissions(
+        req.params.role,
+        req.body.permissions,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        result,
+        'Role permissions updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the status of every currency's pool account
+   * @route   GET /api/v1/admin/pools
+   * @access  Private (Admin)
+   */
+  async getAllPoolStatuses(req, res, next) {
+    try {
+      const pools = await poolAccountService.getAllPoolStatuses();
+
+      return successResponse(
+        res,
+        pools,
+        'Pool accounts retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Get pool account status
    * @route   GET /api/v1/admin/pool
@@ -171,7 +308,7 @@ class AdminController {
    */
   async getPoolStatus(req, res, next) {
     try {
-      const poolStatus = await poolAccountService.getPoolStatus();
+      const poolStatus = await poolAccountService.getPoolStatus(req.query.currency);
 
       return successResponse(
         res,
@@ -190,7 +327,7 @@ class AdminController {
    */
   async getPoolHealth(req, res, next) {
     try {
-      const health = await poolAccountService.getPoolHealth();
+      const health = await poolAccountService.getPoolHealth(req.query.currency);
 
       return successResponse(
         res,
@@ -209,12 +346,12 @@ class AdminController {
    */
   async getPoolSummary(req, res, next) {
     try {
-      const { startDate, endDate } = req.query;
+      const { startDate, endDate, currency } = req.query;
 
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       const end = endDate ? new Date(endDate) : new Date();
 
-      const summary = await poolAccountService.getPoolSummary(start, end);
+      const summary = await poolAccountService.getPoolSummary(start, end, currency);
 
       return successResponse(
         res,
@@ -228,19 +365,35 @@ class AdminController {
 
   /**
    * @desc    Add funds to pool
+   *          Amounts at or above the approval threshold wait for a second admin.
    * @route   POST /api/v1/admin/pool/add-funds
    * @access  Private (Admin)
    */
   async addFundsToPool(req, res, next) {
     try {
-      const { amount, source, reference } = req.body;
+      const { amount, currency, source, reference } = req.body;
       const adminId = req.userId;
 
-      const result = await poolAccountService.addFundsToPool(amount, source, reference);
+      const outcome = await approvalService.submit(
+        APPROVAL_ACTIONS.POOL_FUNDING,
+        { amount, currency, source, reference },
+        getRequestContext(req)
+      );
+
+      if (outcome.pending) {
+        return acceptedResponse(
+          res,
+          outcome.approval,
+          'Pool funding requested. A second admin must approve it.'
+        );
+      }
+
+      const result = outcome.result;
 
       logger.security('Funds added to pool by admin', {
         adminId,
         amount,
+        currency: result.currency,
         source,
         reference
       });
@@ -257,23 +410,35 @@ class AdminController {
 
   /**
    * @desc    Remove funds from pool
+   *          Amounts at or above the approval threshold wait for a second admin.
    * @route   POST /api/v1/admin/pool/remove-funds
    * @access  Private (Admin)
    */
   async removeFundsFromPool(req, res, next) {
     try {
-      const { amount, destination, reference } = req.body;
+      const { amount, currency, destination, reference } = req.body;
       const adminId = req.userId;
 
-      const result = await poolAccountService.removeFundsFromPool(
-        amount,
-        destination,
-        reference
+      const outcome = await approvalService.submit(
+        APPROVAL_ACTIONS.POOL_WITHDRAWAL,
+        { amount, currency, destination, reference },
+        getRequestContext(req)
       );
 
+      if (outcome.pending) {
+        return acceptedResponse(
+          res,
+          outcome.approval,
+          'Pool withdrawal requested. A second admin must approve it.'
+        );
+      }
+
+      const result = outcome.result;
+
       logger.security('Funds removed from pool by admin', {
         adminId,
         amount,
+        currency: result.currency,
         destination,
         reference
       });
@@ -288,6 +453,119 @@ class AdminController {
     }
   }
 
+  /**
+   * @desc    Get approval requests
+   * @route   GET /api/v1/admin/approvals
+   * @access  Private (Staff)
+   */
+  async getApprovals(req, res, next) {
+    try {
+      const { status, action, mine, page, limit } = req.query;
+
+      const approvals = await approvalService.listApprovals(
+        { status, action, requestedBy: String(mine) === 'true' ? req.userId : undefined },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        approvals,
+        'Approval requests retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get an approval request
+   * @route   GET /api/v1/admin/approvals/:approvalId
+   * @access  Private (Staff)
+   */
+  async getApproval(req, res, next) {
+    try {
+      const approval = await approvalService.getApproval(req.params.approvalId);
+
+      return successResponse(
+        res,
+        approval,
+        'Approval request retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Approve a request and execute the operation
+   * @route   POST /api/v1/admin/approvals/:approvalId/approve
+   * @access  Private (Staff, not the requester)
+   */
+  async approveApproval(req, res, next) {
+    try {
+      const outcome = await approvalService.approve(
+        req.params.approvalId,
+        req.userRole,
+        req.body.note,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        outcome,
+        'Request approved and executed successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reject an approval request
+   * @route   POST /api/v1/admin/approvals/:approvalId/reject
+   * @access  Private (Staff)
+   */
+  async rejectApproval(req, res, next) {
+    try {
+      const approval = await approvalService.reject(
+        req.params.approvalId,
+        req.userRole,
+        req.body.reason,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        approval,
+        'Request rejected'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Cancel your own approval request
+   * @route   POST /api/v1/admin/approvals/:approvalId/cancel
+   * @access  Private (Staff, requester only)
+   */
+  async cancelApproval(req, res, next) {
+    try {
+      const approval = await approvalService.cancel(
+        req.params.approvalId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        approval,
+        'Request cancelled'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Reconcile pool with gateway
    * @route   POST /api/v1/admin/pool/reconcile
@@ -295,9 +573,12 @@ class AdminController {
    */
   async reconcilePool(req, res, next) {
     try {
-      const { gateway_balance } = req.body;
+      const { gateway_balance, currency } = req.body;
 
-      const result = await poolAccountService.reconcileWithGateway(gateway_balance);
+      const result = await poolAccountService.reconcileWithGateway(gateway_balance, {
+        currency,
+        audit: getRequestContext(req)
+      });
 
       logger.info('Pool reconciled with gateway', {
         adminId: req.userId,
@@ -315,21 +596,819 @@ class AdminController {
   }
 
   /**
-   * @desc    Get dashboard statistics
-   * @route   GET /api/v1/admin/dashboard
+   * @desc    List payment providers with health status
+   * @route   GET /api/v1/admin/payment-providers
    * @access  Private (Admin)
    */
-  async getDashboardStats(req, res, next) {
+  async getPaymentProviders(req, res, next) {
     try {
-      const [
-        activeUsers,
-        poolStatus,
-        balanceStats,
-        todayTransactions
-      ] = await Promise.all([
-        userRepository.count({ status: 'ACTIVE' }),
-        poolAccountService.getPoolStatus(),
-        balanceRepository.getStats(),
+      const providers = paymentFactory.listProviders();
+      const health = await paymentFactory.checkHealth();
+
+      const data = providers.map(provider => ({
+        ...provider,
+        health: health.find(h => h.provider === provider.name) || null
+      }));
+
+      return successResponse(
+        res,
+        data,
+        'Payment providers retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get outbox event counts by status
+   * @route   GET /api/v1/admin/outbox/stats
+   * @access  Private (Admin)
+   */
+  async getOutboxStats(req, res, next) {
+    try {
+      const stats = await outboxService.getStats();
+
+      return successResponse(
+        res,
+        stats,
+        'Outbox statistics retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List events that exhausted their retries
+   * @route   GET /api/v1/admin/outbox/dead-letters
+   * @access  Private (Admin)
+   */
+  async getOutboxDeadLetters(req, res, next) {
+    try {
+      const { event_name, page, limit } = req.query;
+
+      const events = await outboxService.getDeadLetters(
+        { event_name },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        events,
+        'Dead-lettered events retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Requeue a dead-lettered event
+   * @route   POST /api/v1/admin/outbox/:eventId/retry
+   * @access  Private (Admin)
+   */
+  async retryOutboxEvent(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const event = await outboxService.retryDeadLetter(eventId, req.userId);
+
+      return successResponse(
+        res,
+        event,
+        'Event requeued successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List scheduled jobs with their schedule and last run
+   * @route   GET /api/v1/admin/jobs
+   * @access  Private (Admin)
+   */
+  async getScheduledJobs(req, res, next) {
+    try {
+      const jobs = await schedulerService.listJobs();
+
+      return successResponse(
+        res,
+        jobs,
+        'Scheduled jobs retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the run history of a job
+   * @route   GET /api/v1/admin/jobs/:jobName/runs
+   * @access  Private (Admin)
+   */
+  async getJobRuns(req, res, next) {
+    try {
+      const { jobName } = req.params;
+      const { status, page, limit } = req.query;
+
+      const runs = await schedulerService.getRuns(
+        jobName,
+        { status },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        runs,
+        'Job runs retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Run a job now
+   * @route   POST /api/v1/admin/jobs/:jobName/run
+   * @access  Private (Admin)
+   */
+  async runJob(req, res, next) {
+    try {
+      const { jobName } = req.params;
+
+      const run = await schedulerService.runNow(jobName, req.userId);
+
+      return successResponse(
+        res,
+        run,
+        'Job started',
+        202
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Pause a job's schedule
+   * @route   POST /api/v1/admin/jobs/:jobName/pause
+   * @access  Private (Admin)
+   */
+  async pauseJob(req, res, next) {
+    try {
+      const { jobName } = req.params;
+
+      const job = await schedulerService.pause(jobName, req.userId);
+
+      return successResponse(
+        res,
+        job,
+        'Job paused successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Resume a paused job
+   * @route   POST /api/v1/admin/jobs/:jobName/resume
+   * @access  Private (Admin)
+   */
+  async resumeJob(req, res, next) {
+    try {
+      const { jobName } = req.params;
+
+      const job = await schedulerService.resume(jobName, req.userId);
+
+      return successResponse(
+        res,
+        job,
+        'Job resumed successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List bank account verification attempts
+   * @route   GET /api/v1/admin/bank-account-verifications
+   * @access  Private (Admin)
+   */
+  async getBankAccountVerifications(req, res, next) {
+    try {
+      const { status, method, page, limit } = req.query;
+
+      const verifications = await bankAccountVerificationService.listVerifications(
+        { status, method },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        verifications,
+        'Bank account verifications retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a bank account verification attempt
+   * @route   GET /api/v1/admin/bank-account-verifications/:verificationId
+   * @access  Private (Admin)
+   */
+  async getBankAccountVerification(req, res, next) {
+    try {
+      const verification = await bankAccountVerificationService.getVerification(req.params.verificationId);
+
+      return successResponse(
+        res,
+        verification,
+        'Bank account verification retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Download the proof uploaded for a verification
+   * @route   GET /api/v1/admin/bank-account-verifications/:verificationId/document
+   * @access  Private (Admin)
+   */
+  async getBankAccountVerificationDocument(req, res, next) {
+    try {
+      const document = await bankAccountVerificationService.getDocument(req.params.verificationId);
+
+      res.set('Content-Type', document.mime_type || 'application/octet-stream');
+      res.attachment(document.name || 'document');
+      res.set('Cache-Control', 'no-store');
+
+      return res.send(document.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Approve uploaded proof and verify the bank account
+   * @route   POST /api/v1/admin/bank-account-verifications/:verificationId/approve
+   * @access  Private (Admin)
+   */
+  async approveBankAccountVerification(req, res, next) {
+    try {
+      const verification = await bankAccountVerificationService.approveProof(
+        req.params.verificationId,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        verification,
+        'Bank account verified successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reject uploaded proof
+   * @route   POST /api/v1/admin/bank-account-verifications/:verificationId/reject
+   * @access  Private (Admin)
+   */
+  async rejectBankAccountVerification(req, res, next) {
+    try {
+      const verification = await bankAccountVerificationService.rejectProof(
+        req.params.verificationId,
+        req.userId,
+        req.body.reason,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        verification,
+        'Bank account verification rejected'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List seller KYC applications
+   * @route   GET /api/v1/admin/kyc
+   * @access  Private (Staff)
+   */
+  async getKycApplications(req, res, next) {
+    try {
+      const { status, page, limit } = req.query;
+
+      const applications = await kycService.listApplications(
+        { status },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        applications,
+        'KYC applications retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a KYC application
+   * @route   GET /api/v1/admin/kyc/:applicationId
+   * @access  Private (Staff)
+   */
+  async getKycApplication(req, res, next) {
+    try {
+      const application = await kycService.getApplication(req.params.applicationId);
+
+      return successResponse(
+        res,
+        application,
+        'KYC application retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Download a document uploaded with a KYC application
+   * @route   GET /api/v1/admin/kyc/:applicationId/documents/:documentId
+   * @access  Private (Staff)
+   */
+  async getKycDocument(req, res, next) {
+    try {
+      const document = await kycService.getDocument(
+        req.params.applicationId,
+        req.params.documentId
+      );
+
+      res.set('Content-Type', document.mime_type || 'application/octet-stream');
+      res.attachment(document.name || 'document');
+      res.set('Cache-Control', 'no-store');
+
+      return res.send(document.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Approve a KYC application
+   * @route   POST /api/v1/admin/kyc/:applicationId/approve
+   * @access  Private (Staff)
+   */
+  async approveKycApplication(req, res, next) {
+    try {
+      const application = await kycService.approve(
+        req.params.applicationId,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        application,
+        'KYC application approved, seller verified'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reject a KYC application
+   * @route   POST /api/v1/admin/kyc/:applicationId/reject
+   * @access  Private (Staff)
+   */
+  async rejectKycApplication(req, res, next) {
+    try {
+      const application = await kycService.reject(
+        req.params.applicationId,
+        req.userId,
+        req.body.reason,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        application,
+        'KYC application rejected'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Search the audit log
+   * @route   GET /api/v1/admin/audit-logs
+   * @access  Private (Staff)
+   */
+  async getAuditLogs(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const entries = await auditService.searchAuditLogs(
+        filters,
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        entries,
+        'Audit log retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Export the audit log as CSV or JSON
+   * @route   GET /api/v1/admin/audit-logs/export
+   * @access  Private (Staff)
+   */
+  async exportAuditLogs(req, res, next) {
+    try {
+      const { format = 'csv', ...filters } = req.query;
+
+      const file = await auditService.exportAuditLogs(filters, format, getRequestContext(req));
+
+      res.set('Content-Type', file.contentType);
+      res.attachment(file.filename);
+      res.set('Cache-Control', 'no-store');
+
+      return res.send(file.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List fee schedules
+   * @route   GET /api/v1/admin/fee-schedules
+   * @access  Private (Staff)
+   */
+  async getFeeSchedules(req, res, next) {
+    try {
+      const { operation, currency, is_active, page, limit } = req.query;
+
+      const schedules = await feeService.listSchedules(
+        {
+          operation,
+          currency,
+          is_active: is_active === undefined ? undefined : String(is_active) === 'true'
+        },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        schedules,
+        'Fee schedules retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Create a fee schedule
+   * @route   POST /api/v1/admin/fee-schedules
+   * @access  Private (Staff)
+   */
+  async createFeeSchedule(req, res, next) {
+    try {
+      const schedule = await feeService.createSchedule(
+        req.body,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        schedule,
+        'Fee schedule created successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a fee schedule
+   * @route   PUT /api/v1/admin/fee-schedules/:scheduleId
+   * @access  Private (Staff)
+   */
+  async updateFeeSchedule(req, res, next) {
+    try {
+      const schedule = await feeService.updateSchedule(
+        req.params.scheduleId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        schedule,
+        'Fee schedule updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Deactivate a fee schedule
+   * @route   DELETE /api/v1/admin/fee-schedules/:scheduleId
+   * @access  Private (Staff)
+   */
+  async deactivateFeeSchedule(req, res, next) {
+    try {
+      const schedule = await feeService.deactivateSchedule(
+        req.params.scheduleId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        schedule,
+        'Fee schedule deactivated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List exchange rates
+   * @route   GET /api/v1/admin/fx-rates
+   * @access  Private (Staff)
+   */
+  async getFxRates(req, res, next) {
+    try {
+      const { from_currency, to_currency, is_active, page, limit } = req.query;
+
+      const rates = await fxService.listRates(
+        {
+          from_currency,
+          to_currency,
+          is_active: is_active === undefined ? undefined : String(is_active) === 'true'
+        },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        rates,
+        'Exchange rates retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set an exchange rate
+   * @route   POST /api/v1/admin/fx-rates
+   * @access  Private (Staff)
+   */
+  async createFxRate(req, res, next) {
+    try {
+      const rate = await fxService.createRate(
+        req.body,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        rate,
+        'Exchange rate created successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update an exchange rate
+   * @route   PUT /api/v1/admin/fx-rates/:rateId
+   * @access  Private (Staff)
+   */
+  async updateFxRate(req, res, next) {
+    try {
+      const rate = await fxService.updateRate(
+        req.params.rateId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        rate,
+        'Exchange rate updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Deactivate an exchange rate
+   * @route   DELETE /api/v1/admin/fx-rates/:rateId
+   * @access  Private (Staff)
+   */
+  async deactivateFxRate(req, res, next) {
+    try {
+      const rate = await fxService.deactivateRate(
+        req.params.rateId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        rate,
+        'Exchange rate deactivated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List transaction limit rules
+   * @route   GET /api/v1/admin/limits
+   * @access  Private (Staff)
+   */
+  async getLimitRules(req, res, next) {
+    try {
+      const { product, period, currency, user_id, tier, is_active, page, limit } = req.query;
+
+      const rules = await limitService.listRules(
+        {
+          product,
+          period,
+          currency,
+          user_id,
+          tier,
+          is_active: is_active === undefined ? undefined : String(is_active) === 'true'
+        },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        rules,
+        'Limit rules retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set a transaction limit
+   * @route   POST /api/v1/admin/limits
+   * @access  Private (Staff)
+   */
+  async createLimitRule(req, res, next) {
+    try {
+      const rule = await limitService.createRule(
+        req.body,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        rule,
+        'Limit rule created successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a limit rule
+   * @route   PUT /api/v1/admin/limits/:ruleId
+   * @access  Private (Staff)
+   */
+  async updateLimitRule(req, res, next) {
+    try {
+      const rule = await limitService.updateRule(
+        req.params.ruleId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        rule,
+        'Limit rule updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Deactivate a limit rule
+   * @route   DELETE /api/v1/admin/limits/:ruleId
+   * @access  Private (Staff)
+   */
+  async deactivateLimitRule(req, res, next) {
+    try {
+      const rule = await limitService.deactivateRule(
+        req.params.ruleId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        rule,
+        'Limit rule deactivated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a seller's effective limits with current usage
+   * @route   GET /api/v1/admin/users/:userId/limits
+   * @access  Private (Staff)
+   */
+  async getUserLimits(req, res, next) {
+    try {
+      const limits = await limitService.getSellerLimits(
+        req.params.userId,
+        req.query.currency
+      );
+
+      return successResponse(
+        res,
+        limits,
+        'Limits retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get dashboard statistics
+   * @route   GET /api/v1/admin/dashboard
+   * @access  Private (Admin)
+   */
+  async getDashboardStats(req, res, next) {
+    try {
+      const startOfDay = new Date();
+      startOfDay.setHours(0, 0, 0, 0);
+
+      const [
+        activeUsers,
+        totalUsers,
+        currencies,
+        todayTransactions
+      ] = await Promise.all([
+        userRepository.count({ status: 'ACTIVE' }),
+        userRepository.count(),
+        // Pool, balances and revenue of each currency
+        Promise.all(config.pool.currencies.map(async (currency) => {
+          const [pool, balances, revenue, revenueToday] = await Promise.all([
+            poolAccountService.getPoolStatus(currency),
+            balanceRepository.getStats(currency),
+            feeService.getRevenue(null, null, currency),
+            feeService.getRevenue(startOfDay, null, currency)
+          ]);
+
+          return {
+            currency,
+            pool,
+            balances,
+            revenue: {
+              ...revenue,
+              today: revenueToday
+            }
+          };
+        })),
         // You can add transaction count here when implemented
         Promise.resolve(0)
       ]);
@@ -337,10 +1416,9 @@ class AdminController {
       const stats = {
         users: {
           active: activeUsers,
-          total: balanceStats.totalUsers
+          total: totalUsers
         },
-        pool: poolStatus,
-        balances: balanceStats,
+        currencies,
         transactions: {
           today: todayTransactions
         }
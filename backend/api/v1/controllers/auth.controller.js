@@ -7,6 +7,8 @@
  */
 
 const authService = require('../../../services/auth/auth.service');
+const twoFactorService = require('../../../services/auth/twoFactor.service');
+const { getRequestContext } = require('../../../src/shared/utils/requestContext');
 const { successResponse, createdResponse } = require('../../../src/shared/utils/response');
 
 class AuthController {
@@ -24,7 +26,7 @@ class AuthController {
         password,
         business_name,
         phone
-      });
+      }, this.getDevice(req));
 
       return createdResponse(
         res,
@@ -44,9 +46,29 @@ class AuthController {
   async login(req, res, next) {
     try {
       const { email, password } = req.body;
-      const ip = req.ip || req.connection.remoteAddress;
 
-      const result = await authService.login(email, password, ip);
+      const result = await authService.login(email, password, this.getDevice(req));
+
+      return successResponse(
+        res,
+        result,
+        result.twoFactorRequired ? 'Enter your authentication code to continue' : 'Login successful'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Finish login with a 2FA code
+   * @route   POST /api/v1/auth/login/2fa
+   * @access  Public (requires challenge token)
+   */
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const result = await authService.completeTwoFactorLogin(challengeToken, code, this.getDevice(req));
 
       return successResponse(
         res,
@@ -100,6 +122,44 @@ class AuthController {
     }
   }
 
+  /**
+   * @desc    List signed-in devices
+   * @route   GET /api/v1/auth/sessions
+   * @access  Private
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await authService.getSessions(req.userId, req.sessionId);
+
+      return successResponse(
+        res,
+        sessions,
+        'Sessions retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Sign a device out
+   * @route   DELETE /api/v1/auth/sessions/:sessionId
+   * @access  Private
+   */
+  async revokeSession(req, res, next) {
+    try {
+      await authService.revokeSession(req.userId, req.params.sessionId);
+
+      return successResponse(
+        res,
+        null,
+        'Session revoked successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Refresh access token
    * @route   POST /api/v1/auth/refresh
@@ -107,9 +167,8 @@ class AuthController {
    */
   async refreshToken(req, res, next) {
     try {
-      const { refreshToken } = req.body;
-
-      const tokens = await authService.refreshToken(refreshToken);
+      // Token checked and loaded by verifyRefreshToken
+      const tokens = await authService.refreshToken(req.tokenRecord, this.getDevice(req));
 
       return successResponse(
         res,
@@ -177,7 +236,12 @@ class AuthController {
       const userId = req.userId;
       const { currentPassword, newPassword } = req.body;
 
-      await authService.changePassword(userId, currentPassword, newPassword);
+      await authService.changePassword(
+        userId,
+        currentPassword,
+        newPassword,
+        getRequestContext(req)
+      );
 
       return successResponse(
         res,
@@ -198,7 +262,7 @@ class AuthController {
     try {
       const { email } = req.body;
 
-      const result = await authService.requestPasswordReset(email);
+      const result = await authService.requestPasswordReset(email, req.ip);
 
       return successResponse(
         res,
@@ -219,7 +283,7 @@ class AuthController {
     try {
       const { token, newPassword } = req.body;
 
-      const result = await authService.resetPassword(token, newPassword);
+      const result = await authService.resetPassword(token, newPassword, getRequestContext(req));
 
       return successResponse(
         res,
@@ -232,16 +296,15 @@ class AuthController {
   }
 
   /**
-   * @desc    Verify email
+   * @desc    Verify email address
    * @route   POST /api/v1/auth/verify-email
-   * @access  Private
+   * @access  Public (a code requires a signed-in user)
    */
   async verifyEmail(req, res, next) {
     try {
-      const userId = req.userId;
-      const { token } = req.body;
+      const { token, code } = req.body;
 
-      const user = await authService.verifyEmail(userId, token);
+      const user = await authService.verifyEmail({ token, code }, req.userId);
 
       return successResponse(
         res,
@@ -252,6 +315,145 @@ class AuthController {
       next(error);
     }
   }
+
+  /**
+   * @desc    Resend the verification email
+   * @route   POST /api/v1/auth/verify-email/resend
+   * @access  Private
+   */
+  async resendEmailVerification(req, res, next) {
+    try {
+      const result = await authService.resendEmailVerification(req.userId);
+
+      return successResponse(
+        res,
+        result,
+        result.message
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get two-factor status
+   * @route   GET /api/v1/auth/2fa
+   * @access  Private
+   */
+  async getTwoFactorStatus(req, res, next) {
+    try {
+      const status = await twoFactorService.getStatus(req.userId);
+
+      return successResponse(
+        res,
+        status,
+        'Two-factor status retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Start two-factor enrolment
+   * @route   POST /api/v1/auth/2fa/setup
+   * @access  Private
+   */
+  async setupTwoFactor(req, res, next) {
+    try {
+      const result = await twoFactorService.setup(req.userId);
+
+      return successResponse(
+        res,
+        result,
+        'Scan the QR code with your authenticator app, then confirm with a code'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Confirm two-factor enrolment
+   * @route   POST /api/v1/auth/2fa/enable
+   * @access  Private
+   */
+  async enableTwoFactor(req, res, next) {
+    try {
+      const result = await twoFactorService.enable(
+        req.userId,
+        req.body.code,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        result,
+        'Two-factor authentication enabled. Store your backup codes somewhere safe.'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Turn two-factor authentication off
+   * @route   POST /api/v1/auth/2fa/disable
+   * @access  Private
+   */
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { password, code } = req.body;
+
+      const result = await twoFactorService.disable(
+        req.userId,
+        password,
+        code,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        result,
+        'Two-factor authentication disabled'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Replace the backup codes
+   * @route   POST /api/v1/auth/2fa/backup-codes
+   * @access  Private
+   */
+  async regenerateBackupCodes(req, res, next) {
+    try {
+      const result = await twoFactorService.regenerateBackupCodes(req.userId, req.body.code);
+
+      return successResponse(
+        res,
+        result,
+        'Backup codes regenerated. Your old codes no longer work.'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Describe the client a session is issued to
+   * @param {Object} req - Express request object
+   * @returns {Object} { ip, userAgent, deviceName }
+   * @private
+   */
+  getDevice(req) {
+    return {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || null,
+      deviceName: req.body.deviceName || null
+    };
+  }
 }
 
 // Export singleton instance
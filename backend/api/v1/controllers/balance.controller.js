@@ -7,23 +7,28 @@
  */
 
 const balanceService = require('../../../services/balance/balance.service');
-const { successResponse } = require('../../../src/shared/utils/response');
+const approvalService = require('../../../services/approval/approval.service');
+const { successResponse, acceptedResponse } = require('../../../src/shared/utils/response');
+const { getRequestContext } = require('../../../src/shared/utils/requestContext');
+const { APPROVAL_ACTIONS } = require('../../../src/config/constants.config');
 const logger = require('../../../src/shared/utils/logger');
 
 class BalanceController {
   /**
-   * @desc    Get user's balance
+   * @desc    Get user's balance in one currency
    * @route   GET /api/v1/balance
    * @access  Private
    */
   async getBalance(req, res, next) {
     try {
       const userId = req.userId;
+      const { currency } = req.query;
 
-      const balance = await balanceService.getBalance(userId);
+      const balance = await balanceService.getBalance(userId, currency);
 
       logger.info('Balance retrieved', {
         userId,
+        currency: balance.currency,
         balance: balance.available
       });
 
@@ -37,6 +42,27 @@ class BalanceController {
     }
   }
 
+  /**
+   * @desc    Get user's balance in every supported currency
+   * @route   GET /api/v1/balance/currencies
+   * @access  Private
+   */
+  async getBalances(req, res, next) {
+    try {
+      const userId = req.userId;
+
+      const balances = await balanceService.getBalances(userId);
+
+      return successResponse(
+        res,
+        balances,
+        'Balances retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Get detailed balance summary
    * @route   GET /api/v1/balance/summary
@@ -46,7 +72,7 @@ class BalanceController {
     try {
       const userId = req.userId;
 
-      const summary = await balanceService.getBalanceSummary(userId);
+      const summary = await balanceService.getBalanceSummary(userId, req.query.currency);
 
       return successResponse(
         res,
@@ -66,17 +92,19 @@ class BalanceController {
   async checkSufficientBalance(req, res, next) {
     try {
       const userId = req.userId;
-      const { amount } = req.body;
+      const { amount, currency } = req.body;
 
       const hasSufficientBalance = await balanceService.checkSufficientBalance(
         userId,
-        amount
+        amount,
+        currency
       );
 
       return successResponse(
         res,
         {
           amount,
+          currency,
           hasSufficientBalance
         },
         hasSufficientBalance 
@@ -96,13 +124,13 @@ class BalanceController {
   async getBalanceHistory(req, res, next) {
     try {
       const userId = req.userId;
-      const { page, limit, startDate, endDate, entry_type } = req.query;
+      const { page, limit, startDate, endDate, entry_type, account, currency } = req.query;
 
       const ledgerService = require('../../../services/balance/ledger.service');
 
       const history = await ledgerService.getUserLedger(
         userId,
-        { startDate, endDate, entry_type },
+        { startDate, endDate, entry_type, account, currency },
         { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
       );
 
@@ -124,14 +152,14 @@ class BalanceController {
   async getBalanceStats(req, res, next) {
     try {
       const userId = req.userId;
-      const { startDate, endDate } = req.query;
+      const { startDate, endDate, currency } = req.query;
 
       const ledgerService = require('../../../services/balance/ledger.service');
 
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       const end = endDate ? new Date(endDate) : new Date();
 
-      const stats = await ledgerService.getUserLedgerSummary(userId, start, end);
+      const stats = await ledgerService.getUserLedgerSummary(userId, start, end, currency);
 
       return successResponse(
         res,
@@ -153,7 +181,7 @@ class BalanceController {
       const userId = req.userId;
 
       const ledgerService = require('../../../services/balance/ledger.service');
-      const reconciliation = await ledgerService.reconcileBalance(userId);
+      const reconciliation = await ledgerService.reconcileBalance(userId, req.body?.currency);
 
       return successResponse(
         res,
@@ -174,12 +202,12 @@ class BalanceController {
    */
   async getAllBalances(req, res, next) {
     try {
-      const { page, limit, minBalance, maxBalance } = req.query;
+      const { page, limit, minBalance, maxBalance, currency } = req.query;
 
       const balanceRepository = require('../../../database/repositories/balance.repository');
 
       const balances = await balanceRepository.getAllBalances(
-        { minBalance, maxBalance },
+        { minBalance, maxBalance, currency },
         { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
       );
 
@@ -202,7 +230,7 @@ class BalanceController {
     try {
       const balanceRepository = require('../../../database/repositories/balance.repository');
 
-      const totalAllocated = await balanceRepository.getTotalAllocated();
+      const totalAllocated = await balanceRepository.getTotalAllocated(req.query.currency);
 
       return successResponse(
         res,
@@ -221,12 +249,13 @@ class BalanceController {
    */
   async getLowBalanceUsers(req, res, next) {
     try {
-      const { threshold } = req.query;
+      const { threshold, currency } = req.query;
 
       const balanceRepository = require('../../../database/repositories/balance.repository');
 
       const users = await balanceRepository.getLowBalanceUsers(
-        threshold ? parseFloat(threshold) : 100
+        threshold ? parseFloat(threshold) : 100,
+        currency
       );
 
       return successResponse(
@@ -248,7 +277,7 @@ class BalanceController {
     try {
       const balanceRepository = require('../../../database/repositories/balance.repository');
 
-      const stats = await balanceRepository.getStats();
+      const stats = await balanceRepository.getStats(req.query.currency);
 
       return successResponse(
         res,
@@ -262,50 +291,41 @@ class BalanceController {
 
   /**
    * @desc    Adjust user balance (Admin only)
+   *          Adjustments at or above the approval threshold wait for a second admin.
    * @route   POST /api/v1/balance/adjust/:userId
    * @access  Private (Admin)
    */
   async adjustBalance(req, res, next) {
     try {
       const { userId } = req.params;
-      const { amount, reason } = req.body;
+      const { amount, currency, reason } = req.body;
       const adminId = req.userId;
 
-      const balanceRepository = require('../../../database/repositories/balance.repository');
-      const ledgerService = require('../../../services/balance/ledger.service');
+      const adjustmentAmount = parseFloat(amount);
 
-      // Get current balance
-      const currentBalance = await balanceRepository.getByUserId(userId);
-      const balanceBefore = parseFloat(currentBalance.available_balance);
+      // Post adjustment to the ledger, or hold it for a second admin
+      const outcome = await approvalService.submit(
+        APPROVAL_ACTIONS.BALANCE_ADJUSTMENT,
+        { userId, amount: adjustmentAmount, currency, reason },
+        getRequestContext(req),
+        reason
+      );
 
-      // Adjust balance
-      const adjustmentAmount = parseFloat(amount);
-      let updatedBalance;
-
-      if (adjustmentAmount > 0) {
-        // Increase balance
-        updatedBalance = await balanceRepository.creditAvailable(userId, adjustmentAmount);
-      } else {
-        // Decrease balance
-        updatedBalance = await balanceRepository.debitAvailable(userId, Math.abs(adjustmentAmount));
+      if (outcome.pending) {
+        return acceptedResponse(
+          res,
+          outcome.approval,
+          'Balance adjustment requested. A second admin must approve it.'
+        );
       }
 
-      const balanceAfter = parseFloat(updatedBalance.available_balance);
-
-      // Record in ledger
-      await ledgerService.recordAdjustment(
-        userId,
-        adjustmentAmount,
-        balanceBefore,
-        balanceAfter,
-        reason,
-        adminId
-      );
+      const { balanceBefore, balanceAfter } = outcome.result;
 
       logger.security('Balance adjusted by admin', {
         userId,
         adminId,
         amount: adjustmentAmount,
+        currency: outcome.result.currency,
         reason,
         balanceBefore,
         balanceAfter
@@ -313,12 +333,7 @@ class BalanceController {
 
       return successResponse(
         res,
-        {
-          balanceBefore,
-          balanceAfter,
-          adjustment: adjustmentAmount,
-          reason
-        },
+        outcome.result,
         'Balance adjusted successfully'
       );
     } catch (error) {
@@ -335,13 +350,13 @@ class BalanceController {
   async exportLedger(req, res, next) {
     try {
       const userId = req.userId;
-      const { startDate, endDate } = req.query;
+      const { startDate, endDate, currency } = req.query;
 
       // Default to last 30 days
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       const end = endDate ? new Date(endDate) : new Date();
 
-      const ledgerData = await ledgerService.exportLedger(userId, start, end);
+      const ledgerData = await ledgerService.exportLedger(userId, start, end, currency);
 
       return successResponse(
         res,
@@ -367,13 +382,13 @@ class BalanceController {
   async getLedgerSummary(req, res, next) {
     try {
       const userId = req.userId;
-      const { startDate, endDate } = req.query;
+      const { startDate, endDate, currency } = req.query;
 
       // Default to last 30 days if not provided
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       const end = endDate ? new Date(endDate) : new Date();
 
-      const summary = await ledgerService.getUserLedgerSummary(userId, start, end);
+      const summary = await ledgerService.getUserLedgerSummary(userId, start, end, currency);
 
       return successResponse(
         res,
@@ -393,10 +408,11 @@ class BalanceController {
   async getLedgerEntries(req, res, next) {
     try {
       const userId = req.userId;
-      const { entry_type, startDate, endDate, page = 1, limit = 50 } = req.query;
+      const { entry_type, startDate, endDate, currency, page = 1, limit = 50 } = req.query;
 
       const filters = {};
       if (entry_type) filters.entry_type = entry_type;
+      if (currency) filters.currency = currency;
       if (startDate) filters.startDate = startDate;
       if (endDate) filters.endDate = endDate;
 
@@ -424,7 +440,7 @@ class BalanceController {
     try {
       const userId = req.userId;
 
-      const result = await ledgerService.reconcileBalance(userId);
+      const result = await ledgerService.reconcileBalance(userId, req.body?.currency);
 
       return successResponse(
         res,
@@ -7,7 +7,10 @@
  */
 
 const depositService = require('../../../services/deposit/deposit.service');
-const { successResponse, createdResponse } = require('../../../src/shared/utils/response');
+const approvalService = require('../../../services/approval/approval.service');
+const { successResponse, createdResponse, acceptedResponse } = require('../../../src/shared/utils/response');
+const { getRequestContext } = require('../../../src/shared/utils/requestContext');
+const { APPROVAL_ACTIONS } = require('../../../src/config/constants.config');
 
 class DepositController {
   /**
@@ -18,12 +21,14 @@ class DepositController {
   async createDeposit(req, res, next) {
     try {
       const userId = req.userId;
-      const { amount, payment_method, gateway_reference } = req.body;
+      const { amount, currency, payment_method, gateway_reference, mobile_number } = req.body;
 
       const deposit = await depositService.createDepositRequest(userId, {
         amount,
+        currency,
         payment_method,
-        gateway_reference
+        gateway_reference,
+        mobile_number
       });
 
       return createdResponse(
@@ -153,19 +158,31 @@ class DepositController {
 
   /**
    * @desc    Approve deposit request (Admin)
+   *          Amounts at or above the approval threshold wait for a second admin.
    * @route   POST /api/v1/deposits/:depositId/approve
    * @access  Private (Admin)
    */
   async approveDeposit(req, res, next) {
     try {
       const { depositId } = req.params;
-      const approvedBy = req.userId;
 
-      const deposit = await depositService.approveDeposit(depositId, approvedBy);
+      const outcome = await approvalService.submit(
+        APPROVAL_ACTIONS.DEPOSIT_APPROVAL,
+        { depositId },
+        getRequestContext(req)
+      );
+
+      if (outcome.pending) {
+        return acceptedResponse(
+          res,
+          outcome.approval,
+          'Deposit approval requested. A second admin must approve it.'
+        );
+      }
 
       return successResponse(
         res,
-        deposit,
+        outcome.result,
         'Deposit approved successfully'
       );
     } catch (error) {
@@ -183,7 +200,7 @@ class DepositController {
       const { depositId } = req.params;
       const { reason } = req.body;
 
-      const deposit = await depositService.rejectDeposit(depositId, reason);
+      const deposit = await depositService.rejectDeposit(depositId, reason, getRequestContext(req));
 
       return successResponse(
         res,
@@ -0,0 +1,59 @@
+/**
+ * Fee Controller
+ *
+ * Handles HTTP requests for fee quotes and the active fee schedules.
+ *
+ * Location: backend/api/v1/controllers/fee.controller.js
+ */
+
+const feeService = require('../../../services/fee/fee.service');
+const { successResponse } = require('../../../src/shared/utils/response');
+
+class FeeController {
+  /**
+   * @desc    Quote the fee of an operation before making it
+   * @route   GET /api/v1/fee/quote
+   * @access  Private
+   */
+  async getQuote(req, res, next) {
+    try {
+      const { operation, amount, currency } = req.query;
+
+      const quote = await feeService.quote(
+        operation,
+        parseFloat(amount),
+        currency || undefined
+      );
+
+      return successResponse(
+        res,
+        quote,
+        'Fee quote retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the active fee schedule of every operation
+   * @route   GET /api/v1/fee/schedules
+   * @access  Private
+   */
+  async getActiveSchedules(req, res, next) {
+    try {
+      const schedules = await feeService.getActiveSchedules(req.query.currency || undefined);
+
+      return successResponse(
+        res,
+        schedules,
+        'Fee schedules retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new FeeController();
@@ -0,0 +1,110 @@
+/**
+ * FX Controller
+ *
+ * Handles HTTP requests for exchange rates, conversion quotes and
+ * conversions between a seller's currency balances.
+ *
+ * Location: backend/api/v1/controllers/fx.controller.js
+ */
+
+const fxService = require('../../../services/fx/fx.service');
+const { successResponse, createdResponse } = require('../../../src/shared/utils/response');
+
+class FxController {
+  /**
+   * @desc    Get the active exchange rates
+   * @route   GET /api/v1/fx/rates
+   * @access  Private
+   */
+  async getRates(req, res, next) {
+    try {
+      const rates = await fxService.getRates();
+
+      return successResponse(
+        res,
+        rates,
+        'Exchange rates retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Quote a conversion and lock its rate
+   * @route   POST /api/v1/fx/quote
+   * @access  Private
+   */
+  async createQuote(req, res, next) {
+    try {
+      const { from_currency, to_currency, amount } = req.body;
+
+      const quote = await fxService.quote(
+        req.userId,
+        from_currency,
+        to_currency,
+        parseFloat(amount)
+      );
+
+      return createdResponse(
+        res,
+        quote,
+        'Conversion quote created successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Convert balances at a quoted rate
+   * @route   POST /api/v1/fx/convert
+   * @access  Private
+   */
+  async convert(req, res, next) {
+    try {
+      const result = await fxService.convert(req.userId, req.body.quote_id);
+
+      return successResponse(
+        res,
+        result,
+        'Conversion completed successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get conversion history
+   * @route   GET /api/v1/fx/conversions
+   * @access  Private
+   */
+  async getConversions(req, res, next) {
+    try {
+      const { from_currency, to_currency, startDate, endDate, page, limit } = req.query;
+
+      const conversions = await fxService.getConversions(
+        req.userId,
+        {
+          from_currency,
+          to_currency,
+          startDate: startDate ? new Date(startDate) : undefined,
+          endDate: endDate ? new Date(endDate) : undefined
+        },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        conversions,
+        'Conversions retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new FxController();
@@ -0,0 +1,34 @@
+/**
+ * Limit Controller
+ *
+ * Handles HTTP requests for a seller's transaction limits.
+ *
+ * Location: backend/api/v1/controllers/limit.controller.js
+ */
+
+const limitService = require('../../../services/limit/limit.service');
+const { successResponse } = require('../../../src/shared/utils/response');
+
+class LimitController {
+  /**
+   * @desc    Get the seller's limits and what is left of them
+   * @route   GET /api/v1/limit
+   * @access  Private
+   */
+  async getLimits(req, res, next) {
+    try {
+      const limits = await limitService.getSellerLimits(req.userId, req.query.currency);
+
+      return successResponse(
+        res,
+        limits,
+        'Limits retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new LimitController();
@@ -7,7 +7,10 @@
  */
 
 const payoutService = require('../../../services/payout/payout.service');
-const { successResponse, createdResponse } = require('../../../src/shared/utils/response');
+const approvalService = require('../../../services/approval/approval.service');
+const { successResponse, createdResponse, acceptedResponse } = require('../../../src/shared/utils/response');
+const { getRequestContext } = require('../../../src/shared/utils/requestContext');
+const { APPROVAL_ACTIONS } = require('../../../src/config/constants.config');
 
 class PayoutController {
   /**
@@ -18,11 +21,15 @@ class PayoutController {
   async createPayoutRequest(req, res, next) {
     try {
       const userId = req.userId;
-      const { amount, bank_account_id } = req.body;
+      const { amount, currency, method, bank_account_id, mobile_number, two_factor_code } = req.body;
 
       const payout = await payoutService.createPayoutRequest(userId, {
         amount,
-        bank_account_id
+        currency,
+        method,
+        bank_account_id,
+        mobile_number,
+        two_factor_code
       });
 
       return createdResponse(
@@ -32,7 +39,9 @@ class PayoutController {
           amount: parseFloat(payout.amount),
           currency: payout.currency,
           status: payout.status,
+          method: payout.method,
           bank_account_id: payout.bank_account_id,
+          mobile_number: payout.mobile_number,
           createdAt: payout.created_at
         },
         'Payout request created successfully'
@@ -178,15 +187,29 @@ class PayoutController {
 
   /**
    * @desc    Process payout (Admin only)
+   *          Amounts at or above the approval threshold wait for a second admin.
    * @route   POST /api/v1/payouts/:payoutId/process
    * @access  Private (Admin)
    */
   async processPayout(req, res, next) {
     try {
-      const adminId = req.userId;
       const { payoutId } = req.params;
 
-      const payout = await payoutService.processPayout(payoutId, adminId);
+      const outcome = await approvalService.submit(
+        APPROVAL_ACTIONS.PAYOUT_PROCESSING,
+        { payoutId },
+        getRequestContext(req)
+      );
+
+      if (outcome.pending) {
+        return acceptedResponse(
+          res,
+          outcome.approval,
+          'Payout processing requested. A second admin must approve it.'
+        );
+      }
+
+      const payout = outcome.result;
 
       return successResponse(
         res,
@@ -195,11 +218,16 @@ class PayoutController {
           amount: parseFloat(payout.amount),
           status: payout.status,
           processed_by: payout.processed_by,
+          provider: payout.provider,
           gateway_reference: payout.gateway_reference,
+          rejection_reason: payout.rejection_reason,
           processed_at: payout.processed_at,
+          submitted_at: payout.submitted_at,
           completed_at: payout.completed_at
         },
-        'Payout processed successfully'
+        payout.status === 'SUBMITTED'
+          ? 'Payout submitted, awaiting provider confirmation'
+          : 'Payout processed successfully'
       );
     } catch (error) {
       next(error);
@@ -216,7 +244,7 @@ class PayoutController {
       const { payoutId } = req.params;
       const { reason } = req.body;
 
-      const payout = await payoutService.rejectPayout(payoutId, reason);
+      const payout = await payoutService.rejectPayout(payoutId, reason, getRequestContext(req));
 
       return successResponse(
         res,
@@ -20,10 +20,11 @@ class TransactionController {
   async processSale(req, res, next) {
     try {
       const userId = req.userId;
-      const { amount, customer_name, customer_email, description, items, metadata } = req.body;
+      const { amount, currency, customer_name, customer_email, description, items, metadata } = req.body;
 
       const transaction = await transactionService.processSale(userId, {
         amount,
+        currency,
         customer_name,
         customer_email,
         description,
@@ -425,8 +426,8 @@ class TransactionController {
         throw new BadRequestError('Refund amount cannot exceed original transaction amount');
       }
 
-      // Create refund transaction
-      const refundTransaction = await transactionRepository.createRefund(
+      // Create refund transaction and credit the user
+      const refundTransaction = await transactionService.recordRefund(
         {
           user_id: originalTransaction.user_id,
           transaction_type: 'REFUND',
@@ -442,13 +443,10 @@ class TransactionController {
           },
           completed_at: new Date()
         },
-        transactionId
+        transactionId,
+        adminId
       );
 
-      // Allocate funds back to user
-      const poolAccountService = require('../../../services/poolAccount/poolAccount.service');
-      await poolAccountService.allocateToUser(originalTransaction.user_id, refundAmount);
-
       return createdResponse(
         res,
         {
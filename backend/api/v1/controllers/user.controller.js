@@ -8,7 +8,13 @@
 
 const userRepository = require('../../../database/repositories/user.repository');
 const balanceService = require('../../../services/balance/balance.service');
-const { successResponse } = require('../../../src/shared/utils/response');
+const bankAccountService = require('../../../services/bankAccount/bankAccount.service');
+const bankAccountVerificationService = require('../../../services/bankAccount/bankAccountVerification.service');
+const apiKeyService = require('../../../services/apiKey/apiKey.service');
+const userService = require('../../../services/user/user.service');
+const kycService = require('../../../services/kyc/kyc.service');
+const { successResponse, createdResponse } = require('../../../src/shared/utils/response');
+const { getRequestContext } = require('../../../src/shared/utils/requestContext');
 
 class UserController {
   /**
@@ -46,10 +52,10 @@ class UserController {
       const userId = req.userId;
       const { business_name, phone } = req.body;
 
-      const updatedUser = await userRepository.updateProfile(userId, {
+      const updatedUser = await userService.updateProfile(userId, {
         business_name,
         phone
-      });
+      }, getRequestContext(req));
 
       return successResponse(
         res,
@@ -82,6 +88,433 @@ class UserController {
     }
   }
 
+  /**
+   * @desc    Get user's bank accounts
+   * @route   GET /api/v1/users/bank-accounts
+   * @access  Private
+   */
+  async getBankAccounts(req, res, next) {
+    try {
+      const accounts = await bankAccountService.getBankAccounts(req.userId);
+
+      return successResponse(
+        res,
+        accounts,
+        'Bank accounts retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Add a bank account
+   * @route   POST /api/v1/users/bank-accounts
+   * @access  Private
+   */
+  async addBankAccount(req, res, next) {
+    try {
+      const account = await bankAccountService.addBankAccount(req.userId, req.body);
+
+      return createdResponse(
+        res,
+        account,
+        'Bank account added successfully',
+        `/api/v1/users/bank-accounts/${account.id}`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a bank account
+   * @route   GET /api/v1/users/bank-accounts/:accountId
+   * @access  Private
+   */
+  async getBankAccount(req, res, next) {
+    try {
+      const account = await bankAccountService.getBankAccount(req.params.accountId, req.userId);
+
+      return successResponse(
+        res,
+        account,
+        'Bank account retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a bank account
+   * @route   PUT /api/v1/users/bank-accounts/:accountId
+   * @access  Private
+   */
+  async updateBankAccount(req, res, next) {
+    try {
+      const account = await bankAccountService.updateBankAccount(
+        req.params.accountId,
+        req.userId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        account,
+        'Bank account updated successfully. It must be verified again before receiving payouts.'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Make a bank account the default for payouts
+   * @route   POST /api/v1/users/bank-accounts/:accountId/default
+   * @access  Private
+   */
+  async setDefaultBankAccount(req, res, next) {
+    try {
+      const account = await bankAccountService.setDefaultBankAccount(req.params.accountId, req.userId);
+
+      return successResponse(
+        res,
+        account,
+        'Default bank account updated'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a bank account
+   * @route   DELETE /api/v1/users/bank-accounts/:accountId
+   * @access  Private
+   */
+  async deleteBankAccount(req, res, next) {
+    try {
+      const result = await bankAccountService.deleteBankAccount(req.params.accountId, req.userId);
+
+      return successResponse(
+        res,
+        result,
+        'Bank account deleted successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a bank account's verification status
+   * @route   GET /api/v1/users/bank-accounts/:accountId/verification
+   * @access  Private
+   */
+  async getBankAccountVerification(req, res, next) {
+    try {
+      const status = await bankAccountVerificationService.getStatus(req.params.accountId, req.userId);
+
+      return successResponse(
+        res,
+        status,
+        'Verification status retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Upload proof of bank account ownership
+   * @route   POST /api/v1/users/bank-accounts/:accountId/verification/proof
+   * @access  Private
+   */
+  async submitBankAccountProof(req, res, next) {
+    try {
+      const verification = await bankAccountVerificationService.submitProof(
+        req.params.accountId,
+        req.userId,
+        req.file,
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        verification,
+        'Proof uploaded. Your bank account will be verified once it has been reviewed.'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Send micro-deposits to a bank account
+   * @route   POST /api/v1/users/bank-accounts/:accountId/verification/micro-deposits
+   * @access  Private
+   */
+  async startBankAccountMicroDeposits(req, res, next) {
+    try {
+      const verification = await bankAccountVerificationService.startMicroDeposits(
+        req.params.accountId,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        verification,
+        'Two small deposits have been sent to your bank account. Confirm the amounts to verify it.'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Confirm micro-deposit amounts
+   * @route   POST /api/v1/users/bank-accounts/:accountId/verification/micro-deposits/confirm
+   * @access  Private
+   */
+  async confirmBankAccountMicroDeposits(req, res, next) {
+    try {
+      const verification = await bankAccountVerificationService.confirmMicroDeposits(
+        req.params.accountId,
+        req.userId,
+        req.body.amounts,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        verification,
+        'Bank account verified successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get KYC status and application
+   * @route   GET /api/v1/users/kyc
+   * @access  Private (Seller)
+   */
+  async getKyc(req, res, next) {
+    try {
+      const status = await kycService.getStatus(req.userId);
+
+      return successResponse(
+        res,
+        status,
+        'KYC status retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Save business registration details
+   * @route   PUT /api/v1/users/kyc
+   * @access  Private (Seller)
+   */
+  async saveKycApplication(req, res, next) {
+    try {
+      const application = await kycService.saveApplication(
+        req.userId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        application,
+        'Business details saved'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Upload a KYC document
+   * @route   POST /api/v1/users/kyc/documents
+   * @access  Private (Seller)
+   */
+  async uploadKycDocument(req, res, next) {
+    try {
+      const document = await kycService.uploadDocument(
+        req.userId,
+        req.file,
+        { type: req.body.type, director_name: req.body.director_name },
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        document,
+        'Document uploaded successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Remove a KYC document
+   * @route   DELETE /api/v1/users/kyc/documents/:documentId
+   * @access  Private (Seller)
+   */
+  async removeKycDocument(req, res, next) {
+    try {
+      await kycService.removeDocument(
+        req.userId,
+        req.params.documentId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        null,
+        'Document removed successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Submit the KYC application for review
+   * @route   POST /api/v1/users/kyc/submit
+   * @access  Private (Seller)
+   */
+  async submitKycApplication(req, res, next) {
+    try {
+      const application = await kycService.submit(req.userId, getRequestContext(req));
+
+      return successResponse(
+        res,
+        application,
+        'Application submitted. Your account will be verified once it has been reviewed.'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get API keys
+   * @route   GET /api/v1/users/api-keys
+   * @access  Private (Seller)
+   */
+  async getApiKeys(req, res, next) {
+    try {
+      const apiKeys = await apiKeyService.getApiKeys(req.userId);
+
+      return successResponse(
+        res,
+        apiKeys,
+        'API keys retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Create an API key
+   * @route   POST /api/v1/users/api-keys
+   * @access  Private (Seller)
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.createApiKey(
+        req.userId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return createdResponse(
+        res,
+        apiKey,
+        'API key created. Copy the key now; it will not be shown again.',
+        `/api/v1/users/api-keys/${apiKey.id}`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get an API key
+   * @route   GET /api/v1/users/api-keys/:keyId
+   * @access  Private (Seller)
+   */
+  async getApiKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.getApiKey(req.params.keyId, req.userId);
+
+      return successResponse(
+        res,
+        apiKey,
+        'API key retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update an API key's name, scopes or IP allow-list
+   * @route   PUT /api/v1/users/api-keys/:keyId
+   * @access  Private (Seller)
+   */
+  async updateApiKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.updateApiKey(
+        req.params.keyId,
+        req.userId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        apiKey,
+        'API key updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Revoke an API key
+   * @route   DELETE /api/v1/users/api-keys/:keyId
+   * @access  Private (Seller)
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.revokeApiKey(
+        req.params.keyId,
+        req.userId,
+        getRequestContext(req)
+      );
+
+      return successResponse(
+        res,
+        apiKey,
+        'API key revoked successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @desc    Get all users (Admin only)
    * @route   GET /api/v1/users
@@ -148,7 +581,7 @@ class UserController {
       const { userId } = req.params;
       const { reason } = req.body;
 
-      const user = await userRepository.suspendUser(userId, reason);
+      const user = await userService.suspendUser(userId, reason, getRequestContext(req));
 
       return successResponse(
         res,
@@ -169,7 +602,7 @@ class UserController {
     try {
       const { userId } = req.params;
 
-      const user = await userRepository.activateUser(userId);
+      const user = await userService.activateUser(userId, getRequestContext(req));
 
       return successResponse(
         res,
@@ -0,0 +1,284 @@
+/**
+ * Webhook Controller
+ *
+ * Handles HTTP requests for payment provider callbacks, the admin webhook
+ * event log and sellers' outbound webhook endpoints.
+ *
+ * Location: backend/api/v1/controllers/webhook.controller.js
+ */
+
+const gatewayWebhookService = require('../../../services/webhook/gatewayWebhook.service');
+const merchantWebhookService = require('../../../services/webhook/merchantWebhook.service');
+const { MERCHANT_WEBHOOK_EVENTS } = require('../../../events/eventEmitter');
+const { successResponse, createdResponse } = require('../../../src/shared/utils/response');
+
+class WebhookController {
+  /**
+   * @desc    Receive a payment provider callback
+   * @route   POST /api/v1/webhooks/:provider
+   * @access  Public (signature verified)
+   */
+  async receive(req, res, next) {
+    try {
+      const result = await gatewayWebhookService.handle(req.params.provider, {
+        rawBody: req.rawBody,
+        body: req.body,
+        headers: req.headers,
+        query: req.query,
+        ip: req.ip
+      });
+
+      return successResponse(
+        res,
+        { received: true, duplicate: result.duplicate },
+        'Webhook received'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List received webhook events (Admin)
+   * @route   GET /api/v1/webhooks/admin/events
+   * @access  Private (Admin)
+   */
+  async getEvents(req, res, next) {
+    try {
+      const { provider, status, reference, page, limit } = req.query;
+
+      const events = await gatewayWebhookService.listEvents(
+        { provider, status, reference },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        events,
+        'Webhook events retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Replay a failed webhook event (Admin)
+   * @route   POST /api/v1/webhooks/admin/events/:eventId/replay
+   * @access  Private (Admin)
+   */
+  async replayEvent(req, res, next) {
+    try {
+      const event = await gatewayWebhookService.replay(req.params.eventId);
+
+      return successResponse(
+        res,
+        event,
+        'Webhook event replayed'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List events that can be subscribed to
+   * @route   GET /api/v1/webhooks/event-types
+   * @access  Private
+   */
+  async getEventTypes(req, res, next) {
+    try {
+      return successResponse(
+        res,
+        MERCHANT_WEBHOOK_EVENTS,
+        'Webhook event types retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Register a webhook endpoint
+   * @route   POST /api/v1/webhooks/endpoints
+   * @access  Private
+   */
+  async createEndpoint(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { url, events, description, secret } = req.body;
+
+      const webhook = await merchantWebhookService.createWebhook(userId, {
+        url,
+        events,
+        description,
+        secret
+      });
+
+      return createdResponse(
+        res,
+        webhook,
+        'Webhook endpoint created successfully. Store the secret now, it will not be shown again'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List the user's webhook endpoints
+   * @route   GET /api/v1/webhooks/endpoints
+   * @access  Private
+   */
+  async getEndpoints(req, res, next) {
+    try {
+      const webhooks = await merchantWebhookService.getWebhooks(req.userId);
+
+      return successResponse(
+        res,
+        webhooks,
+        'Webhook endpoints retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a webhook endpoint
+   * @route   GET /api/v1/webhooks/endpoints/:webhookId
+   * @access  Private
+   */
+  async getEndpoint(req, res, next) {
+    try {
+      const webhook = await merchantWebhookService.getWebhook(
+        req.params.webhookId,
+        req.userId
+      );
+
+      return successResponse(
+        res,
+        webhook,
+        'Webhook endpoint retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a webhook endpoint
+   * @route   PATCH /api/v1/webhooks/endpoints/:webhookId
+   * @access  Private
+   */
+  async updateEndpoint(req, res, next) {
+    try {
+      const webhook = await merchantWebhookService.updateWebhook(
+        req.params.webhookId,
+        req.userId,
+        req.body
+      );
+
+      return successResponse(
+        res,
+        webhook,
+        'Webhook endpoint updated successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Rotate a webhook endpoint's signing secret
+   * @route   POST /api/v1/webhooks/endpoints/:webhookId/rotate-secret
+   * @access  Private
+   */
+  async rotateEndpointSecret(req, res, next) {
+    try {
+      const webhook = await merchantWebhookService.rotateSecret(
+        req.params.webhookId,
+        req.userId
+      );
+
+      return successResponse(
+        res,
+        webhook,
+        'Webhook secret rotated. Store the new secret now, it will not be shown again'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a webhook endpoint
+   * @route   DELETE /api/v1/webhooks/endpoints/:webhookId
+   * @access  Private
+   */
+  async deleteEndpoint(req, res, next) {
+    try {
+      await merchantWebhookService.deleteWebhook(req.params.webhookId, req.userId);
+
+      return successResponse(
+        res,
+        null,
+        'Webhook endpoint deleted successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the delivery log of a webhook endpoint
+   * @route   GET /api/v1/webhooks/endpoints/:webhookId/deliveries
+   * @access  Private
+   */
+  async getDeliveries(req, res, next) {
+    try {
+      const { status, event_name, page, limit } = req.query;
+
+      const deliveries = await merchantWebhookService.getDeliveries(
+        req.params.webhookId,
+        req.userId,
+        { status, event_name },
+        { page: parseInt(page) || 1, limit: parseInt(limit) || 20 }
+      );
+
+      return successResponse(
+        res,
+        deliveries,
+        'Webhook deliveries retrieved successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Send a webhook delivery again
+   * @route   POST /api/v1/webhooks/endpoints/:webhookId/deliveries/:deliveryId/redeliver
+   * @access  Private
+   */
+  async redeliver(req, res, next) {
+    try {
+      const delivery = await merchantWebhookService.redeliver(
+        req.params.webhookId,
+        req.params.deliveryId,
+        req.userId
+      );
+
+      return successResponse(
+        res,
+        delivery,
+        delivery.status === 'DELIVERED' ? 'Webhook redelivered' : 'Webhook redelivery failed, it will be retried'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookController();
@@ -11,7 +11,8 @@ const { InsufficientBalanceError } = require('../../../src/shared/utils/ApiError
 const logger = require('../../../src/shared/utils/logger');
 
 /**
- * Check if user has sufficient balance
+ * Check if user has sufficient balance in the currency of the request
+ * (req.body.currency, default currency if omitted)
  * @param {number} requiredAmount - Amount to check (if null, checks req.body.amount)
  * @returns {Function} Middleware function
  * 
@@ -37,18 +38,22 @@ function checkBalance(requiredAmount = null) {
         return next(new Error('Invalid amount'));
       }
 
+      const { currency } = req.body;
+
       // Check balance
       const hasSufficientBalance = await balanceService.checkSufficientBalance(
         userId,
-        amount
+        amount,
+        currency
       );
 
       if (!hasSufficientBalance) {
-        const balance = await balanceService.getBalance(userId);
+        const balance = await balanceService.getBalance(userId, currency);
         
         logger.warn('Insufficient balance attempt', {
           userId,
           required: amount,
+          currency: balance.currency,
           available: balance.available,
           path: req.path
         });
@@ -131,63 +136,8 @@ function attachBalance() {
   };
 }
 
-/**
- * Check if amount is within daily transaction limit
- * 
- * @param {number} dailyLimit - Daily transaction limit
- * @returns {Function} Middleware function
- */
-function checkDailyLimit(dailyLimit = 10000) {
-  return async (req, res, next) => {
-    try {
-      const userId = req.userId;
-      const amount = parseFloat(req.body.amount);
-
-      // Get today's transaction total
-      const transactionService = require('../../../services/transaction/transaction.service');
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const todaySummary = await transactionService.getDailySummary(userId, today);
-      const todayTotal = todaySummary.totalAmount || 0;
-
-      // Check if adding this transaction would exceed limit
-      if (todayTotal + amount > dailyLimit) {
-        const remaining = dailyLimit - todayTotal;
-        
-        logger.warn('Daily transaction limit would be exceeded', {
-          userId,
-          todayTotal,
-          requestedAmount: amount,
-          dailyLimit,
-          remaining,
-          path: req.path
-        });
-
-        const { TransactionLimitError } = require('../../../src/shared/utils/ApiError');
-        throw new TransactionLimitError(
-          dailyLimit,
-          `daily transaction limit. You have $${remaining.toFixed(2)} remaining for today`
-        );
-      }
-
-      // Attach info to request
-      req.dailyTransactionInfo = {
-        todayTotal,
-        remaining: dailyLimit - (todayTotal + amount),
-        limit: dailyLimit
-      };
-
-      next();
-    } catch (error) {
-      next(error);
-    }
-  };
-}
-
 module.exports = {
   checkBalance,
   checkMinimumBalance,
-  attachBalance,
-  checkDailyLimit
+  attachBalance
 };
\ No newline at end of file
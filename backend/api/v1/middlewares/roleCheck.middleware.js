@@ -8,6 +8,7 @@
 
 const { ForbiddenError, UnauthorizedError } = require('../../../src/shared/utils/ApiError');
 const logger = require('../../../src/shared/utils/logger');
+const { ADMIN_ROLES } = require('../../../src/config/constants.config');
 
 /**
  * Check if user has required role
@@ -55,12 +56,12 @@ function checkRole(allowedRoles) {
 
 /**
  * Check if user is admin
- * Shorthand for checkRole('ADMIN')
+ * Shorthand for checkRole(['ADMIN', 'SUPER_ADMIN'])
  * 
  * @returns {Function} Middleware function
  */
 function isAdmin() {
-  return checkRole('ADMIN');
+  return checkRole(ADMIN_ROLES);
 }
 
 /**
@@ -79,18 +80,20 @@ function isSeller() {
  * @returns {Function} Middleware function
  */
 function isAdminOrSeller() {
-  return checkRole(['ADMIN', 'SELLER']);
+  return checkRole([...ADMIN_ROLES, 'SELLER']);
 }
 
 /**
  * Check if user has any of the specified permissions
- * More granular than role checking
+ * More granular than role checking. Staff permissions are loaded by
+ * authenticate from the user's role (see permission.service); SUPER_ADMIN
+ * has them all.
  * 
  * @param {Array<string>} permissions - Required permissions
  * @returns {Function} Middleware function
  * 
  * @example
- * router.post('/transactions', authenticate, hasPermission(['create_transaction']), controller.create);
+ * router.post('/deposits/:depositId/approve', authenticate, requireStaff, hasPermission([PERMISSIONS.APPROVE_DEPOSIT]), controller.approve);
  */
 function hasPermission(permissions) {
   return (req, res, next) => {
@@ -99,8 +102,8 @@ function hasPermission(permissions) {
         throw new UnauthorizedError('Authentication required');
       }
 
-      // Admin has all permissions
-      if (req.userRole === 'ADMIN') {
+      // Super admin has all permissions
+      if (req.userRole === 'SUPER_ADMIN') {
         return next();
       }
 
@@ -188,7 +191,7 @@ function ownsResource(paramName = 'userId') {
       const resourceUserId = req.params[paramName];
 
       // Admin can access any resource
-      if (req.userRole === 'ADMIN') {
+      if (ADMIN_ROLES.includes(req.userRole)) {
         return next();
       }
 
@@ -229,7 +232,7 @@ function ownsResourceOrAdmin(paramName = 'userId') {
       const resourceUserId = req.params[paramName];
 
       // Allow if admin or owner
-      if (req.userRole === 'ADMIN' || req.userId === resourceUserId) {
+      if (ADMIN_ROLES.includes(req.userRole) || req.userId === resourceUserId) {
         return next();
       }
 
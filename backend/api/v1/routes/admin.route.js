@@ -8,16 +8,19 @@
 
 const express = require('express');
 const adminController = require('../controllers/admin.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
-const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { authenticate, requireAdmin, requireStaff, requireSuperAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { hasPermission } = require('../middlewares/roleCheck.middleware');
+const { validateRequest, validateUuidParam, commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { PAYMENT_PROVIDERS, PERMISSIONS, STAFF_ROLES, APPROVAL_ACTIONS, FEE_OPERATIONS, LIMIT_PRODUCTS, LIMIT_PERIODS } = require('../../../src/config/constants.config');
 const Joi = require('joi');
 
 const router = express.Router();
 
-// Apply authentication and admin role check to all admin routes
+// Apply authentication and back-office role check to all admin routes.
+// Each route then requires a named permission or a full admin.
 router.use(authenticate);
-router.use(requireAdmin);
+router.use(requireStaff);
 
 // ============================================================================
 // USER MANAGEMENT
@@ -26,13 +29,14 @@ router.use(requireAdmin);
 /**
  * @route   GET /api/v1/admin/users
  * @desc    Get all users
- * @access  Private (Admin)
+ * @access  Private (Staff: view_users)
  */
 router.get(
   '/users',
+  hasPermission([PERMISSIONS.VIEW_USERS]),
   validateRequest(Joi.object({
     status: Joi.string().valid('ACTIVE', 'SUSPENDED', 'PENDING', 'DEACTIVATED').optional(),
-    role: Joi.string().valid('SELLER', 'ADMIN').optional(),
+    role: Joi.string().valid('SELLER', ...STAFF_ROLES).optional(),
     search: commonSchemas.searchQuery.optional(),
     page: commonSchemas.pagination.page,
     limit: commonSchemas.pagination.limit
@@ -43,10 +47,11 @@ router.get(
 /**
  * @route   GET /api/v1/admin/users/search
  * @desc    Search users
- * @access  Private (Admin)
+ * @access  Private (Staff: view_users)
  */
 router.get(
   '/users/search',
+  hasPermission([PERMISSIONS.VIEW_USERS]),
   validateRequest(Joi.object({
     query: commonSchemas.searchQuery.required(),
     limit: Joi.number().integer().min(1).max(50).default(10)
@@ -57,10 +62,11 @@ router.get(
 /**
  * @route   GET /api/v1/admin/users/:userId
  * @desc    Get user by ID
- * @access  Private (Admin)
+ * @access  Private (Staff: view_users)
  */
 router.get(
   '/users/:userId',
+  hasPermission([PERMISSIONS.VIEW_USERS]),
   validateUuidParam('userId'),
   asyncHandler(adminController.getUserById.bind(adminController))
 );
@@ -68,10 +74,11 @@ router.get(
 /**
  * @route   GET /api/v1/admin/users/:userId/stats
  * @desc    Get user statistics
- * @access  Private (Admin)
+ * @access  Private (Staff: view_users)
  */
 router.get(
   '/users/:userId/stats',
+  hasPermission([PERMISSIONS.VIEW_USERS]),
   validateUuidParam('userId'),
   asyncHandler(adminController.getUserStats.bind(adminController))
 );
@@ -83,6 +90,7 @@ router.get(
  */
 router.patch(
   '/users/:userId/status',
+  requireAdmin,
   validateUuidParam('userId'),
   validateRequest(Joi.object({
     status: Joi.string()
@@ -92,6 +100,24 @@ router.patch(
   asyncHandler(adminController.updateUserStatus.bind(adminController))
 );
 
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/payment-provider
+ * @desc    Set a seller's preferred payment provider (null for platform default)
+ * @access  Private (Admin)
+ */
+router.patch(
+  '/users/:userId/payment-provider',
+  requireAdmin,
+  validateUuidParam('userId'),
+  validateRequest(Joi.object({
+    provider: Joi.string()
+      .valid(...Object.values(PAYMENT_PROVIDERS))
+      .allow(null)
+      .required()
+  })),
+  asyncHandler(adminController.updateUserPaymentProvider.bind(adminController))
+);
+
 /**
  * @route   POST /api/v1/admin/users/:userId/suspend
  * @desc    Suspend user account
@@ -99,6 +125,7 @@ router.patch(
  */
 router.post(
   '/users/:userId/suspend',
+  requireAdmin,
   validateUuidParam('userId'),
   validateRequest(Joi.object({
     reason: Joi.string().required().min(5).max(500)
@@ -113,44 +140,116 @@ router.post(
  */
 router.post(
   '/users/:userId/activate',
+  requireAdmin,
   validateUuidParam('userId'),
   asyncHandler(adminController.activateUser.bind(adminController))
 );
 
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/role
+ * @desc    Change a user's role
+ * @access  Private (Super Admin)
+ */
+router.patch(
+  '/users/:userId/role',
+  requireSuperAdmin,
+  validateUuidParam('userId'),
+  validateRequest(Joi.object({
+    role: Joi.string().valid('SELLER', ...STAFF_ROLES).required()
+  })),
+  asyncHandler(adminController.updateUserRole.bind(adminController))
+);
+
+// ============================================================================
+// ROLES & PERMISSIONS
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/admin/roles
+ * @desc    Get back-office roles and their permissions
+ * @access  Private (Super Admin)
+ */
+router.get(
+  '/roles',
+  requireSuperAdmin,
+  asyncHandler(adminController.getRoles.bind(adminController))
+);
+
+/**
+ * @route   PUT /api/v1/admin/roles/:role/permissions
+ * @desc    Replace the permissions of a role
+ * @access  Private (Super Admin)
+ */
+router.put(
+  '/roles/:role/permissions',
+  requireSuperAdmin,
+  validateRequest(Joi.object({
+    role: Joi.string().valid(...STAFF_ROLES.filter(role => role !== 'SUPER_ADMIN')).required()
+  }), 'params'),
+  validateRequest(Joi.object({
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.values(PERMISSIONS)))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'Grant at least one permission, or move the users to another role',
+        'any.only': `Permissions must be any of: ${Object.values(PERMISSIONS).join(', ')}`
+      })
+  })),
+  asyncHandler(adminController.setRolePermissions.bind(adminController))
+);
+
 // ============================================================================
 // POOL ACCOUNT MANAGEMENT
 // ============================================================================
 
+/**
+ * @route   GET /api/v1/admin/pools
+ * @desc    Get the status of every currency's pool account
+ * @access  Private (Staff: manage_pool)
+ */
+router.get(
+  '/pools',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
+  asyncHandler(adminController.getAllPoolStatuses.bind(adminController))
+);
+
 /**
  * @route   GET /api/v1/admin/pool
- * @desc    Get pool account status
- * @access  Private (Admin)
+ * @desc    Get pool account status (?currency, default currency if omitted)
+ * @access  Private (Staff: manage_pool)
  */
 router.get(
   '/pool',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
+  validateRequest(Joi.object({ currency }), 'query'),
   asyncHandler(adminController.getPoolStatus.bind(adminController))
 );
 
 /**
  * @route   GET /api/v1/admin/pool/health
  * @desc    Get pool health
- * @access  Private (Admin)
+ * @access  Private (Staff: manage_pool)
  */
 router.get(
   '/pool/health',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
+  validateRequest(Joi.object({ currency }), 'query'),
   asyncHandler(adminController.getPoolHealth.bind(adminController))
 );
 
 /**
  * @route   GET /api/v1/admin/pool/summary
  * @desc    Get pool summary
- * @access  Private (Admin)
+ * @access  Private (Staff: manage_pool)
  */
 router.get(
   '/pool/summary',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
   validateRequest(Joi.object({
     startDate: commonSchemas.dateRange.startDate,
-    endDate: commonSchemas.dateRange.endDate
+    endDate: commonSchemas.dateRange.endDate,
+    currency
   }), 'query'),
   asyncHandler(adminController.getPoolSummary.bind(adminController))
 );
@@ -158,12 +257,14 @@ router.get(
 /**
  * @route   POST /api/v1/admin/pool/add-funds
  * @desc    Add funds to pool
- * @access  Private (Admin)
+ * @access  Private (Staff: manage_pool)
  */
 router.post(
   '/pool/add-funds',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
   validateRequest(Joi.object({
     amount: commonSchemas.amount.required().positive(),
+    currency,
     source: Joi.string().required().max(255),
     reference: Joi.string().required().max(255)
   })),
@@ -173,12 +274,14 @@ router.post(
 /**
  * @route   POST /api/v1/admin/pool/remove-funds
  * @desc    Remove funds from pool
- * @access  Private (Admin)
+ * @access  Private (Staff: manage_pool)
  */
 router.post(
   '/pool/remove-funds',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
   validateRequest(Joi.object({
     amount: commonSchemas.amount.required().positive(),
+    currency,
     destination: Joi.string().required().max(255),
     reference: Joi.string().required().max(255)
   })),
@@ -188,16 +291,696 @@ router.post(
 /**
  * @route   POST /api/v1/admin/pool/reconcile
  * @desc    Reconcile pool with gateway
- * @access  Private (Admin)
+ * @access  Private (Staff: manage_pool)
  */
 router.post(
   '/pool/reconcile',
+  hasPermission([PERMISSIONS.MANAGE_POOL]),
   validateRequest(Joi.object({
-    gateway_balance: commonSchemas.amount.required()
+    gateway_balance: commonSchemas.amount.required(),
+    currency
   })),
   asyncHandler(adminController.reconcilePool.bind(adminController))
 );
 
+// ============================================================================
+// APPROVALS (maker-checker)
+// ============================================================================
+
+// Staff who can make or check any of the controlled operations
+const approvalPermissions = [
+  PERMISSIONS.APPROVE_DEPOSIT,
+  PERMISSIONS.PROCESS_PAYOUT,
+  PERMISSIONS.ADJUST_BALANCE,
+  PERMISSIONS.MANAGE_POOL
+];
+
+/**
+ * @route   GET /api/v1/admin/approvals
+ * @desc    Get approval requests
+ * @access  Private (Staff)
+ */
+router.get(
+  '/approvals',
+  hasPermission(approvalPermissions),
+  validateRequest(Joi.object({
+    status: Joi.string()
+      .valid('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'EXPIRED', 'FAILED')
+      .optional(),
+    action: Joi.string().valid(...Object.values(APPROVAL_ACTIONS)).optional(),
+    mine: Joi.boolean().optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getApprovals.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/approvals/:approvalId
+ * @desc    Get an approval request
+ * @access  Private (Staff)
+ */
+router.get(
+  '/approvals/:approvalId',
+  hasPermission(approvalPermissions),
+  validateUuidParam('approvalId'),
+  asyncHandler(adminController.getApproval.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/approvals/:approvalId/approve
+ * @desc    Approve a request and execute the operation (not by the requester)
+ * @access  Private (Staff, permission of the action)
+ */
+router.post(
+  '/approvals/:approvalId/approve',
+  hasPermission(approvalPermissions),
+  validateUuidParam('approvalId'),
+  validateRequest(Joi.object({
+    note: Joi.string().max(500).optional()
+  })),
+  asyncHandler(adminController.approveApproval.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/approvals/:approvalId/reject
+ * @desc    Reject an approval request
+ * @access  Private (Staff, permission of the action)
+ */
+router.post(
+  '/approvals/:approvalId/reject',
+  hasPermission(approvalPermissions),
+  validateUuidParam('approvalId'),
+  validateRequest(Joi.object({
+    reason: Joi.string().required().min(5).max(500).messages({
+      'string.empty': 'Rejection reason is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason must not exceed 500 characters'
+    })
+  })),
+  asyncHandler(adminController.rejectApproval.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/approvals/:approvalId/cancel
+ * @desc    Cancel your own approval request
+ * @access  Private (Staff, requester only)
+ */
+router.post(
+  '/approvals/:approvalId/cancel',
+  hasPermission(approvalPermissions),
+  validateUuidParam('approvalId'),
+  asyncHandler(adminController.cancelApproval.bind(adminController))
+);
+
+// ============================================================================
+// PAYMENT PROVIDERS
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/admin/payment-providers
+ * @desc    List payment providers with health status
+ * @access  Private (Admin)
+ */
+router.get(
+  '/payment-providers',
+  requireAdmin,
+  asyncHandler(adminController.getPaymentProviders.bind(adminController))
+);
+
+// ============================================================================
+// EVENT OUTBOX
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/admin/outbox/stats
+ * @desc    Get outbox event counts by status
+ * @access  Private (Admin)
+ */
+router.get(
+  '/outbox/stats',
+  requireAdmin,
+  asyncHandler(adminController.getOutboxStats.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/outbox/dead-letters
+ * @desc    List events that exhausted their retries
+ * @access  Private (Admin)
+ */
+router.get(
+  '/outbox/dead-letters',
+  requireAdmin,
+  validateRequest(Joi.object({
+    event_name: Joi.string().max(100).optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getOutboxDeadLetters.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/outbox/:eventId/retry
+ * @desc    Requeue a dead-lettered event
+ * @access  Private (Admin)
+ */
+router.post(
+  '/outbox/:eventId/retry',
+  requireAdmin,
+  validateUuidParam('eventId'),
+  asyncHandler(adminController.retryOutboxEvent.bind(adminController))
+);
+
+// ============================================================================
+// SCHEDULED JOBS
+// ============================================================================
+
+const jobNameParam = validateRequest(Joi.object({
+  jobName: Joi.string().pattern(/^[a-z0-9-]+$/).max(100).required()
+}), 'params');
+
+/**
+ * @route   GET /api/v1/admin/jobs
+ * @desc    List scheduled jobs with their schedule and last run
+ * @access  Private (Admin)
+ */
+router.get(
+  '/jobs',
+  requireAdmin,
+  asyncHandler(adminController.getScheduledJobs.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/jobs/:jobName/runs
+ * @desc    Get the run history of a job
+ * @access  Private (Admin)
+ */
+router.get(
+  '/jobs/:jobName/runs',
+  requireAdmin,
+  jobNameParam,
+  validateRequest(Joi.object({
+    status: Joi.string().valid('RUNNING', 'SUCCEEDED', 'FAILED').optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getJobRuns.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:jobName/run
+ * @desc    Run a job now
+ * @access  Private (Admin)
+ */
+router.post(
+  '/jobs/:jobName/run',
+  requireAdmin,
+  jobNameParam,
+  asyncHandler(adminController.runJob.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:jobName/pause
+ * @desc    Pause a job's schedule
+ * @access  Private (Admin)
+ */
+router.post(
+  '/jobs/:jobName/pause',
+  requireAdmin,
+  jobNameParam,
+  asyncHandler(adminController.pauseJob.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:jobName/resume
+ * @desc    Resume a paused job
+ * @access  Private (Admin)
+ */
+router.post(
+  '/jobs/:jobName/resume',
+  requireAdmin,
+  jobNameParam,
+  asyncHandler(adminController.resumeJob.bind(adminController))
+);
+
+// ============================================================================
+// BANK ACCOUNT VERIFICATION
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/admin/bank-account-verifications
+ * @desc    List bank account verification attempts (oldest first)
+ * @access  Private (Admin)
+ */
+router.get(
+  '/bank-account-verifications',
+  requireAdmin,
+  validateRequest(Joi.object({
+    status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED', 'FAILED', 'CANCELLED').default('PENDING'),
+    method: Joi.string().valid('PROOF_REVIEW', 'MICRO_DEPOSIT').optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getBankAccountVerifications.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/bank-account-verifications/:verificationId
+ * @desc    Get a verification attempt with its bank account
+ * @access  Private (Admin)
+ */
+router.get(
+  '/bank-account-verifications/:verificationId',
+  requireAdmin,
+  validateUuidParam('verificationId'),
+  asyncHandler(adminController.getBankAccountVerification.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/bank-account-verifications/:verificationId/document
+ * @desc    Download the proof uploaded for a verification
+ * @access  Private (Admin)
+ */
+router.get(
+  '/bank-account-verifications/:verificationId/document',
+  requireAdmin,
+  validateUuidParam('verificationId'),
+  asyncHandler(adminController.getBankAccountVerificationDocument.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/bank-account-verifications/:verificationId/approve
+ * @desc    Approve uploaded proof and verify the bank account
+ * @access  Private (Admin)
+ */
+router.post(
+  '/bank-account-verifications/:verificationId/approve',
+  requireAdmin,
+  validateUuidParam('verificationId'),
+  asyncHandler(adminController.approveBankAccountVerification.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/bank-account-verifications/:verificationId/reject
+ * @desc    Reject uploaded proof
+ * @access  Private (Admin)
+ */
+router.post(
+  '/bank-account-verifications/:verificationId/reject',
+  requireAdmin,
+  validateUuidParam('verificationId'),
+  validateRequest(Joi.object({
+    reason: Joi.string().required().min(5).max(500).messages({
+      'string.empty': 'Rejection reason is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason must not exceed 500 characters'
+    })
+  })),
+  asyncHandler(adminController.rejectBankAccountVerification.bind(adminController))
+);
+
+// ============================================================================
+// KYC REVIEW
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/admin/kyc
+ * @desc    List seller KYC applications (oldest submission first)
+ * @access  Private (Staff: review_kyc)
+ */
+router.get(
+  '/kyc',
+  hasPermission([PERMISSIONS.REVIEW_KYC]),
+  validateRequest(Joi.object({
+    status: Joi.string().valid('DRAFT', 'PENDING', 'APPROVED', 'REJECTED').default('PENDING'),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getKycApplications.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/kyc/:applicationId
+ * @desc    Get a KYC application with its documents and seller
+ * @access  Private (Staff: review_kyc)
+ */
+router.get(
+  '/kyc/:applicationId',
+  hasPermission([PERMISSIONS.REVIEW_KYC]),
+  validateUuidParam('applicationId'),
+  asyncHandler(adminController.getKycApplication.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/kyc/:applicationId/documents/:documentId
+ * @desc    Download a document uploaded with a KYC application
+ * @access  Private (Staff: review_kyc)
+ */
+router.get(
+  '/kyc/:applicationId/documents/:documentId',
+  hasPermission([PERMISSIONS.REVIEW_KYC]),
+  validateUuidParam('applicationId'),
+  validateUuidParam('documentId'),
+  asyncHandler(adminController.getKycDocument.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/kyc/:applicationId/approve
+ * @desc    Approve a KYC application and verify the seller
+ * @access  Private (Staff: review_kyc)
+ */
+router.post(
+  '/kyc/:applicationId/approve',
+  hasPermission([PERMISSIONS.REVIEW_KYC]),
+  validateUuidParam('applicationId'),
+  asyncHandler(adminController.approveKycApplication.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/kyc/:applicationId/reject
+ * @desc    Reject a KYC application with a reason for the seller
+ * @access  Private (Staff: review_kyc)
+ */
+router.post(
+  '/kyc/:applicationId/reject',
+  hasPermission([PERMISSIONS.REVIEW_KYC]),
+  validateUuidParam('applicationId'),
+  validateRequest(Joi.object({
+    reason: Joi.string().required().min(5).max(500).messages({
+      'string.empty': 'Rejection reason is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason must not exceed 500 characters'
+    })
+  })),
+  asyncHandler(adminController.rejectKycApplication.bind(adminController))
+);
+
+// ============================================================================
+// FEE SCHEDULES
+// ============================================================================
+
+const feeAmount = Joi.number().min(0).precision(2);
+const feePercentage = Joi.number().min(0).max(100).precision(4);
+
+const feeScheduleFields = {
+  name: Joi.string().trim().min(3).max(100),
+  type: Joi.string().valid('FLAT', 'PERCENTAGE', 'TIERED'),
+  flat_amount: feeAmount.allow(null),
+  percentage: feePercentage.allow(null),
+  tiers: Joi.array().min(1).items(Joi.object({
+    up_to: Joi.number().positive().allow(null).required(),
+    flat: feeAmount.default(0),
+    percentage: feePercentage.default(0)
+  })).allow(null),
+  min_fee: feeAmount.allow(null),
+  max_fee: feeAmount.allow(null),
+  is_active: Joi.boolean()
+};
+
+/**
+ * @route   GET /api/v1/admin/fee-schedules
+ * @desc    List fee schedules
+ * @access  Private (Staff: manage_fees)
+ */
+router.get(
+  '/fee-schedules',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateRequest(Joi.object({
+    operation: Joi.string().valid(...Object.values(FEE_OPERATIONS)).optional(),
+    currency,
+    is_active: Joi.boolean().optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getFeeSchedules.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/fee-schedules
+ * @desc    Create a fee schedule (an active one replaces the current schedule)
+ * @access  Private (Staff: manage_fees)
+ */
+router.post(
+  '/fee-schedules',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateRequest(Joi.object({
+    ...feeScheduleFields,
+    operation: Joi.string().valid(...Object.values(FEE_OPERATIONS)).required(),
+    currency,
+    name: feeScheduleFields.name.required(),
+    type: feeScheduleFields.type.required(),
+    flat_amount: feeScheduleFields.flat_amount.when('type', {
+      is: 'FLAT',
+      then: Joi.required()
+    }),
+    percentage: feeScheduleFields.percentage.when('type', {
+      is: 'PERCENTAGE',
+      then: Joi.required()
+    }),
+    tiers: feeScheduleFields.tiers.when('type', {
+      is: 'TIERED',
+      then: Joi.required()
+    }),
+    is_active: feeScheduleFields.is_active.default(true)
+  })),
+  asyncHandler(adminController.createFeeSchedule.bind(adminController))
+);
+
+/**
+ * @route   PUT /api/v1/admin/fee-schedules/:scheduleId
+ * @desc    Update or (re)activate a fee schedule
+ * @access  Private (Staff: manage_fees)
+ */
+router.put(
+  '/fee-schedules/:scheduleId',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateUuidParam('scheduleId'),
+  validateRequest(Joi.object(feeScheduleFields).min(1)),
+  asyncHandler(adminController.updateFeeSchedule.bind(adminController))
+);
+
+/**
+ * @route   DELETE /api/v1/admin/fee-schedules/:scheduleId
+ * @desc    Deactivate a fee schedule (the operation becomes free)
+ * @access  Private (Staff: manage_fees)
+ */
+router.delete(
+  '/fee-schedules/:scheduleId',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateUuidParam('scheduleId'),
+  asyncHandler(adminController.deactivateFeeSchedule.bind(adminController))
+);
+
+// ============================================================================
+// FX RATES
+// ============================================================================
+
+const fxRateFields = {
+  rate: Joi.number().positive().precision(8),
+  spread_percent: Joi.number().min(0).max(100).precision(4),
+  is_active: Joi.boolean()
+};
+
+/**
+ * @route   GET /api/v1/admin/fx-rates
+ * @desc    List exchange rates
+ * @access  Private (Staff: manage_fees)
+ */
+router.get(
+  '/fx-rates',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateRequest(Joi.object({
+    from_currency: currency,
+    to_currency: currency,
+    is_active: Joi.boolean().optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getFxRates.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/fx-rates
+ * @desc    Set an exchange rate (an active one replaces the pair's current rate)
+ * @access  Private (Staff: manage_fees)
+ */
+router.post(
+  '/fx-rates',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateRequest(Joi.object({
+    from_currency: currency.required(),
+    to_currency: currency.required(),
+    rate: fxRateFields.rate.required(),
+    spread_percent: fxRateFields.spread_percent.default(0),
+    is_active: fxRateFields.is_active.default(true)
+  })),
+  asyncHandler(adminController.createFxRate.bind(adminController))
+);
+
+/**
+ * @route   PUT /api/v1/admin/fx-rates/:rateId
+ * @desc    Update or (re)activate an exchange rate
+ * @access  Private (Staff: manage_fees)
+ */
+router.put(
+  '/fx-rates/:rateId',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateUuidParam('rateId'),
+  validateRequest(Joi.object(fxRateFields).min(1)),
+  asyncHandler(adminController.updateFxRate.bind(adminController))
+);
+
+/**
+ * @route   DELETE /api/v1/admin/fx-rates/:rateId
+ * @desc    Deactivate an exchange rate (the pair can no longer be quoted)
+ * @access  Private (Staff: manage_fees)
+ */
+router.delete(
+  '/fx-rates/:rateId',
+  hasPermission([PERMISSIONS.MANAGE_FEES]),
+  validateUuidParam('rateId'),
+  asyncHandler(adminController.deactivateFxRate.bind(adminController))
+);
+
+// ============================================================================
+// TRANSACTION LIMITS
+// ============================================================================
+
+const limitRuleFields = {
+  min_amount: commonSchemas.amount.allow(null),
+  max_amount: commonSchemas.amount.allow(null),
+  max_count: Joi.number().integer().min(1).allow(null),
+  is_active: Joi.boolean()
+};
+
+const sellerTier = Joi.string().valid('UNVERIFIED', 'VERIFIED');
+
+/**
+ * @route   GET /api/v1/admin/limits
+ * @desc    List transaction limit rules
+ * @access  Private (Staff: manage_limits)
+ */
+router.get(
+  '/limits',
+  hasPermission([PERMISSIONS.MANAGE_LIMITS]),
+  validateRequest(Joi.object({
+    product: Joi.string().valid(...Object.values(LIMIT_PRODUCTS)).optional(),
+    period: Joi.string().valid(...Object.values(LIMIT_PERIODS)).optional(),
+    currency,
+    user_id: commonSchemas.uuid.optional(),
+    tier: sellerTier.optional(),
+    is_active: Joi.boolean().optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getLimitRules.bind(adminController))
+);
+
+/**
+ * @route   POST /api/v1/admin/limits
+ * @desc    Set a limit for a seller, a KYC tier or everyone (an active rule
+ *          replaces the current one for the same scope, product, period and currency)
+ * @access  Private (Staff: manage_limits)
+ */
+router.post(
+  '/limits',
+  hasPermission([PERMISSIONS.MANAGE_LIMITS]),
+  validateRequest(Joi.object({
+    product: Joi.string().valid(...Object.values(LIMIT_PRODUCTS)).required(),
+    period: Joi.string().valid(...Object.values(LIMIT_PERIODS)).required(),
+    currency,
+    user_id: commonSchemas.uuid.optional(),
+    tier: sellerTier.optional(),
+    ...limitRuleFields,
+    is_active: limitRuleFields.is_active.default(true)
+  }).oxor('user_id', 'tier')),
+  asyncHandler(adminController.createLimitRule.bind(adminController))
+);
+
+/**
+ * @route   PUT /api/v1/admin/limits/:ruleId
+ * @desc    Update or (re)activate a limit rule
+ * @access  Private (Staff: manage_limits)
+ */
+router.put(
+  '/limits/:ruleId',
+  hasPermission([PERMISSIONS.MANAGE_LIMITS]),
+  validateUuidParam('ruleId'),
+  validateRequest(Joi.object(limitRuleFields).min(1)),
+  asyncHandler(adminController.updateLimitRule.bind(adminController))
+);
+
+/**
+ * @route   DELETE /api/v1/admin/limits/:ruleId
+ * @desc    Deactivate a limit rule (a less specific rule applies in its place)
+ * @access  Private (Staff: manage_limits)
+ */
+router.delete(
+  '/limits/:ruleId',
+  hasPermission([PERMISSIONS.MANAGE_LIMITS]),
+  validateUuidParam('ruleId'),
+  asyncHandler(adminController.deactivateLimitRule.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/limits
+ * @desc    Get a seller's effective limits with current usage
+ * @access  Private (Staff: manage_limits)
+ */
+router.get(
+  '/users/:userId/limits',
+  hasPermission([PERMISSIONS.MANAGE_LIMITS]),
+  validateUuidParam('userId'),
+  validateRequest(Joi.object({
+    currency
+  }), 'query'),
+  asyncHandler(adminController.getUserLimits.bind(adminController))
+);
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const auditLogFilters = {
+  actorId: commonSchemas.uuid.optional(),
+  action: Joi.string().max(100).optional(),
+  entity: Joi.string().max(100).optional(),
+  entityId: commonSchemas.uuid.optional(),
+  ip: Joi.string().ip({ cidr: 'forbidden' }).optional(),
+  ...commonSchemas.dateRange
+};
+
+/**
+ * @route   GET /api/v1/admin/audit-logs
+ * @desc    Search the audit log (action matches as a prefix, e.g. "deposit.")
+ * @access  Private (Staff: view_audit_log)
+ */
+router.get(
+  '/audit-logs',
+  hasPermission([PERMISSIONS.VIEW_AUDIT_LOG]),
+  validateRequest(Joi.object({
+    ...auditLogFilters,
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(adminController.getAuditLogs.bind(adminController))
+);
+
+/**
+ * @route   GET /api/v1/admin/audit-logs/export
+ * @desc    Download the audit log as CSV or JSON
+ * @access  Private (Staff: view_audit_log)
+ */
+router.get(
+  '/audit-logs/export',
+  hasPermission([PERMISSIONS.VIEW_AUDIT_LOG]),
+  validateRequest(Joi.object({
+    ...auditLogFilters,
+    format: Joi.string().valid('csv', 'json').default('csv')
+  }), 'query'),
+  asyncHandler(adminController.exportAuditLogs.bind(adminController))
+);
+
 // ============================================================================
 // DASHBOARD & STATISTICS
 // ============================================================================
@@ -209,6 +992,7 @@ router.post(
  */
 router.get(
   '/dashboard',
+  requireAdmin,
   asyncHandler(adminController.getDashboardStats.bind(adminController))
 );
 
@@ -219,6 +1003,7 @@ router.get(
  */
 router.get(
   '/stats/active-sellers',
+  requireAdmin,
   asyncHandler(adminController.getActiveSellerCount.bind(adminController))
 );
 
@@ -8,9 +8,10 @@
 
 const express = require('express');
 const airtimeController = require('../controllers/airtime.controller');
-const { authenticate } = require('../../../src/shared/middleware/auth.middleware');
+const { authenticate, requireVerifiedEmailFor } = require('../../../src/shared/middleware/auth.middleware');
 const { validateRequest } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { idempotent } = require('../../../src/shared/middleware/idempotency.middleware');
 const airtimeValidators = require('../validators/airtime.validator');
 
 const router = express.Router();
@@ -45,7 +46,9 @@ router.get(
  */
 router.post(
   '/direct',
+  requireVerifiedEmailFor('sales'),
   validateRequest(airtimeValidators.buyDirectAirtime),
+  idempotent(),
   asyncHandler(airtimeController.buyDirectAirtime.bind(airtimeController))
 );
 
@@ -56,7 +59,9 @@ router.post(
  */
 router.post(
   '/vouchers/:carrier',
+  requireVerifiedEmailFor('sales'),
   validateRequest(airtimeValidators.buyVoucherAirtime),
+  idempotent(),
   asyncHandler(airtimeController.buyVoucherAirtime.bind(airtimeController))
 );
 
@@ -78,7 +83,9 @@ router.get(
  */
 router.post(
   '/bundles/:bundleId',
+  requireVerifiedEmailFor('sales'),
   validateRequest(airtimeValidators.buyBundle),
+  idempotent(),
   asyncHandler(airtimeController.buyBundle.bind(airtimeController))
 );
 
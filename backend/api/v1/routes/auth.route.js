@@ -8,8 +8,8 @@
 
 const express = require('express');
 const authController = require('../controllers/auth.controller');
-const { authenticate, verifyRefreshToken, rateLimitAuth } = require('../../../src/shared/middleware/auth.middleware');
-const { validateRequest } = require('../../../src/shared/middleware/validation.middleware');
+const { authenticate, optionalAuthenticate, verifyRefreshToken, rateLimitAuth } = require('../../../src/shared/middleware/auth.middleware');
+const { validateRequest, validateUuidParam } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
 const authValidators = require('../validators/auth.validator');
 
@@ -39,6 +39,18 @@ router.post(
   asyncHandler(authController.login.bind(authController))
 );
 
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Finish login with the challenge token and a 2FA code
+ * @access  Public (requires challenge token)
+ */
+router.post(
+  '/login/2fa',
+  rateLimitAuth(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  validateRequest(authValidators.loginTwoFactor),
+  asyncHandler(authController.loginTwoFactor.bind(authController))
+);
+
 /**
  * @route   POST /api/v1/auth/logout
  * @desc    Logout current session
@@ -62,6 +74,29 @@ router.post(
   asyncHandler(authController.logoutAll.bind(authController))
 );
 
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List signed-in devices
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  asyncHandler(authController.getSessions.bind(authController))
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Sign a device out
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  validateUuidParam('sessionId'),
+  asyncHandler(authController.revokeSession.bind(authController))
+);
+
 /**
  * @route   POST /api/v1/auth/refresh
  * @desc    Refresh access token
@@ -135,14 +170,91 @@ router.post(
 
 /**
  * @route   POST /api/v1/auth/verify-email
- * @desc    Verify email address
- * @access  Private
+ * @desc    Verify email address with the link token, or with the 6-digit code while signed in
+ * @access  Public
  */
 router.post(
   '/verify-email',
-  authenticate,
+  rateLimitAuth(10, 15 * 60 * 1000), // 10 attempts per 15 minutes
+  optionalAuthenticate,
   validateRequest(authValidators.verifyEmail),
   asyncHandler(authController.verifyEmail.bind(authController))
 );
 
+/**
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @desc    Resend the verification email
+ * @access  Private
+ */
+router.post(
+  '/verify-email/resend',
+  authenticate,
+  asyncHandler(authController.resendEmailVerification.bind(authController))
+);
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor status
+ * @access  Private
+ */
+router.get(
+  '/2fa',
+  authenticate,
+  asyncHandler(authController.getTwoFactorStatus.bind(authController))
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start enrolment: get a secret and otpauth URI for the authenticator app
+ * @access  Private
+ */
+router.post(
+  '/2fa/setup',
+  authenticate,
+  asyncHandler(authController.setupTwoFactor.bind(authController))
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm enrolment with a first code; returns backup codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  rateLimitAuth(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  validateRequest(authValidators.enableTwoFactor),
+  asyncHandler(authController.enableTwoFactor.bind(authController))
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  rateLimitAuth(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  validateRequest(authValidators.disableTwoFactor),
+  asyncHandler(authController.disableTwoFactor.bind(authController))
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/backup-codes
+ * @desc    Replace the backup codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/backup-codes',
+  authenticate,
+  rateLimitAuth(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  validateRequest(authValidators.regenerateBackupCodes),
+  asyncHandler(authController.regenerateBackupCodes.bind(authController))
+);
+
 module.exports = router;
\ No newline at end of file
@@ -8,28 +8,49 @@
 
 const express = require('express');
 const balanceController = require('../controllers/balance.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
-const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { allowApiKey, authenticate, requireAdmin, requireStaff } = require('../../../src/shared/middleware/auth.middleware');
+const { hasPermission } = require('../middlewares/roleCheck.middleware');
+const { validateRequest, validateUuidParam, commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { LEDGER_ENTRY_TYPES, SELLER_LEDGER_ACCOUNTS, API_KEY_SCOPES, PERMISSIONS } = require('../../../src/config/constants.config');
 const Joi = require('joi');
 
 const router = express.Router();
 
+// Optional ?currency of balance reads
+const currencyQuery = Joi.object({
+  currency
+});
+
 // ============================================================================
 // USER BALANCE ROUTES
 // ============================================================================
 
 /**
  * @route   GET /api/v1/balance
- * @desc    Get user's balance
+ * @desc    Get user's balance in one currency (?currency, default currency if omitted)
  * @access  Private
  */
 router.get(
   '/',
+  allowApiKey(API_KEY_SCOPES.BALANCE_READ),
   authenticate,
+  validateRequest(currencyQuery, 'query'),
   asyncHandler(balanceController.getBalance.bind(balanceController))
 );
 
+/**
+ * @route   GET /api/v1/balance/currencies
+ * @desc    Get user's balance in every supported currency
+ * @access  Private
+ */
+router.get(
+  '/currencies',
+  allowApiKey(API_KEY_SCOPES.BALANCE_READ),
+  authenticate,
+  asyncHandler(balanceController.getBalances.bind(balanceController))
+);
+
 /**
  * @route   GET /api/v1/balance/summary
  * @desc    Get detailed balance summary
@@ -37,7 +58,9 @@ router.get(
  */
 router.get(
   '/summary',
+  allowApiKey(API_KEY_SCOPES.BALANCE_READ),
   authenticate,
+  validateRequest(currencyQuery, 'query'),
   asyncHandler(balanceController.getBalanceSummary.bind(balanceController))
 );
 
@@ -48,9 +71,11 @@ router.get(
  */
 router.post(
   '/check',
+  allowApiKey(API_KEY_SCOPES.BALANCE_READ),
   authenticate,
   validateRequest(Joi.object({
-    amount: commonSchemas.amount.required().positive()
+    amount: commonSchemas.amount.required().positive(),
+    currency
   })),
   asyncHandler(balanceController.checkSufficientBalance.bind(balanceController))
 );
@@ -62,6 +87,7 @@ router.post(
  */
 router.get(
   '/history',
+  allowApiKey(API_KEY_SCOPES.BALANCE_READ),
   authenticate,
   validateRequest(Joi.object({
     page: commonSchemas.pagination.page,
@@ -69,8 +95,12 @@ router.get(
     startDate: commonSchemas.dateRange.startDate,
     endDate: commonSchemas.dateRange.endDate,
     entry_type: Joi.string()
-      .valid('DEPOSIT', 'SALE', 'REFUND', 'PAYOUT', 'ADJUSTMENT')
-      .optional()
+      .valid(...Object.values(LEDGER_ENTRY_TYPES))
+      .optional(),
+    account: Joi.string()
+      .valid(...SELLER_LEDGER_ACCOUNTS)
+      .optional(),
+    currency
   }), 'query'),
   asyncHandler(balanceController.getBalanceHistory.bind(balanceController))
 );
@@ -82,10 +112,12 @@ router.get(
  */
 router.get(
   '/stats',
+  allowApiKey(API_KEY_SCOPES.BALANCE_READ),
   authenticate,
   validateRequest(Joi.object({
     startDate: commonSchemas.dateRange.startDate,
-    endDate: commonSchemas.dateRange.endDate
+    endDate: commonSchemas.dateRange.endDate,
+    currency
   }), 'query'),
   asyncHandler(balanceController.getBalanceStats.bind(balanceController))
 );
@@ -98,6 +130,9 @@ router.get(
 router.post(
   '/reconcile',
   authenticate,
+  validateRequest(Joi.object({
+    currency
+  })),
   asyncHandler(balanceController.reconcileBalance.bind(balanceController))
 );
 
@@ -118,7 +153,8 @@ router.get(
     page: commonSchemas.pagination.page,
     limit: commonSchemas.pagination.limit,
     minBalance: commonSchemas.amount.optional(),
-    maxBalance: commonSchemas.amount.optional()
+    maxBalance: commonSchemas.amount.optional(),
+    currency
   }), 'query'),
   asyncHandler(balanceController.getAllBalances.bind(balanceController))
 );
@@ -132,6 +168,7 @@ router.get(
   '/admin/total-allocated',
   authenticate,
   requireAdmin,
+  validateRequest(currencyQuery, 'query'),
   asyncHandler(balanceController.getTotalAllocated.bind(balanceController))
 );
 
@@ -145,7 +182,8 @@ router.get(
   authenticate,
   requireAdmin,
   validateRequest(Joi.object({
-    threshold: commonSchemas.amount.optional()
+    threshold: commonSchemas.amount.optional(),
+    currency
   }), 'query'),
   asyncHandler(balanceController.getLowBalanceUsers.bind(balanceController))
 );
@@ -159,24 +197,27 @@ router.get(
   '/admin/stats',
   authenticate,
   requireAdmin,
+  validateRequest(currencyQuery, 'query'),
   asyncHandler(balanceController.getAllBalanceStats.bind(balanceController))
 );
 
 /**
  * @route   POST /api/v1/balance/admin/adjust/:userId
  * @desc    Adjust user balance (Admin)
- * @access  Private (Admin)
+ * @access  Private (Staff: adjust_balance)
  */
 router.post(
   '/admin/adjust/:userId',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.ADJUST_BALANCE]),
   validateUuidParam('userId'),
   validateRequest(Joi.object({
     amount: Joi.number().required().messages({
       'number.base': 'Amount must be a number',
       'any.required': 'Amount is required'
     }),
+    currency,
     reason: Joi.string().required().min(5).max(500).messages({
       'string.empty': 'Reason is required',
       'string.min': 'Reason must be at least 5 characters',
@@ -8,9 +8,12 @@
 
 const express = require('express');
 const depositController = require('../controllers/deposit.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { authenticate, requireStaff, requireVerifiedEmailFor } = require('../../../src/shared/middleware/auth.middleware');
+const { hasPermission } = require('../middlewares/roleCheck.middleware');
+const { PERMISSIONS } = require('../../../src/config/constants.config');
 const { validateRequest, validateUuidParam } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { idempotent } = require('../../../src/shared/middleware/idempotency.middleware');
 const depositValidators = require('../validators/deposit.validator');
 
 const router = express.Router();
@@ -23,7 +26,9 @@ const router = express.Router();
 router.post(
   '/',
   authenticate,
+  requireVerifiedEmailFor('deposits'),
   validateRequest(depositValidators.createDeposit),
+  idempotent(),
   asyncHandler(depositController.createDeposit.bind(depositController))
 );
 
@@ -53,12 +58,13 @@ router.get(
 /**
  * @route   GET /api/v1/deposits/admin/pending
  * @desc    Get all pending deposits (Admin)
- * @access  Private (Admin)
+ * @access  Private (Staff: approve_deposit)
  */
 router.get(
   '/admin/pending',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.APPROVE_DEPOSIT]),
   asyncHandler(depositController.getPendingDeposits.bind(depositController))
 );
 
@@ -77,12 +83,13 @@ router.get(
 /**
  * @route   POST /api/v1/deposits/:depositId/approve
  * @desc    Approve deposit request (Admin)
- * @access  Private (Admin)
+ * @access  Private (Staff: approve_deposit)
  */
 router.post(
   '/:depositId/approve',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.APPROVE_DEPOSIT]),
   validateUuidParam('depositId'),
   asyncHandler(depositController.approveDeposit.bind(depositController))
 );
@@ -90,12 +97,13 @@ router.post(
 /**
  * @route   POST /api/v1/deposits/:depositId/reject
  * @desc    Reject deposit request (Admin)
- * @access  Private (Admin)
+ * @access  Private (Staff: approve_deposit)
  */
 router.post(
   '/:depositId/reject',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.APPROVE_DEPOSIT]),
   validateUuidParam('depositId'),
   validateRequest(depositValidators.rejectDeposit),
   asyncHandler(depositController.rejectDeposit.bind(depositController))
@@ -8,9 +8,10 @@
 
 const express = require('express');
 const electricityController = require('../controllers/electricity.controller');
-const { authenticate } = require('../../../src/shared/middleware/auth.middleware');
+const { authenticate, requireVerifiedEmailFor } = require('../../../src/shared/middleware/auth.middleware');
 const { validateRequest } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { idempotent } = require('../../../src/shared/middleware/idempotency.middleware');
 const electricityValidators = require('../validators/electricity.validator');
 
 const router = express.Router();
@@ -36,7 +37,9 @@ router.post(
  */
 router.post(
   '/buy-tokens',
+  requireVerifiedEmailFor('sales'),
   validateRequest(electricityValidators.buyTokens),
+  idempotent(),
   asyncHandler(electricityController.buyTokens.bind(electricityController))
 );
 
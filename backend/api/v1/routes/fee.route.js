@@ -0,0 +1,55 @@
+/**
+ * Fee Routes
+ *
+ * Defines fee quote routes. Fee schedules are managed under the admin routes.
+ *
+ * Location: backend/api/v1/routes/fee.route.js
+ */
+
+const express = require('express');
+const feeController = require('../controllers/fee.controller');
+const { authenticate } = require('../../../src/shared/middleware/auth.middleware');
+const { validateRequest, commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
+const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { FEE_OPERATIONS } = require('../../../src/config/constants.config');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// ============================================================================
+// FEE QUOTE ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/fee/quote
+ * @desc    Quote the fee of a deposit, payout, sale or refund
+ * @access  Private
+ */
+router.get(
+  '/quote',
+  authenticate,
+  validateRequest(Joi.object({
+    operation: Joi.string()
+      .valid(...Object.values(FEE_OPERATIONS))
+      .required(),
+    amount: commonSchemas.amount.required(),
+    currency
+  }), 'query'),
+  asyncHandler(feeController.getQuote.bind(feeController))
+);
+
+/**
+ * @route   GET /api/v1/fee/schedules
+ * @desc    Get the active fee schedule of every operation
+ * @access  Private
+ */
+router.get(
+  '/schedules',
+  authenticate,
+  validateRequest(Joi.object({
+    currency
+  }), 'query'),
+  asyncHandler(feeController.getActiveSchedules.bind(feeController))
+);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * FX Routes
+ *
+ * Defines currency conversion routes. Exchange rates are managed under the
+ * admin routes.
+ *
+ * Location: backend/api/v1/routes/fx.route.js
+ */
+
+const express = require('express');
+const fxController = require('../controllers/fx.controller');
+const { authenticate } = require('../../../src/shared/middleware/auth.middleware');
+const { validateRequest, commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
+const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { idempotent } = require('../../../src/shared/middleware/idempotency.middleware');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// ============================================================================
+// CURRENCY CONVERSION ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/fx/rates
+ * @desc    Get the active exchange rates
+ * @access  Private
+ */
+router.get(
+  '/rates',
+  authenticate,
+  asyncHandler(fxController.getRates.bind(fxController))
+);
+
+/**
+ * @route   POST /api/v1/fx/quote
+ * @desc    Quote a conversion; the rate is locked until the quote expires
+ * @access  Private
+ */
+router.post(
+  '/quote',
+  authenticate,
+  validateRequest(Joi.object({
+    from_currency: currency.required(),
+    to_currency: currency.required(),
+    amount: commonSchemas.amount.required()
+  })),
+  asyncHandler(fxController.createQuote.bind(fxController))
+);
+
+/**
+ * @route   POST /api/v1/fx/convert
+ * @desc    Convert balances at a quoted rate
+ * @access  Private
+ */
+router.post(
+  '/convert',
+  authenticate,
+  validateRequest(Joi.object({
+    quote_id: commonSchemas.uuid.required()
+  })),
+  idempotent(),
+  asyncHandler(fxController.convert.bind(fxController))
+);
+
+/**
+ * @route   GET /api/v1/fx/conversions
+ * @desc    Get conversion history
+ * @access  Private
+ */
+router.get(
+  '/conversions',
+  authenticate,
+  validateRequest(Joi.object({
+    from_currency: currency,
+    to_currency: currency,
+    ...commonSchemas.dateRange,
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(fxController.getConversions.bind(fxController))
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Limit Routes
+ *
+ * Defines the seller's transaction limit routes. Limit rules are managed
+ * under the admin routes.
+ *
+ * Location: backend/api/v1/routes/limit.route.js
+ */
+
+const express = require('express');
+const limitController = require('../controllers/limit.controller');
+const { authenticate } = require('../../../src/shared/middleware/auth.middleware');
+const { validateRequest, currency } = require('../../../src/shared/middleware/validation.middleware');
+const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// ============================================================================
+// TRANSACTION LIMIT ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/limit
+ * @desc    Get the seller's limits in a currency with current usage
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  validateRequest(Joi.object({
+    currency
+  }), 'query'),
+  asyncHandler(limitController.getLimits.bind(limitController))
+);
+
+module.exports = router;
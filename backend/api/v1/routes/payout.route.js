@@ -8,9 +8,13 @@
 
 const express = require('express');
 const payoutController = require('../controllers/payout.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { authenticate, requireStaff, requireVerifiedEmailFor } = require('../../../src/shared/middleware/auth.middleware');
+const { hasPermission } = require('../middlewares/roleCheck.middleware');
+const { PERMISSIONS } = require('../../../src/config/constants.config');
 const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { idempotent } = require('../../../src/shared/middleware/idempotency.middleware');
+const payoutValidators = require('../validators/payout.validator');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -27,16 +31,9 @@ const router = express.Router();
 router.post(
   '/',
   authenticate,
-  validateRequest(Joi.object({
-    amount: commonSchemas.amount.required().min(1).max(10000).messages({
-      'number.min': 'Minimum payout amount is $1',
-      'number.max': 'Maximum payout amount is $10,000'
-    }),
-    bank_account_id: commonSchemas.uuid.required().messages({
-      'string.guid': 'Valid bank account ID is required',
-      'any.required': 'Bank account ID is required'
-    })
-  })),
+  requireVerifiedEmailFor('payouts'),
+  validateRequest(payoutValidators.createPayout),
+  idempotent(),
   asyncHandler(payoutController.createPayoutRequest.bind(payoutController))
 );
 
@@ -48,13 +45,7 @@ router.post(
 router.get(
   '/',
   authenticate,
-  validateRequest(Joi.object({
-    status: Joi.string()
-      .valid('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED')
-      .optional(),
-    page: commonSchemas.pagination.page,
-    limit: commonSchemas.pagination.limit
-  }), 'query'),
+  validateRequest(payoutValidators.getPayoutHistory, 'query'),
   asyncHandler(payoutController.getPayoutHistory.bind(payoutController))
 );
 
@@ -100,12 +91,13 @@ router.post(
 /**
  * @route   GET /api/v1/payouts/admin/pending
  * @desc    Get pending payouts (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Staff: process_payout)
  */
 router.get(
   '/admin/pending',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.PROCESS_PAYOUT]),
   validateRequest(Joi.object({
     page: commonSchemas.pagination.page,
     limit: commonSchemas.pagination.limit
@@ -116,24 +108,26 @@ router.get(
 /**
  * @route   GET /api/v1/payouts/admin/pending/count
  * @desc    Get pending payouts count (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Staff: process_payout)
  */
 router.get(
   '/admin/pending/count',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.PROCESS_PAYOUT]),
   asyncHandler(payoutController.getPendingCount.bind(payoutController))
 );
 
 /**
  * @route   POST /api/v1/payouts/admin/:payoutId/process
  * @desc    Process payout (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Staff: process_payout)
  */
 router.post(
   '/admin/:payoutId/process',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.PROCESS_PAYOUT]),
   validateUuidParam('payoutId'),
   asyncHandler(payoutController.processPayout.bind(payoutController))
 );
@@ -141,20 +135,15 @@ router.post(
 /**
  * @route   POST /api/v1/payouts/admin/:payoutId/reject
  * @desc    Reject payout (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Staff: process_payout)
  */
 router.post(
   '/admin/:payoutId/reject',
   authenticate,
-  requireAdmin,
+  requireStaff,
+  hasPermission([PERMISSIONS.PROCESS_PAYOUT]),
   validateUuidParam('payoutId'),
-  validateRequest(Joi.object({
-    reason: Joi.string().required().min(5).max(500).messages({
-      'string.empty': 'Rejection reason is required',
-      'string.min': 'Reason must be at least 5 characters',
-      'string.max': 'Reason must not exceed 500 characters'
-    })
-  })),
+  validateRequest(payoutValidators.rejectPayout),
   asyncHandler(payoutController.rejectPayout.bind(payoutController))
 );
 
@@ -8,7 +8,8 @@
 
 const express = require('express');
 const receiptController = require('../controllers/receipt.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { allowApiKey, authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { API_KEY_SCOPES } = require('../../../src/config/constants.config');
 const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
 const Joi = require('joi');
@@ -26,6 +27,7 @@ const router = express.Router();
  */
 router.post(
   '/generate/:transactionId',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_WRITE),
   authenticate,
   validateUuidParam('transactionId'),
   validateRequest(Joi.object({
@@ -75,6 +77,7 @@ router.post(
  */
 router.get(
   '/',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_READ),
   authenticate,
   validateRequest(Joi.object({
     page: commonSchemas.pagination.page,
@@ -90,6 +93,7 @@ router.get(
  */
 router.get(
   '/:receiptId',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_READ),
   authenticate,
   validateUuidParam('receiptId'),
   asyncHandler(receiptController.getReceipt.bind(receiptController))
@@ -102,6 +106,7 @@ router.get(
  */
 router.get(
   '/number/:receiptNumber',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_READ),
   authenticate,
   validateRequest(Joi.object({
     receiptNumber: Joi.string().required().pattern(/^[A-Z0-9\-]+$/).messages({
@@ -123,6 +128,7 @@ router.get(
  */
 router.post(
   '/:receiptId/print',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_WRITE),
   authenticate,
   validateUuidParam('receiptId'),
   asyncHandler(receiptController.markAsPrinted.bind(receiptController))
@@ -135,6 +141,7 @@ router.post(
  */
 router.post(
   '/:receiptId/email',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_WRITE),
   authenticate,
   validateUuidParam('receiptId'),
   validateRequest(Joi.object({
@@ -154,6 +161,7 @@ router.post(
  */
 router.get(
   '/today',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_READ),
   authenticate,
   asyncHandler(receiptController.getTodayReceipts.bind(receiptController))
 );
@@ -165,6 +173,7 @@ router.get(
  */
 router.get(
   '/search',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_READ),
   authenticate,
   validateRequest(Joi.object({
     query: commonSchemas.searchQuery.required(),
@@ -180,6 +189,7 @@ router.get(
  */
 router.get(
   '/:receiptId/print-format',
+  allowApiKey(API_KEY_SCOPES.RECEIPTS_READ),
   authenticate,
   validateUuidParam('receiptId'),
   asyncHandler(receiptController.getReceiptForPrint.bind(receiptController))
@@ -8,9 +8,11 @@
 
 const express = require('express');
 const transactionController = require('../controllers/transaction.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { allowApiKey, authenticate, requireAdmin, requireVerifiedEmailFor } = require('../../../src/shared/middleware/auth.middleware');
+const { API_KEY_SCOPES } = require('../../../src/config/constants.config');
 const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { idempotent } = require('../../../src/shared/middleware/idempotency.middleware');
 const transactionValidator = require('../validators/transaction.validator');
 const Joi = require('joi');
 
@@ -27,8 +29,11 @@ const router = express.Router();
  */
 router.post(
   '/sale',
+  allowApiKey(API_KEY_SCOPES.SALES_WRITE),
   authenticate,
+  requireVerifiedEmailFor('sales'),
   validateRequest(transactionValidator.processSale),
+  idempotent(),
   asyncHandler(transactionController.processSale.bind(transactionController))
 );
 
@@ -39,7 +44,9 @@ router.post(
  */
 router.post(
   '/:transactionId/refund',
+  allowApiKey(API_KEY_SCOPES.REFUNDS_WRITE),
   authenticate,
+  requireVerifiedEmailFor('refunds'),
   validateUuidParam('transactionId'),
   validateRequest(transactionValidator.processRefund),
   asyncHandler(transactionController.processRefund.bind(transactionController))
@@ -52,6 +59,7 @@ router.post(
  */
 router.post(
   '/:transactionId/cancel',
+  allowApiKey(API_KEY_SCOPES.SALES_WRITE),
   authenticate,
   validateUuidParam('transactionId'),
   asyncHandler(transactionController.cancelTransaction.bind(transactionController))
@@ -68,6 +76,7 @@ router.post(
  */
 router.get(
   '/',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateRequest(transactionValidator.getTransactionHistory, 'query'),
   asyncHandler(transactionController.getTransactionHistory.bind(transactionController))
@@ -80,6 +89,7 @@ router.get(
  */
 router.get(
   '/recent',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateRequest(transactionValidator.getRecentTransactions, 'query'),
   asyncHandler(transactionController.getRecentTransactions.bind(transactionController))
@@ -92,6 +102,7 @@ router.get(
  */
 router.get(
   '/search',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateRequest(transactionValidator.searchTransactions, 'query'),
   asyncHandler(transactionController.searchTransactions.bind(transactionController))
@@ -104,6 +115,7 @@ router.get(
  */
 router.get(
   '/:transactionId',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateUuidParam('transactionId'),
   asyncHandler(transactionController.getTransaction.bind(transactionController))
@@ -120,6 +132,7 @@ router.get(
  */
 router.get(
   '/stats',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateRequest(transactionValidator.getTransactionStats, 'query'),
   asyncHandler(transactionController.getTransactionStats.bind(transactionController))
@@ -132,6 +145,7 @@ router.get(
  */
 router.get(
   '/summary/daily',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateRequest(transactionValidator.getDailySummary, 'query'),
   asyncHandler(transactionController.getDailySummary.bind(transactionController))
@@ -144,6 +158,7 @@ router.get(
  */
 router.get(
   '/summary/monthly',
+  allowApiKey(API_KEY_SCOPES.TRANSACTIONS_READ),
   authenticate,
   validateRequest(transactionValidator.getMonthlySummary, 'query'),
   asyncHandler(transactionController.getMonthlySummary.bind(transactionController))
@@ -8,9 +8,12 @@
 
 const express = require('express');
 const userController = require('../controllers/user.controller');
-const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
-const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { authenticate, requireAdmin, requireSeller } = require('../../../src/shared/middleware/auth.middleware');
+const { validateRequest, validateUuidParam, validateFileUpload, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { uploadSingle } = require('../../../src/shared/middleware/upload.middleware');
 const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const config = require('../../../src/config/environment.config');
+const { API_KEY_SCOPES, STAFF_ROLES } = require('../../../src/config/constants.config');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -61,6 +64,394 @@ router.get(
   asyncHandler(userController.getStats.bind(userController))
 );
 
+// ============================================================================
+// BANK ACCOUNT ROUTES
+// ============================================================================
+
+const bankAccountFields = {
+  account_holder_name: Joi.string().min(2).max(255).trim().messages({
+    'string.min': 'Account holder name must be at least 2 characters',
+    'string.max': 'Account holder name must not exceed 255 characters'
+  }),
+  bank_name: Joi.string().min(2).max(255).trim().messages({
+    'string.min': 'Bank name must be at least 2 characters',
+    'string.max': 'Bank name must not exceed 255 characters'
+  }),
+  bank_code: Joi.string().max(50).trim().allow(null),
+  routing_number: Joi.string().max(50).trim().allow(null),
+  swift_code: Joi.string().trim().uppercase()
+    .pattern(/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'SWIFT code must be 8 or 11 characters'
+    }),
+  iban: Joi.string().trim().uppercase().replace(/\s+/g, '')
+    .pattern(/^[A-Z]{2}[0-9]{2}[A-Z0-9]{10,30}$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Invalid IBAN'
+    }),
+  country: Joi.string().length(2).uppercase().messages({
+    'string.length': 'Country must be a 2-letter ISO code'
+  })
+};
+
+/**
+ * @route   GET /api/v1/users/bank-accounts
+ * @desc    Get user's bank accounts
+ * @access  Private
+ */
+router.get(
+  '/bank-accounts',
+  authenticate,
+  asyncHandler(userController.getBankAccounts.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/bank-accounts
+ * @desc    Add a bank account
+ * @access  Private
+ */
+router.post(
+  '/bank-accounts',
+  authenticate,
+  validateRequest(Joi.object({
+    ...bankAccountFields,
+    account_holder_name: bankAccountFields.account_holder_name.required().messages({
+      'any.required': 'Account holder name is required'
+    }),
+    account_number: Joi.string().trim().replace(/[\s-]+/g, '')
+      .pattern(/^[A-Za-z0-9]{4,34}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Account number must be 4 to 34 letters or digits',
+        'any.required': 'Account number is required'
+      }),
+    bank_name: bankAccountFields.bank_name.required().messages({
+      'any.required': 'Bank name is required'
+    }),
+    country: bankAccountFields.country.default('ZW'),
+    is_default: Joi.boolean().default(false)
+  })),
+  asyncHandler(userController.addBankAccount.bind(userController))
+);
+
+/**
+ * @route   GET /api/v1/users/bank-accounts/:accountId
+ * @desc    Get a bank account
+ * @access  Private
+ */
+router.get(
+  '/bank-accounts/:accountId',
+  authenticate,
+  validateUuidParam('accountId'),
+  asyncHandler(userController.getBankAccount.bind(userController))
+);
+
+/**
+ * @route   PUT /api/v1/users/bank-accounts/:accountId
+ * @desc    Update a bank account (clears its verification)
+ * @access  Private
+ */
+router.put(
+  '/bank-accounts/:accountId',
+  authenticate,
+  validateUuidParam('accountId'),
+  validateRequest(Joi.object(bankAccountFields).min(1).messages({
+    'object.min': 'Provide at least one field to update'
+  })),
+  asyncHandler(userController.updateBankAccount.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/bank-accounts/:accountId/default
+ * @desc    Make a bank account the default for payouts
+ * @access  Private
+ */
+router.post(
+  '/bank-accounts/:accountId/default',
+  authenticate,
+  validateUuidParam('accountId'),
+  asyncHandler(userController.setDefaultBankAccount.bind(userController))
+);
+
+/**
+ * @route   DELETE /api/v1/users/bank-accounts/:accountId
+ * @desc    Delete a bank account
+ * @access  Private
+ */
+router.delete(
+  '/bank-accounts/:accountId',
+  authenticate,
+  validateUuidParam('accountId'),
+  asyncHandler(userController.deleteBankAccount.bind(userController))
+);
+
+/**
+ * @route   GET /api/v1/users/bank-accounts/:accountId/verification
+ * @desc    Get a bank account's verification status
+ * @access  Private
+ */
+router.get(
+  '/bank-accounts/:accountId/verification',
+  authenticate,
+  validateUuidParam('accountId'),
+  asyncHandler(userController.getBankAccountVerification.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/bank-accounts/:accountId/verification/proof
+ * @desc    Upload a bank statement or letter for admin review (multipart field "document")
+ * @access  Private
+ */
+router.post(
+  '/bank-accounts/:accountId/verification/proof',
+  authenticate,
+  validateUuidParam('accountId'),
+  uploadSingle('document', { maxSizeMB: config.bankVerification.maxDocumentSizeMB }),
+  validateFileUpload({
+    maxSize: config.bankVerification.maxDocumentSizeMB * 1024 * 1024,
+    required: true
+  }),
+  asyncHandler(userController.submitBankAccountProof.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/bank-accounts/:accountId/verification/micro-deposits
+ * @desc    Send two micro-deposits to verify a bank account
+ * @access  Private
+ */
+router.post(
+  '/bank-accounts/:accountId/verification/micro-deposits',
+  authenticate,
+  validateUuidParam('accountId'),
+  asyncHandler(userController.startBankAccountMicroDeposits.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/bank-accounts/:accountId/verification/micro-deposits/confirm
+ * @desc    Confirm the micro-deposit amounts received
+ * @access  Private
+ */
+router.post(
+  '/bank-accounts/:accountId/verification/micro-deposits/confirm',
+  authenticate,
+  validateUuidParam('accountId'),
+  validateRequest(Joi.object({
+    amounts: Joi.array()
+      .items(Joi.number().positive().precision(2).max(1))
+      .length(2)
+      .required()
+      .messages({
+        'array.length': 'Enter both micro-deposit amounts',
+        'any.required': 'Micro-deposit amounts are required'
+      })
+  })),
+  asyncHandler(userController.confirmBankAccountMicroDeposits.bind(userController))
+);
+
+// ============================================================================
+// KYC ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/users/kyc
+ * @desc    Get KYC tier, application and missing documents
+ * @access  Private (Seller)
+ */
+router.get(
+  '/kyc',
+  authenticate,
+  requireSeller,
+  asyncHandler(userController.getKyc.bind(userController))
+);
+
+/**
+ * @route   PUT /api/v1/users/kyc
+ * @desc    Save business registration details (while DRAFT or REJECTED)
+ * @access  Private (Seller)
+ */
+router.put(
+  '/kyc',
+  authenticate,
+  requireSeller,
+  validateRequest(Joi.object({
+    registered_name: Joi.string().min(2).max(255).trim().required().messages({
+      'any.required': 'Registered business name is required'
+    }),
+    registration_number: Joi.string().max(100).trim().required().messages({
+      'any.required': 'Company registration number is required'
+    }),
+    business_type: Joi.string().max(100).trim().required().messages({
+      'any.required': 'Business type is required'
+    }),
+    tax_number: Joi.string().max(100).trim().allow(null, '').optional(),
+    registered_address: Joi.string().min(5).max(1000).trim().required().messages({
+      'any.required': 'Registered address is required'
+    }),
+    country: Joi.string().length(2).uppercase().optional()
+  })),
+  asyncHandler(userController.saveKycApplication.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/kyc/documents
+ * @desc    Upload a KYC document (multipart field "document")
+ * @access  Private (Seller)
+ */
+router.post(
+  '/kyc/documents',
+  authenticate,
+  requireSeller,
+  uploadSingle('document', { maxSizeMB: config.kyc.maxDocumentSizeMB }),
+  validateFileUpload({
+    maxSize: config.kyc.maxDocumentSizeMB * 1024 * 1024,
+    required: true
+  }),
+  validateRequest(Joi.object({
+    type: Joi.string()
+      .valid('BUSINESS_REGISTRATION', 'DIRECTOR_ID', 'PROOF_OF_ADDRESS', 'OTHER')
+      .required(),
+    director_name: Joi.string().min(2).max(255).trim()
+      .when('type', { is: 'DIRECTOR_ID', then: Joi.required(), otherwise: Joi.forbidden() })
+      .messages({
+        'any.required': 'Director name is required for a director ID',
+        'any.unknown': 'Director name only applies to a director ID'
+      })
+  })),
+  asyncHandler(userController.uploadKycDocument.bind(userController))
+);
+
+/**
+ * @route   DELETE /api/v1/users/kyc/documents/:documentId
+ * @desc    Remove a KYC document (while DRAFT or REJECTED)
+ * @access  Private (Seller)
+ */
+router.delete(
+  '/kyc/documents/:documentId',
+  authenticate,
+  requireSeller,
+  validateUuidParam('documentId'),
+  asyncHandler(userController.removeKycDocument.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/kyc/submit
+ * @desc    Submit the KYC application for review
+ * @access  Private (Seller)
+ */
+router.post(
+  '/kyc/submit',
+  authenticate,
+  requireSeller,
+  asyncHandler(userController.submitKycApplication.bind(userController))
+);
+
+// ============================================================================
+// API KEY ROUTES
+// ============================================================================
+
+const apiKeyFields = {
+  name: Joi.string().min(2).max(100).trim().messages({
+    'string.min': 'Key name must be at least 2 characters',
+    'string.max': 'Key name must not exceed 100 characters'
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.values(API_KEY_SCOPES)))
+    .min(1)
+    .unique()
+    .messages({
+      'array.min': 'Select at least one scope',
+      'any.only': `Scopes must be any of: ${Object.values(API_KEY_SCOPES).join(', ')}`
+    }),
+  allowed_ips: Joi.array()
+    .items(Joi.string().ip({ cidr: 'optional' }))
+    .max(20)
+    .unique()
+    .messages({
+      'string.ip': 'Allowed IPs must be IP addresses or CIDR ranges',
+      'string.ipVersion': 'Allowed IPs must be IP addresses or CIDR ranges'
+    })
+};
+
+/**
+ * @route   GET /api/v1/users/api-keys
+ * @desc    Get API keys
+ * @access  Private (Seller)
+ */
+router.get(
+  '/api-keys',
+  authenticate,
+  requireSeller,
+  asyncHandler(userController.getApiKeys.bind(userController))
+);
+
+/**
+ * @route   POST /api/v1/users/api-keys
+ * @desc    Create an API key (the full key is returned only once)
+ * @access  Private (Seller)
+ */
+router.post(
+  '/api-keys',
+  authenticate,
+  requireSeller,
+  validateRequest(Joi.object({
+    name: apiKeyFields.name.required().messages({
+      'any.required': 'Key name is required'
+    }),
+    scopes: apiKeyFields.scopes.required().messages({
+      'any.required': 'Scopes are required'
+    }),
+    allowed_ips: apiKeyFields.allowed_ips.default([]),
+    expires_at: Joi.date().iso().greater('now').optional().messages({
+      'date.greater': 'Expiry must be in the future'
+    })
+  })),
+  asyncHandler(userController.createApiKey.bind(userController))
+);
+
+/**
+ * @route   GET /api/v1/users/api-keys/:keyId
+ * @desc    Get an API key
+ * @access  Private (Seller)
+ */
+router.get(
+  '/api-keys/:keyId',
+  authenticate,
+  requireSeller,
+  validateUuidParam('keyId'),
+  asyncHandler(userController.getApiKey.bind(userController))
+);
+
+/**
+ * @route   PUT /api/v1/users/api-keys/:keyId
+ * @desc    Update an API key's name, scopes or IP allow-list
+ * @access  Private (Seller)
+ */
+router.put(
+  '/api-keys/:keyId',
+  authenticate,
+  requireSeller,
+  validateUuidParam('keyId'),
+  validateRequest(Joi.object(apiKeyFields).min(1).messages({
+    'object.min': 'Provide at least one field to update'
+  })),
+  asyncHandler(userController.updateApiKey.bind(userController))
+);
+
+/**
+ * @route   DELETE /api/v1/users/api-keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private (Seller)
+ */
+router.delete(
+  '/api-keys/:keyId',
+  authenticate,
+  requireSeller,
+  validateUuidParam('keyId'),
+  asyncHandler(userController.revokeApiKey.bind(userController))
+);
+
 // ============================================================================
 // ADMIN USER MANAGEMENT ROUTES
 // ============================================================================
@@ -79,7 +470,7 @@ router.get(
       .valid('ACTIVE', 'SUSPENDED', 'PENDING', 'DEACTIVATED')
       .optional(),
     role: Joi.string()
-      .valid('SELLER', 'ADMIN')
+      .valid('SELLER', ...STAFF_ROLES)
       .optional(),
     search: commonSchemas.searchQuery.optional(),
     page: commonSchemas.pagination.page,
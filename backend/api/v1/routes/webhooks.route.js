@@ -0,0 +1,221 @@
+/**
+ * Webhook Routes
+ *
+ * Payment provider callbacks, the admin webhook event log and sellers'
+ * outbound webhook endpoints.
+ * Provider callbacks are public; each adapter verifies its own signature.
+ *
+ * Location: backend/api/v1/routes/webhooks.route.js
+ */
+
+const express = require('express');
+const webhookController = require('../controllers/webhook.controller');
+const { authenticate, requireAdmin } = require('../../../src/shared/middleware/auth.middleware');
+const { validateRequest, validateUuidParam, commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { asyncHandler } = require('../../../src/shared/middleware/errorHandler.middleware');
+const { PAYMENT_PROVIDERS } = require('../../../src/config/constants.config');
+const { MERCHANT_WEBHOOK_EVENTS } = require('../../../events/eventEmitter');
+const config = require('../../../src/config/environment.config');
+const Joi = require('joi');
+
+const router = express.Router();
+
+const endpointUrl = Joi.string()
+  .uri({ scheme: config.app.isProduction ? ['https'] : ['http', 'https'] })
+  .max(2048)
+  .messages({
+    'string.uri': 'Webhook URL must be a valid URL',
+    'string.uriCustomScheme': 'Webhook URL must use HTTPS'
+  });
+
+const eventList = Joi.array()
+  .items(Joi.string().valid(...MERCHANT_WEBHOOK_EVENTS))
+  .min(1)
+  .messages({
+    'array.min': 'Subscribe to at least one event',
+    'any.only': 'Unsupported webhook event'
+  });
+
+// ============================================================================
+// MERCHANT WEBHOOK ENDPOINTS
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/webhooks/event-types
+ * @desc    List events that can be subscribed to
+ * @access  Private
+ */
+router.get(
+  '/event-types',
+  authenticate,
+  asyncHandler(webhookController.getEventTypes.bind(webhookController))
+);
+
+/**
+ * @route   GET /api/v1/webhooks/endpoints
+ * @desc    List the user's webhook endpoints
+ * @access  Private
+ */
+router.get(
+  '/endpoints',
+  authenticate,
+  asyncHandler(webhookController.getEndpoints.bind(webhookController))
+);
+
+/**
+ * @route   POST /api/v1/webhooks/endpoints
+ * @desc    Register a webhook endpoint
+ * @access  Private
+ */
+router.post(
+  '/endpoints',
+  authenticate,
+  validateRequest(Joi.object({
+    url: endpointUrl.required(),
+    events: eventList.required(),
+    description: Joi.string().max(255).trim().optional(),
+    secret: Joi.string().min(24).max(255).optional().messages({
+      'string.min': 'Webhook secret must be at least 24 characters'
+    })
+  })),
+  asyncHandler(webhookController.createEndpoint.bind(webhookController))
+);
+
+/**
+ * @route   GET /api/v1/webhooks/endpoints/:webhookId
+ * @desc    Get a webhook endpoint
+ * @access  Private
+ */
+router.get(
+  '/endpoints/:webhookId',
+  authenticate,
+  validateUuidParam('webhookId'),
+  asyncHandler(webhookController.getEndpoint.bind(webhookController))
+);
+
+/**
+ * @route   PATCH /api/v1/webhooks/endpoints/:webhookId
+ * @desc    Update a webhook endpoint (re-enable with is_active: true)
+ * @access  Private
+ */
+router.patch(
+  '/endpoints/:webhookId',
+  authenticate,
+  validateUuidParam('webhookId'),
+  validateRequest(Joi.object({
+    url: endpointUrl.optional(),
+    events: eventList.optional(),
+    description: Joi.string().max(255).trim().allow(null).optional(),
+    is_active: Joi.boolean().optional()
+  }).min(1)),
+  asyncHandler(webhookController.updateEndpoint.bind(webhookController))
+);
+
+/**
+ * @route   DELETE /api/v1/webhooks/endpoints/:webhookId
+ * @desc    Delete a webhook endpoint
+ * @access  Private
+ */
+router.delete(
+  '/endpoints/:webhookId',
+  authenticate,
+  validateUuidParam('webhookId'),
+  asyncHandler(webhookController.deleteEndpoint.bind(webhookController))
+);
+
+/**
+ * @route   POST /api/v1/webhooks/endpoints/:webhookId/rotate-secret
+ * @desc    Rotate a webhook endpoint's signing secret
+ * @access  Private
+ */
+router.post(
+  '/endpoints/:webhookId/rotate-secret',
+  authenticate,
+  validateUuidParam('webhookId'),
+  asyncHandler(webhookController.rotateEndpointSecret.bind(webhookController))
+);
+
+/**
+ * @route   GET /api/v1/webhooks/endpoints/:webhookId/deliveries
+ * @desc    Get the delivery log of a webhook endpoint
+ * @access  Private
+ */
+router.get(
+  '/endpoints/:webhookId/deliveries',
+  authenticate,
+  validateUuidParam('webhookId'),
+  validateRequest(Joi.object({
+    status: Joi.string().valid('PENDING', 'DELIVERED', 'FAILED').optional(),
+    event_name: Joi.string().valid(...MERCHANT_WEBHOOK_EVENTS).optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(webhookController.getDeliveries.bind(webhookController))
+);
+
+/**
+ * @route   POST /api/v1/webhooks/endpoints/:webhookId/deliveries/:deliveryId/redeliver
+ * @desc    Send a webhook delivery again
+ * @access  Private
+ */
+router.post(
+  '/endpoints/:webhookId/deliveries/:deliveryId/redeliver',
+  authenticate,
+  validateRequest(Joi.object({
+    webhookId: commonSchemas.uuid.required(),
+    deliveryId: commonSchemas.uuid.required()
+  }), 'params'),
+  asyncHandler(webhookController.redeliver.bind(webhookController))
+);
+
+// ============================================================================
+// ADMIN
+// ============================================================================
+
+/**
+ * @route   GET /api/v1/webhooks/admin/events
+ * @desc    List received webhook events
+ * @access  Private (Admin)
+ */
+router.get(
+  '/admin/events',
+  authenticate,
+  requireAdmin,
+  validateRequest(Joi.object({
+    provider: Joi.string().valid(...Object.values(PAYMENT_PROVIDERS)).optional(),
+    status: Joi.string().valid('RECEIVED', 'PROCESSED', 'IGNORED', 'FAILED').optional(),
+    reference: Joi.string().max(255).optional(),
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit
+  }), 'query'),
+  asyncHandler(webhookController.getEvents.bind(webhookController))
+);
+
+/**
+ * @route   POST /api/v1/webhooks/admin/events/:eventId/replay
+ * @desc    Replay a failed webhook event
+ * @access  Private (Admin)
+ */
+router.post(
+  '/admin/events/:eventId/replay',
+  authenticate,
+  requireAdmin,
+  validateUuidParam('eventId'),
+  asyncHandler(webhookController.replayEvent.bind(webhookController))
+);
+
+// ============================================================================
+// PROVIDER CALLBACKS
+// ============================================================================
+
+/**
+ * @route   POST /api/v1/webhooks/:provider
+ * @desc    Receive a payment provider callback
+ * @access  Public (signature verified)
+ */
+router.post(
+  '/:provider',
+  asyncHandler(webhookController.receive.bind(webhookController))
+);
+
+module.exports = router;
@@ -7,7 +7,7 @@
  */
 
 const Joi = require('joi');
-const { commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
 
 /**
  * Buy direct airtime validation schema
@@ -25,11 +25,7 @@ const buyDirectAirtime = Joi.object({
     .messages({
       'any.required': 'Amount is required'
     }),
-  currency: Joi.string()
-    .length(3)
-    .uppercase()
-    .default('USD')
-    .optional()
+  currency
 });
 
 /**
@@ -41,11 +37,7 @@ const buyVoucherAirtime = Joi.object({
     .messages({
       'any.required': 'Amount is required'
     }),
-  currency: Joi.string()
-    .length(3)
-    .uppercase()
-    .default('USD')
-    .optional(),
+  currency,
   quantity: Joi.number()
     .integer()
     .min(1)
@@ -9,6 +9,11 @@
 const Joi = require('joi');
 const { commonSchemas, businessName } = require('../../../src/shared/middleware/validation.middleware');
 
+/**
+ * Optional label for the session being started, e.g. "Pixel 8"
+ */
+const deviceName = Joi.string().trim().max(255).optional();
+
 /**
  * Register validation schema
  */
@@ -16,7 +21,8 @@ const register = Joi.object({
   email: commonSchemas.email.required(),
   password: commonSchemas.password.required(),
   business_name: businessName.required(),
-  phone: commonSchemas.phone.optional()
+  phone: commonSchemas.phone.optional(),
+  deviceName
 });
 
 /**
@@ -27,7 +33,30 @@ const login = Joi.object({
   password: Joi.string().required().min(1).messages({
     'string.empty': 'Password is required',
     'any.required': 'Password is required'
-  })
+  }),
+  deviceName
+});
+
+/**
+ * Authentication code: a 6-digit TOTP code or a backup code
+ */
+const twoFactorCode = Joi.string().trim().min(6).max(20).messages({
+  'string.empty': 'Authentication code is required',
+  'string.min': 'Authentication code is invalid',
+  'string.max': 'Authentication code is invalid',
+  'any.required': 'Authentication code is required'
+});
+
+/**
+ * Two-factor login validation schema
+ */
+const loginTwoFactor = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'string.empty': 'Challenge token is required',
+    'any.required': 'Challenge token is required'
+  }),
+  code: twoFactorCode.required(),
+  deviceName
 });
 
 /**
@@ -97,20 +126,59 @@ const resetPassword = Joi.object({
  * Verify email validation schema
  */
 const verifyEmail = Joi.object({
-  token: Joi.string().required().messages({
-    'string.empty': 'Verification token is required',
-    'any.required': 'Verification token is required'
+  token: Joi.string().messages({
+    'string.empty': 'Verification token is required'
+  }),
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Verification code must be 6 digits'
   })
+}).xor('token', 'code').messages({
+  'object.missing': 'Verification token or code is required',
+  'object.xor': 'Provide either a verification token or a code, not both'
+});
+
+/**
+ * Enable two-factor validation schema
+ * Enrolment is confirmed with a code from the authenticator app
+ */
+const enableTwoFactor = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required().messages({
+    'string.empty': 'Authentication code is required',
+    'string.pattern.base': 'Authentication code must be 6 digits',
+    'any.required': 'Authentication code is required'
+  })
+});
+
+/**
+ * Disable two-factor validation schema
+ */
+const disableTwoFactor = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required'
+  }),
+  code: twoFactorCode.required()
+});
+
+/**
+ * Regenerate backup codes validation schema
+ */
+const regenerateBackupCodes = Joi.object({
+  code: twoFactorCode.required()
 });
 
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   logout,
   refreshToken,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
-  verifyEmail
+  verifyEmail,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
 };
\ No newline at end of file
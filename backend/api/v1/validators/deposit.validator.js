@@ -7,18 +7,25 @@
  */
 
 const Joi = require('joi');
-const { commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
 
 /**
  * Create deposit validation schema
  */
 const createDeposit = Joi.object({
-  amount: commonSchemas.amount.required().min(10).max(50000).messages({
-    'number.min': 'Minimum deposit amount is $10',
-    'number.max': 'Maximum deposit amount is $50,000'
-  }),
+  // Minimum and maximum come from the DEPOSIT limit rules (limitService)
+  amount: commonSchemas.amount.required(),
+  currency,
   payment_method: Joi.string().optional().max(50),
-  gateway_reference: Joi.string().optional().max(255)
+  gateway_reference: Joi.string().optional().max(255),
+  mobile_number: Joi.string().pattern(/^\+?[0-9]{9,15}$/).when('payment_method', {
+    is: 'ecocash',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }).messages({
+    'string.pattern.base': 'Mobile number must be 9-15 digits',
+    'any.required': 'Mobile number is required for EcoCash deposits'
+  })
 });
 
 /**
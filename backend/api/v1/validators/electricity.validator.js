@@ -7,7 +7,7 @@
  */
 
 const Joi = require('joi');
-const { commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
 
 /**
  * Check account validation schema
@@ -48,13 +48,7 @@ const buyTokens = Joi.object({
       'number.min': 'Minimum purchase amount is $1',
       'any.required': 'Amount is required'
     }),
-  currency: Joi.string()
-    .valid('ZWL', 'USD', 'ZIG')
-    .uppercase()
-    .default('USD')
-    .messages({
-      'any.only': 'Currency must be ZWL, USD, or ZIG'
-    })
+  currency
 });
 
 /**
@@ -7,20 +7,36 @@
  */
 
 const Joi = require('joi');
-const { commonSchemas } = require('../../../src/shared/middleware/validation.middleware');
+const { commonSchemas, currency } = require('../../../src/shared/middleware/validation.middleware');
 
 /**
  * Create payout validation schema
  */
 const createPayout = Joi.object({
-  amount: commonSchemas.amount.required().min(10).max(50000).messages({
-    'number.min': 'Minimum payout amount is $10',
-    'number.max': 'Maximum payout amount is $50,000',
+  // Checked against the seller's PAYOUT limits by limitService
+  amount: commonSchemas.amount.required().messages({
     'any.required': 'Amount is required'
   }),
-  bank_account_id: commonSchemas.uuid.required().messages({
-    'any.required': 'Bank account ID is required'
-  })
+  currency,
+  method: Joi.string().valid('BANK_TRANSFER', 'MOBILE_MONEY').default('BANK_TRANSFER'),
+  // Defaults to the user's default bank account when omitted
+  bank_account_id: commonSchemas.uuid.when('method', {
+    is: 'BANK_TRANSFER',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.guid': 'Valid bank account ID is required',
+    'any.unknown': 'Bank account ID is only allowed for bank transfers'
+  }),
+  mobile_number: commonSchemas.phone.when('method', {
+    is: 'MOBILE_MONEY',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Mobile number is required for mobile money payouts'
+  }),
+  // Required above the 2FA step-up threshold
+  two_factor_code: Joi.string().trim().max(20).optional()
 });
 
 /**
@@ -28,7 +44,7 @@ const createPayout = Joi.object({
  */
 const getPayoutHistory = Joi.object({
   status: Joi.string()
-    .valid('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED')
+    .valid('PENDING', 'PROCESSING', 'SUBMITTED', 'COMPLETED', 'FAILED', 'CANCELLED')
     .optional(),
   page: commonSchemas.pagination.page,
   limit: commonSchemas.pagination.limit
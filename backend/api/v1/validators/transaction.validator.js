@@ -7,16 +7,15 @@
  */
 
 const Joi = require('joi');
-const { commonSchemas, receiptItems } = require('../../../src/shared/middleware/validation.middleware');
+const { commonSchemas, receiptItems, currency } = require('../../../src/shared/middleware/validation.middleware');
 
 /**
  * Process sale validation schema
  */
 const processSale = Joi.object({
-  amount: commonSchemas.amount.required().min(1).max(10000).messages({
-    'number.min': 'Minimum sale amount is $1',
-    'number.max': 'Maximum sale amount is $10,000'
-  }),
+  // Minimum and maximum amounts are enforced by the limits engine
+  amount: commonSchemas.amount.required(),
+  currency,
   customer_name: Joi.string().optional().max(255),
   customer_email: commonSchemas.email.optional(),
   description: Joi.string().optional().max(500),
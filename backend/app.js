@@ -24,8 +24,9 @@ const { conditionalLogger } = require('./src/shared/middleware/requestLogger.mid
 // Create Express app
 const app = express();
 
-// Trust proxy (for getting real IP behind reverse proxy)
-app.set('trust proxy', true);
+// Only the configured proxies may set the client IP (X-Forwarded-For);
+// req.ip is used for API key IP allow-lists and rate limiting
+app.set('trust proxy', config.app.trustProxy);
 
 // Security middleware
 app.use(helmet({
@@ -38,11 +39,20 @@ app.use(cors({
   origin: config.cors.allowedOrigins,
   credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Provider webhooks are signed over the exact bytes received, so keep them
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -0,0 +1,100 @@
+/**
+ * API Key Repository
+ *
+ * Handles database operations for seller API keys.
+ *
+ * Location: src/database/repositories/apiKey.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super('apiKey');
+  }
+
+  /**
+   * Find a key by its public prefix, with its owner
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Object|null>} Key with user, or null
+   */
+  async findByPrefix(prefix) {
+    return this.model.findUnique({
+      where: { prefix },
+      include: { user: true }
+    });
+  }
+
+  /**
+   * Get a user's keys, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys
+   */
+  async findByUserId(userId) {
+    return this.findMany(
+      { user_id: userId },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+
+  /**
+   * Find a key owned by a user
+   * @param {string} keyId - Key ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Key or null
+   */
+  async findByIdForUser(keyId, userId) {
+    return this.findOne({ id: keyId, user_id: userId });
+  }
+
+  /**
+   * Count a user's keys that can still be used
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countActive(userId) {
+    return this.model.count({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        OR: [
+          { expires_at: null },
+          { expires_at: { gt: new Date() } }
+        ]
+      }
+    });
+  }
+
+  /**
+   * Record a use of a key
+   * @param {string} id - Key ID
+   * @param {string} ip - Caller IP address
+   * @returns {Promise<Object>} Updated key
+   */
+  async recordUse(id, ip) {
+    return this.model.update({
+      where: { id },
+      data: {
+        last_used_at: new Date(),
+        last_used_ip: ip
+      }
+    });
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} False if the key was already revoked
+   */
+  async revoke(id) {
+    const result = await this.model.updateMany({
+      where: { id, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    return result.count === 1;
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyRepository();
@@ -0,0 +1,122 @@
+/**
+ * Approval Request Repository
+ *
+ * Handles database operations for maker-checker approval requests.
+ *
+ * Location: src/database/repositories/approvalRequest.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class ApprovalRequestRepository extends BaseRepository {
+  constructor() {
+    super('approvalRequest');
+  }
+
+  /**
+   * Find the pending request for an action on an entity
+   * @param {string} action - Approval action
+   * @param {string} entityId - Entity ID
+   * @returns {Promise<Object|null>} Pending request
+   */
+  async findPendingForEntity(action, entityId) {
+    return this.findOne({
+      action,
+      entity_id: entityId,
+      status: 'PENDING'
+    });
+  }
+
+  /**
+   * Move a pending request to a reviewed status. Conditional, so two
+   * admins reviewing at once cannot both succeed.
+   * @param {string} id - Request ID
+   * @param {string} status - APPROVED, REJECTED, CANCELLED or EXPIRED
+   * @param {Object} data - { reviewed_by, review_note }
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the request is no longer pending
+   */
+  async review(id, status, data = {}, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { id, status: 'PENDING' },
+      data: {
+        ...data,
+        status,
+        reviewed_at: new Date()
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Record the outcome of executing an approved request
+   * @param {string} id - Request ID
+   * @param {Object} result - Operation result
+   * @returns {Promise<Object>} Updated request
+   */
+  async markExecuted(id, result) {
+    return this.update(id, {
+      executed_at: new Date(),
+      result
+    });
+  }
+
+  /**
+   * Record that an approved request could not be executed
+   * @param {string} id - Request ID
+   * @param {string} errorMessage - Error message
+   * @returns {Promise<Object>} Updated request
+   */
+  async markFailed(id, errorMessage) {
+    return this.update(id, {
+      status: 'FAILED',
+      error_message: errorMessage
+    });
+  }
+
+  /**
+   * Expire pending requests past their expiry
+   * @returns {Promise<number>} Number of expired requests
+   */
+  async expireStale() {
+    const result = await this.model.updateMany({
+      where: {
+        status: 'PENDING',
+        expires_at: { lt: new Date() }
+      },
+      data: { status: 'EXPIRED' }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * List requests, newest first (Admin)
+   * @param {Object} filters - { status, action, requestedBy }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated requests
+   */
+  async list(filters = {}, pagination = {}) {
+    const { status, action, requestedBy } = filters;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (action) {
+      where.action = action;
+    }
+    if (requestedBy) {
+      where.requested_by = requestedBy;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { created_at: 'desc' }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new ApprovalRequestRepository();
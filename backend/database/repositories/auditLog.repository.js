@@ -0,0 +1,221 @@
+/**
+ * Audit Log Repository
+ *
+ * Handles database operations for audit log entries: who changed what,
+ * from where, and the values involved.
+ *
+ * Location: src/database/repositories/auditLog.repository.js
+ */
+
+const crypto = require('crypto');
+const BaseRepository = require('./base.repository');
+const { prisma } = require('../../src/config/database.config');
+const logger = require('../../src/shared/utils/logger');
+const hashChain = require('../../src/shared/utils/hashChain');
+const { HASH_CHAINS } = require('../../src/config/constants.config');
+const { DatabaseError } = require('../../src/shared/utils/ApiError');
+
+class AuditLogRepository extends BaseRepository {
+  constructor() {
+    super('auditLog');
+  }
+
+  /**
+   * Write an audit entry, sealed into the audit hash chain
+   * @param {Object} entry - { action, entity, entityId, changes, context }
+   *   context is the request context: { actorId, ip, userAgent }
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Created entry
+   */
+  async record(entry, tx = null) {
+    if (!tx) {
+      return prisma.$transaction((client) => this.record(entry, client));
+    }
+
+    const { action, entity, entityId = null, changes = null, context = {} } = entry;
+
+    try {
+      // Id and timestamp are set here so the sealed content matches the row
+      const data = {
+        id: crypto.randomUUID(),
+        user_id: context.actorId || null,
+        action,
+        entity,
+        entity_id: entityId,
+        changes,
+        ip_address: context.ip || null,
+        user_agent: context.userAgent || null,
+        created_at: new Date()
+      };
+
+      const link = await hashChain.seal(
+        tx,
+        HASH_CHAINS.AUDIT.model,
+        HASH_CHAINS.AUDIT.lockKey,
+        this.chainContent(data)
+      );
+
+      return await tx.auditLog.create({
+        data: {
+          ...data,
+          // A null JSON column is written by omitting it
+          changes: changes ?? undefined,
+          ...link
+        }
+      });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'recordAudit',
+        action,
+        entity,
+        entityId
+      });
+      throw new DatabaseError('Failed to write audit log', error.message);
+    }
+  }
+
+  /**
+   * Content of an audit entry covered by its hash
+   * @param {Object} entry - Audit entry
+   * @returns {Object} Hashable content
+   */
+  chainContent(entry) {
+    return {
+      id: entry.id,
+      user_id: entry.user_id ?? null,
+      action: entry.action,
+      entity: entry.entity,
+      entity_id: entry.entity_id ?? null,
+      changes: entry.changes ?? null,
+      ip_address: entry.ip_address ?? null,
+      user_agent: entry.user_agent ?? null,
+      created_at: entry.created_at
+    };
+  }
+
+  /**
+   * Write an audit entry for a change, keeping only the fields whose
+   * values differ between before and after
+   * @param {Object} entry - { action, entity, entityId, before, after, details, context }
+   *   details are extra values stored alongside the diff (e.g. a reason)
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Created entry
+   */
+  async recordChange(entry, tx = null) {
+    const { before = {}, after = {}, details = {}, ...rest } = entry;
+
+    return this.record({
+      ...rest,
+      changes: {
+        ...this.diff(before, after),
+        ...details
+      }
+    }, tx);
+  }
+
+  /**
+   * Compare two snapshots of a record
+   * @param {Object} before - Values before the change
+   * @param {Object} after - Values after the change
+   * @returns {Object} { before, after } with only the changed fields
+   * @private
+   */
+  diff(before, after) {
+    // Round-trip through JSON so Decimals and Dates compare (and store) as strings
+    const previous = JSON.parse(JSON.stringify(before || {}));
+    const next = JSON.parse(JSON.stringify(after || {}));
+    const changed = { before: {}, after: {} };
+
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      // Bumped on every write, so never informative
+      if (field === 'updated_at') {
+        continue;
+      }
+
+      if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+        changed.before[field] = previous[field] ?? null;
+        changed.after[field] = next[field] ?? null;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Search audit entries, newest first (Admin)
+   * @param {Object} filters - { actorId, action, entity, entityId, ip, startDate, endDate }
+   *   action matches as a prefix, so 'deposit.' finds every deposit action
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated entries
+   */
+  async search(filters = {}, pagination = {}) {
+    return this.paginate(this.buildSearchWhere(filters), {
+      ...pagination,
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Get audit entries for export, newest first
+   * @param {Object} filters - Same as search()
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Audit entries
+   */
+  async findForExport(filters = {}, limit = 10000) {
+    return this.findMany(this.buildSearchWhere(filters), {
+      orderBy: { created_at: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Build the where clause of an audit search
+   * @param {Object} filters - Search filters
+   * @returns {Object} Prisma where clause
+   * @private
+   */
+  buildSearchWhere(filters) {
+    const { actorId, action, entity, entityId, ip, startDate, endDate } = filters;
+
+    const where = {};
+    if (actorId) {
+      where.user_id = actorId;
+    }
+    if (action) {
+      where.action = { startsWith: action };
+    }
+    if (entity) {
+      where.entity = entity;
+    }
+    if (entityId) {
+      where.entity_id = entityId;
+    }
+    if (ip) {
+      where.ip_address = ip;
+    }
+    if (startDate || endDate) {
+      where.created_at = {
+        ...(startDate && { gte: new Date(startDate) }),
+        ...(endDate && { lte: new Date(endDate) })
+      };
+    }
+
+    return where;
+  }
+
+  /**
+   * Get the audit trail of an entity, newest first
+   * @param {string} entity - Entity name
+   * @param {string} entityId - Entity ID
+   * @returns {Promise<Array>} Audit entries
+   */
+  async findByEntity(entity, entityId) {
+    return this.findMany(
+      { entity, entity_id: entityId },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditLogRepository();
@@ -1,12 +1,16 @@
 /**
  * Balance Repository
  * 
- * Handles database operations for account balances.
+ * Handles database operations for account balances. A seller has one
+ * balance row per currency they hold.
+ * Balance buckets are a projection of the ledger journal and must only be
+ * changed through BalanceService / PoolAccountService postings.
  * 
  * Location: src/database/repositories/balanceRepository.js
  */
 
 const BaseRepository = require('./base.repository');
+const config = require('../../src/config/environment.config');
 const logger = require('../../src/shared/utils/logger');
 const { DatabaseError } = require('../../src/shared/utils/ApiError');
 
@@ -16,30 +20,45 @@ class BalanceRepository extends BaseRepository {
   }
 
   /**
-   * Get balance by user ID
+   * Get a user's balance in one currency
    * @param {string} userId - User ID
+   * @param {string} currency - Currency code
    * @returns {Promise<Object|null>} Balance or null
    */
-  async getByUserId(userId) {
+  async getByUserId(userId, currency = config.pool.currency) {
     try {
-      return await this.findOne({ user_id: userId });
+      return await this.findOne({ user_id: userId, currency });
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'getByUserId',
-        userId
+        userId,
+        currency
       });
       throw error;
     }
   }
 
   /**
-   * Get balance by user ID or create if doesn't exist
+   * Get all of a user's balances, one per currency held
    * @param {string} userId - User ID
+   * @returns {Promise<Array>} Balances
+   */
+  async getAllByUserId(userId) {
+    return this.findMany(
+      { user_id: userId },
+      { orderBy: { currency: 'asc' } }
+    );
+  }
+
+  /**
+   * Get a user's balance in one currency or create it if it doesn't exist
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Balance
    */
-  async getOrCreate(userId) {
+  async getOrCreate(userId, currency = config.pool.currency) {
     try {
-      let balance = await this.getByUserId(userId);
+      let balance = await this.getByUserId(userId, currency);
 
       if (!balance) {
         balance = await this.create({
@@ -49,37 +68,61 @@ class BalanceRepository extends BaseRepository {
           reserved_balance: 0,
           total_earned: 0,
           total_withdrawn: 0,
-          currency: 'USD'
+          currency
         });
 
-        logger.info('Balance created for user', { userId });
+        logger.info('Balance created for user', { userId, currency });
       }
 
       return balance;
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'getOrCreate',
-        userId
+        userId,
+        currency
       });
       throw error;
     }
   }
 
+  /**
+   * Lock a user's balance row in one currency until the transaction ends
+   * (SELECT ... FOR UPDATE), so checks made under it are not raced by
+   * another request of the same user
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Promise<boolean>} False if the user has no balance to lock
+   */
+  async lockForUpdate(userId, currency, tx) {
+    const rows = await tx.$queryRaw`
+      SELECT id
+      FROM account_balances
+      WHERE user_id = ${userId}
+        AND currency = ${currency}
+      FOR UPDATE
+    `;
+
+    return rows.length > 0;
+  }
+
   /**
    * Update balance atomically
    * @param {string} userId - User ID
    * @param {Object} updates - Balance updates
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Updated balance
    */
-  async updateBalance(userId, updates) {
+  async updateBalance(userId, updates, currency = config.pool.currency) {
     try {
       const balance = await this.model.update({
-        where: { user_id: userId },
+        where: { user_id_currency: { user_id: userId, currency } },
         data: updates
       });
 
       logger.info('Balance updated', {
         userId,
+        currency,
         updates: logger.sanitize(updates)
       });
 
@@ -94,190 +137,18 @@ class BalanceRepository extends BaseRepository {
     }
   }
 
-  /**
-   * Credit available balance
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to credit
-   * @returns {Promise<Object>} Updated balance
-   */
-  async creditAvailable(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        available_balance: { increment: amount },
-        total_earned: { increment: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'creditAvailable',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Debit available balance
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to debit
-   * @returns {Promise<Object>} Updated balance
-   */
-  async debitAvailable(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        available_balance: { decrement: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'debitAvailable',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Move funds from available to reserved
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to reserve
-   * @returns {Promise<Object>} Updated balance
-   */
-  async reserveFromAvailable(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        available_balance: { decrement: amount },
-        reserved_balance: { increment: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'reserveFromAvailable',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Release reserved funds back to available
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to release
-   * @returns {Promise<Object>} Updated balance
-   */
-  async releaseReserved(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        reserved_balance: { decrement: amount },
-        available_balance: { increment: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'releaseReserved',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Complete reserved transaction (deduct from reserved)
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to complete
-   * @returns {Promise<Object>} Updated balance
-   */
-  async completeReserved(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        reserved_balance: { decrement: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'completeReserved',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Add to pending balance
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to add to pending
-   * @returns {Promise<Object>} Updated balance
-   */
-  async addToPending(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        pending_balance: { increment: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'addToPending',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Move from pending to available (approval)
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to approve
-   * @returns {Promise<Object>} Updated balance
-   */
-  async approvePending(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        pending_balance: { decrement: amount },
-        available_balance: { increment: amount },
-        total_earned: { increment: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'approvePending',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Remove from pending (rejection)
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to reject
-   * @returns {Promise<Object>} Updated balance
-   */
-  async rejectPending(userId, amount) {
-    try {
-      return await this.updateBalance(userId, {
-        pending_balance: { decrement: amount }
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'rejectPending',
-        userId,
-        amount
-      });
-      throw error;
-    }
-  }
-
   /**
    * Record withdrawal
    * @param {string} userId - User ID
    * @param {number} amount - Withdrawal amount
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Updated balance
    */
-  async recordWithdrawal(userId, amount) {
+  async recordWithdrawal(userId, amount, currency = config.pool.currency) {
     try {
       return await this.updateBalance(userId, {
         total_withdrawn: { increment: amount }
-      });
+      }, currency);
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'recordWithdrawal',
@@ -298,6 +169,10 @@ class BalanceRepository extends BaseRepository {
     try {
       const where = {};
 
+      if (filters.currency) {
+        where.currency = filters.currency;
+      }
+
       // Filter by minimum balance
       if (filters.minBalance) {
         where.available_balance = { gte: filters.minBalance };
@@ -331,12 +206,14 @@ class BalanceRepository extends BaseRepository {
   }
 
   /**
-   * Get total allocated balance across all users
+   * Get total allocated balance across all users in one currency
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Aggregate balances
    */
-  async getTotalAllocated() {
+  async getTotalAllocated(currency = config.pool.currency) {
     try {
       const result = await this.aggregate({
+        where: { currency },
         _sum: {
           available_balance: true,
           pending_balance: true,
@@ -354,22 +231,25 @@ class BalanceRepository extends BaseRepository {
       };
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'getTotalAllocated'
+        method: 'getTotalAllocated',
+        currency
       });
       throw error;
     }
   }
 
   /**
-   * Get users with low balance
+   * Get users with low balance in one currency
    * @param {number} threshold - Balance threshold
+   * @param {string} currency - Currency code
    * @returns {Promise<Array>} Users with low balance
    */
-  async getLowBalanceUsers(threshold = 100) {
+  async getLowBalanceUsers(threshold = 100, currency = config.pool.currency) {
     try {
       return await this.findMany(
         {
-          available_balance: { lt: threshold }
+          available_balance: { lt: threshold },
+          currency
         },
         {
           include: {
@@ -393,14 +273,16 @@ class BalanceRepository extends BaseRepository {
   }
 
   /**
-   * Get balance statistics
+   * Get balance statistics in one currency
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Statistics
    */
-  async getStats() {
+  async getStats(currency = config.pool.currency) {
     try {
       const [total, aggregates] = await Promise.all([
-        this.count(),
+        this.count({ currency }),
         this.aggregate({
+          where: { currency },
           _sum: {
             available_balance: true,
             pending_balance: true,
@@ -421,6 +303,7 @@ class BalanceRepository extends BaseRepository {
       ]);
 
       return {
+        currency,
         totalUsers: total,
         totalAllocated: {
           available: parseFloat(aggregates._sum.available_balance) || 0,
@@ -437,7 +320,8 @@ class BalanceRepository extends BaseRepository {
       };
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'getStats'
+        method: 'getStats',
+        currency
       });
       throw error;
     }
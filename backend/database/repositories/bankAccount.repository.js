@@ -0,0 +1,169 @@
+/**
+ * Bank Account Repository
+ *
+ * Handles database operations for seller bank accounts.
+ * A seller has at most one default account: every change of default
+ * clears the previous one in the same transaction.
+ *
+ * Location: src/database/repositories/bankAccount.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class BankAccountRepository extends BaseRepository {
+  constructor() {
+    super('bankAccount');
+  }
+
+  /**
+   * Find a user's bank accounts, default first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Bank accounts
+   */
+  async findByUserId(userId) {
+    return this.findMany(
+      { user_id: userId },
+      {
+        orderBy: [
+          { is_default: 'desc' },
+          { created_at: 'desc' }
+        ]
+      }
+    );
+  }
+
+  /**
+   * Find a bank account owned by a user
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Bank account or null
+   */
+  async findByIdForUser(accountId, userId) {
+    return this.findOne({ id: accountId, user_id: userId });
+  }
+
+  /**
+   * Find a user's default bank account
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Bank account or null
+   */
+  async findDefault(userId) {
+    return this.findOne({ user_id: userId, is_default: true });
+  }
+
+  /**
+   * Find a user's account with the same account number at the same bank
+   * @param {string} userId - User ID
+   * @param {string} accountNumber - Account number
+   * @param {string} bankName - Bank name
+   * @returns {Promise<Object|null>} Bank account or null
+   */
+  async findDuplicate(userId, accountNumber, bankName) {
+    return this.findOne({
+      user_id: userId,
+      account_number: accountNumber,
+      bank_name: { equals: bankName, mode: 'insensitive' }
+    });
+  }
+
+  /**
+   * Add a bank account. The user's first account, or one created with
+   * is_default, becomes the default.
+   * @param {string} userId - User ID
+   * @param {Object} data - Bank account data
+   * @returns {Promise<Object>} Created bank account
+   */
+  async createForUser(userId, data) {
+    return this.transaction(async (tx) => {
+      const existing = await tx.bankAccount.count({ where: { user_id: userId } });
+      const isDefault = existing === 0 || Boolean(data.is_default);
+
+      if (isDefault) {
+        await tx.bankAccount.updateMany({
+          where: { user_id: userId, is_default: true },
+          data: { is_default: false, updated_at: new Date() }
+        });
+      }
+
+      return tx.bankAccount.create({
+        data: {
+          ...data,
+          user_id: userId,
+          is_default: isDefault
+        }
+      });
+    });
+  }
+
+  /**
+   * Make an account the user's only default
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated bank account
+   */
+  async setDefault(accountId, userId) {
+    return this.transaction(async (tx) => {
+      await tx.bankAccount.updateMany({
+        where: { user_id: userId, is_default: true, id: { not: accountId } },
+        data: { is_default: false, updated_at: new Date() }
+      });
+
+      return tx.bankAccount.update({
+        where: { id: accountId },
+        data: { is_default: true, updated_at: new Date() }
+      });
+    });
+  }
+
+  /**
+   * Delete an account; if it was the default, the most recently added
+   * remaining account becomes the default
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} New default account, if one was promoted
+   */
+  async deleteForUser(accountId, userId) {
+    return this.transaction(async (tx) => {
+      const deleted = await tx.bankAccount.delete({ where: { id: accountId } });
+
+      if (!deleted.is_default) {
+        return null;
+      }
+
+      const next = await tx.bankAccount.findFirst({
+        where: { user_id: userId },
+        orderBy: { created_at: 'desc' }
+      });
+
+      if (!next) {
+        return null;
+      }
+
+      return tx.bankAccount.update({
+        where: { id: next.id },
+        data: { is_default: true, updated_at: new Date() }
+      });
+    });
+  }
+
+  /**
+   * Set an account's verification status. Only VERIFIED accounts can
+   * receive payouts.
+   * @param {string} accountId - Bank account ID
+   * @param {string} status - BankAccountVerificationStatus
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Updated bank account
+   */
+  async setVerificationStatus(accountId, status, tx = null) {
+    const verified = status === 'VERIFIED';
+
+    return this.update(accountId, {
+      verification_status: status,
+      verified,
+      verified_at: verified ? new Date() : null
+    }, { tx });
+  }
+}
+
+// Export singleton instance
+module.exports = new BankAccountRepository();
@@ -0,0 +1,185 @@
+/**
+ * Bank Account Verification Repository
+ *
+ * Handles database operations for bank account verification attempts.
+ * An account has at most one PENDING attempt; starting a new one cancels
+ * the previous one. Attempts leave PENDING through resolve(), which only
+ * updates a row that is still PENDING, so a concurrent review or
+ * confirmation cannot resolve the same attempt twice.
+ *
+ * Location: src/database/repositories/bankAccountVerification.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+/**
+ * Bank account fields shown to reviewers
+ */
+const REVIEW_INCLUDE = {
+  bank_account: {
+    select: {
+      id: true,
+      user_id: true,
+      account_holder_name: true,
+      account_number: true,
+      bank_name: true,
+      country: true,
+      verification_status: true,
+      user: {
+        select: {
+          id: true,
+          email: true,
+          business_name: true
+        }
+      }
+    }
+  }
+};
+
+class BankAccountVerificationRepository extends BaseRepository {
+  constructor() {
+    super('bankAccountVerification');
+  }
+
+  /**
+   * Find the PENDING attempt of an account
+   * @param {string} bankAccountId - Bank account ID
+   * @returns {Promise<Object|null>} Verification or null
+   */
+  async findPending(bankAccountId) {
+    return this.findOne(
+      { bank_account_id: bankAccountId, status: 'PENDING' },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+
+  /**
+   * Find the most recent attempt of an account
+   * @param {string} bankAccountId - Bank account ID
+   * @returns {Promise<Object|null>} Verification or null
+   */
+  async findLatest(bankAccountId) {
+    return this.findOne(
+      { bank_account_id: bankAccountId },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+
+  /**
+   * Count an account's micro-deposit rounds and find when the last one was
+   * requested
+   * @param {string} bankAccountId - Bank account ID
+   * @returns {Promise<Object>} { count, last_requested_at }
+   */
+  async getMicroDepositHistory(bankAccountId) {
+    const where = { bank_account_id: bankAccountId, method: 'MICRO_DEPOSIT' };
+
+    const [count, latest] = await Promise.all([
+      this.count(where),
+      this.findOne(where, { orderBy: { created_at: 'desc' } })
+    ]);
+
+    return {
+      count,
+      last_requested_at: latest?.created_at || null
+    };
+  }
+
+  /**
+   * Find an attempt with its bank account and owner
+   * @param {string} id - Verification ID
+   * @returns {Promise<Object|null>} Verification or null
+   */
+  async findForReview(id) {
+    return this.findById(id, { include: REVIEW_INCLUDE });
+  }
+
+  /**
+   * List attempts for review, oldest first
+   * @param {Object} filters - { status, method }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated verifications
+   */
+  async list(filters = {}, pagination = {}) {
+    const { status, method } = filters;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (method) {
+      where.method = method;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { created_at: 'asc' },
+      include: REVIEW_INCLUDE
+    });
+  }
+
+  /**
+   * Cancel the PENDING attempts of an account
+   * @param {string} bankAccountId - Bank account ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of cancelled attempts
+   */
+  async cancelPending(bankAccountId, tx = null) {
+    const now = new Date();
+
+    const result = await this.client(tx).updateMany({
+      where: { bank_account_id: bankAccountId, status: 'PENDING' },
+      data: {
+        status: 'CANCELLED',
+        completed_at: now,
+        updated_at: now
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Move a PENDING attempt to a final status
+   * @param {string} id - Verification ID
+   * @param {string} status - APPROVED, REJECTED, FAILED or CANCELLED
+   * @param {Object} data - Extra fields (reviewed_by, rejection_reason, ...)
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object|null>} Updated verification, or null if it was no longer PENDING
+   */
+  async resolve(id, status, data = {}, tx = null) {
+    const now = new Date();
+
+    const result = await this.client(tx).updateMany({
+      where: { id, status: 'PENDING' },
+      data: {
+        ...data,
+        status,
+        completed_at: now,
+        updated_at: now
+      }
+    });
+
+    return result.count === 1 ? this.client(tx).findUnique({ where: { id } }) : null;
+  }
+
+  /**
+   * Count a confirmation attempt on a PENDING micro-deposit verification
+   * @param {string} id - Verification ID
+   * @returns {Promise<Object|null>} Updated verification, or null if it was no longer PENDING
+   */
+  async recordAttempt(id) {
+    const result = await this.model.updateMany({
+      where: { id, status: 'PENDING' },
+      data: {
+        attempts: { increment: 1 },
+        updated_at: new Date()
+      }
+    });
+
+    return result.count === 1 ? this.model.findUnique({ where: { id } }) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new BankAccountVerificationRepository();
@@ -28,6 +28,15 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Model delegate to use for a query
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Object} Model delegate bound to the transaction, or the default client
+   */
+  client(tx = null) {
+    return tx ? tx[this.modelName] : this.model;
+  }
+
   /**
    * Find a single record by ID
    * @param {string} id - Record ID
@@ -191,14 +200,16 @@ class BaseRepository {
   /**
    * Create a new record
    * @param {Object} data - Record data
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (tx: Prisma transaction client)
    * @returns {Promise<Object>} Created record
    */
   async create(data, options = {}) {
+    const { tx, ...queryOptions } = options;
+
     try {
-      const record = await this.model.create({
+      const record = await this.client(tx).create({
         data,
-        ...options
+        ...queryOptions
       });
 
       logger.info(`${this.modelName} created`, {
@@ -249,18 +260,20 @@ class BaseRepository {
    * Update a record by ID
    * @param {string} id - Record ID
    * @param {Object} data - Update data
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (tx: Prisma transaction client)
    * @returns {Promise<Object>} Updated record
    */
   async update(id, data, options = {}) {
+    const { tx, ...queryOptions } = options;
+
     try {
-      const record = await this.model.update({
+      const record = await this.client(tx).update({
         where: { id },
         data: {
           ...data,
           updated_at: new Date()
         },
-        ...options
+        ...queryOptions
       });
 
       logger.info(`${this.modelName} updated`, {
@@ -448,12 +461,14 @@ class BaseRepository {
 
   /**
    * Perform aggregation
-   * @param {Object} options - Aggregation options
+   * @param {Object} options - Aggregation options (tx: Prisma transaction client)
    * @returns {Promise<Object>} Aggregation result
    */
   async aggregate(options) {
+    const { tx, ...query } = options;
+
     try {
-      const result = await this.model.aggregate(options);
+      const result = await this.client(tx).aggregate(query);
       return result;
     } catch (error) {
       logger.errorWithContext(error, {
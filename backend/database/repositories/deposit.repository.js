@@ -60,18 +60,28 @@ class DepositRepository extends BaseRepository {
     );
   }
 
+  /**
+   * Find deposit by gateway reference
+   * @param {string} gatewayReference - Gateway/provider reference
+   * @returns {Promise<Object|null>} Deposit or null
+   */
+  async findByGatewayReference(gatewayReference) {
+    return this.findOne({ gateway_reference: gatewayReference });
+  }
+
   /**
    * Approve deposit request
    * @param {string} depositId - Deposit ID
    * @param {string} approvedBy - Admin user ID
+   * @param {Object} [tx] - Prisma transaction client
    * @returns {Promise<Object>} Updated deposit
    */
-  async approveDeposit(depositId, approvedBy) {
+  async approveDeposit(depositId, approvedBy, tx = null) {
     const deposit = await this.update(depositId, {
       status: 'APPROVED',
       approved_by: approvedBy,
       approved_at: new Date()
-    });
+    }, { tx });
 
     logger.info('Deposit approved', {
       depositId,
@@ -87,14 +97,15 @@ class DepositRepository extends BaseRepository {
    * Reject deposit request
    * @param {string} depositId - Deposit ID
    * @param {string} reason - Rejection reason
+   * @param {Object} [tx] - Prisma transaction client
    * @returns {Promise<Object>} Updated deposit
    */
-  async rejectDeposit(depositId, reason) {
+  async rejectDeposit(depositId, reason, tx = null) {
     const deposit = await this.update(depositId, {
       status: 'REJECTED',
       rejection_reason: reason,
       rejected_at: new Date()
-    });
+    }, { tx });
 
     logger.info('Deposit rejected', {
       depositId,
@@ -134,6 +145,34 @@ class DepositRepository extends BaseRepository {
     };
   }
 
+  /**
+   * Value and number of a seller's deposit requests since a date, except
+   * rejected and cancelled ones
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the period
+   * @param {string} currency - Currency code
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} { total, count }
+   */
+  async getUsage(userId, since, currency, tx = null) {
+    const result = await this.aggregate({
+      tx,
+      where: {
+        user_id: userId,
+        currency,
+        status: { in: ['PENDING', 'APPROVED'] },
+        created_at: { gte: since }
+      },
+      _sum: { amount: true },
+      _count: true
+    });
+
+    return {
+      total: result._sum.amount ? parseFloat(result._sum.amount) : 0,
+      count: result._count
+    };
+  }
+
   /**
    * Get all pending deposits count (for admin)
    * @returns {Promise<number>} Count of pending deposits
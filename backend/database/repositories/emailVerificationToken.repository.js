@@ -0,0 +1,119 @@
+/**
+ * Email Verification Token Repository
+ *
+ * Handles database operations for email verification tokens.
+ * A user has at most one usable token: the service invalidates the previous
+ * ones when it issues a new one. Tokens are consumed with a conditional update so a link
+ * and a code cannot both use the same token.
+ *
+ * Location: src/database/repositories/emailVerificationToken.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class EmailVerificationTokenRepository extends BaseRepository {
+  constructor() {
+    super('emailVerificationToken');
+  }
+
+  /**
+   * Find an unused, unexpired token by its link hash
+   * @param {string} tokenHash - SHA-256 hash of the link token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findUsableByHash(tokenHash) {
+    return this.model.findFirst({
+      where: {
+        token_hash: tokenHash,
+        used_at: null,
+        expires_at: { gt: new Date() }
+      }
+    });
+  }
+
+  /**
+   * Find a user's unused, unexpired token
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findUsableForUser(userId) {
+    return this.model.findFirst({
+      where: {
+        user_id: userId,
+        used_at: null,
+        expires_at: { gt: new Date() }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Find the most recently issued token of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findLatestForUser(userId) {
+    return this.model.findFirst({
+      where: { user_id: userId },
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Count a wrong code
+   * @param {string} id - Token ID
+   * @returns {Promise<Object>} Updated token
+   */
+  async recordFailedAttempt(id) {
+    return this.model.update({
+      where: { id },
+      data: { attempts: { increment: 1 } }
+    });
+  }
+
+  /**
+   * Mark a token used
+   * @param {string} id - Token ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the token was already used
+   */
+  async consume(id, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { id, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Invalidate all unused tokens of a user
+   * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of invalidated tokens
+   */
+  async invalidateForUser(userId, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { user_id: userId, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Delete tokens that expired before a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpired(before) {
+    const result = await this.model.deleteMany({
+      where: { expires_at: { lt: before } }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailVerificationTokenRepository();
@@ -0,0 +1,83 @@
+/**
+ * Fee Schedule Repository
+ *
+ * Handles database operations for platform fee schedules. At most one
+ * schedule is active per operation and currency.
+ *
+ * Location: src/database/repositories/feeSchedule.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class FeeScheduleRepository extends BaseRepository {
+  constructor() {
+    super('feeSchedule');
+  }
+
+  /**
+   * Find the active schedule of an operation
+   * @param {string} operation - FeeOperation
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object|null>} Schedule or null if the operation is free
+   */
+  async findActive(operation, currency) {
+    return this.findOne(
+      { operation, currency, is_active: true },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+
+  /**
+   * List schedules, newest first
+   * @param {Object} filters - { operation, currency, is_active }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated schedules
+   */
+  async list(filters = {}, pagination = {}) {
+    const { operation, currency, is_active } = filters;
+
+    const where = {};
+    if (operation) {
+      where.operation = operation;
+    }
+    if (currency) {
+      where.currency = currency;
+    }
+    if (is_active !== undefined) {
+      where.is_active = is_active;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Retire the active schedules of an operation, except one
+   * @param {string} operation - FeeOperation
+   * @param {string} currency - Currency code
+   * @param {string|null} exceptId - Schedule to leave active
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of retired schedules
+   */
+  async deactivateOthers(operation, currency, exceptId = null, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: {
+        operation,
+        currency,
+        is_active: true,
+        ...(exceptId && { id: { not: exceptId } })
+      },
+      data: {
+        is_active: false,
+        updated_at: new Date()
+      }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new FeeScheduleRepository();
@@ -0,0 +1,122 @@
+/**
+ * FX Quote Repository
+ *
+ * Handles database operations for locked exchange rate quotes. An executed
+ * quote is the record of the conversion it made.
+ *
+ * Location: src/database/repositories/fxQuote.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class FxQuoteRepository extends BaseRepository {
+  constructor() {
+    super('fxQuote');
+  }
+
+  /**
+   * Mark a seller's quote executed. Conditional, so a quote can only be
+   * executed once and never after it expires.
+   * @param {string} quoteId - Quote ID
+   * @param {string} userId - Seller the quote was issued to
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the quote is not pending, expired or not the seller's
+   */
+  async claim(quoteId, userId, tx = null) {
+    const now = new Date();
+
+    const result = await this.client(tx).updateMany({
+      where: {
+        id: quoteId,
+        user_id: userId,
+        status: 'PENDING',
+        expires_at: { gt: now }
+      },
+      data: {
+        status: 'EXECUTED',
+        executed_at: now
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * List a seller's conversions (executed quotes), newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { from_currency, to_currency, startDate, endDate }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated conversions
+   */
+  async listConversions(userId, filters = {}, pagination = {}) {
+    const { from_currency, to_currency, startDate, endDate } = filters;
+
+    const where = { user_id: userId, status: 'EXECUTED' };
+    if (from_currency) {
+      where.from_currency = from_currency;
+    }
+    if (to_currency) {
+      where.to_currency = to_currency;
+    }
+    if (startDate || endDate) {
+      where.executed_at = {};
+      if (startDate) where.executed_at.gte = startDate;
+      if (endDate) where.executed_at.lte = endDate;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { executed_at: 'desc' }
+    });
+  }
+
+  /**
+   * Sum the spread kept on conversions out of a currency
+   * @param {string} currency - Currency converted from
+   * @param {Date} startDate - Start date (optional)
+   * @param {Date} endDate - End date (optional)
+   * @returns {Promise<Object>} { total, count }
+   */
+  async getSpreadRevenue(currency, startDate = null, endDate = null) {
+    const where = {
+      from_currency: currency,
+      status: 'EXECUTED'
+    };
+
+    if (startDate || endDate) {
+      where.executed_at = {};
+      if (startDate) where.executed_at.gte = startDate;
+      if (endDate) where.executed_at.lte = endDate;
+    }
+
+    const result = await this.aggregate({
+      where,
+      _sum: { spread_amount: true },
+      _count: true
+    });
+
+    return {
+      total: result._sum.spread_amount ? parseFloat(result._sum.spread_amount) : 0,
+      count: result._count
+    };
+  }
+
+  /**
+   * Delete quotes that expired without being executed
+   * @param {Date} before - Expiry cutoff
+   * @returns {Promise<number>} Number of deleted quotes
+   */
+  async deleteExpired(before) {
+    const result = await this.model.deleteMany({
+      where: {
+        status: 'PENDING',
+        expires_at: { lt: before }
+      }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new FxQuoteRepository();
@@ -0,0 +1,94 @@
+/**
+ * FX Rate Repository
+ *
+ * Handles database operations for exchange rates between seller
+ * currencies. At most one rate is active per currency pair.
+ *
+ * Location: src/database/repositories/fxRate.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class FxRateRepository extends BaseRepository {
+  constructor() {
+    super('fxRate');
+  }
+
+  /**
+   * Find the active rate of a currency pair
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @returns {Promise<Object|null>} Rate or null if the pair has none
+   */
+  async findActive(fromCurrency, toCurrency) {
+    return this.findOne(
+      { from_currency: fromCurrency, to_currency: toCurrency, is_active: true },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+
+  /**
+   * List every active rate
+   * @returns {Promise<Array>} Active rates by pair
+   */
+  async findAllActive() {
+    return this.findMany(
+      { is_active: true },
+      { orderBy: [{ from_currency: 'asc' }, { to_currency: 'asc' }] }
+    );
+  }
+
+  /**
+   * List rates, newest first
+   * @param {Object} filters - { from_currency, to_currency, is_active }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated rates
+   */
+  async list(filters = {}, pagination = {}) {
+    const { from_currency, to_currency, is_active } = filters;
+
+    const where = {};
+    if (from_currency) {
+      where.from_currency = from_currency;
+    }
+    if (to_currency) {
+      where.to_currency = to_currency;
+    }
+    if (is_active !== undefined) {
+      where.is_active = is_active;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Retire the active rates of a currency pair, except one
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @param {string|null} exceptId - Rate to leave active
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of retired rates
+   */
+  async deactivateOthers(fromCurrency, toCurrency, exceptId = null, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: {
+        from_currency: fromCurrency,
+        to_currency: toCurrency,
+        is_active: true,
+        ...(exceptId && { id: { not: exceptId } })
+      },
+      data: {
+        is_active: false,
+        updated_at: new Date()
+      }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new FxRateRepository();
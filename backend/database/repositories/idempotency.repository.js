@@ -0,0 +1,152 @@
+/**
+ * Idempotency Key Repository
+ *
+ * Handles database operations for idempotency keys.
+ * A key is claimed by the first request that uses it; the response of that
+ * request is stored against the key so retries can be replayed.
+ *
+ * Location: src/database/repositories/idempotency.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+const logger = require('../../src/shared/utils/logger');
+const { DatabaseError } = require('../../src/shared/utils/ApiError');
+
+class IdempotencyRepository extends BaseRepository {
+  constructor() {
+    super('idempotencyKey');
+  }
+
+  /**
+   * Find a key for a user
+   * @param {string} userId - User ID
+   * @param {string} key - Idempotency key supplied by the client
+   * @returns {Promise<Object|null>} Key record or null
+   */
+  async findByKey(userId, key) {
+    return this.model.findUnique({
+      where: {
+        user_id_key: {
+          user_id: userId,
+          key
+        }
+      }
+    });
+  }
+
+  /**
+   * Claim a key for an in-flight request
+   * @param {Object} data - Key data (user_id, key, method, path, request_hash, expires_at)
+   * @returns {Promise<Object|null>} Created record, or null if the key already exists
+   */
+  async claim(data) {
+    try {
+      return await this.model.create({
+        data: {
+          ...data,
+          status: 'IN_PROGRESS',
+          locked_at: new Date()
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+
+      logger.errorWithContext(error, {
+        method: 'claim',
+        userId: data.user_id
+      });
+      throw new DatabaseError('Failed to claim idempotency key', error.message);
+    }
+  }
+
+  /**
+   * Re-claim a key whose record has expired or whose lock has gone stale
+   * (e.g. the process handling the original request crashed).
+   * The conditions are part of the update so only one request can win.
+   * @param {string} id - Key record ID
+   * @param {Date} staleBefore - Locks taken before this time are considered abandoned
+   * @param {Object} data - Request fingerprint (method, path, request_hash, expires_at)
+   * @returns {Promise<boolean>} True if this request now owns the key
+   */
+  async reclaim(id, staleBefore, data) {
+    const now = new Date();
+
+    const result = await this.model.updateMany({
+      where: {
+        id,
+        OR: [
+          { expires_at: { lt: now } },
+          { status: 'IN_PROGRESS', locked_at: { lt: staleBefore } }
+        ]
+      },
+      data: {
+        ...data,
+        status: 'IN_PROGRESS',
+        response_status: null,
+        response_body: null,
+        completed_at: null,
+        locked_at: now,
+        updated_at: now
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Store the response for a claimed key
+   * @param {string} id - Key record ID
+   * @param {number} statusCode - HTTP status code
+   * @param {*} body - Response body
+   * @returns {Promise<Object>} Updated record
+   */
+  async complete(id, statusCode, body) {
+    return this.update(id, {
+      status: 'COMPLETED',
+      response_status: statusCode,
+      response_body: body === undefined ? null : body,
+      completed_at: new Date()
+    });
+  }
+
+  /**
+   * Store a server error for a claimed key. The key is not released: the
+   * operation may have partly run, so a retry replays the error instead of
+   * running it again.
+   * @param {string} id - Key record ID
+   * @param {number} statusCode - HTTP status code
+   * @param {*} body - Response body
+   * @returns {Promise<Object>} Updated record
+   */
+  async fail(id, statusCode, body) {
+    return this.update(id, {
+      status: 'FAILED',
+      response_status: statusCode,
+      response_body: body === undefined ? null : body,
+      completed_at: new Date()
+    });
+  }
+
+  /**
+   * Delete keys past their retention window
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async deleteExpired() {
+    const result = await this.model.deleteMany({
+      where: {
+        expires_at: { lt: new Date() }
+      }
+    });
+
+    logger.info('Expired idempotency keys deleted', {
+      count: result.count
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyRepository();
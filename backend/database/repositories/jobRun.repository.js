@@ -0,0 +1,106 @@
+/**
+ * Job Run Repository
+ *
+ * Handles database operations for the run history of scheduled jobs.
+ *
+ * Location: src/database/repositories/jobRun.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class JobRunRepository extends BaseRepository {
+  constructor() {
+    super('jobRun');
+  }
+
+  /**
+   * Record the start of a run
+   * @param {Object} data - { job_id, trigger, triggered_by, instance_id }
+   * @returns {Promise<Object>} Created run
+   */
+  async start(data) {
+    return this.create({
+      ...data,
+      status: 'RUNNING'
+    });
+  }
+
+  /**
+   * Record the end of a run
+   * @param {Object} run - Run being finished
+   * @param {string} status - SUCCEEDED or FAILED
+   * @param {Object} outcome - { result, error_message }
+   * @returns {Promise<Object>} Updated run
+   */
+  async finish(run, status, outcome = {}) {
+    const finishedAt = new Date();
+
+    return this.model.update({
+      where: { id: run.id },
+      data: {
+        status,
+        result: outcome.result,
+        error_message: outcome.error_message,
+        finished_at: finishedAt,
+        duration_ms: finishedAt.getTime() - new Date(run.started_at).getTime()
+      }
+    });
+  }
+
+  /**
+   * Fail runs left RUNNING by an instance that lost its lease
+   * @param {string} jobId - Job ID
+   * @returns {Promise<number>} Number of runs marked failed
+   */
+  async failAbandoned(jobId) {
+    const result = await this.model.updateMany({
+      where: { job_id: jobId, status: 'RUNNING' },
+      data: {
+        status: 'FAILED',
+        error_message: 'Run abandoned: lease expired before it finished',
+        finished_at: new Date()
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Get runs of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated runs
+   */
+  async findByJobId(jobId, filters = {}, pagination = {}) {
+    const where = { job_id: jobId };
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { started_at: 'desc' }
+    });
+  }
+
+  /**
+   * Delete finished runs older than a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of deleted runs
+   */
+  async deleteFinishedBefore(before) {
+    const result = await this.model.deleteMany({
+      where: {
+        status: { not: 'RUNNING' },
+        started_at: { lt: before }
+      }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new JobRunRepository();
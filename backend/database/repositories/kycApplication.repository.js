@@ -0,0 +1,107 @@
+/**
+ * KYC Application Repository
+ *
+ * Handles database operations for seller KYC applications. A seller has at
+ * most one application. Reviews go through resolve(), which only updates
+ * an application that is still PENDING, so two reviewers cannot decide the
+ * same application.
+ *
+ * Location: src/database/repositories/kycApplication.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+/**
+ * Seller fields shown to reviewers
+ */
+const REVIEW_INCLUDE = {
+  documents: {
+    orderBy: { created_at: 'asc' }
+  },
+  user: {
+    select: {
+      id: true,
+      email: true,
+      business_name: true,
+      phone: true,
+      status: true,
+      kyc_tier: true,
+      created_at: true
+    }
+  }
+};
+
+class KycApplicationRepository extends BaseRepository {
+  constructor() {
+    super('kycApplication');
+  }
+
+  /**
+   * Find a seller's application with its documents
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Application or null
+   */
+  async findByUserId(userId) {
+    return this.findOne(
+      { user_id: userId },
+      { include: { documents: { orderBy: { created_at: 'asc' } } } }
+    );
+  }
+
+  /**
+   * Find an application with its documents and seller
+   * @param {string} id - Application ID
+   * @returns {Promise<Object|null>} Application or null
+   */
+  async findForReview(id) {
+    return this.findById(id, { include: REVIEW_INCLUDE });
+  }
+
+  /**
+   * List applications for review, oldest submission first
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated applications
+   */
+  async list(filters = {}, pagination = {}) {
+    const { status } = filters;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: [{ submitted_at: 'asc' }, { created_at: 'asc' }],
+      include: REVIEW_INCLUDE
+    });
+  }
+
+  /**
+   * Move a PENDING application to APPROVED or REJECTED
+   * @param {string} id - Application ID
+   * @param {string} status - APPROVED or REJECTED
+   * @param {Object} data - Extra fields (reviewed_by, rejection_reason, ...)
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object|null>} Updated application, or null if it was no longer PENDING
+   */
+  async resolve(id, status, data = {}, tx = null) {
+    const now = new Date();
+
+    const result = await this.client(tx).updateMany({
+      where: { id, status: 'PENDING' },
+      data: {
+        ...data,
+        status,
+        reviewed_at: now,
+        updated_at: now
+      }
+    });
+
+    return result.count === 1 ? this.client(tx).findUnique({ where: { id } }) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new KycApplicationRepository();
@@ -0,0 +1,48 @@
+/**
+ * KYC Document Repository
+ *
+ * Handles database operations for documents uploaded with KYC
+ * applications. The files themselves live in fileStorage.service.
+ *
+ * Location: src/database/repositories/kycDocument.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class KycDocumentRepository extends BaseRepository {
+  constructor() {
+    super('kycDocument');
+  }
+
+  /**
+   * Find a document of an application
+   * @param {string} id - Document ID
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object|null>} Document or null
+   */
+  async findForApplication(id, applicationId) {
+    return this.findOne({ id, application_id: applicationId });
+  }
+
+  /**
+   * Count the documents of an application
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<number>}
+   */
+  async countForApplication(applicationId) {
+    return this.count({ application_id: applicationId });
+  }
+
+  /**
+   * Delete a document record
+   * @param {string} id - Document ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Deleted document
+   */
+  async remove(id, tx = null) {
+    return this.client(tx).delete({ where: { id } });
+  }
+}
+
+// Export singleton instance
+module.exports = new KycDocumentRepository();
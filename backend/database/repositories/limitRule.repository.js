@@ -0,0 +1,107 @@
+/**
+ * Limit Rule Repository
+ *
+ * Handles database operations for transaction limit rules. At most one rule
+ * is active per scope (seller, tier or everyone), product, period and
+ * currency.
+ *
+ * Location: src/database/repositories/limitRule.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class LimitRuleRepository extends BaseRepository {
+  constructor() {
+    super('limitRule');
+  }
+
+  /**
+   * Find the active rules that can apply to a seller: their own, their
+   * tier's and the ones for everyone
+   * @param {string} userId - Seller ID
+   * @param {string} tier - Seller's KYC tier
+   * @param {Array<string>} products - LimitProducts
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array>} Matching rules
+   */
+  async findApplicable(userId, tier, products, currency) {
+    return this.findMany({
+      product: { in: products },
+      currency,
+      is_active: true,
+      OR: [
+        { user_id: userId },
+        { user_id: null, tier },
+        { user_id: null, tier: null }
+      ]
+    }, {
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * List rules, newest first
+   * @param {Object} filters - { product, period, currency, user_id, tier, is_active }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated rules
+   */
+  async list(filters = {}, pagination = {}) {
+    const { product, period, currency, user_id, tier, is_active } = filters;
+
+    const where = {};
+    if (product) {
+      where.product = product;
+    }
+    if (period) {
+      where.period = period;
+    }
+    if (currency) {
+      where.currency = currency;
+    }
+    if (user_id) {
+      where.user_id = user_id;
+    }
+    if (tier) {
+      where.tier = tier;
+    }
+    if (is_active !== undefined) {
+      where.is_active = is_active;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Retire the active rules of a scope, product, period and currency,
+   * except one
+   * @param {Object} rule - { product, period, currency, user_id, tier }
+   * @param {string|null} exceptId - Rule to leave active
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of retired rules
+   */
+  async deactivateOthers(rule, exceptId = null, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: {
+        product: rule.product,
+        period: rule.period,
+        currency: rule.currency,
+        user_id: rule.user_id || null,
+        tier: rule.tier || null,
+        is_active: true,
+        ...(exceptId && { id: { not: exceptId } })
+      },
+      data: {
+        is_active: false,
+        updated_at: new Date()
+      }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new LimitRuleRepository();
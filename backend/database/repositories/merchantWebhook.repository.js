@@ -0,0 +1,118 @@
+/**
+ * Merchant Webhook Repository
+ *
+ * Handles database operations for seller webhook endpoints.
+ *
+ * Location: src/database/repositories/merchantWebhook.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+const logger = require('../../src/shared/utils/logger');
+
+class MerchantWebhookRepository extends BaseRepository {
+  constructor() {
+    super('merchantWebhook');
+  }
+
+  /**
+   * Find a user's webhook endpoints
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Endpoints
+   */
+  async findByUserId(userId) {
+    return this.findMany(
+      { user_id: userId },
+      { orderBy: { created_at: 'desc' } }
+    );
+  }
+
+  /**
+   * Find a webhook endpoint owned by a user
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Endpoint or null
+   */
+  async findByIdForUser(webhookId, userId) {
+    return this.findOne({ id: webhookId, user_id: userId });
+  }
+
+  /**
+   * Find active endpoints of a user subscribed to an event
+   * @param {string} userId - User ID
+   * @param {string} eventName - EVENT_NAMES value
+   * @returns {Promise<Array>} Endpoints
+   */
+  async findSubscribers(userId, eventName) {
+    return this.findMany({
+      user_id: userId,
+      is_active: true,
+      events: { has: eventName }
+    });
+  }
+
+  /**
+   * Record a successful delivery and reset the failure streak
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Updated endpoint
+   */
+  async recordSuccess(webhookId) {
+    return this.update(webhookId, {
+      failure_count: 0,
+      last_success_at: new Date()
+    });
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Updated endpoint
+   */
+  async recordFailure(webhookId) {
+    return this.update(webhookId, {
+      failure_count: { increment: 1 },
+      last_failure_at: new Date()
+    });
+  }
+
+  /**
+   * Disable an endpoint
+   * Only an active endpoint is disabled, so the caller can tell whether it
+   * was the one that turned it off.
+   * @param {string} webhookId - Webhook ID
+   * @param {string} reason - Why it was disabled
+   * @returns {Promise<boolean>} True if the endpoint was disabled by this call
+   */
+  async disable(webhookId, reason) {
+    const result = await this.updateMany(
+      { id: webhookId, is_active: true },
+      {
+        is_active: false,
+        disabled_at: new Date(),
+        disabled_reason: reason
+      }
+    );
+
+    if (result.count === 1) {
+      logger.warn('Merchant webhook disabled', { webhookId, reason });
+    }
+
+    return result.count === 1;
+  }
+
+  /**
+   * Re-enable an endpoint and clear its failure streak
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Updated endpoint
+   */
+  async enable(webhookId) {
+    return this.update(webhookId, {
+      is_active: true,
+      failure_count: 0,
+      disabled_at: null,
+      disabled_reason: null
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MerchantWebhookRepository();
@@ -0,0 +1,200 @@
+/**
+ * Outbox Repository
+ *
+ * Handles database operations for outbox events.
+ * Events are written in the same transaction as the state change they
+ * describe and drained by the outbox worker.
+ *
+ * Location: src/database/repositories/outbox.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class OutboxRepository extends BaseRepository {
+  constructor() {
+    super('outboxEvent');
+  }
+
+  /**
+   * Write an event to the outbox
+   * @param {string} eventName - EVENT_NAMES value
+   * @param {Object} payload - Event data
+   * @param {Object} [tx] - Prisma transaction client of the state change
+   * @returns {Promise<Object>} Created event
+   */
+  async enqueue(eventName, payload, tx = null) {
+    return this.create(
+      {
+        event_name: eventName,
+        payload
+      },
+      { tx }
+    );
+  }
+
+  /**
+   * Find events ready to be handled: pending events whose retry is due and
+   * events whose worker lock has gone stale
+   * @param {number} limit - Maximum number of events
+   * @param {Date} staleBefore - Locks taken before this time are abandoned
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  async findReady(limit, staleBefore) {
+    return this.findMany(
+      {
+        OR: [
+          { status: 'PENDING', next_attempt_at: { lte: new Date() } },
+          { status: 'PROCESSING', locked_at: { lt: staleBefore } }
+        ]
+      },
+      {
+        take: limit,
+        orderBy: { created_at: 'asc' }
+      }
+    );
+  }
+
+  /**
+   * Lock an event for handling.
+   * The readiness conditions are repeated in the update so only one worker
+   * can take the event.
+   * @param {string} id - Event ID
+   * @param {Date} staleBefore - Locks taken before this time are abandoned
+   * @returns {Promise<boolean>} True if this worker owns the event
+   */
+  async claim(id, staleBefore) {
+    const now = new Date();
+
+    const result = await this.model.updateMany({
+      where: {
+        id,
+        OR: [
+          { status: 'PENDING', next_attempt_at: { lte: now } },
+          { status: 'PROCESSING', locked_at: { lt: staleBefore } }
+        ]
+      },
+      data: {
+        status: 'PROCESSING',
+        locked_at: now,
+        attempts: { increment: 1 },
+        updated_at: now
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Record that one of the event's handlers has run, so a retry skips it
+   * @param {string} id - Event ID
+   * @param {string} handlerName - Handler name
+   * @returns {Promise<Object>} Updated event
+   */
+  async markHandlerCompleted(id, handlerName) {
+    return this.update(id, {
+      completed_handlers: { push: handlerName }
+    });
+  }
+
+  /**
+   * Mark an event as handled
+   * @param {string} id - Event ID
+   * @returns {Promise<Object>} Updated event
+   */
+  async markProcessed(id) {
+    return this.update(id, {
+      status: 'PROCESSED',
+      locked_at: null,
+      last_error: null,
+      processed_at: new Date()
+    });
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} id - Event ID
+   * @param {string} error - Error message
+   * @param {Date|null} nextAttemptAt - When to retry, or null to dead-letter the event
+   * @returns {Promise<Object>} Updated event
+   */
+  async markFailed(id, error, nextAttemptAt) {
+    return this.update(id, {
+      status: nextAttemptAt ? 'PENDING' : 'DEAD',
+      locked_at: null,
+      last_error: error,
+      ...(nextAttemptAt && { next_attempt_at: nextAttemptAt })
+    });
+  }
+
+  /**
+   * Get dead-lettered events
+   * @param {Object} filters - { event_name }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated events
+   */
+  async getDeadLetters(filters = {}, pagination = {}) {
+    const where = { status: 'DEAD' };
+
+    if (filters.event_name) {
+      where.event_name = filters.event_name;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { updated_at: 'desc' }
+    });
+  }
+
+  /**
+   * Put a dead-lettered event back in the queue
+   * @param {string} id - Event ID
+   * @returns {Promise<boolean>} True if the event was requeued
+   */
+  async requeue(id) {
+    const result = await this.updateMany(
+      { id, status: 'DEAD' },
+      {
+        status: 'PENDING',
+        attempts: 0,
+        next_attempt_at: new Date()
+      }
+    );
+
+    return result.count === 1;
+  }
+
+  /**
+   * Count events by status
+   * @returns {Promise<Object>} Counts keyed by status
+   */
+  async countByStatus() {
+    const groups = await this.groupBy({
+      by: ['status'],
+      _count: { id: true }
+    });
+
+    return groups.reduce((counts, group) => ({
+      ...counts,
+      [group.status]: group._count.id
+    }), { PENDING: 0, PROCESSING: 0, PROCESSED: 0, DEAD: 0 });
+  }
+
+  /**
+   * Delete processed events older than a date
+   * @param {Date} before - Cutoff date
+   * @returns {Promise<number>} Number of deleted events
+   */
+  async deleteProcessedBefore(before) {
+    const result = await this.model.deleteMany({
+      where: {
+        status: 'PROCESSED',
+        processed_at: { lt: before }
+      }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new OutboxRepository();
@@ -0,0 +1,94 @@
+/**
+ * Password Reset Token Repository
+ *
+ * Handles database operations for password reset tokens.
+ * Tokens are looked up by their SHA-256 hash and consumed with a
+ * conditional update, so a token can only be used once even when two
+ * requests race.
+ *
+ * Location: src/database/repositories/passwordResetToken.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class PasswordResetTokenRepository extends BaseRepository {
+  constructor() {
+    super('passwordResetToken');
+  }
+
+  /**
+   * Find an unused, unexpired token by its hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findUsable(tokenHash) {
+    return this.model.findFirst({
+      where: {
+        token_hash: tokenHash,
+        used_at: null,
+        expires_at: { gt: new Date() }
+      }
+    });
+  }
+
+  /**
+   * Count the tokens issued to a user since a point in time
+   * @param {string} userId - User ID
+   * @param {Date} since - Window start
+   * @returns {Promise<number>} Number of tokens
+   */
+  async countIssuedSince(userId, since) {
+    return this.model.count({
+      where: {
+        user_id: userId,
+        created_at: { gte: since }
+      }
+    });
+  }
+
+  /**
+   * Mark a token used
+   * @param {string} id - Token ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the token was already used
+   */
+  async consume(id, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { id, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Invalidate every unused token of a user
+   * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of invalidated tokens
+   */
+  async invalidateForUser(userId, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { user_id: userId, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Delete tokens that expired before a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpired(before) {
+    const result = await this.model.deleteMany({
+      where: { expires_at: { lt: before } }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new PasswordResetTokenRepository();
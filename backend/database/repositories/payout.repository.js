@@ -9,6 +9,11 @@
 const BaseRepository = require('./base.repository');
 const logger = require('../../src/shared/utils/logger');
 
+/**
+ * Statuses of a payout that has been approved but not yet settled
+ */
+const IN_FLIGHT_STATUSES = ['PROCESSING', 'SUBMITTED'];
+
 class PayoutRepository extends BaseRepository {
   constructor() {
     super('payoutRequest');
@@ -53,8 +58,9 @@ class PayoutRepository extends BaseRepository {
               email: true,
               business_name: true,
               phone: true,
-              account_balance: {
+              account_balances: {
                 select: {
+                  currency: true,
                   available_balance: true
                 }
               }
@@ -66,74 +72,189 @@ class PayoutRepository extends BaseRepository {
   }
 
   /**
-   * Mark payout as processing
+   * Approve a pending payout for execution
    * @param {string} payoutId - Payout ID
    * @param {string} processedBy - Admin user ID
-   * @returns {Promise<Object>} Updated payout
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object|null>} Updated payout, or null if it was no longer PENDING
    */
-  async markAsProcessing(payoutId, processedBy) {
-    return this.update(payoutId, {
+  async markAsProcessing(payoutId, processedBy, tx = null) {
+    return this.transition(payoutId, ['PENDING'], {
       status: 'PROCESSING',
       processed_by: processedBy,
       processed_at: new Date()
+    }, tx);
+  }
+
+  /**
+   * Move a payout from PROCESSING to SUBMITTED once the provider accepted it
+   * @param {string} payoutId - Payout ID
+   * @param {Object} submission - { provider, gateway_reference }
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object|null>} Updated payout, or null if it was no longer PROCESSING
+   */
+  async markSubmitted(payoutId, submission, tx = null) {
+    return this.transition(payoutId, ['PROCESSING'], {
+      status: 'SUBMITTED',
+      provider: submission.provider,
+      gateway_reference: submission.gateway_reference,
+      submitted_at: new Date()
+    }, tx);
+  }
+
+  /**
+   * Record a status poll that found the payout still pending
+   * @param {string} payoutId - Payout ID
+   * @returns {Promise<Object>} Updated payout
+   */
+  async recordStatusCheck(payoutId) {
+    return this.model.update({
+      where: { id: payoutId },
+      data: {
+        status_checks: { increment: 1 },
+        last_checked_at: new Date()
+      }
     });
   }
 
   /**
-   * Complete payout
+   * Find approved payouts that were never handed to a provider
+   * (e.g. the process died between approval and submission)
+   * @param {Date} processedBefore - Only payouts approved before this time
+   * @param {number} limit - Maximum number of payouts
+   * @returns {Promise<Array>} Payouts
+   */
+  async findUnsubmitted(processedBefore, limit) {
+    return this.findMany(
+      {
+        status: 'PROCESSING',
+        gateway_reference: null,
+        processed_at: { lt: processedBefore }
+      },
+      {
+        take: limit,
+        orderBy: { processed_at: 'asc' }
+      }
+    );
+  }
+
+  /**
+   * Find submitted payouts to poll, least recently checked first
+   * @param {number} limit - Maximum number of payouts
+   * @returns {Promise<Array>} Payouts
+   */
+  async findSubmitted(limit) {
+    return this.findMany(
+      { status: 'SUBMITTED' },
+      {
+        take: limit,
+        orderBy: [
+          { last_checked_at: { sort: 'asc', nulls: 'first' } },
+          { submitted_at: 'asc' }
+        ]
+      }
+    );
+  }
+
+  /**
+   * Find payout by gateway reference
+   * @param {string} gatewayReference - Gateway transaction reference
+   * @returns {Promise<Object|null>} Payout or null
+   */
+  async findByGatewayReference(gatewayReference) {
+    return this.findOne({ gateway_reference: gatewayReference });
+  }
+
+  /**
+   * Complete an in-flight payout
    * @param {string} payoutId - Payout ID
    * @param {string} gatewayReference - Gateway transaction reference
-   * @returns {Promise<Object>} Updated payout
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object|null>} Updated payout, or null if it was already settled
    */
-  async completePayout(payoutId, gatewayReference) {
-    const payout = await this.update(payoutId, {
+  async completePayout(payoutId, gatewayReference, tx = null) {
+    const payout = await this.transition(payoutId, IN_FLIGHT_STATUSES, {
       status: 'COMPLETED',
       gateway_reference: gatewayReference,
       completed_at: new Date()
-    });
+    }, tx);
 
-    logger.info('Payout completed', {
-      payoutId,
-      amount: payout.amount,
-      userId: payout.user_id,
-      gatewayReference
-    });
+    if (payout) {
+      logger.info('Payout completed', {
+        payoutId,
+        amount: payout.amount,
+        userId: payout.user_id,
+        gatewayReference
+      });
+    }
 
     return payout;
   }
 
   /**
-   * Fail payout
+   * Fail a payout
    * @param {string} payoutId - Payout ID
    * @param {string} reason - Failure reason
-   * @returns {Promise<Object>} Updated payout
+   * @param {Object} [tx] - Prisma transaction client
+   * @param {Array<string>} [fromStatuses] - Statuses the payout may be failed from
+   * @returns {Promise<Object|null>} Updated payout, or null if it was not in fromStatuses
    */
-  async failPayout(payoutId, reason) {
-    const payout = await this.update(payoutId, {
+  async failPayout(payoutId, reason, tx = null, fromStatuses = ['PENDING', ...IN_FLIGHT_STATUSES]) {
+    const payout = await this.transition(payoutId, fromStatuses, {
       status: 'FAILED',
       rejection_reason: reason,
       failed_at: new Date()
-    });
+    }, tx);
 
-    logger.warn('Payout failed', {
-      payoutId,
-      reason,
-      amount: payout.amount,
-      userId: payout.user_id
-    });
+    if (payout) {
+      logger.warn('Payout failed', {
+        payoutId,
+        reason,
+        amount: payout.amount,
+        userId: payout.user_id
+      });
+    }
 
     return payout;
   }
 
   /**
-   * Cancel payout
+   * Change a payout's status only if it is still in one of the expected
+   * statuses, so a provider callback and a status poll can't both settle it
    * @param {string} payoutId - Payout ID
-   * @returns {Promise<Object>} Updated payout
+   * @param {Array<string>} fromStatuses - Expected current statuses
+   * @param {Object} data - Fields to set
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object|null>} Updated payout, or null if the status had changed
    */
-  async cancelPayout(payoutId) {
-    return this.update(payoutId, {
-      status: 'CANCELLED'
+  async transition(payoutId, fromStatuses, data, tx = null) {
+    const client = this.client(tx);
+
+    const result = await client.updateMany({
+      where: { id: payoutId, status: { in: fromStatuses } },
+      data: {
+        ...data,
+        updated_at: new Date()
+      }
     });
+
+    if (result.count === 0) {
+      return null;
+    }
+
+    return client.findUnique({ where: { id: payoutId } });
+  }
+
+  /**
+   * Cancel a payout that is still pending
+   * @param {string} payoutId - Payout ID
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object|null>} Updated payout, or null if it was no longer PENDING
+   */
+  async cancelPayout(payoutId, tx = null) {
+    return this.transition(payoutId, ['PENDING'], {
+      status: 'CANCELLED'
+    }, tx);
   }
 
   /**
@@ -162,6 +283,34 @@ class PayoutRepository extends BaseRepository {
     };
   }
 
+  /**
+   * Value and number of a seller's payout requests since a date, except
+   * failed and cancelled ones
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the period
+   * @param {string} currency - Currency code
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} { total, count }
+   */
+  async getUsage(userId, since, currency, tx = null) {
+    const result = await this.aggregate({
+      tx,
+      where: {
+        user_id: userId,
+        currency,
+        status: { notIn: ['FAILED', 'CANCELLED'] },
+        created_at: { gte: since }
+      },
+      _sum: { amount: true },
+      _count: true
+    });
+
+    return {
+      total: result._sum.amount ? parseFloat(result._sum.amount) : 0,
+      count: result._count
+    };
+  }
+
   /**
    * Get pending payouts count (for admin)
    * @returns {Promise<number>} Count
@@ -175,7 +324,7 @@ class PayoutRepository extends BaseRepository {
    * @returns {Promise<number>} Count
    */
   async getProcessingCount() {
-    return this.count({ status: 'PROCESSING' });
+    return this.count({ status: { in: IN_FLIGHT_STATUSES } });
   }
 }
 
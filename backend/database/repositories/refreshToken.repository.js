@@ -0,0 +1,107 @@
+/**
+ * Refresh Token Repository
+ *
+ * Handles database operations for refresh tokens. Tokens belong to a
+ * session (their token family) and are used once: a refresh marks the
+ * token rotated.
+ *
+ * Location: src/database/repositories/refreshToken.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class RefreshTokenRepository extends BaseRepository {
+  constructor() {
+    super('refreshToken');
+  }
+
+  /**
+   * Find a token with its session
+   * @param {string} token - Refresh token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findByToken(token) {
+    return this.model.findUnique({
+      where: { token },
+      include: { session: true }
+    });
+  }
+
+  /**
+   * Mark a token rotated. Conditional, so only one refresh can use it.
+   * @param {string} id - Token ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the token was already used or revoked
+   */
+  async markRotated(id, tx = null) {
+    const now = new Date();
+    const result = await this.client(tx).updateMany({
+      where: { id, rotated_at: null, revoked_at: null },
+      data: { rotated_at: now, revoked_at: now }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Revoke a token
+   * @param {string} token - Refresh token
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeByToken(token, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { token, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Revoke every token of a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeBySession(sessionId, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { session_id: sessionId, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Revoke every token of a user
+   * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeAllForUser(userId, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { user_id: userId, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Delete tokens that expired before a date. Rotated tokens are kept until
+   * then so their reuse is still detected.
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpired(before) {
+    const result = await this.model.deleteMany({
+      where: { expires_at: { lt: before } }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new RefreshTokenRepository();
@@ -0,0 +1,67 @@
+/**
+ * Role Permission Repository
+ *
+ * Handles database operations for the permissions granted to back-office
+ * roles.
+ *
+ * Location: src/database/repositories/rolePermission.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class RolePermissionRepository extends BaseRepository {
+  constructor() {
+    super('rolePermission');
+  }
+
+  /**
+   * Get the permissions configured for a role
+   * @param {string} role - User role
+   * @returns {Promise<Array<string>>} Permission names (empty if not configured)
+   */
+  async findByRole(role) {
+    const rows = await this.findMany(
+      { role },
+      { orderBy: { permission: 'asc' } }
+    );
+
+    return rows.map(row => row.permission);
+  }
+
+  /**
+   * Get every configured role permission
+   * @returns {Promise<Array>} Rows ordered by role and permission
+   */
+  async findAll() {
+    return this.findMany({}, {
+      orderBy: [{ role: 'asc' }, { permission: 'asc' }]
+    });
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} role - User role
+   * @param {Array<string>} permissions - Permission names
+   * @param {string} grantedBy - Admin making the change
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of granted permissions
+   */
+  async replaceForRole(role, permissions, grantedBy = null, tx = null) {
+    const client = this.client(tx);
+
+    await client.deleteMany({ where: { role } });
+
+    const result = await client.createMany({
+      data: permissions.map(permission => ({
+        role,
+        permission,
+        granted_by: grantedBy
+      }))
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new RolePermissionRepository();
@@ -0,0 +1,193 @@
+/**
+ * Scheduled Job Repository
+ *
+ * Handles database operations for scheduled jobs.
+ * A job row doubles as the job's lock: an instance may only run a job while
+ * it holds an unexpired lease (locked_by / locked_until) on the row, so a
+ * job never runs on two API instances at once.
+ *
+ * Location: src/database/repositories/scheduledJob.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class ScheduledJobRepository extends BaseRepository {
+  constructor() {
+    super('scheduledJob');
+  }
+
+  /**
+   * Find a job by name
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async findByName(name) {
+    return this.findOne({ name });
+  }
+
+  /**
+   * Create a job row if it doesn't exist yet
+   * @param {Object} data - { name, description, cron_expression, next_run_at }
+   * @returns {Promise<Object>} Existing or created job
+   */
+  async register(data) {
+    return this.model.upsert({
+      where: { name: data.name },
+      create: data,
+      update: {}
+    });
+  }
+
+  /**
+   * Get jobs with their most recent run
+   * @param {Array<string>} names - Job names to include
+   * @returns {Promise<Array>} Jobs
+   */
+  async findAllWithLastRun(names) {
+    return this.findMany(
+      { name: { in: names } },
+      {
+        orderBy: { name: 'asc' },
+        include: {
+          runs: {
+            take: 1,
+            orderBy: { started_at: 'desc' }
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Find jobs that are due and not locked by a live instance
+   * @param {Array<string>} names - Job names this instance can run
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Due jobs
+   */
+  async findDue(names, now = new Date()) {
+    return this.findMany(
+      {
+        name: { in: names },
+        is_paused: false,
+        next_run_at: { lte: now },
+        OR: [
+          { locked_until: null },
+          { locked_until: { lt: now } }
+        ]
+      },
+      {
+        orderBy: { next_run_at: 'asc' }
+      }
+    );
+  }
+
+  /**
+   * Take the lease on a job.
+   * The lock conditions are part of the update so only one instance can win.
+   * @param {string} id - Job ID
+   * @param {string} instanceId - Instance taking the lease
+   * @param {Date} lockedUntil - Lease expiry
+   * @param {Object} options - { due: only if due and not paused, data: extra fields to set }
+   * @returns {Promise<boolean>} True if this instance now holds the lease
+   */
+  async acquireLock(id, instanceId, lockedUntil, options = {}) {
+    const now = new Date();
+    const where = {
+      id,
+      OR: [
+        { locked_until: null },
+        { locked_until: { lt: now } }
+      ]
+    };
+
+    if (options.due) {
+      where.is_paused = false;
+      where.next_run_at = { lte: now };
+    }
+
+    const result = await this.model.updateMany({
+      where,
+      data: {
+        ...options.data,
+        locked_by: instanceId,
+        locked_until: lockedUntil,
+        updated_at: now
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Extend a lease held by an instance
+   * @param {string} id - Job ID
+   * @param {string} instanceId - Instance holding the lease
+   * @param {Date} lockedUntil - New lease expiry
+   * @returns {Promise<boolean>} True if the lease was still held
+   */
+  async extendLock(id, instanceId, lockedUntil) {
+    const result = await this.model.updateMany({
+      where: { id, locked_by: instanceId },
+      data: {
+        locked_until: lockedUntil,
+        updated_at: new Date()
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Give up a lease after a run
+   * @param {string} id - Job ID
+   * @param {string} instanceId - Instance holding the lease
+   * @returns {Promise<boolean>} True if the lease was still held
+   */
+  async releaseLock(id, instanceId) {
+    const now = new Date();
+
+    const result = await this.model.updateMany({
+      where: { id, locked_by: instanceId },
+      data: {
+        locked_by: null,
+        locked_until: null,
+        last_run_at: now,
+        updated_at: now
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Pause a job
+   * @param {string} id - Job ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Updated job
+   */
+  async pause(id, adminId) {
+    return this.update(id, {
+      is_paused: true,
+      paused_by: adminId,
+      paused_at: new Date()
+    });
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} id - Job ID
+   * @param {Date} nextRunAt - Next scheduled run
+   * @returns {Promise<Object>} Updated job
+   */
+  async resume(id, nextRunAt) {
+    return this.update(id, {
+      is_paused: false,
+      paused_by: null,
+      paused_at: null,
+      next_run_at: nextRunAt
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new ScheduledJobRepository();
@@ -0,0 +1,136 @@
+/**
+ * Session Repository
+ *
+ * Handles database operations for user sessions (signed-in devices).
+ *
+ * Location: src/database/repositories/session.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class SessionRepository extends BaseRepository {
+  constructor() {
+    super('userSession');
+  }
+
+  /**
+   * Find a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findActiveByUser(userId) {
+    return this.model.findMany({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { gt: new Date() }
+      },
+      orderBy: { last_used_at: 'desc' }
+    });
+  }
+
+  /**
+   * Find an active session of a user
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findActiveForUser(sessionId, userId) {
+    return this.model.findFirst({
+      where: {
+        id: sessionId,
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { gt: new Date() }
+      }
+    });
+  }
+
+  /**
+   * Check whether a session is still active
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isActive(sessionId) {
+    const count = await this.model.count({
+      where: {
+        id: sessionId,
+        revoked_at: null,
+        expires_at: { gt: new Date() }
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Record a refresh: latest address, user agent and expiry
+   * @param {string} sessionId - Session ID
+   * @param {Object} data - { ip_address, user_agent, expires_at }
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Updated session
+   */
+  async touch(sessionId, data, tx = null) {
+    return this.client(tx).update({
+      where: { id: sessionId },
+      data: {
+        ...data,
+        last_used_at: new Date()
+      }
+    });
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - LOGOUT, REVOKED, TOKEN_REUSE, ...
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the session was already revoked
+   */
+  async revoke(sessionId, reason, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { id: sessionId, revoked_at: null },
+      data: {
+        revoked_at: new Date(),
+        revoked_reason: reason
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllForUser(userId, reason, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: { user_id: userId, revoked_at: null },
+      data: {
+        revoked_at: new Date(),
+        revoked_reason: reason
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Delete sessions that ended before a date, with their tokens
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteExpired(before) {
+    const result = await this.model.deleteMany({
+      where: { expires_at: { lt: before } }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionRepository();
@@ -60,61 +60,15 @@ class TransactionRepository extends BaseRepository {
     });
   }
 
-  /**
-   * Create transaction with balance update (atomic operation)
-   * @param {Object} transactionData - Transaction data
-   * @param {string} userId - User ID
-   * @param {number} balanceChange - Balance change amount (negative for debit)
-   * @returns {Promise<Object>} Created transaction
-   */
-  async createWithBalanceUpdate(transactionData, userId, balanceChange) {
-    try {
-      return await this.transaction(async (tx) => {
-        // Create transaction
-        const transaction = await tx.transaction.create({
-          data: transactionData
-        });
-
-        // Update balance
-        if (balanceChange !== 0) {
-          await tx.accountBalance.update({
-            where: { user_id: userId },
-            data: {
-              available_balance: {
-                [balanceChange > 0 ? 'increment' : 'decrement']: Math.abs(balanceChange)
-              }
-            }
-          });
-        }
-
-        logger.transaction('created', {
-          id: transaction.id,
-          userId,
-          amount: transactionData.amount,
-          type: transactionData.transaction_type,
-          status: transactionData.status
-        });
-
-        return transaction;
-      });
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'createWithBalanceUpdate',
-        userId,
-        balanceChange
-      });
-      throw new DatabaseError('Failed to create transaction with balance update', error.message);
-    }
-  }
-
   /**
    * Update transaction status
    * @param {string} transactionId - Transaction ID
    * @param {string} status - New status
    * @param {Object} additionalData - Additional data to update
+   * @param {Object} [tx] - Prisma transaction client
    * @returns {Promise<Object>} Updated transaction
    */
-  async updateStatus(transactionId, status, additionalData = {}) {
+  async updateStatus(transactionId, status, additionalData = {}, tx = null) {
     const updateData = {
       status,
       ...additionalData
@@ -128,7 +82,7 @@ class TransactionRepository extends BaseRepository {
       updateData.failed_at = new Date();
     }
 
-    const transaction = await this.update(transactionId, updateData);
+    const transaction = await this.update(transactionId, updateData, { tx });
 
     logger.transaction('status_updated', {
       id: transaction.id,
@@ -189,12 +143,14 @@ class TransactionRepository extends BaseRepository {
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date (optional)
    * @param {Date} endDate - End date (optional)
+   * @param {string} currency - Currency code (optional, all currencies if omitted)
    * @returns {Promise<Object>} Transaction statistics
    */
-  async getStats(userId, startDate = null, endDate = null) {
+  async getStats(userId, startDate = null, endDate = null, currency = null) {
     const where = {
       user_id: userId,
-      status: 'COMPLETED'
+      status: 'COMPLETED',
+      ...(currency && { currency })
     };
 
     if (startDate || endDate) {
@@ -204,7 +160,7 @@ class TransactionRepository extends BaseRepository {
     }
 
     try {
-      const [sales, deposits, refunds, payouts] = await Promise.all([
+      const [sales, deposits, refunds, payouts, commission] = await Promise.all([
         this.aggregate({
           where: { ...where, transaction_type: 'SALE' },
           _sum: { amount: true },
@@ -224,6 +180,11 @@ class TransactionRepository extends BaseRepository {
           where: { ...where, transaction_type: 'PAYOUT' },
           _sum: { amount: true },
           _count: true
+        }),
+        this.aggregate({
+          where: { ...where, transaction_type: 'SALE', commission_amount: { not: null } },
+          _sum: { commission_amount: true, seller_commission: true },
+          _count: true
         })
       ]);
 
@@ -243,6 +204,11 @@ class TransactionRepository extends BaseRepository {
         payouts: {
           total: payouts._sum.amount ? parseFloat(payouts._sum.amount) : 0,
           count: payouts._count
+        },
+        commission: {
+          earned: commission._sum.seller_commission ? parseFloat(commission._sum.seller_commission) : 0,
+          gateway: commission._sum.commission_amount ? parseFloat(commission._sum.commission_amount) : 0,
+          count: commission._count
         }
       };
     } catch (error) {
@@ -355,47 +321,43 @@ class TransactionRepository extends BaseRepository {
   }
 
   /**
-   * Create refund transaction
+   * Create refund transaction and mark the original as refunded
+   * Balance credit is posted by the caller (BalanceService) in the same transaction.
    * @param {Object} refundData - Refund data
    * @param {string} originalTransactionId - Original transaction ID
+   * @param {Object} tx - Optional Prisma transaction client
    * @returns {Promise<Object>} Created refund transaction
    */
-  async createRefund(refundData, originalTransactionId) {
-    try {
-      return await this.transaction(async (tx) => {
-        // Create refund transaction
-        const refund = await tx.transaction.create({
-          data: {
-            ...refundData,
-            parent_transaction_id: originalTransactionId
-          }
-        });
-
-        // Update original transaction status
-        await tx.transaction.update({
-          where: { id: originalTransactionId },
-          data: { status: 'REFUNDED' }
-        });
-
-        // Update user balance
-        await tx.accountBalance.update({
-          where: { user_id: refundData.user_id },
-          data: {
-            available_balance: {
-              increment: parseFloat(refundData.amount)
-            }
-          }
-        });
+  async createRefund(refundData, originalTransactionId, tx = null) {
+    const createInTransaction = async (client) => {
+      // Create refund transaction
+      const refund = await client.transaction.create({
+        data: {
+          ...refundData,
+          parent_transaction_id: originalTransactionId
+        }
+      });
 
-        logger.transaction('refund_created', {
-          id: refund.id,
-          originalTransactionId,
-          userId: refundData.user_id,
-          amount: refundData.amount
-        });
+      // Update original transaction status
+      await client.transaction.update({
+        where: { id: originalTransactionId },
+        data: { status: 'REFUNDED' }
+      });
 
-        return refund;
+      logger.transaction('refund_created', {
+        id: refund.id,
+        originalTransactionId,
+        userId: refundData.user_id,
+        amount: refundData.amount
       });
+
+      return refund;
+    };
+
+    try {
+      return tx
+        ? await createInTransaction(tx)
+        : await this.transaction(createInTransaction);
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'createRefund',
@@ -409,16 +371,55 @@ class TransactionRepository extends BaseRepository {
    * Get daily transaction summary
    * @param {string} userId - User ID
    * @param {Date} date - Date to get summary for
+   * @param {string} currency - Currency code (optional, all currencies if omitted)
    * @returns {Promise<Object>} Daily summary
    */
-  async getDailySummary(userId, date) {
+  async getDailySummary(userId, date, currency = null) {
     const startOfDay = new Date(date);
     startOfDay.setHours(0, 0, 0, 0);
     
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
 
-    return this.getStats(userId, startOfDay, endOfDay);
+    return this.getStats(userId, startOfDay, endOfDay, currency);
+  }
+
+  /**
+   * Value and number of a seller's sales since a date, counting sales
+   * still in flight so concurrent purchases cannot overshoot a limit
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the period
+   * @param {string} currency - Currency code
+   * @param {Array<string>|null} serviceTypes - PAYMENT_PRODUCTS to count (all sales if null)
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} { total, count }
+   */
+  async getSalesUsage(userId, since, currency, serviceTypes = null, tx = null) {
+    const where = {
+      user_id: userId,
+      transaction_type: 'SALE',
+      status: { in: ['PENDING', 'PROCESSING', 'COMPLETED'] },
+      currency,
+      created_at: { gte: since }
+    };
+
+    if (serviceTypes) {
+      where.OR = serviceTypes.map(serviceType => ({
+        metadata: { path: ['service_type'], equals: serviceType }
+      }));
+    }
+
+    const result = await this.aggregate({
+      tx,
+      where,
+      _sum: { amount: true },
+      _count: true
+    });
+
+    return {
+      total: result._sum.amount ? parseFloat(result._sum.amount) : 0,
+      count: result._count
+    };
   }
 
   /**
@@ -525,6 +526,24 @@ class TransactionRepository extends BaseRepository {
       throw new DatabaseError('Failed to count transactions by status', error.message);
     }
   }
+
+  /**
+   * Find delivered sales whose settlement failed (see
+   * commissionService.recordDeliveredSale)
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array>} Flagged sales, oldest first
+   */
+  async findUnsettledSales(currency) {
+    return this.findMany(
+      {
+        transaction_type: 'SALE',
+        status: 'PROCESSING',
+        currency,
+        metadata: { path: ['needs_reconciliation'], equals: true }
+      },
+      { orderBy: { created_at: 'asc' } }
+    );
+  }
 }
 
 // Export singleton instance
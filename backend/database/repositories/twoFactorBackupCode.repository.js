@@ -0,0 +1,82 @@
+/**
+ * Two-Factor Backup Code Repository
+ *
+ * Handles database operations for single-use 2FA backup codes.
+ *
+ * Location: src/database/repositories/twoFactorBackupCode.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class TwoFactorBackupCodeRepository extends BaseRepository {
+  constructor() {
+    super('twoFactorBackupCode');
+  }
+
+  /**
+   * Replace a user's backup codes
+   * @param {string} userId - User ID
+   * @param {Array<string>} codeHashes - SHA-256 hashes of the new codes
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of created codes
+   */
+  async replaceForUser(userId, codeHashes, tx = null) {
+    const client = this.client(tx);
+
+    await client.deleteMany({ where: { user_id: userId } });
+
+    const result = await client.createMany({
+      data: codeHashes.map(code_hash => ({ user_id: userId, code_hash }))
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Use up an unused code
+   * @param {string} userId - User ID
+   * @param {string} codeHash - SHA-256 hash of the code
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if there is no such unused code
+   */
+  async consume(userId, codeHash, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: {
+        user_id: userId,
+        code_hash: codeHash,
+        used_at: null
+      },
+      data: { used_at: new Date() }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Count a user's unused codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countUnused(userId) {
+    return this.model.count({
+      where: { user_id: userId, used_at: null }
+    });
+  }
+
+  /**
+   * Remove all of a user's codes
+   * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of deleted codes
+   */
+  async deleteForUser(userId, tx = null) {
+    const result = await this.client(tx).deleteMany({
+      where: { user_id: userId }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorBackupCodeRepository();
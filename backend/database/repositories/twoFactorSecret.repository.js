@@ -0,0 +1,91 @@
+/**
+ * Two-Factor Secret Repository
+ *
+ * Handles database operations for users' TOTP secrets.
+ *
+ * Location: src/database/repositories/twoFactorSecret.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+
+class TwoFactorSecretRepository extends BaseRepository {
+  constructor() {
+    super('twoFactorSecret');
+  }
+
+  /**
+   * Find a user's secret
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Secret record or null
+   */
+  async findByUserId(userId) {
+    return this.model.findUnique({
+      where: { user_id: userId }
+    });
+  }
+
+  /**
+   * Store a new, not yet enabled secret, replacing an unconfirmed one
+   * @param {string} userId - User ID
+   * @param {string} secretEncrypted - Encrypted secret
+   * @returns {Promise<Object>} Secret record
+   */
+  async savePending(userId, secretEncrypted) {
+    return this.model.upsert({
+      where: { user_id: userId },
+      create: {
+        user_id: userId,
+        secret_encrypted: secretEncrypted
+      },
+      update: {
+        secret_encrypted: secretEncrypted,
+        enabled_at: null,
+        last_used_step: null
+      }
+    });
+  }
+
+  /**
+   * Record the step of a used code. Conditional, so the same or an older
+   * code cannot be used again, even by concurrent requests.
+   * @param {string} id - Secret ID
+   * @param {number} step - TOTP step of the code
+   * @param {Object} data - Extra fields to set (e.g. enabled_at)
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<boolean>} False if the code was already used
+   */
+  async markStepUsed(id, step, data = {}, tx = null) {
+    const result = await this.client(tx).updateMany({
+      where: {
+        id,
+        OR: [
+          { last_used_step: null },
+          { last_used_step: { lt: step } }
+        ]
+      },
+      data: {
+        ...data,
+        last_used_step: step
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Remove a user's secret
+   * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<number>} Number of deleted secrets
+   */
+  async deleteForUser(userId, tx = null) {
+    const result = await this.client(tx).deleteMany({
+      where: { user_id: userId }
+    });
+
+    return result.count;
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorSecretRepository();
@@ -9,6 +9,7 @@
 
 const BaseRepository = require('./base.repository');
 const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
 const { ConflictError, NotFoundError } = require('../../src/shared/utils/ApiError');
 const logger = require('../../src/shared/utils/logger');
 
@@ -85,18 +86,20 @@ class UserRepository extends BaseRepository {
       business_name,
       phone,
       role: role || 'SELLER',
-      status: 'ACTIVE'
+      // Sellers stay PENDING until their KYC application is approved
+      status: !role || role === 'SELLER' ? 'PENDING' : 'ACTIVE'
     });
 
-    // Create associated account balance
+    // Create associated account balance in the default currency
     await this.model.update({
       where: { id: user.id },
       data: {
-        account_balance: {
+        account_balances: {
           create: {
             available_balance: 0,
             pending_balance: 0,
-            reserved_balance: 0
+            reserved_balance: 0,
+            currency: config.pool.currency
           }
         }
       }
@@ -116,9 +119,10 @@ class UserRepository extends BaseRepository {
    * Update user profile
    * @param {string} userId - User ID
    * @param {Object} updateData - Data to update
+   * @param {Object} tx - Optional transaction client
    * @returns {Promise<Object>} Updated user
    */
-  async updateProfile(userId, updateData) {
+  async updateProfile(userId, updateData, tx = null) {
     const { email, business_name, phone } = updateData;
 
     // If email is being changed, check for conflicts
@@ -133,7 +137,7 @@ class UserRepository extends BaseRepository {
       ...(email && { email: email.toLowerCase() }),
       ...(business_name && { business_name }),
       ...(phone && { phone })
-    });
+    }, { tx });
 
     return this.sanitizeUser(user);
   }
@@ -142,12 +146,13 @@ class UserRepository extends BaseRepository {
    * Update user password
    * @param {string} userId - User ID
    * @param {string} newPasswordHash - New hashed password
+   * @param {Object} tx - Optional transaction client
    * @returns {Promise<Object>} Updated user
    */
-  async updatePassword(userId, newPasswordHash) {
+  async updatePassword(userId, newPasswordHash, tx = null) {
     const user = await this.update(userId, {
       password_hash: newPasswordHash
-    });
+    }, { tx });
 
     logger.security('Password updated', {
       userId: user.id,
@@ -161,10 +166,11 @@ class UserRepository extends BaseRepository {
    * Update user status
    * @param {string} userId - User ID
    * @param {string} status - New status (ACTIVE, SUSPENDED, etc.)
+   * @param {Object} tx - Optional transaction client
    * @returns {Promise<Object>} Updated user
    */
-  async updateStatus(userId, status) {
-    const user = await this.update(userId, { status });
+  async updateStatus(userId, status, tx = null) {
+    const user = await this.update(userId, { status }, { tx });
 
     logger.info('User status updated', {
       userId: user.id,
@@ -174,16 +180,97 @@ class UserRepository extends BaseRepository {
     return this.sanitizeUser(user);
   }
 
+  /**
+   * Set a seller's KYC tier, activating a PENDING account
+   * @param {string} userId - User ID
+   * @param {string} tier - SellerTier
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateKycTier(userId, tier, tx = null) {
+    const current = await this.client(tx).findUnique({
+      where: { id: userId },
+      select: { status: true }
+    });
+
+    const user = await this.update(userId, {
+      kyc_tier: tier,
+      ...(current && current.status === 'PENDING' && { status: 'ACTIVE' })
+    }, { tx });
+
+    logger.info('User KYC tier updated', {
+      userId: user.id,
+      tier,
+      status: user.status
+    });
+
+    return this.sanitizeUser(user);
+  }
+
+  /**
+   * Change a user's role
+   * @param {string} userId - User ID
+   * @param {string} role - New role
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateRole(userId, role, tx = null) {
+    const user = await this.update(userId, { role }, { tx });
+
+    logger.security('User role updated', {
+      userId: user.id,
+      details: { role }
+    });
+
+    return this.sanitizeUser(user);
+  }
+
+  /**
+   * Turn two-factor authentication on or off
+   * @param {string} userId - User ID
+   * @param {boolean} enabled - Whether 2FA is enabled
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Updated user
+   */
+  async setTwoFactorEnabled(userId, enabled, tx = null) {
+    const user = await this.update(userId, { two_factor_enabled: enabled }, { tx });
+
+    logger.security(enabled ? 'Two-factor authentication enabled' : 'Two-factor authentication disabled', {
+      userId: user.id
+    });
+
+    return this.sanitizeUser(user);
+  }
+
+  /**
+   * Set a seller's preferred payment provider
+   * @param {string} userId - User ID
+   * @param {string|null} provider - Provider name, or null to use the platform default
+   * @param {Object} tx - Optional transaction client
+   * @returns {Promise<Object>} Updated user
+   */
+  async updatePaymentProvider(userId, provider, tx = null) {
+    const user = await this.update(userId, { payment_provider: provider }, { tx });
+
+    logger.info('User payment provider updated', {
+      userId: user.id,
+      provider
+    });
+
+    return this.sanitizeUser(user);
+  }
+
   /**
    * Suspend user account
    * @param {string} userId - User ID
    * @param {string} reason - Suspension reason
+   * @param {Object} tx - Optional transaction client
    * @returns {Promise<Object>} Updated user
    */
-  async suspendUser(userId, reason) {
+  async suspendUser(userId, reason, tx = null) {
     const user = await this.update(userId, {
       status: 'SUSPENDED'
-    });
+    }, { tx });
 
     logger.security('User suspended', {
       userId: user.id,
@@ -196,14 +283,15 @@ class UserRepository extends BaseRepository {
   /**
    * Activate suspended user
    * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
    * @returns {Promise<Object>} Updated user
    */
-  async activateUser(userId) {
+  async activateUser(userId, tx = null) {
     const user = await this.update(userId, {
       status: 'ACTIVE',
       login_attempts: 0,
       locked_until: null
-    });
+    }, { tx });
 
     logger.info('User activated', {
       userId: user.id
@@ -289,13 +377,14 @@ class UserRepository extends BaseRepository {
   /**
    * Verify user email
    * @param {string} userId - User ID
+   * @param {Object} tx - Optional transaction client
    * @returns {Promise<Object>} Updated user
    */
-  async verifyEmail(userId) {
+  async verifyEmail(userId, tx = null) {
     const user = await this.update(userId, {
       email_verified: true,
       email_verified_at: new Date()
-    });
+    }, { tx });
 
     logger.info('Email verified', {
       userId: user.id,
@@ -313,7 +402,7 @@ class UserRepository extends BaseRepository {
   async getUserWithBalance(userId) {
     const user = await this.findById(userId, {
       include: {
-        account_balance: true
+        account_balances: true
       }
     });
 
@@ -0,0 +1,177 @@
+/**
+ * Webhook Delivery Repository
+ *
+ * Handles database operations for outbound merchant webhook deliveries.
+ * A delivery is one event sent to one endpoint, retried until it is
+ * delivered or runs out of attempts.
+ *
+ * Location: src/database/repositories/webhookDelivery.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+const logger = require('../../src/shared/utils/logger');
+const { DatabaseError } = require('../../src/shared/utils/ApiError');
+
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor() {
+    super('webhookDelivery');
+  }
+
+  /**
+   * Queue a delivery
+   * @param {Object} data - Delivery data (webhook_id, event_name, payload, outbox_event_id, next_attempt_at)
+   * @returns {Promise<Object|null>} Created delivery, or null if the endpoint
+   *   already has one for this outbox event
+   */
+  async createIfNew(data) {
+    try {
+      return await this.model.create({ data });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+
+      logger.errorWithContext(error, {
+        method: 'createIfNew',
+        webhookId: data.webhook_id,
+        outboxEventId: data.outbox_event_id
+      });
+      throw new DatabaseError('Failed to queue webhook delivery', error.message);
+    }
+  }
+
+  /**
+   * Get the delivery log of an endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} filters - { status, event_name }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated deliveries
+   */
+  async findByWebhookId(webhookId, filters = {}, pagination = {}) {
+    const { status, event_name } = filters;
+
+    const where = { webhook_id: webhookId };
+    if (status) {
+      where.status = status;
+    }
+    if (event_name) {
+      where.event_name = event_name;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Find pending deliveries whose next attempt is due
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries with their endpoint
+   */
+  async findDue(limit = 50) {
+    return this.findMany(
+      {
+        status: 'PENDING',
+        next_attempt_at: { lte: new Date() }
+      },
+      {
+        take: limit,
+        orderBy: { next_attempt_at: 'asc' },
+        include: { webhook: true }
+      }
+    );
+  }
+
+  /**
+   * Lease a due delivery for one attempt.
+   * Pushing next_attempt_at past the lease stops another worker (or the
+   * retry job) from sending the same delivery while this attempt runs.
+   * @param {string} id - Delivery ID
+   * @param {Date} leaseUntil - When the lease expires
+   * @returns {Promise<boolean>} True if this caller owns the attempt
+   */
+  async claim(id, leaseUntil) {
+    const result = await this.model.updateMany({
+      where: {
+        id,
+        status: 'PENDING',
+        next_attempt_at: { lte: new Date() }
+      },
+      data: {
+        next_attempt_at: leaseUntil,
+        updated_at: new Date()
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Record a successful attempt
+   * @param {string} id - Delivery ID
+   * @param {Object} response - { status }
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async markDelivered(id, response) {
+    return this.update(id, {
+      status: 'DELIVERED',
+      attempts: { increment: 1 },
+      response_status: response.status,
+      error_message: null,
+      next_attempt_at: null,
+      delivered_at: new Date()
+    });
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} id - Delivery ID
+   * @param {Object} failure - { status, error }
+   * @param {Date|null} nextAttemptAt - When to retry, or null to give up
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async markAttemptFailed(id, failure, nextAttemptAt) {
+    return this.update(id, {
+      status: nextAttemptAt ? 'PENDING' : 'FAILED',
+      attempts: { increment: 1 },
+      response_status: failure.status || null,
+      error_message: failure.error,
+      next_attempt_at: nextAttemptAt
+    });
+  }
+
+  /**
+   * Queue a delivery to be sent again now (manual redeliver)
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async requeue(id) {
+    return this.update(id, {
+      status: 'PENDING',
+      attempts: 0,
+      next_attempt_at: new Date(),
+      delivered_at: null
+    });
+  }
+
+  /**
+   * Park pending deliveries of a disabled endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {string} reason - Why they won't be sent
+   * @returns {Promise<Object>} Result with count
+   */
+  async failPendingForWebhook(webhookId, reason) {
+    return this.updateMany(
+      { webhook_id: webhookId, status: 'PENDING' },
+      {
+        status: 'FAILED',
+        error_message: reason,
+        next_attempt_at: null
+      }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookDeliveryRepository();
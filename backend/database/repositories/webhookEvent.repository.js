@@ -0,0 +1,158 @@
+/**
+ * Webhook Event Repository
+ *
+ * Handles database operations for inbound provider webhook events.
+ * Every authenticated callback is stored with its raw payload; the
+ * (provider, event_id) pair is unique so a redelivered event is only
+ * applied once.
+ *
+ * Location: src/database/repositories/webhookEvent.repository.js
+ */
+
+const BaseRepository = require('./base.repository');
+const logger = require('../../src/shared/utils/logger');
+const { DatabaseError } = require('../../src/shared/utils/ApiError');
+
+class WebhookEventRepository extends BaseRepository {
+  constructor() {
+    super('webhookEvent');
+  }
+
+  /**
+   * Find an event by provider and provider event ID
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async findByEventId(provider, eventId) {
+    return this.model.findUnique({
+      where: {
+        provider_event_id: {
+          provider,
+          event_id: eventId
+        }
+      }
+    });
+  }
+
+  /**
+   * Record a newly received event
+   * @param {Object} data - Event data (provider, event_id, event_type, reference, payload, headers)
+   * @returns {Promise<Object|null>} Created event, or null if it was already received
+   */
+  async createIfNew(data) {
+    try {
+      return await this.model.create({
+        data: {
+          ...data,
+          status: 'RECEIVED'
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+
+      logger.errorWithContext(error, {
+        method: 'createIfNew',
+        provider: data.provider,
+        eventId: data.event_id
+      });
+      throw new DatabaseError('Failed to record webhook event', error.message);
+    }
+  }
+
+  /**
+   * Take a previously failed event for another attempt.
+   * The status check is part of the update so concurrent redeliveries
+   * can't both process it.
+   * @param {string} id - Event ID
+   * @returns {Promise<boolean>} True if this caller now owns the event
+   */
+  async reclaimFailed(id) {
+    const result = await this.model.updateMany({
+      where: { id, status: 'FAILED' },
+      data: {
+        status: 'RECEIVED',
+        attempts: { increment: 1 },
+        error_message: null,
+        updated_at: new Date()
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Mark an event as applied
+   * @param {string} id - Event ID
+   * @param {Object} entity - { entity_type, entity_id } the event was applied to
+   * @returns {Promise<Object>} Updated event
+   */
+  async markProcessed(id, entity = {}) {
+    return this.update(id, {
+      status: 'PROCESSED',
+      ...entity,
+      processed_at: new Date()
+    });
+  }
+
+  /**
+   * Mark an event as received but not applicable (unknown reference,
+   * non-final status, or entity already in a final state)
+   * @param {string} id - Event ID
+   * @param {string} reason - Why the event was ignored
+   * @param {Object} entity - { entity_type, entity_id } if one was matched
+   * @returns {Promise<Object>} Updated event
+   */
+  async markIgnored(id, reason, entity = {}) {
+    return this.update(id, {
+      status: 'IGNORED',
+      ...entity,
+      error_message: reason,
+      processed_at: new Date()
+    });
+  }
+
+  /**
+   * Mark an event as failed so a redelivery or replay can retry it
+   * @param {string} id - Event ID
+   * @param {string} errorMessage - Error message
+   * @returns {Promise<Object>} Updated event
+   */
+  async markFailed(id, errorMessage) {
+    return this.update(id, {
+      status: 'FAILED',
+      error_message: errorMessage
+    });
+  }
+
+  /**
+   * List events (Admin)
+   * @param {Object} filters - { provider, status, reference }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated events
+   */
+  async list(filters = {}, pagination = {}) {
+    const { provider, status, reference } = filters;
+
+    const where = {};
+    if (provider) {
+      where.provider = provider;
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (reference) {
+      where.reference = reference;
+    }
+
+    return this.paginate(where, {
+      ...pagination,
+      orderBy: { received_at: 'desc' }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookEventRepository();
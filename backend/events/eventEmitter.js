@@ -3,17 +3,89 @@
  * 
  * Central event system for application-wide events.
  * Allows decoupled communication between services.
+ *
+ * Two delivery modes:
+ * - emitEvent(): in-memory, fire-and-forget (system/diagnostic events)
+ * - publish():   durable, written to the outbox table (pass the Prisma
+ *                transaction of the state change) and handed to the
+ *                registered handlers by the outbox worker, at least once
  * 
  * Location: src/events/eventEmitter.js
  */
 
 const EventEmitter = require('events');
+const outboxRepository = require('../database/repositories/outbox.repository');
 const logger = require('../src/shared/utils/logger');
 
 class ApplicationEventEmitter extends EventEmitter {
   constructor() {
     super();
     this.setMaxListeners(20); // Increase max listeners
+    this.handlers = new Map();
+  }
+
+  /**
+   * Publish a durable event through the outbox
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data (must be JSON serializable)
+   * @param {Object} options - { tx } Prisma transaction client of the state change
+   * @returns {Promise<Object>} Outbox event
+   */
+  async publish(eventName, data, options = {}) {
+    const payload = JSON.parse(JSON.stringify(data));
+    const event = await outboxRepository.enqueue(eventName, payload, options.tx);
+
+    logger.info('Event published', {
+      event: eventName,
+      outboxId: event.id,
+      data: logger.sanitize(payload)
+    });
+
+    return event;
+  }
+
+  /**
+   * Run every registered handler for an event and wait for them.
+   * Used by the outbox worker; unlike emitEvent, a failing handler makes
+   * the whole dispatch fail so the event is retried. Handlers that already
+   * completed on an earlier attempt are skipped, so a retry only re-runs
+   * the ones that failed.
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   * @param {Object} options - { eventId, completedHandlers, onHandlerCompleted(name) }
+   * @returns {Promise<number>} Number of handlers run
+   */
+  async dispatch(eventName, data, options = {}) {
+    const { eventId = null, completedHandlers = [], onHandlerCompleted } = options;
+    const handlers = this.handlers.get(eventName) || [];
+    const failures = [];
+    let run = 0;
+
+    for (const [index, handler] of handlers.entries()) {
+      const handlerName = handler.name || `handler${index}`;
+
+      if (completedHandlers.includes(handlerName)) {
+        continue;
+      }
+
+      try {
+        await handler(data, { eventId });
+        run++;
+      } catch (error) {
+        failures.push(`${handlerName}: ${error.message}`);
+        continue;
+      }
+
+      if (onHandlerCompleted) {
+        await onHandlerCompleted(handlerName);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} handler(s) failed for ${eventName}: ${failures.join('; ')}`);
+    }
+
+    return run;
   }
 
   /**
@@ -43,6 +115,8 @@ class ApplicationEventEmitter extends EventEmitter {
    * @param {Function} handler - Event handler
    */
   registerHandler(eventName, handler) {
+    this.handlers.set(eventName, [...(this.handlers.get(eventName) || []), handler]);
+
     this.on(eventName, async (data) => {
       try {
         logger.debug('Event handler triggered', {
@@ -97,6 +171,7 @@ class ApplicationEventEmitter extends EventEmitter {
    */
   removeAllHandlers(eventName) {
     this.removeAllListeners(eventName);
+    this.handlers.delete(eventName);
     logger.info('All event handlers removed', { event: eventName });
   }
 
@@ -151,6 +226,7 @@ const EVENT_NAMES = {
   PAYOUT_REQUESTED: 'payout.requested',
   PAYOUT_APPROVED: 'payout.approved',
   PAYOUT_PROCESSING: 'payout.processing',
+  PAYOUT_SUBMITTED: 'payout.submitted',
   PAYOUT_COMPLETED: 'payout.completed',
   PAYOUT_FAILED: 'payout.failed',
   PAYOUT_CANCELLED: 'payout.cancelled',
@@ -182,71 +258,148 @@ const EVENT_NAMES = {
   RECONCILIATION_FAILED: 'reconciliation.failed'
 };
 
+/**
+ * Events sellers can subscribe to with merchant webhooks
+ */
+const MERCHANT_WEBHOOK_EVENTS = Object.values(EVENT_NAMES).filter(name =>
+  /^(transaction|deposit|payout|balance)\./.test(name)
+);
+
 /**
  * Helper functions to emit common events
+ * Business events are published through the outbox and return a promise;
+ * pass { tx } to write them in the same transaction as the state change.
  */
 const eventHelpers = {
   /**
-   * Emit user registered event
+   * Publish user registered event
    */
-  userRegistered: (user) => {
-    appEvents.emitEvent(EVENT_NAMES.USER_REGISTERED, {
+  userRegistered: (user, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.USER_REGISTERED, {
       userId: user.id,
       email: user.email,
       businessName: user.business_name,
       timestamp: new Date()
-    });
+    }, options);
   },
 
   /**
-   * Emit transaction created event
+   * Publish transaction created event
    */
-  transactionCreated: (transaction) => {
-    appEvents.emitEvent(EVENT_NAMES.TRANSACTION_CREATED, {
+  transactionCreated: (transaction, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.TRANSACTION_CREATED, {
       transactionId: transaction.id,
       userId: transaction.user_id,
       type: transaction.transaction_type,
       amount: transaction.amount,
       status: transaction.status,
       timestamp: new Date()
-    });
+    }, options);
   },
 
   /**
-   * Emit deposit approved event
+   * Publish deposit approved event
    */
-  depositApproved: (deposit, approvedBy) => {
-    appEvents.emitEvent(EVENT_NAMES.DEPOSIT_APPROVED, {
+  depositApproved: (deposit, approvedBy, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.DEPOSIT_APPROVED, {
       depositId: deposit.id,
       userId: deposit.user_id,
       amount: deposit.amount,
+      currency: deposit.currency,
       approvedBy,
       timestamp: new Date()
-    });
+    }, options);
   },
 
   /**
-   * Emit payout completed event
+   * Publish deposit rejected event
    */
-  payoutCompleted: (payout) => {
-    appEvents.emitEvent(EVENT_NAMES.PAYOUT_COMPLETED, {
+  depositRejected: (deposit, reason, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.DEPOSIT_REJECTED, {
+      depositId: deposit.id,
+      userId: deposit.user_id,
+      amount: deposit.amount,
+      reason,
+      timestamp: new Date()
+    }, options);
+  },
+
+  /**
+   * Publish payout submitted event
+   */
+  payoutSubmitted: (payout, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.PAYOUT_SUBMITTED, {
       payoutId: payout.id,
       userId: payout.user_id,
       amount: payout.amount,
+      provider: payout.provider,
+      gatewayReference: payout.gateway_reference,
       timestamp: new Date()
-    });
+    }, options);
+  },
+
+  /**
+   * Publish payout completed event
+   */
+  payoutCompleted: (payout, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.PAYOUT_COMPLETED, {
+      payoutId: payout.id,
+      userId: payout.user_id,
+      amount: payout.amount,
+      timestamp: new Date()
+    }, options);
+  },
+
+  /**
+   * Publish payout failed event
+   */
+  payoutFailed: (payout, reason, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.PAYOUT_FAILED, {
+      payoutId: payout.id,
+      userId: payout.user_id,
+      amount: payout.amount,
+      reason,
+      timestamp: new Date()
+    }, options);
   },
 
   /**
-   * Emit balance credited event
+   * Publish transaction completed event
    */
-  balanceCredited: (userId, amount, source) => {
-    appEvents.emitEvent(EVENT_NAMES.BALANCE_CREDITED, {
+  transactionCompleted: (transaction, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.TRANSACTION_COMPLETED, {
+      transactionId: transaction.id,
+      userId: transaction.user_id,
+      type: transaction.transaction_type,
+      amount: transaction.amount,
+      timestamp: new Date()
+    }, options);
+  },
+
+  /**
+   * Publish transaction failed event
+   */
+  transactionFailed: (transaction, reason, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.TRANSACTION_FAILED, {
+      transactionId: transaction.id,
+      userId: transaction.user_id,
+      type: transaction.transaction_type,
+      amount: transaction.amount,
+      reason,
+      timestamp: new Date()
+    }, options);
+  },
+
+  /**
+   * Publish balance credited event
+   */
+  balanceCredited: (userId, amount, source, options = {}) => {
+    return appEvents.publish(EVENT_NAMES.BALANCE_CREDITED, {
       userId,
       amount,
       source,
       timestamp: new Date()
-    });
+    }, options);
   },
 
   /**
@@ -300,5 +453,6 @@ const eventHelpers = {
 module.exports = {
   appEvents,
   EVENT_NAMES,
+  MERCHANT_WEBHOOK_EVENTS,
   eventHelpers
 };
\ No newline at end of file
@@ -16,7 +16,7 @@ const balanceService = require('../../services/balance/balance.service');
  * @param {Object} eventData - Deposit event data
  */
 async function handleDepositApproved(eventData) {
-  const { depositId, userId, amount, approvedBy } = eventData;
+  const { depositId, userId, amount, currency, approvedBy } = eventData;
 
   try {
     logger.info('Handling deposit approved event', {
@@ -35,7 +35,7 @@ async function handleDepositApproved(eventData) {
     }
 
     // Get updated balance
-    const balance = await balanceService.getBalance(userId);
+    const balance = await balanceService.getBalance(userId, currency);
 
     // TODO: Send email notification to user
     // await emailService.sendDepositApprovedEmail(user.email, {
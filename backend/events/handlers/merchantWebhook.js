@@ -0,0 +1,45 @@
+/**
+ * Merchant Webhook Event Handler
+ *
+ * Forwards seller-facing events to the seller's registered webhook endpoints.
+ *
+ * Location: src/events/handlers/merchantWebhook.js
+ */
+
+const logger = require('../../src/shared/utils/logger');
+const merchantWebhookService = require('../../services/webhook/merchantWebhook.service');
+
+/**
+ * Create the handler that forwards one event
+ * Event handlers only receive the event data, so the name is bound here.
+ * Deliveries are keyed on the outbox event id, so a retried event does
+ * not send them twice.
+ * @param {string} eventName - EVENT_NAMES value
+ * @returns {Function} Event handler
+ */
+function createMerchantWebhookHandler(eventName) {
+  return async function handleMerchantWebhook(eventData, context = {}) {
+    try {
+      const queued = await merchantWebhookService.dispatch(eventName, eventData, context.eventId);
+
+      if (queued > 0) {
+        logger.debug('Merchant webhooks dispatched', {
+          event: eventName,
+          userId: eventData.userId,
+          endpoints: queued
+        });
+      }
+    } catch (error) {
+      logger.error('Error dispatching merchant webhooks', {
+        event: eventName,
+        userId: eventData?.userId,
+        error: error.message
+      });
+
+      // Let the outbox retry the event
+      throw error;
+    }
+  };
+}
+
+module.exports = createMerchantWebhookHandler;
@@ -6,9 +6,10 @@
  * Location: src/events/handlers/index.js
  */
 
-const { appEvents, EVENT_NAMES } = require('./eventEmitter');
+const { appEvents, EVENT_NAMES, MERCHANT_WEBHOOK_EVENTS } = require('./eventEmitter');
 const handleTransactionCreated = require('./handlers/transactionCreated');
 const handleDepositApproved = require('./handlers/depositApproved');
+const createMerchantWebhookHandler = require('./handlers/merchantWebhook');
 const logger = require('../src/shared/utils/logger');
 
 /**
@@ -29,6 +30,11 @@ function registerEventHandlers() {
     handleDepositApproved
   );
 
+  // Merchant webhooks
+  MERCHANT_WEBHOOK_EVENTS.forEach(eventName => {
+    appEvents.registerHandler(eventName, createMerchantWebhookHandler(eventName));
+  });
+
   // Add more handlers here as needed
   // appEvents.registerHandler(EVENT_NAMES.PAYOUT_COMPLETED, handlePayoutCompleted);
   // appEvents.registerHandler(EVENT_NAMES.BALANCE_LOW, handleBalanceLow);
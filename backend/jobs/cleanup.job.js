@@ -0,0 +1,86 @@
+/**
+ * Cleanup Job
+ *
+ * Purges rows that are only kept for a retention window:
+ * expired idempotency keys, processed outbox events, old job runs,
+ * expired password reset, email verification and refresh tokens, ended
+ * sessions and FX quotes that expired without being executed.
+ *
+ * Location: src/jobs/cleanup.job.js
+ */
+
+const idempotencyRepository = require('../database/repositories/idempotency.repository');
+const outboxRepository = require('../database/repositories/outbox.repository');
+const jobRunRepository = require('../database/repositories/jobRun.repository');
+const passwordResetTokenRepository = require('../database/repositories/passwordResetToken.repository');
+const emailVerificationTokenRepository = require('../database/repositories/emailVerificationToken.repository');
+const refreshTokenRepository = require('../database/repositories/refreshToken.repository');
+const sessionRepository = require('../database/repositories/session.repository');
+const approvalRequestRepository = require('../database/repositories/approvalRequest.repository');
+const fxQuoteRepository = require('../database/repositories/fxQuote.repository');
+const logger = require('../src/shared/utils/logger');
+const config = require('../src/config/environment.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CleanupJob {
+  /**
+   * Execute cleanup
+   */
+  async execute() {
+    const now = Date.now();
+
+    const idempotencyKeys = await idempotencyRepository.deleteExpired();
+    const outboxEvents = await outboxRepository.deleteProcessedBefore(
+      new Date(now - config.outbox.retentionDays * DAY_MS)
+    );
+    const jobRuns = await jobRunRepository.deleteFinishedBefore(
+      new Date(now - config.scheduler.runRetentionDays * DAY_MS)
+    );
+    // Kept until they leave the rate-limit window, which counts issued tokens
+    const passwordResetTokens = await passwordResetTokenRepository.deleteExpired(
+      new Date(now - config.passwordReset.windowMinutes * 60 * 1000)
+    );
+    const emailVerificationTokens = await emailVerificationTokenRepository.deleteExpired(new Date(now));
+    // Rotated refresh tokens are kept until they expire so reuse is still detected
+    const refreshTokens = await refreshTokenRepository.deleteExpired(new Date(now));
+    const sessions = await sessionRepository.deleteExpired(new Date(now));
+    // Executed quotes are kept as the record of their conversion
+    const fxQuotes = await fxQuoteRepository.deleteExpired(new Date(now));
+    // Not deleted: expired approval requests stay as part of the audit trail
+    const approvalRequests = await approvalRequestRepository.expireStale();
+
+    logger.info('Cleanup job completed', {
+      idempotencyKeys,
+      outboxEvents,
+      jobRuns,
+      passwordResetTokens,
+      emailVerificationTokens,
+      refreshTokens,
+      sessions,
+      fxQuotes,
+      expiredApprovalRequests: approvalRequests
+    });
+
+    return {
+      success: true,
+      deleted: {
+        idempotencyKeys,
+        outboxEvents,
+        jobRuns,
+        passwordResetTokens,
+        emailVerificationTokens,
+        refreshTokens,
+        sessions,
+        fxQuotes
+      },
+      expired: {
+        approvalRequests
+      },
+      timestamp: new Date()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CleanupJob();
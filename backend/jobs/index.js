@@ -0,0 +1,55 @@
+/**
+ * Scheduled Jobs Index
+ *
+ * Registers all cron-scheduled jobs with the scheduler.
+ * Schedules are configured in config.scheduler.jobs.
+ *
+ * Location: src/jobs/index.js
+ */
+
+const schedulerService = require('../services/scheduler/scheduler.service');
+const poolSyncJob = require('./poolSync.job');
+const payoutProcessorJob = require('./payoutProcessor.job');
+const reconciliationJob = require('./reconciliation.job');
+const cleanupJob = require('./cleanup.job');
+const config = require('../src/config/environment.config');
+const logger = require('../src/shared/utils/logger');
+
+/**
+ * Register all scheduled jobs
+ */
+function registerScheduledJobs() {
+  const { jobs } = config.scheduler;
+
+  schedulerService.register('pool-sync', {
+    cron: jobs.poolSync,
+    description: 'Sync the pool balance with the payment gateway',
+    handler: () => poolSyncJob.execute()
+  });
+
+  schedulerService.register('payout-processor', {
+    cron: jobs.payoutProcessor,
+    description: 'Process payouts waiting for a bank transfer',
+    handler: () => payoutProcessorJob.execute()
+  });
+
+  schedulerService.register('reconciliation', {
+    cron: jobs.reconciliation,
+    description: 'Reconcile the pool, user balances and the ledger',
+    handler: () => reconciliationJob.execute()
+  });
+
+  schedulerService.register('cleanup', {
+    cron: jobs.cleanup,
+    description: 'Purge expired idempotency keys, processed outbox events and old job runs',
+    handler: () => cleanupJob.execute()
+  });
+
+  logger.info('Scheduled jobs registered', {
+    jobs: Object.keys(jobs)
+  });
+}
+
+module.exports = {
+  registerScheduledJobs
+};
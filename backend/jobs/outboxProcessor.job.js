@@ -0,0 +1,103 @@
+/**
+ * Outbox Processor Job
+ *
+ * Polls the event outbox and hands published events to their handlers.
+ *
+ * Location: src/jobs/outboxProcessor.job.js
+ */
+
+const outboxService = require('../services/outbox/outbox.service');
+const logger = require('../src/shared/utils/logger');
+const config = require('../src/config/environment.config');
+
+class OutboxProcessorJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.pollIntervalMs = config.outbox.pollIntervalMs;
+  }
+
+  /**
+   * Drain ready events, batch after batch, until none are left
+   */
+  async execute() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      let results;
+
+      do {
+        results = await outboxService.processBatch();
+
+        if (results.processed + results.failed + results.dead > 0) {
+          logger.debug('Outbox batch handled', results);
+        }
+      } while (results.processed === config.outbox.batchSize);
+
+      return {
+        success: true,
+        timestamp: new Date()
+      };
+
+    } catch (error) {
+      logger.error('Outbox processor job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date()
+      };
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Start the scheduled job
+   */
+  start() {
+    if (this.interval) {
+      logger.warn('Outbox processor job already running');
+      return;
+    }
+
+    logger.info('Starting outbox processor job', {
+      pollIntervalMs: this.pollIntervalMs
+    });
+
+    this.interval = setInterval(() => this.execute(), this.pollIntervalMs);
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('Outbox processor job stopped');
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: this.interval !== null,
+      pollIntervalMs: this.pollIntervalMs
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OutboxProcessorJob();
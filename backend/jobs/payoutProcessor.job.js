@@ -1,23 +1,27 @@
 /**
  * Payout Processor Job
- * 
- * Automatically processes approved payouts in batches.
- * Runs periodically to check for processing payouts.
- * 
+ *
+ * Drives approved payouts to a final state:
+ * 1. Submits PROCESSING payouts that were approved but never reached the
+ *    provider (e.g. the process stopped between approval and submission).
+ * 2. Polls the provider for SUBMITTED payouts and settles or fails them,
+ *    for providers whose callbacks are missing or delayed.
+ *
+ * Scheduled by the job scheduler (config.scheduler.jobs.payoutProcessor).
+ *
  * Location: src/jobs/payoutProcessor.job.js
  */
 
 const payoutRepository = require('../database/repositories/payout.repository');
 const payoutService = require('../services/payout/payout.service');
 const logger = require('../src/shared/utils/logger');
-const { eventHelpers } = require('../events/eventEmitter');
+const config = require('../src/config/environment.config');
+const { PROVIDER_TRANSACTION_STATUS } = require('../src/config/constants.config');
 
 class PayoutProcessorJob {
   constructor() {
     this.isRunning = false;
-    this.interval = null;
-    this.processingIntervalMinutes = parseInt(process.env.PAYOUT_PROCESSING_INTERVAL) || 60; // 1 hour default
-    this.batchSize = parseInt(process.env.PAYOUT_BATCH_SIZE) || 10;
+    this.batchSize = config.payouts.batchSize;
   }
 
   /**
@@ -34,69 +38,25 @@ class PayoutProcessorJob {
     try {
       logger.info('Starting payout processor job');
 
-      // Get processing payouts
-      const processingPayouts = await payoutRepository.findMany(
-        { status: 'PROCESSING' },
-        {
-          take: this.batchSize,
-          include: {
-            user: {
-              select: {
-                id: true,
-                email: true,
-                business_name: true,
-                account_balance: true
-              }
-            }
-          }
-        }
-      );
-
-      if (processingPayouts.length === 0) {
-        logger.info('No processing payouts found');
-        return {
-          success: true,
-          processed: 0,
-          message: 'No payouts to process'
-        };
-      }
-
-      logger.info(`Found ${processingPayouts.length} payouts to process`);
-
       const results = {
-        successful: 0,
+        submitted: 0,
+        completed: 0,
         failed: 0,
+        pending: 0,
+        stale: 0,
         errors: []
       };
 
-      // Process each payout
-      for (const payout of processingPayouts) {
-        try {
-          await this.processSinglePayout(payout);
-          results.successful++;
-        } catch (error) {
-          results.failed++;
-          results.errors.push({
-            payoutId: payout.id,
-            error: error.message
-          });
-
-          logger.error('Failed to process payout', {
-            payoutId: payout.id,
-            userId: payout.user_id,
-            amount: payout.amount,
-            error: error.message
-          });
-        }
-
-        // Add delay between payouts to avoid overwhelming the system
-        await this.delay(1000); // 1 second delay
-      }
+      await this.submitUnsubmitted(results);
+      await this.pollSubmitted(results);
 
       logger.info('Payout processor job completed', {
-        total: processingPayouts.length,
-        successful: results.successful,
-        failed: results.failed
+        submitted: results.submitted,
+        completed: results.completed,
+        failed: results.failed,
+        pending: results.pending,
+        stale: results.stale,
+        errors: results.errors.length
       });
 
       return {
@@ -123,101 +83,90 @@ class PayoutProcessorJob {
   }
 
   /**
-   * Process a single payout
-   * @param {Object} payout - Payout to process
+   * Submit approved payouts that never reached the provider.
+   * The payout ID is the provider reference, so a payout that did reach the
+   * provider before the process stopped (or whose submission timed out) is
+   * answered with the existing transaction rather than sent again.
+   * @param {Object} results - Counters to update
    */
-  async processSinglePayout(payout) {
-    logger.info('Processing payout', {
-      payoutId: payout.id,
-      userId: payout.user_id,
-      amount: payout.amount
-    });
-
-    try {
-      // TODO: Integrate with actual payment gateway for bank transfers
-      // For now, simulate processing
-      const gatewayReference = `PAYOUT_${Date.now()}_${payout.id.substring(0, 8)}`;
-
-      // Complete the payout
-      await payoutRepository.completePayout(payout.id, gatewayReference);
-
-      // Emit event
-      eventHelpers.payoutCompleted(payout);
-
-      logger.info('Payout processed successfully', {
-        payoutId: payout.id,
-        gatewayReference
-      });
+  async submitUnsubmitted(results) {
+    const processedBefore = new Date(Date.now() - config.payouts.resubmitAfterMinutes * 60 * 1000);
+    const payouts = await payoutRepository.findUnsubmitted(processedBefore, this.batchSize);
+
+    for (const payout of payouts) {
+      try {
+        const updated = await payoutService.submitPayout(payout);
+
+        if (updated.status === 'SUBMITTED') {
+          results.submitted++;
+        } else if (updated.status === 'COMPLETED') {
+          results.completed++;
+        } else {
+          results.failed++;
+        }
+      } catch (error) {
+        // A rejected payout has been failed and its funds released; one with
+        // an unknown outcome stays PROCESSING for the next run
+        if ((await payoutRepository.findById(payout.id))?.status === 'FAILED') {
+          results.failed++;
+        }
+        results.errors.push({
+          payoutId: payout.id,
+          error: error.message
+        });
+      }
 
-    } catch (error) {
-      // Fail the payout
-      await payoutRepository.failPayout(payout.id, error.message);
-      throw error;
+      // Add delay between payouts to avoid overwhelming the provider
+      await this.delay(1000);
     }
   }
 
   /**
-   * Start the scheduled job
+   * Poll the provider for payouts awaiting settlement
+   * @param {Object} results - Counters to update
    */
-  start() {
-    if (this.interval) {
-      logger.warn('Payout processor job already running');
-      return;
-    }
-
-    logger.info('Starting payout processor job', {
-      intervalMinutes: this.processingIntervalMinutes,
-      batchSize: this.batchSize
-    });
-
-    // Run immediately on start
-    this.execute();
-
-    // Then run periodically
-    this.interval = setInterval(
-      () => this.execute(),
-      this.processingIntervalMinutes * 60 * 1000
-    );
+  async pollSubmitted(results) {
+    const staleBefore = new Date(Date.now() - config.payouts.staleAfterHours * 60 * 60 * 1000);
+    const payouts = await payoutRepository.findSubmitted(this.batchSize);
 
-    logger.info('Payout processor job scheduled', {
-      nextRun: new Date(Date.now() + this.processingIntervalMinutes * 60 * 1000)
-    });
-  }
+    for (const payout of payouts) {
+      try {
+        const status = await payoutService.pollSubmittedPayout(payout);
 
-  /**
-   * Stop the scheduled job
-   */
-  stop() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
-      logger.info('Payout processor job stopped');
+        if (status === PROVIDER_TRANSACTION_STATUS.COMPLETED) {
+          results.completed++;
+        } else if (status === PROVIDER_TRANSACTION_STATUS.FAILED) {
+          results.failed++;
+        } else {
+          results.pending++;
+
+          if (payout.submitted_at < staleBefore) {
+            results.stale++;
+            logger.error('Payout has been awaiting settlement too long, review required', {
+              payoutId: payout.id,
+              provider: payout.provider,
+              gatewayReference: payout.gateway_reference,
+              submittedAt: payout.submitted_at,
+              statusChecks: payout.status_checks + 1
+            });
+          }
+        }
+      } catch (error) {
+        // Lookup failures leave the payout SUBMITTED for the next run
+        results.errors.push({
+          payoutId: payout.id,
+          error: error.message
+        });
+
+        logger.warn('Failed to poll payout status', {
+          payoutId: payout.id,
+          provider: payout.provider,
+          error: error.message
+        });
+      }
     }
   }
 
-  /**
-   * Force process immediately
-   */
-  async forceProcess() {
-    logger.info('Force payout processing requested');
-    return await this.execute();
-  }
-
-  /**
-   * Get job status
-   */
-  getStatus() {
-    return {
-      isRunning: this.isRunning,
-      isScheduled: this.interval !== null,
-      intervalMinutes: this.processingIntervalMinutes,
-      batchSize: this.batchSize,
-      nextRun: this.interval 
-        ? new Date(Date.now() + this.processingIntervalMinutes * 60 * 1000)
-        : null
-    };
-  }
-
   /**
    * Helper delay function
    */
@@ -227,4 +176,4 @@ class PayoutProcessorJob {
 }
 
 // Export singleton instance
-module.exports = new PayoutProcessorJob();
\ No newline at end of file
+module.exports = new PayoutProcessorJob();
@@ -1,26 +1,25 @@
 /**
  * Pool Sync Job
  * 
- * Periodically syncs the local pool account balance with the external gateway.
- * Runs every X minutes (configured via POOL_SYNC_INTERVAL env variable).
+ * Periodically syncs each currency's local pool account balance with its
+ * gateway wallet.
+ * Scheduled by the job scheduler (config.scheduler.jobs.poolSync).
  * 
  * Location: src/jobs/poolSync.job.js
  */
 
 const poolAccountService = require('../services/poolAccount/poolAccount.service');
 const paymentGatewayService = require('../services/payment/paymentGateway.service');
-const logger = require('../src/shared/utils/logger');
 const config = require('../src/config/environment.config');
+const logger = require('../src/shared/utils/logger');
 
 class PoolSyncJob {
   constructor() {
     this.isRunning = false;
-    this.interval = null;
-    this.syncIntervalMinutes = parseInt(process.env.POOL_SYNC_INTERVAL) || 30;
   }
 
   /**
-   * Execute pool balance sync
+   * Execute pool balance sync for every supported currency
    */
   async execute() {
     if (this.isRunning) {
@@ -33,22 +32,48 @@ class PoolSyncJob {
     try {
       logger.info('Starting pool balance sync job');
 
+      const results = [];
+
+      // One currency's failure should not hold up the others
+      for (const currency of config.pool.currencies) {
+        results.push(await this.syncCurrency(currency));
+      }
+
+      return {
+        success: results.every(result => result.success),
+        syncedAt: new Date(),
+        pools: results
+      };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Sync one currency's pool with its gateway wallet
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Sync result
+   */
+  async syncCurrency(currency) {
+    try {
       // Get balance from gateway
-      const syncResult = await paymentGatewayService.syncPoolBalance();
+      const syncResult = await paymentGatewayService.syncPoolBalance(currency);
 
       if (!syncResult.success) {
         throw new Error('Gateway sync failed');
       }
 
       // Get current pool status
-      const currentPool = await poolAccountService.getPoolStatus();
+      const currentPool = await poolAccountService.getPoolStatus(currency);
 
       // Reconcile with gateway balance
       const reconciliation = await poolAccountService.reconcileWithGateway(
-        syncResult.gateway_balance
+        syncResult.gateway_balance,
+        { currency }
       );
 
       logger.info('Pool sync completed', {
+        currency,
         gatewayBalance: syncResult.gateway_balance,
         localBalance: currentPool.totalBalance,
         reconciled: reconciliation.reconciled,
@@ -56,7 +81,7 @@ class PoolSyncJob {
       });
 
       // Check pool health after sync
-      const health = await poolAccountService.getPoolHealth();
+      const health = await poolAccountService.getPoolHealth(currency);
 
       if (health.status === 'critical') {
         logger.error('Pool account is in critical state', {
@@ -76,7 +101,7 @@ class PoolSyncJob {
 
       return {
         success: true,
-        syncedAt: new Date(),
+        currency,
         gatewayBalance: syncResult.gateway_balance,
         localBalance: currentPool.totalBalance,
         health: health.status
@@ -84,77 +109,16 @@ class PoolSyncJob {
 
     } catch (error) {
       logger.errorWithContext(error, {
-        job: 'poolSync'
+        job: 'poolSync',
+        currency
       });
 
       return {
         success: false,
-        error: error.message,
-        syncedAt: new Date()
+        currency,
+        error: error.message
       };
-    } finally {
-      this.isRunning = false;
-    }
-  }
-
-  /**
-   * Start the scheduled job
-   */
-  start() {
-    if (this.interval) {
-      logger.warn('Pool sync job already running');
-      return;
     }
-
-    logger.info('Starting pool sync job', {
-      intervalMinutes: this.syncIntervalMinutes
-    });
-
-    // Run immediately on start
-    this.execute();
-
-    // Then run periodically
-    this.interval = setInterval(
-      () => this.execute(),
-      this.syncIntervalMinutes * 60 * 1000
-    );
-
-    logger.info('Pool sync job scheduled', {
-      nextRun: new Date(Date.now() + this.syncIntervalMinutes * 60 * 1000)
-    });
-  }
-
-  /**
-   * Stop the scheduled job
-   */
-  stop() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
-      logger.info('Pool sync job stopped');
-    }
-  }
-
-  /**
-   * Force sync immediately
-   */
-  async forceSync() {
-    logger.info('Force sync requested');
-    return await this.execute();
-  }
-
-  /**
-   * Get job status
-   */
-  getStatus() {
-    return {
-      isRunning: this.isRunning,
-      isScheduled: this.interval !== null,
-      intervalMinutes: this.syncIntervalMinutes,
-      nextRun: this.interval 
-        ? new Date(Date.now() + this.syncIntervalMinutes * 60 * 1000)
-        : null
-    };
   }
 }
 
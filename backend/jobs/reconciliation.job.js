@@ -2,22 +2,25 @@
  * Reconciliation Job
  * 
  * Periodically reconciles pool account with gateway and user balances.
- * Ensures financial integrity across the system.
+ * Ensures financial integrity across the system. Pool and total balance
+ * checks run once per supported currency.
+ * Scheduled by the job scheduler (config.scheduler.jobs.reconciliation).
  * 
  * Location: src/jobs/reconciliation.job.js
  */
 
 const poolAccountService = require('../services/poolAccount/poolAccount.service');
 const balanceRepository = require('../database/repositories/balance.repository');
+const transactionRepository = require('../database/repositories/transaction.repository');
 const ledgerService = require('../services/balance/ledger.service');
+const hashChainService = require('../services/integrity/hashChain.service');
+const config = require('../src/config/environment.config');
 const logger = require('../src/shared/utils/logger');
 const { eventHelpers } = require('../events/eventEmitter');
 
 class ReconciliationJob {
   constructor() {
     this.isRunning = false;
-    this.interval = null;
-    this.reconciliationIntervalHours = parseInt(process.env.RECONCILIATION_INTERVAL) || 24; // Daily default
   }
 
   /**
@@ -30,6 +33,7 @@ class ReconciliationJob {
     }
 
     this.isRunning = true;
+    this.discrepancies = [];
 
     try {
       logger.info('Starting reconciliation job');
@@ -39,13 +43,18 @@ class ReconciliationJob {
         poolReconciliation: null,
         balanceReconciliation: null,
         ledgerReconciliation: null,
+        journalReconciliation: null,
+        hashChainVerification: null,
+        unsettledSales: null,
         discrepancies: [],
         warnings: []
       };
 
       // 1. Reconcile pool account
       try {
-        results.poolReconciliation = await this.reconcilePoolAccount();
+        results.poolReconciliation = await this.forEachCurrency(
+          currency => this.reconcilePoolAccount(currency)
+        );
       } catch (error) {
         logger.error('Pool reconciliation failed', { error: error.message });
         results.warnings.push({
@@ -56,7 +65,9 @@ class ReconciliationJob {
 
       // 2. Reconcile total allocated balances
       try {
-        results.balanceReconciliation = await this.reconcileTotalBalances();
+        results.balanceReconciliation = await this.forEachCurrency(
+          currency => this.reconcileTotalBalances(currency)
+        );
       } catch (error) {
         logger.error('Balance reconciliation failed', { error: error.message });
         results.warnings.push({
@@ -76,6 +87,45 @@ class ReconciliationJob {
         });
       }
 
+      // 4. Reconcile pool account against the double-entry journal
+      try {
+        results.journalReconciliation = await this.forEachCurrency(
+          currency => this.reconcilePoolLedger(currency)
+        );
+      } catch (error) {
+        logger.error('Journal reconciliation failed', { error: error.message });
+        results.warnings.push({
+          type: 'journal_reconciliation',
+          message: error.message
+        });
+      }
+
+      // 5. Verify the journal and audit log hash chains
+      try {
+        results.hashChainVerification = await this.verifyHashChains();
+      } catch (error) {
+        logger.error('Hash chain verification failed', { error: error.message });
+        results.warnings.push({
+          type: 'hash_chain_verification',
+          message: error.message
+        });
+      }
+
+      // 6. Report delivered sales whose settlement failed
+      try {
+        results.unsettledSales = await this.forEachCurrency(
+          currency => this.checkUnsettledSales(currency)
+        );
+      } catch (error) {
+        logger.error('Unsettled sales check failed', { error: error.message });
+        results.warnings.push({
+          type: 'unsettled_sales',
+          message: error.message
+        });
+      }
+
+      results.discrepancies = this.discrepancies;
+
       // Check for critical discrepancies
       if (results.discrepancies.length > 0) {
         logger.error('Reconciliation found discrepancies', {
@@ -119,17 +169,33 @@ class ReconciliationJob {
     }
   }
 
+  /**
+   * Run a check once per supported currency
+   * @param {Function} check - Called with each currency code
+   * @returns {Promise<Array<Object>>} One result per currency
+   */
+  async forEachCurrency(check) {
+    const results = [];
+
+    for (const currency of config.pool.currencies) {
+      results.push(await check(currency));
+    }
+
+    return results;
+  }
+
   /**
    * Reconcile pool account balances
+   * @param {string} currency - Currency code
    */
-  async reconcilePoolAccount() {
-    logger.info('Reconciling pool account');
+  async reconcilePoolAccount(currency) {
+    logger.info('Reconciling pool account', { currency });
 
     // Get pool status
-    const poolStatus = await poolAccountService.getPoolStatus();
+    const poolStatus = await poolAccountService.getPoolStatus(currency);
 
     // Get total allocated from users
-    const totalAllocated = await balanceRepository.getTotalAllocated();
+    const totalAllocated = await balanceRepository.getTotalAllocated(currency);
 
     // Calculate discrepancy
     const poolAllocated = poolStatus.allocatedBalance;
@@ -137,6 +203,7 @@ class ReconciliationJob {
     const difference = Math.abs(poolAllocated - userAllocated);
 
     const result = {
+      currency,
       poolAllocated,
       userAllocated,
       difference,
@@ -159,16 +226,93 @@ class ReconciliationJob {
     return result;
   }
 
+  /**
+   * Reconcile pool account balances against the journal
+   * Also verifies the journal's debits equal its credits
+   * @param {string} currency - Currency code
+   */
+  async reconcilePoolLedger(currency) {
+    logger.info('Reconciling pool account against journal', { currency });
+
+    const result = await ledgerService.reconcilePool(currency);
+
+    if (!result.isReconciled) {
+      logger.error('Pool journal mismatch detected', result);
+
+      this.discrepancies = this.discrepancies || [];
+      this.discrepancies.push({
+        type: result.trialBalance.isBalanced ? 'pool_journal' : 'unbalanced_journal',
+        severity: 'critical',
+        ...result
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify the journal and audit log have not been edited after the fact
+   */
+  async verifyHashChains() {
+    logger.info('Verifying hash chains');
+
+    const results = await hashChainService.verifyAll();
+
+    for (const result of results) {
+      if (!result.isValid) {
+        logger.error('Hash chain broken', result);
+
+        this.discrepancies = this.discrepancies || [];
+        this.discrepancies.push({
+          type: 'hash_chain',
+          severity: 'critical',
+          ...result
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Report sales the provider delivered but that could not be settled;
+   * their funds stay reserved until a provider callback (or an admin
+   * replaying it) settles them
+   * @param {string} currency - Currency code
+   */
+  async checkUnsettledSales(currency) {
+    const sales = await transactionRepository.findUnsettledSales(currency);
+
+    const result = {
+      currency,
+      count: sales.length,
+      amount: sales.reduce((sum, sale) => sum + parseFloat(sale.amount), 0),
+      transactionIds: sales.map(sale => sale.id)
+    };
+
+    if (sales.length > 0) {
+      this.discrepancies.push({
+        type: 'unsettled_sale',
+        severity: 'warning',
+        ...result
+      });
+    }
+
+    return result;
+  }
+
   /**
    * Reconcile total allocated balances
+   * @param {string} currency - Currency code
    */
-  async reconcileTotalBalances() {
-    logger.info('Reconciling total balances');
+  async reconcileTotalBalances(currency) {
+    logger.info('Reconciling total balances', { currency });
 
-    const poolStatus = await poolAccountService.getPoolStatus();
-    const totalAllocated = await balanceRepository.getTotalAllocated();
+    const poolStatus = await poolAccountService.getPoolStatus(currency);
+    const totalAllocated = await balanceRepository.getTotalAllocated(currency);
 
     const result = {
+      currency,
       pool: {
         total: poolStatus.totalBalance,
         allocated: poolStatus.allocatedBalance,
@@ -230,7 +374,7 @@ class ReconciliationJob {
 
     for (const balance of allBalances) {
       try {
-        const reconciliation = await ledgerService.reconcileBalance(balance.user_id);
+        const reconciliation = await ledgerService.reconcileBalance(balance.user_id, balance.currency);
 
         if (reconciliation.isReconciled) {
           results.reconciled++;
@@ -253,6 +397,7 @@ class ReconciliationJob {
       } catch (error) {
         results.errors.push({
           userId: balance.user_id,
+          currency: balance.currency,
           error: error.message
         });
       }
@@ -283,7 +428,7 @@ class ReconciliationJob {
 
     for (const balance of allBalances) {
       try {
-        const reconciliation = await ledgerService.reconcileBalance(balance.user_id);
+        const reconciliation = await ledgerService.reconcileBalance(balance.user_id, balance.currency);
 
         if (reconciliation.isReconciled) {
           results.reconciled++;
@@ -301,6 +446,7 @@ class ReconciliationJob {
       } catch (error) {
         results.errors.push({
           userId: balance.user_id,
+          currency: balance.currency,
           error: error.message
         });
       }
@@ -312,82 +458,31 @@ class ReconciliationJob {
   }
 
   /**
-   * Generate reconciliation report
+   * Generate reconciliation report, one section per currency
    */
   async generateReport() {
     logger.info('Generating reconciliation report');
 
-    const [poolStatus, totalAllocated, balanceStats] = await Promise.all([
-      poolAccountService.getPoolStatus(),
-      balanceRepository.getTotalAllocated(),
-      balanceRepository.getStats()
-    ]);
-
-    return {
-      timestamp: new Date(),
-      pool: poolStatus,
-      allocated: totalAllocated,
-      statistics: balanceStats,
-      health: await poolAccountService.getPoolHealth()
-    };
-  }
-
-  /**
-   * Start the scheduled job
-   */
-  start() {
-    if (this.interval) {
-      logger.warn('Reconciliation job already running');
-      return;
-    }
+    const currencies = await this.forEachCurrency(async (currency) => {
+      const [poolStatus, totalAllocated, balanceStats, health] = await Promise.all([
+        poolAccountService.getPoolStatus(currency),
+        balanceRepository.getTotalAllocated(currency),
+        balanceRepository.getStats(currency),
+        poolAccountService.getPoolHealth(currency)
+      ]);
 
-    logger.info('Starting reconciliation job', {
-      intervalHours: this.reconciliationIntervalHours
+      return {
+        currency,
+        pool: poolStatus,
+        allocated: totalAllocated,
+        statistics: balanceStats,
+        health
+      };
     });
 
-    // Run immediately on start
-    this.execute();
-
-    // Then run periodically
-    this.interval = setInterval(
-      () => this.execute(),
-      this.reconciliationIntervalHours * 60 * 60 * 1000
-    );
-
-    const nextRun = new Date(Date.now() + this.reconciliationIntervalHours * 60 * 60 * 1000);
-    logger.info('Reconciliation job scheduled', { nextRun });
-  }
-
-  /**
-   * Stop the scheduled job
-   */
-  stop() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
-      logger.info('Reconciliation job stopped');
-    }
-  }
-
-  /**
-   * Force reconciliation immediately
-   */
-  async forceReconciliation() {
-    logger.info('Force reconciliation requested');
-    return await this.execute();
-  }
-
-  /**
-   * Get job status
-   */
-  getStatus() {
     return {
-      isRunning: this.isRunning,
-      isScheduled: this.interval !== null,
-      intervalHours: this.reconciliationIntervalHours,
-      nextRun: this.interval 
-        ? new Date(Date.now() + this.reconciliationIntervalHours * 60 * 60 * 1000)
-        : null
+      timestamp: new Date(),
+      currencies
     };
   }
 }
@@ -0,0 +1,109 @@
+/**
+ * Webhook Delivery Job
+ *
+ * Retries merchant webhook deliveries whose backoff has elapsed.
+ * First attempts are made as soon as the event is emitted; this job only
+ * picks up the retries.
+ *
+ * Location: src/jobs/webhookDelivery.job.js
+ */
+
+const merchantWebhookService = require('../services/webhook/merchantWebhook.service');
+const logger = require('../src/shared/utils/logger');
+const config = require('../src/config/environment.config');
+
+class WebhookDeliveryJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.intervalSeconds = config.webhooks.retryIntervalSeconds;
+    this.batchSize = parseInt(process.env.WEBHOOK_RETRY_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Execute due retries
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.warn('Webhook delivery job already running, skipping');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const result = await merchantWebhookService.retryDue(this.batchSize);
+
+      if (result.attempted > 0) {
+        logger.info('Webhook delivery retries completed', result);
+      }
+
+      return {
+        success: true,
+        ...result,
+        timestamp: new Date()
+      };
+
+    } catch (error) {
+      logger.error('Webhook delivery job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date()
+      };
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Start the scheduled job
+   */
+  start() {
+    if (this.interval) {
+      logger.warn('Webhook delivery job already running');
+      return;
+    }
+
+    logger.info('Starting webhook delivery job', {
+      intervalSeconds: this.intervalSeconds,
+      batchSize: this.batchSize
+    });
+
+    this.interval = setInterval(
+      () => this.execute(),
+      this.intervalSeconds * 1000
+    );
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('Webhook delivery job stopped');
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: this.interval !== null,
+      intervalSeconds: this.intervalSeconds,
+      batchSize: this.batchSize
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookDeliveryJob();
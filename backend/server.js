@@ -13,11 +13,14 @@ const config = require('./src/config/environment.config');
 const logger = require('./src/shared/utils/logger');
 const { testConnection, disconnect } = require('./src/config/database.config');
 const poolAccountService = require('./services/poolAccount/poolAccount.service');
+const limitService = require('./services/limit/limit.service');
 const paymentGatewayService = require('./services/payment/paymentGateway.service');
-const poolSyncJob = require('./jobs/poolSync.job');
-const payoutProcessorJob = require('./jobs/payoutProcessor.job');
-const reconciliationJob = require('./jobs/reconciliation.job');
+const paymentFactory = require('./services/payment/paymentFactory');
+const schedulerService = require('./services/scheduler/scheduler.service');
+const webhookDeliveryJob = require('./jobs/webhookDelivery.job');
+const outboxProcessorJob = require('./jobs/outboxProcessor.job');
 const { registerEventHandlers } = require('./events');
+const { registerScheduledJobs } = require('./jobs');
 
 const PORT = config.app.port;
 
@@ -42,44 +45,53 @@ async function initialize() {
 
     logger.info('Database connected successfully');
 
-    // Initialize pool account if needed
-    logger.info('Checking pool account...');
-    const poolStatus = await poolAccountService.getPoolStatus();
-    
-    if (poolStatus) {
+    // Initialize a pool account per currency if needed (posts the opening balance to the ledger)
+    logger.info('Checking pool accounts...');
+    await poolAccountService.initializePools();
+
+    for (const poolStatus of await poolAccountService.getAllPoolStatuses()) {
       logger.info('Pool account status:', {
+        currency: poolStatus.currency,
         totalBalance: poolStatus.totalBalance,
         allocatedBalance: poolStatus.allocatedBalance,
         unallocatedBalance: poolStatus.unallocatedBalance
       });
-    } else {
-      logger.info('Initializing pool account...');
-      await poolAccountService.initializePool();
     }
 
-    // Test gateway connection
-    logger.info('Testing payment gateway connection...');
-    const gatewayHealth = await paymentGatewayService.checkHealth();
+    // Create the default transaction limits on first start
+    await limitService.initializeDefaults();
+
+    // Deliver published events to their handlers
+    outboxProcessorJob.start();
+
+    // Webhook retries don't depend on the payment gateway
+    if (config.features.enableWebhooks) {
+      webhookDeliveryJob.start();
+    }
+
+    // Test default payment provider connection
+    logger.info('Testing payment gateway connection...', {
+      provider: config.payment.provider
+    });
+    const gatewayHealth = await paymentFactory.getDefaultProvider().checkHealth();
     
     if (gatewayHealth.status === 'healthy') {
       logger.info('Payment gateway connected successfully');
-      
-      // Start pool sync job
-      logger.info('Starting pool sync job...');
-      poolSyncJob.start();
-
-      // Start payout processor job
-      logger.info('Starting payout processor job...');
-      payoutProcessorJob.start();
-
-      // Start reconciliation job
-      logger.info('Starting reconciliation job...');
-      reconciliationJob.start();
     } else {
       logger.warn('Payment gateway is unavailable', {
         error: gatewayHealth.error
       });
-      logger.warn('Jobs will retry when gateway becomes available');
+      logger.warn('Gateway jobs will fail until the gateway becomes available');
+    }
+
+    // Scheduled jobs (pool sync, payout processing, reconciliation, cleanup).
+    // Registered everywhere so admins can trigger them; only scheduler-enabled
+    // instances run them on schedule.
+    registerScheduledJobs();
+
+    if (config.scheduler.enabled) {
+      logger.info('Starting job scheduler...');
+      schedulerService.start();
     }
 
     logger.info('Application initialized successfully');
@@ -121,9 +133,9 @@ async function startServer() {
         try {
           // Stop all jobs
           logger.info('Stopping scheduled jobs...');
-          poolSyncJob.stop();
-          payoutProcessorJob.stop();
-          reconciliationJob.stop();
+          schedulerService.stop();
+          webhookDeliveryJob.stop();
+          outboxProcessorJob.stop();
 
           // Disconnect from database
           logger.info('Disconnecting from database...');
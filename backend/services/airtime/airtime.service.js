@@ -7,16 +7,16 @@
  * Location: backend/services/airtime/airtime.service.js
  */
 
-const paymentGatewayService = require('../payment/paymentGateway.service');
+const paymentFactory = require('../payment/paymentFactory');
 const balanceService = require('../balance/balance.service');
-const transactionRepository = require('../../database/repositories/transaction.repository');
+const commissionService = require('../commission/commission.service');
 const logger = require('../../src/shared/utils/logger');
 const config = require('../../src/config/environment.config');
+const { PAYMENT_OPERATIONS, PAYMENT_PRODUCTS, LIMIT_PRODUCTS } = require('../../src/config/constants.config');
 const {
   BadRequestError,
   InsufficientBalanceError,
-  ServiceUnavailableError,
-  PaymentFailedError
+  ServiceUnavailableError
 } = require('../../src/shared/utils/ApiError');
 
 class AirtimeService {
@@ -26,23 +26,16 @@ class AirtimeService {
    */
   async getSupportedCarriers() {
     try {
-      const token = await paymentGatewayService.authenticate();
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.AIRTIME);
 
-      const response = await paymentGatewayService.client.get('/airtime/carriers', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (!response.data.success) {
-        throw new ServiceUnavailableError('Payment Gateway', 'Failed to retrieve carriers');
-      }
+      const carriers = await provider.getCatalog('carriers');
 
       logger.info('Carriers retrieved', {
-        count: response.data.data?.length || 0
+        provider: provider.name,
+        count: carriers?.length || 0
       });
 
-      return response.data.data;
+      return carriers;
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'getSupportedCarriers'
@@ -58,31 +51,18 @@ class AirtimeService {
    */
   async getVoucherValues(carrier) {
     try {
-      const token = await paymentGatewayService.authenticate();
-
-      const response = await paymentGatewayService.client.get(
-        `/airtime/direct/${carrier}/values`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.AIRTIME);
 
-      if (!response.data.success) {
-        throw new ServiceUnavailableError('Payment Gateway', 'Failed to retrieve voucher values');
-      }
+      const voucherValues = await provider.getCatalog('voucher_values', { carrier });
 
       logger.info('Voucher values retrieved', {
+        provider: provider.name,
         carrier,
-        valuesCount: response.data.data?.length || 0,
-        allowCustomAmount: response.data.allow_custom_amount
+        valuesCount: voucherValues.values?.length || 0,
+        allowCustomAmount: voucherValues.allowCustomAmount
       });
 
-      return {
-        values: response.data.data,
-        allowCustomAmount: response.data.allow_custom_amount
-      };
+      return voucherValues;
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'getVoucherValues',
@@ -99,102 +79,81 @@ class AirtimeService {
    * @returns {Promise<Object>} Purchase result
    */
   async buyDirectAirtime(userId, purchaseData) {
-    const { mobile_phone, amount, currency = 'USD' } = purchaseData;
+    const { mobile_phone, amount, currency = config.pool.currency } = purchaseData;
 
     try {
-      // Validate amount limits
-      if (amount < config.limits.minTransactionAmount) {
-        throw new BadRequestError(`Minimum airtime purchase is $${config.limits.minTransactionAmount}`);
-      }
-
       // Check user balance
-      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount);
+      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount, currency);
       
       if (!hasSufficientBalance) {
-        const balance = await balanceService.getBalance(userId);
+        const balance = await balanceService.getBalance(userId, currency);
         throw new InsufficientBalanceError(amount, balance.available);
       }
 
-      // Reserve funds
-      await balanceService.reserveFunds(userId, amount);
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.AIRTIME, { userId });
 
-      let transaction;
+      // Check the airtime and sales limits of the seller, reserve the
+      // funds and record the sale as pending
+      const sale = await commissionService.reserveSale({
+        user_id: userId,
+        amount,
+        currency,
+        description: `Direct airtime to ${mobile_phone}`,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.AIRTIME_DIRECT,
+          provider: provider.name,
+          mobile_phone
+        }
+      }, LIMIT_PRODUCTS.AIRTIME);
 
-      try {
-        // Authenticate with gateway
-        const token = await paymentGatewayService.authenticate();
+      let result;
 
+      try {
         // Make airtime purchase request
-        const response = await paymentGatewayService.client.post(
-          '/airtime/direct',
-          {
-            mobile_phone,
-            amount,
-            currency
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          }
-        );
-
-        if (!response.data.success) {
-          throw new PaymentFailedError('Airtime purchase failed', response.data.message);
-        }
-
-        // Create transaction record
-        transaction = await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
+        result = await provider.charge({
+          product: PAYMENT_PRODUCTS.AIRTIME_DIRECT,
           amount,
           currency,
-          status: 'COMPLETED',
-          description: `Direct airtime to ${mobile_phone}`,
-          customer_name: response.data.data.name,
-          metadata: {
-            service_type: 'airtime_direct',
-            mobile_phone,
-            carrier: response.data.data.name,
-            commission: response.data.data.commission,
-            gateway_response: response.data.data
-          },
-          completed_at: new Date()
+          details: { mobile_phone }
         });
+      } catch (error) {
+        // Nothing was delivered: release the reserved funds
+        await commissionService.failSale(sale, error);
 
-        // Deduct from user balance (complete reserved transaction)
-        await balanceService.completeReservedTransaction(userId, amount);
+        throw error;
+      }
 
-        logger.info('Direct airtime purchased', {
-          transactionId: transaction.id,
-          userId,
-          amount,
+      const details = result.details;
+
+      // Delivered: record the sale, settle the reserved funds and credit
+      // the seller's commission. Nothing is rolled back from here on.
+      const transaction = await commissionService.recordDeliveredSale(sale, {
+        status: 'COMPLETED',
+        gateway_transaction_id: result.reference,
+        customer_name: details.name,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.AIRTIME_DIRECT,
+          provider: provider.name,
           mobile_phone,
-          carrier: response.data.data.name
-        });
-
-        return {
-          transaction,
-          details: response.data.data
-        };
-
-      } catch (error) {
-        // Rollback: Release reserved funds
-        await balanceService.releaseReservedFunds(userId, amount);
+          carrier: details.name,
+          commission: result.commission,
+          gateway_response: details
+        },
+        completed_at: new Date()
+      }, PAYMENT_PRODUCTS.AIRTIME_DIRECT, result.commission);
 
-        // Create failed transaction record
-        await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
-          amount,
-          status: 'FAILED',
-          description: `Failed airtime purchase to ${mobile_phone}`,
-          error_message: error.message,
-          failed_at: new Date()
-        });
+      logger.info('Direct airtime purchased', {
+        transactionId: transaction.id,
+        userId,
+        amount,
+        mobile_phone,
+        carrier: details.name
+      });
 
-        throw error;
-      }
+      return {
+        transaction,
+        details
+      };
 
     } catch (error) {
       logger.errorWithContext(error, {
@@ -215,101 +174,92 @@ class AirtimeService {
    * @returns {Promise<Object>} Purchase result with vouchers
    */
   async buyVoucherAirtime(userId, carrier, purchaseData) {
-    const { amount, currency = 'USD', quantity = 1 } = purchaseData;
+    const { amount, currency = config.pool.currency, quantity = 1 } = purchaseData;
     const totalAmount = amount * quantity;
 
     try {
       // Check user balance
-      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, totalAmount);
+      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, totalAmount, currency);
       
       if (!hasSufficientBalance) {
-        const balance = await balanceService.getBalance(userId);
+        const balance = await balanceService.getBalance(userId, currency);
         throw new InsufficientBalanceError(totalAmount, balance.available);
       }
 
-      // Reserve funds
-      await balanceService.reserveFunds(userId, totalAmount);
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.AIRTIME, { userId });
+
+      // Check the airtime and sales limits of the seller, reserve the
+      // funds and record the sale as pending
+      const sale = await commissionService.reserveSale({
+        user_id: userId,
+        amount: totalAmount,
+        currency,
+        description: `${quantity}x ${amount} ${currency} vouchers from ${carrier}`,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.AIRTIME_VOUCHER,
+          provider: provider.name,
+          carrier,
+          voucher_value: amount,
+          quantity
+        }
+      }, LIMIT_PRODUCTS.AIRTIME);
 
-      let transaction;
+      let result;
 
       try {
-        // Authenticate with gateway
-        const token = await paymentGatewayService.authenticate();
-
         // Make voucher purchase request
-        const response = await paymentGatewayService.client.post(
-          `/airtime/direct/voucher/${carrier}`,
-          {
-            amount,
-            currency,
-            quantity
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          }
-        );
-
-        if (!response.data.success) {
-          throw new PaymentFailedError('Voucher purchase failed', response.data.message);
-        }
-
-        // Create transaction record
-        transaction = await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
+        result = await provider.charge({
+          product: PAYMENT_PRODUCTS.AIRTIME_VOUCHER,
           amount: totalAmount,
           currency,
-          status: 'COMPLETED',
-          description: `${quantity}x ${amount} ${currency} vouchers from ${response.data.data.name}`,
-          customer_name: response.data.data.name,
-          metadata: {
-            service_type: 'airtime_voucher',
+          details: {
             carrier,
-            carrier_name: response.data.data.name,
             voucher_value: amount,
-            quantity,
-            vouchers: response.data.data.vouchers,
-            commission: response.data.data.commission,
-            gateway_response: response.data.data
-          },
-          completed_at: new Date()
+            quantity
+          }
         });
+      } catch (error) {
+        // Nothing was delivered: release the reserved funds
+        await commissionService.failSale(sale, error);
 
-        // Deduct from user balance
-        await balanceService.completeReservedTransaction(userId, totalAmount);
+        throw error;
+      }
 
-        logger.info('Voucher airtime purchased', {
-          transactionId: transaction.id,
-          userId,
-          amount: totalAmount,
+      const details = result.details;
+
+      // Delivered: record the sale, settle the reserved funds and credit
+      // the seller's commission. Nothing is rolled back from here on.
+      const transaction = await commissionService.recordDeliveredSale(sale, {
+        status: 'COMPLETED',
+        gateway_transaction_id: result.reference,
+        description: `${quantity}x ${amount} ${currency} vouchers from ${details.name}`,
+        customer_name: details.name,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.AIRTIME_VOUCHER,
+          provider: provider.name,
+          carrier,
+          carrier_name: details.name,
+          voucher_value: amount,
           quantity,
-          carrier: response.data.data.name
-        });
-
-        return {
-          transaction,
-          details: response.data.data
-        };
-
-      } catch (error) {
-        // Rollback: Release reserved funds
-        await balanceService.releaseReservedFunds(userId, totalAmount);
+          vouchers: details.vouchers,
+          commission: result.commission,
+          gateway_response: details
+        },
+        completed_at: new Date()
+      }, PAYMENT_PRODUCTS.AIRTIME_VOUCHER, result.commission);
 
-        // Create failed transaction record
-        await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
-          amount: totalAmount,
-          status: 'FAILED',
-          description: `Failed voucher purchase from ${carrier}`,
-          error_message: error.message,
-          failed_at: new Date()
-        });
+      logger.info('Voucher airtime purchased', {
+        transactionId: transaction.id,
+        userId,
+        amount: totalAmount,
+        quantity,
+        carrier: details.name
+      });
 
-        throw error;
-      }
+      return {
+        transaction,
+        details
+      };
 
     } catch (error) {
       logger.errorWithContext(error, {
@@ -330,25 +280,17 @@ class AirtimeService {
    */
   async getAvailableBundles(filters = {}) {
     try {
-      const token = await paymentGatewayService.authenticate();
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.AIRTIME);
 
-      const response = await paymentGatewayService.client.get('/bundles', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        },
-        params: filters
-      });
-
-      if (!response.data.success) {
-        throw new ServiceUnavailableError('Payment Gateway', 'Failed to retrieve bundles');
-      }
+      const bundles = await provider.getCatalog('bundles', filters);
 
       logger.info('Bundles retrieved', {
-        count: response.data.data?.length || 0,
+        provider: provider.name,
+        count: bundles?.length || 0,
         filters
       });
 
-      return response.data.data;
+      return bundles;
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'getAvailableBundles',
@@ -376,98 +318,91 @@ class AirtimeService {
       }
 
       const amount = bundle.price;
+      const currency = bundle.currency || config.pool.currency;
+
+      if (!config.pool.currencies.includes(currency)) {
+        throw new BadRequestError(`Bundles priced in ${currency} are not supported`);
+      }
 
       // Check user balance
-      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount);
+      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount, currency);
       
       if (!hasSufficientBalance) {
-        const balance = await balanceService.getBalance(userId);
+        const balance = await balanceService.getBalance(userId, currency);
         throw new InsufficientBalanceError(amount, balance.available);
       }
 
-      // Reserve funds
-      await balanceService.reserveFunds(userId, amount);
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.AIRTIME, { userId });
 
-      let transaction;
+      // Check the airtime and sales limits of the seller, reserve the
+      // funds and record the sale as pending
+      const sale = await commissionService.reserveSale({
+        user_id: userId,
+        amount,
+        currency,
+        description: `${bundle.name} bundle for ${mobile_phone}`,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.BUNDLE,
+          provider: provider.name,
+          bundle_id: bundleId,
+          mobile_phone
+        }
+      }, LIMIT_PRODUCTS.AIRTIME);
 
-      try {
-        // Authenticate with gateway
-        const token = await paymentGatewayService.authenticate();
+      let result;
 
+      try {
         // Make bundle purchase request
-        const response = await paymentGatewayService.client.post(
-          `/bundles/buy/${bundleId}`,
-          {
-            mobile_phone
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          }
-        );
-
-        if (!response.data.success) {
-          throw new PaymentFailedError('Bundle purchase failed', response.data.message);
-        }
-
-        // Create transaction record
-        transaction = await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
+        result = await provider.charge({
+          product: PAYMENT_PRODUCTS.BUNDLE,
           amount,
-          currency: bundle.currency,
-          status: 'COMPLETED',
-          description: `${bundle.name} bundle for ${mobile_phone}`,
-          customer_name: bundle.network,
-          metadata: {
-            service_type: 'bundle',
+          currency,
+          details: {
             bundle_id: bundleId,
-            bundle_name: bundle.name,
-            bundle_description: bundle.description,
-            mobile_phone,
-            network: bundle.network,
-            commission: response.data.data.commission,
-            gateway_response: response.data.data
-          },
-          completed_at: new Date()
-        });
-
-        // Deduct from user balance
-        await balanceService.completeReservedTransaction(userId, amount);
-
-        logger.info('Bundle purchased', {
-          transactionId: transaction.id,
-          userId,
-          amount,
-          bundleId,
-          bundleName: bundle.name,
-          mobile_phone
+            mobile_phone
+          }
         });
-
-        return {
-          transaction,
-          details: response.data.data
-        };
-
       } catch (error) {
-        // Rollback: Release reserved funds
-        await balanceService.releaseReservedFunds(userId, amount);
-
-        // Create failed transaction record
-        await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
-          amount,
-          status: 'FAILED',
-          description: `Failed bundle purchase: ${bundle.name}`,
-          error_message: error.message,
-          failed_at: new Date()
-        });
+        // Nothing was delivered: release the reserved funds
+        await commissionService.failSale(sale, error);
 
         throw error;
       }
 
+      // Delivered: record the sale, settle the reserved funds and credit
+      // the seller's commission. Nothing is rolled back from here on.
+      const transaction = await commissionService.recordDeliveredSale(sale, {
+        status: 'COMPLETED',
+        gateway_transaction_id: result.reference,
+        customer_name: bundle.network,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.BUNDLE,
+          provider: provider.name,
+          bundle_id: bundleId,
+          bundle_name: bundle.name,
+          bundle_description: bundle.description,
+          mobile_phone,
+          network: bundle.network,
+          commission: result.commission,
+          gateway_response: result.details
+        },
+        completed_at: new Date()
+      }, PAYMENT_PRODUCTS.BUNDLE, result.commission);
+
+      logger.info('Bundle purchased', {
+        transactionId: transaction.id,
+        userId,
+        amount,
+        bundleId,
+        bundleName: bundle.name,
+        mobile_phone
+      });
+
+      return {
+        transaction,
+        details: result.details
+      };
+
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'buyBundle',
@@ -0,0 +1,388 @@
+/**
+ * API Key Service
+ *
+ * Seller-managed API keys for server-to-server calls (e.g. a POS backend
+ * recording sales). A key looks like pfk_<prefix>_<secret> and is shown
+ * once, when it is created; only the prefix and a hash of the secret are
+ * stored.
+ *
+ * Keys are accepted by the authenticate middleware on routes that allow
+ * them, and only for the scope the route names. A key can be limited to a
+ * list of IP addresses or IPv4/IPv6 ranges. The caller IP is req.ip, which
+ * only honours X-Forwarded-For from the proxies in TRUST_PROXY.
+ *
+ * Location: backend/services/apiKey/apiKey.service.js
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const apiKeyRepository = require('../../database/repositories/apiKey.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { API_KEY_PREFIX } = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+  ForbiddenError
+} = require('../../src/shared/utils/ApiError');
+
+class ApiKeyService {
+  /**
+   * Create a key
+   * @param {string} userId - Owner (seller) ID
+   * @param {Object} data - { name, scopes, allowed_ips, expires_at }
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Key details, with the full key in `key`
+   */
+  async createApiKey(userId, data, context = {}) {
+    try {
+      const active = await apiKeyRepository.countActive(userId);
+
+      if (active >= config.apiKeys.maxPerUser) {
+        throw new BadRequestError(
+          `You can have at most ${config.apiKeys.maxPerUser} active API keys. Revoke one first.`
+        );
+      }
+
+      const prefix = crypto.randomBytes(6).toString('hex');
+      const secret = crypto.randomBytes(24).toString('hex');
+
+      const apiKey = await apiKeyRepository.create({
+        user_id: userId,
+        name: data.name,
+        prefix,
+        secret_hash: this.hashSecret(secret),
+        scopes: data.scopes,
+        allowed_ips: data.allowed_ips || [],
+        expires_at: data.expires_at || null
+      });
+
+      await auditLogRepository.record({
+        action: 'api_key.created',
+        entity: 'api_key',
+        entityId: apiKey.id,
+        changes: {
+          name: apiKey.name,
+          scopes: apiKey.scopes,
+          allowed_ips: apiKey.allowed_ips,
+          expires_at: apiKey.expires_at
+        },
+        context
+      });
+
+      logger.security('API key created', {
+        userId,
+        details: { apiKeyId: apiKey.id, prefix, scopes: apiKey.scopes }
+      });
+
+      return {
+        ...this.toPublic(apiKey),
+        key: `${API_KEY_PREFIX}${prefix}_${secret}`
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'createApiKey',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys (without secrets)
+   */
+  async getApiKeys(userId) {
+    const apiKeys = await apiKeyRepository.findByUserId(userId);
+
+    return apiKeys.map(apiKey => this.toPublic(apiKey));
+  }
+
+  /**
+   * Get one of a user's keys
+   * @param {string} keyId - Key ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Key (without secret)
+   */
+  async getApiKey(keyId, userId) {
+    return this.toPublic(await this.findOwned(keyId, userId));
+  }
+
+  /**
+   * Change a key's name, scopes or IP allow-list
+   * @param {string} keyId - Key ID
+   * @param {string} userId - User ID
+   * @param {Object} data - { name, scopes, allowed_ips }
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated key
+   */
+  async updateApiKey(keyId, userId, data, context = {}) {
+    try {
+      const apiKey = await this.findOwned(keyId, userId);
+
+      if (apiKey.revoked_at) {
+        throw new BadRequestError('Revoked API keys cannot be changed');
+      }
+
+      const updated = await apiKeyRepository.update(apiKey.id, data);
+
+      await auditLogRepository.record({
+        action: 'api_key.updated',
+        entity: 'api_key',
+        entityId: apiKey.id,
+        changes: {
+          before: this.pick(apiKey, Object.keys(data)),
+          after: this.pick(updated, Object.keys(data))
+        },
+        context
+      });
+
+      return this.toPublic(updated);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'updateApiKey',
+        keyId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key. It stops working immediately.
+   * @param {string} keyId - Key ID
+   * @param {string} userId - User ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeApiKey(keyId, userId, context = {}) {
+    try {
+      const apiKey = await this.findOwned(keyId, userId);
+
+      if (!(await apiKeyRepository.revoke(apiKey.id))) {
+        throw new BadRequestError('API key is already revoked');
+      }
+
+      await auditLogRepository.record({
+        action: 'api_key.revoked',
+        entity: 'api_key',
+        entityId: apiKey.id,
+        context
+      });
+
+      logger.security('API key revoked', {
+        userId,
+        details: { apiKeyId: apiKey.id, prefix: apiKey.prefix }
+      });
+
+      return this.toPublic(await apiKeyRepository.findById(apiKey.id));
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'revokeApiKey',
+        keyId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a key presented by a caller
+   * @param {string} rawKey - Full key
+   * @param {string} ip - Caller IP address
+   * @returns {Promise<Object>} Key record with its user
+   * @throws {UnauthorizedError} If the key is unknown, wrong, revoked or expired
+   * @throws {ForbiddenError} If the caller's IP is not allowed
+   */
+  async verifyApiKey(rawKey, ip) {
+    const [prefix, secret] = this.parse(rawKey);
+    const apiKey = prefix ? await apiKeyRepository.findByPrefix(prefix) : null;
+
+    if (!apiKey || !this.secretMatches(apiKey, secret)) {
+      logger.security('Invalid API key used', {
+        ip,
+        details: { prefix }
+      });
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    if (apiKey.revoked_at) {
+      throw new UnauthorizedError('API key has been revoked');
+    }
+
+    if (apiKey.expires_at && apiKey.expires_at <= new Date()) {
+      throw new UnauthorizedError('API key has expired');
+    }
+
+    if (!this.isIpAllowed(apiKey.allowed_ips, ip)) {
+      logger.security('API key used from a disallowed IP address', {
+        userId: apiKey.user_id,
+        ip,
+        details: { apiKeyId: apiKey.id }
+      });
+      throw new ForbiddenError('API key is not allowed from this IP address');
+    }
+
+    this.recordUse(apiKey, ip);
+
+    return apiKey;
+  }
+
+  /**
+   * Update last-use details, at most once per
+   * config.apiKeys.lastUsedUpdateSeconds. Failures never fail the request.
+   * @param {Object} apiKey - Key record
+   * @param {string} ip - Caller IP address
+   * @private
+   */
+  recordUse(apiKey, ip) {
+    const threshold = Date.now() - config.apiKeys.lastUsedUpdateSeconds * 1000;
+
+    if (apiKey.last_used_at && apiKey.last_used_at.getTime() > threshold && apiKey.last_used_ip === ip) {
+      return;
+    }
+
+    apiKeyRepository.recordUse(apiKey.id, ip).catch(error => {
+      logger.warn('Failed to record API key use', {
+        apiKeyId: apiKey.id,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Check an IP against an allow-list of addresses and CIDR ranges
+   * @param {Array<string>} allowedIps - Allow-list (empty allows any)
+   * @param {string} ip - Caller IP address
+   * @returns {boolean}
+   */
+  isIpAllowed(allowedIps, ip) {
+    if (!allowedIps || allowedIps.length === 0) {
+      return true;
+    }
+
+    // IPv4 callers on a dual-stack socket show up as ::ffff:a.b.c.d
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    const family = net.isIP(address);
+
+    if (!family) {
+      return false;
+    }
+
+    const list = new net.BlockList();
+
+    for (const entry of allowedIps) {
+      const [network, bits] = entry.split('/');
+      const type = net.isIP(network) === 6 ? 'ipv6' : 'ipv4';
+
+      if (bits !== undefined) {
+        list.addSubnet(network, parseInt(bits, 10), type);
+      } else {
+        list.addAddress(network, type);
+      }
+    }
+
+    return list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Split a key into prefix and secret
+   * @param {string} rawKey - Full key
+   * @returns {Array<string|null>} [prefix, secret]
+   * @private
+   */
+  parse(rawKey) {
+    const match = String(rawKey || '').match(/^pfk_([a-f0-9]{12})_([a-f0-9]{48})$/);
+
+    return match ? [match[1], match[2]] : [null, null];
+  }
+
+  /**
+   * Compare a secret with a key's stored hash in constant time
+   * @param {Object} apiKey - Key record
+   * @param {string} secret - Presented secret
+   * @returns {boolean}
+   * @private
+   */
+  secretMatches(apiKey, secret) {
+    return crypto.timingSafeEqual(
+      Buffer.from(apiKey.secret_hash, 'hex'),
+      Buffer.from(this.hashSecret(secret), 'hex')
+    );
+  }
+
+  /**
+   * Hash a key secret for storage and comparison
+   * @param {string} secret - Key secret
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Find a key owned by a user
+   * @param {string} keyId - Key ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Key
+   * @throws {NotFoundError} If the key is not the user's
+   * @private
+   */
+  async findOwned(keyId, userId) {
+    const apiKey = await apiKeyRepository.findByIdForUser(keyId, userId);
+
+    if (!apiKey) {
+      throw new NotFoundError('API key');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Pick fields from a record
+   * @param {Object} record - Record
+   * @param {Array<string>} fields - Field names
+   * @returns {Object}
+   * @private
+   */
+  pick(record, fields) {
+    return Object.fromEntries(fields.map(field => [field, record[field]]));
+  }
+
+  /**
+   * Shape a key for API responses (never includes the secret)
+   * @param {Object} apiKey - Key record
+   * @returns {Object}
+   */
+  toPublic(apiKey) {
+    let status = 'ACTIVE';
+
+    if (apiKey.revoked_at) {
+      status = 'REVOKED';
+    } else if (apiKey.expires_at && apiKey.expires_at <= new Date()) {
+      status = 'EXPIRED';
+    }
+
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      // Enough to recognise the key; the secret is never shown again
+      key_preview: `${API_KEY_PREFIX}${apiKey.prefix}_…`,
+      scopes: apiKey.scopes,
+      allowed_ips: apiKey.allowed_ips,
+      status,
+      last_used_at: apiKey.last_used_at,
+      last_used_ip: apiKey.last_used_ip,
+      expires_at: apiKey.expires_at,
+      revoked_at: apiKey.revoked_at,
+      created_at: apiKey.created_at
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
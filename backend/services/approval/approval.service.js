@@ -0,0 +1,452 @@
+/**
+ * Approval Service
+ *
+ * Maker-checker control over admin money operations: approving deposits,
+ * processing payouts, adjusting balances and moving pool funds.
+ *
+ * An admin asking for one of these goes through submit(). Below the
+ * action's threshold (config.approvals) the operation runs straight away.
+ * At or above it, a PENDING approval request is stored instead, and the
+ * operation runs only when a different admin holding the action's
+ * permission approves it. Either admin is recorded: the maker on the
+ * request, the checker as the one who executed the operation.
+ *
+ * Location: backend/services/approval/approval.service.js
+ */
+
+const approvalRequestRepository = require('../../database/repositories/approvalRequest.repository');
+const depositRepository = require('../../database/repositories/deposit.repository');
+const payoutRepository = require('../../database/repositories/payout.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const depositService = require('../deposit/deposit.service');
+const payoutService = require('../payout/payout.service');
+const balanceService = require('../balance/balance.service');
+const poolAccountService = require('../poolAccount/poolAccount.service');
+const permissionService = require('../auth/permission.service');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { APPROVAL_ACTIONS, PERMISSIONS } = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * How each action is described, checked and executed
+ *   resolve(payload) -> { amount, entityType, entityId }
+ *   execute(payload, context) -> operation result, where context is the
+ *   request context of the admin who executes it
+ */
+const ACTIONS = {
+  [APPROVAL_ACTIONS.DEPOSIT_APPROVAL]: {
+    label: 'deposit approval',
+    permission: PERMISSIONS.APPROVE_DEPOSIT,
+    threshold: () => config.approvals.depositThreshold,
+    // One pending request per deposit
+    unique: true,
+    async resolve({ depositId }) {
+      const deposit = await depositRepository.findById(depositId);
+
+      if (!deposit) {
+        throw new NotFoundError('Deposit request');
+      }
+
+      if (deposit.status !== 'PENDING') {
+        throw new BadRequestError('Deposit has already been processed');
+      }
+
+      return { amount: parseFloat(deposit.amount), entityType: 'deposit_request', entityId: deposit.id };
+    },
+    execute: ({ depositId }, context) =>
+      depositService.approveDeposit(depositId, context.actorId, context)
+  },
+
+  [APPROVAL_ACTIONS.PAYOUT_PROCESSING]: {
+    label: 'payout processing',
+    permission: PERMISSIONS.PROCESS_PAYOUT,
+    threshold: () => config.approvals.payoutThreshold,
+    unique: true,
+    async resolve({ payoutId }) {
+      const payout = await payoutRepository.findById(payoutId);
+
+      if (!payout) {
+        throw new NotFoundError('Payout request');
+      }
+
+      if (payout.status !== 'PENDING') {
+        throw new BadRequestError('Payout has already been processed');
+      }
+
+      return { amount: parseFloat(payout.amount), entityType: 'payout_request', entityId: payout.id };
+    },
+    execute: ({ payoutId }, context) =>
+      payoutService.processPayout(payoutId, context.actorId, context)
+  },
+
+  [APPROVAL_ACTIONS.BALANCE_ADJUSTMENT]: {
+    label: 'balance adjustment',
+    permission: PERMISSIONS.ADJUST_BALANCE,
+    threshold: () => config.approvals.balanceAdjustmentThreshold,
+    unique: false,
+    async resolve({ userId, amount }) {
+      return { amount: Math.abs(amount), entityType: 'user', entityId: userId };
+    },
+    async execute({ userId, amount, currency, reason }, context) {
+      const { balanceBefore, balanceAfter, currency: adjusted } = await balanceService.adjustBalance(
+        userId,
+        amount,
+        reason,
+        context.actorId,
+        { currency, audit: context }
+      );
+
+      return { balanceBefore, balanceAfter, adjustment: amount, currency: adjusted, reason };
+    }
+  },
+
+  [APPROVAL_ACTIONS.POOL_FUNDING]: {
+    label: 'pool funding',
+    permission: PERMISSIONS.MANAGE_POOL,
+    threshold: () => config.approvals.poolThreshold,
+    unique: false,
+    async resolve({ amount, reference }) {
+      return { amount, entityType: 'pool_account', entityId: reference };
+    },
+    execute: ({ amount, currency, source, reference }, context) =>
+      poolAccountService.addFundsToPool(amount, source, reference, {
+        currency,
+        createdBy: context.actorId,
+        audit: context
+      })
+  },
+
+  [APPROVAL_ACTIONS.POOL_WITHDRAWAL]: {
+    label: 'pool withdrawal',
+    permission: PERMISSIONS.MANAGE_POOL,
+    threshold: () => config.approvals.poolThreshold,
+    unique: false,
+    async resolve({ amount, reference }) {
+      return { amount, entityType: 'pool_account', entityId: reference };
+    },
+    execute: ({ amount, currency, destination, reference }, context) =>
+      poolAccountService.removeFundsFromPool(amount, destination, reference, {
+        currency,
+        createdBy: context.actorId,
+        audit: context
+      })
+  }
+};
+
+class ApprovalService {
+  /**
+   * Ask for an operation: run it now if below the threshold, otherwise
+   * store it for a second admin
+   * @param {string} action - APPROVAL_ACTIONS value
+   * @param {Object} payload - Operation arguments
+   * @param {Object} context - Request context of the maker
+   * @param {string} reason - Optional note for the checker
+   * @returns {Promise<Object>} { pending: true, approval } or { pending: false, result }
+   */
+  async submit(action, payload, context = {}, reason = null) {
+    const definition = this.getDefinition(action);
+
+    try {
+      const { amount, entityType, entityId } = await definition.resolve(payload);
+
+      if (!this.requiresApproval(action, amount)) {
+        const result = await definition.execute(payload, context);
+        return { pending: false, result };
+      }
+
+      if (definition.unique && (await approvalRequestRepository.findPendingForEntity(action, entityId))) {
+        throw new ConflictError(`A ${definition.label} for this ${entityType.replace('_', ' ')} is already awaiting approval`);
+      }
+
+      const approval = await approvalRequestRepository.create({
+        action,
+        amount,
+        entity_type: entityType,
+        entity_id: entityId,
+        payload,
+        requested_by: context.actorId,
+        reason,
+        expires_at: new Date(Date.now() + config.approvals.expiryHours * HOUR_MS)
+      });
+
+      await auditLogRepository.record({
+        action: 'approval.requested',
+        entity: 'approval_request',
+        entityId: approval.id,
+        changes: { action, amount, entity_type: entityType, entity_id: entityId, payload },
+        context
+      });
+
+      logger.security('Approval requested', {
+        userId: context.actorId,
+        ip: context.ip,
+        details: { approvalId: approval.id, action, amount }
+      });
+
+      return { pending: true, approval: this.toPublic(approval) };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'submitApproval',
+        action,
+        requestedBy: context.actorId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending request and execute the operation
+   * @param {string} approvalId - Approval request ID
+   * @param {string} approverRole - Role of the checker
+   * @param {string} note - Optional review note
+   * @param {Object} context - Request context of the checker
+   * @returns {Promise<Object>} { approval, result }
+   */
+  async approve(approvalId, approverRole, note = null, context = {}) {
+    const approval = await this.findReviewable(approvalId);
+    const definition = this.getDefinition(approval.action);
+
+    if (approval.requested_by === context.actorId) {
+      throw new ForbiddenError('A different admin must approve this request');
+    }
+
+    const permissions = await permissionService.getPermissions(approverRole);
+
+    if (!permissions.includes(definition.permission)) {
+      throw new ForbiddenError(`Approving a ${definition.label} requires the ${definition.permission} permission`);
+    }
+
+    if (!(await approvalRequestRepository.review(approval.id, 'APPROVED', {
+      reviewed_by: context.actorId,
+      review_note: note
+    }))) {
+      throw new ConflictError('Approval request has already been reviewed');
+    }
+
+    await auditLogRepository.record({
+      action: 'approval.approved',
+      entity: 'approval_request',
+      entityId: approval.id,
+      changes: { action: approval.action, requested_by: approval.requested_by, note },
+      context
+    });
+
+    try {
+      const result = await definition.execute(approval.payload, context);
+      const executed = await approvalRequestRepository.markExecuted(approval.id, this.toJson(result));
+
+      logger.security('Approval executed', {
+        userId: context.actorId,
+        ip: context.ip,
+        details: { approvalId: approval.id, action: approval.action, requestedBy: approval.requested_by }
+      });
+
+      return { approval: this.toPublic(executed), result };
+    } catch (error) {
+      // The operation may no longer apply (e.g. the deposit was rejected meanwhile)
+      await approvalRequestRepository.markFailed(approval.id, error.message);
+
+      logger.errorWithContext(error, {
+        method: 'executeApproval',
+        approvalId: approval.id,
+        action: approval.action
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending request
+   * @param {string} approvalId - Approval request ID
+   * @param {string} approverRole - Role of the checker
+   * @param {string} reason - Rejection reason
+   * @param {Object} context - Request context of the checker
+   * @returns {Promise<Object>} Rejected request
+   */
+  async reject(approvalId, approverRole, reason, context = {}) {
+    const approval = await this.findReviewable(approvalId);
+    const definition = this.getDefinition(approval.action);
+    const permissions = await permissionService.getPermissions(approverRole);
+
+    if (!permissions.includes(definition.permission)) {
+      throw new ForbiddenError(`Rejecting a ${definition.label} requires the ${definition.permission} permission`);
+    }
+
+    return this.close(approval, 'REJECTED', reason, 'approval.rejected', context);
+  }
+
+  /**
+   * Withdraw a pending request (maker only)
+   * @param {string} approvalId - Approval request ID
+   * @param {Object} context - Request context of the maker
+   * @returns {Promise<Object>} Cancelled request
+   */
+  async cancel(approvalId, context = {}) {
+    const approval = await this.findReviewable(approvalId);
+
+    if (approval.requested_by !== context.actorId) {
+      throw new ForbiddenError('Only the admin who made the request can cancel it');
+    }
+
+    return this.close(approval, 'CANCELLED', null, 'approval.cancelled', context);
+  }
+
+  /**
+   * List approval requests (Admin)
+   * @param {Object} filters - { status, action, requestedBy }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated requests
+   */
+  async listApprovals(filters = {}, pagination = {}) {
+    const result = await approvalRequestRepository.list(filters, pagination);
+
+    return {
+      ...result,
+      data: result.data.map(approval => this.toPublic(approval))
+    };
+  }
+
+  /**
+   * Get an approval request (Admin)
+   * @param {string} approvalId - Approval request ID
+   * @returns {Promise<Object>} Request
+   */
+  async getApproval(approvalId) {
+    return this.toPublic(await this.findApproval(approvalId));
+  }
+
+  /**
+   * Expire pending requests nobody reviewed in time
+   * @returns {Promise<number>} Number of expired requests
+   */
+  async expireStale() {
+    return approvalRequestRepository.expireStale();
+  }
+
+  /**
+   * Whether an amount needs a second admin for an action
+   * @param {string} action - APPROVAL_ACTIONS value
+   * @param {number} amount - Operation amount
+   * @returns {boolean}
+   */
+  requiresApproval(action, amount) {
+    return config.approvals.enabled && amount >= this.getDefinition(action).threshold();
+  }
+
+  /**
+   * Move a request to a final status without executing it
+   * @param {Object} approval - Approval request
+   * @param {string} status - REJECTED or CANCELLED
+   * @param {string} note - Review note
+   * @param {string} auditAction - Audit log action
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated request
+   * @private
+   */
+  async close(approval, status, note, auditAction, context) {
+    if (!(await approvalRequestRepository.review(approval.id, status, {
+      reviewed_by: context.actorId,
+      review_note: note
+    }))) {
+      throw new ConflictError('Approval request has already been reviewed');
+    }
+
+    await auditLogRepository.record({
+      action: auditAction,
+      entity: 'approval_request',
+      entityId: approval.id,
+      changes: { action: approval.action, note },
+      context
+    });
+
+    return this.toPublic(await approvalRequestRepository.findById(approval.id));
+  }
+
+  /**
+   * Find a request that can still be reviewed
+   * Expires it on the way if it is past its expiry.
+   * @param {string} approvalId - Approval request ID
+   * @returns {Promise<Object>} Pending request
+   * @private
+   */
+  async findReviewable(approvalId) {
+    const approval = await this.findApproval(approvalId);
+
+    if (approval.status !== 'PENDING') {
+      throw new BadRequestError(`Approval request is already ${approval.status}`);
+    }
+
+    if (approval.expires_at <= new Date()) {
+      await approvalRequestRepository.review(approval.id, 'EXPIRED');
+      throw new BadRequestError('Approval request has expired');
+    }
+
+    return approval;
+  }
+
+  /**
+   * Find an approval request
+   * @param {string} approvalId - Approval request ID
+   * @returns {Promise<Object>} Request
+   * @private
+   */
+  async findApproval(approvalId) {
+    const approval = await approvalRequestRepository.findById(approvalId);
+
+    if (!approval) {
+      throw new NotFoundError('Approval request');
+    }
+
+    return approval;
+  }
+
+  /**
+   * Get the definition of an action
+   * @param {string} action - APPROVAL_ACTIONS value
+   * @returns {Object} Definition
+   * @private
+   */
+  getDefinition(action) {
+    const definition = ACTIONS[action];
+
+    if (!definition) {
+      throw new BadRequestError(`Unknown approval action: ${action}`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Make an operation result storable as JSON (Decimals, Dates)
+   * @param {Object} result - Operation result
+   * @returns {Object}
+   * @private
+   */
+  toJson(result) {
+    return JSON.parse(JSON.stringify(result ?? null));
+  }
+
+  /**
+   * Shape a request for API responses
+   * @param {Object} approval - Approval request
+   * @returns {Object}
+   */
+  toPublic(approval) {
+    return {
+      ...approval,
+      amount: parseFloat(approval.amount),
+      permission: ACTIONS[approval.action] ? ACTIONS[approval.action].permission : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ApprovalService();
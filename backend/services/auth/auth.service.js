@@ -7,29 +7,44 @@
  */
 
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const userRepository = require('../../database/repositories/user.repository');
+const passwordResetTokenRepository = require('../../database/repositories/passwordResetToken.repository');
+const emailVerificationTokenRepository = require('../../database/repositories/emailVerificationToken.repository');
+const refreshTokenRepository = require('../../database/repositories/refreshToken.repository');
+const sessionRepository = require('../../database/repositories/session.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
 const balanceService = require('../balance/balance.service');
+const twoFactorService = require('./twoFactor.service');
+const emailService = require('../notifications/email.service');
+const { prisma } = require('../../src/config/database.config');
 const logger = require('../../src/shared/utils/logger');
 const config = require('../../src/config/environment.config');
 const {
   generateTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
   revokeRefreshToken,
+  revokeSession,
+  revokeReusedToken,
   revokeAllUserTokens
 } = require('../../src/shared/middleware/auth.middleware');
 const {
   UnauthorizedError,
   ConflictError,
   BadRequestError,
-  NotFoundError
+  NotFoundError,
+  TooManyRequestsError
 } = require('../../src/shared/utils/ApiError');
 
 class AuthService {
   /**
    * Register a new user
    * @param {Object} userData - User registration data
+   * @param {Object} device - { ip, userAgent, deviceName } for the new session
    * @returns {Promise<Object>} Created user with tokens
    */
-  async register(userData) {
+  async register(userData, device = {}) {
     const { email, password, business_name, phone } = userData;
 
     try {
@@ -60,8 +75,10 @@ class AuthService {
         businessName: user.business_name
       });
 
+      await this.sendEmailVerification(user);
+
       // Generate tokens
-      const tokens = await generateTokens(user);
+      const tokens = await generateTokens(user, device);
 
       return {
         user: userRepository.sanitizeUser(user),
@@ -78,12 +95,16 @@ class AuthService {
 
   /**
    * Login user
+   * Users with 2FA get a short-lived challenge token instead of tokens;
+   * they finish with completeTwoFactorLogin.
    * @param {string} email - User email
    * @param {string} password - User password
-   * @param {string} ip - User IP address
-   * @returns {Promise<Object>} User with tokens
+   * @param {Object} device - { ip, userAgent, deviceName } for the new session
+   * @returns {Promise<Object>} User with tokens, or { twoFactorRequired, challengeToken, expiresIn }
    */
-  async login(email, password, ip = null) {
+  async login(email, password, device = {}) {
+    const { ip = null } = device;
+
     try {
       // Find user by email
       const user = await userRepository.findByEmail(email);
@@ -98,12 +119,7 @@ class AuthService {
       }
 
       // Check if account is locked
-      const lockStatus = await userRepository.isAccountLocked(user.id);
-      if (lockStatus.locked) {
-        throw new UnauthorizedError(
-          `Account is locked. Please try again in ${lockStatus.remainingMinutes} minutes`
-        );
-      }
+      await this.assertNotLocked(user.id);
 
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password_hash);
@@ -121,44 +137,75 @@ class AuthService {
         throw new UnauthorizedError('Invalid email or password');
       }
 
-      // Check if account is suspended
-      if (user.status === 'SUSPENDED') {
-        logger.security('Suspended user login attempt', {
+      this.assertCanSignIn(user, ip);
+
+      if (user.two_factor_enabled) {
+        logger.info('Login password accepted, two-factor code required', {
           userId: user.id,
-          email: user.email,
           ip
         });
-        throw new UnauthorizedError('Your account has been suspended. Please contact support.');
-      }
 
-      // Check if account is deactivated
-      if (user.status === 'DEACTIVATED') {
-        throw new UnauthorizedError('Your account has been deactivated');
+        return {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+          expiresIn: `${config.twoFactor.challengeTtlMinutes}m`
+        };
       }
 
-      // Record successful login
-      await userRepository.recordLoginAttempt(user.id, true);
-
-      logger.info('User logged in successfully', {
-        userId: user.id,
-        email: user.email,
+      return await this.completeLogin(user, device);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'login',
+        email,
         ip
       });
+      throw error;
+    }
+  }
 
-      // Generate tokens
-      const tokens = await generateTokens(user);
+  /**
+   * Finish a 2FA login with the challenge token and a TOTP or backup code
+   * Wrong codes count as failed login attempts towards the account lockout.
+   * @param {string} challengeToken - Challenge token from login
+   * @param {string} code - TOTP or backup code
+   * @param {Object} device - { ip, userAgent, deviceName } for the new session
+   * @returns {Promise<Object>} User with tokens
+   */
+  async completeTwoFactorLogin(challengeToken, code, device = {}) {
+    const { ip = null } = device;
+    let userId = null;
 
-      // Get user with balance
-      const userWithBalance = await userRepository.getUserWithBalance(user.id);
+    try {
+      const decoded = verifyChallengeToken(challengeToken);
+      userId = decoded.userId;
 
-      return {
-        user: userRepository.sanitizeUser(userWithBalance),
-        ...tokens
-      };
+      const user = await userRepository.findById(userId);
+
+      if (!user || !user.two_factor_enabled) {
+        throw new UnauthorizedError('Invalid challenge token');
+      }
+
+      await this.assertNotLocked(user.id);
+      this.assertCanSignIn(user, ip);
+
+      const method = await twoFactorService.verifyCode(user.id, code);
+
+      if (!method) {
+        await userRepository.recordLoginAttempt(user.id, false);
+
+        logger.security('Failed two-factor login attempt', {
+          userId: user.id,
+          ip
+        });
+
+        throw new UnauthorizedError('Invalid authentication code');
+      }
+
+      return await this.completeLogin(user, device);
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'login',
-        email,
+        method: 'completeTwoFactorLogin',
+        userId,
         ip
       });
       throw error;
@@ -212,37 +259,104 @@ class AuthService {
 
   /**
    * Refresh access token
-   * @param {string} refreshToken - Refresh token
+   * Rotates the refresh token: the presented token is used up and a new one
+   * is issued in the same session. The token was checked by
+   * verifyRefreshToken; a token that lost a race for rotation is treated as
+   * reused and ends the session.
+   * @param {Object} tokenRecord - Refresh token record
+   * @param {Object} device - { ip, userAgent } of the refreshing client
    * @returns {Promise<Object>} New tokens
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(tokenRecord, device = {}) {
     try {
-      // Verify refresh token is handled by middleware
-      // This method just generates new tokens
+      const user = await userRepository.findById(tokenRecord.user_id);
 
-      const tokenRecord = await userRepository.model.refreshToken.findUnique({
-        where: { token: refreshToken },
-        include: { user: true }
-      });
-
-      if (!tokenRecord || !tokenRecord.user) {
+      if (!user) {
         throw new UnauthorizedError('Invalid refresh token');
       }
 
-      // Generate new tokens
-      const tokens = await generateTokens(tokenRecord.user);
+      const tokens = await prisma.$transaction(async (tx) => {
+        if (!(await refreshTokenRepository.markRotated(tokenRecord.id, tx))) {
+          return null;
+        }
 
-      // Revoke old refresh token
-      await revokeRefreshToken(refreshToken);
+        // Tokens issued before sessions existed start one now
+        return generateTokens(user, {
+          ...device,
+          sessionId: tokenRecord.session_id
+        }, tx);
+      });
+
+      if (!tokens) {
+        await revokeReusedToken(tokenRecord, device.ip);
+      }
 
       logger.info('Token refreshed successfully', {
-        userId: tokenRecord.user.id
+        userId: user.id,
+        sessionId: tokens.sessionId
       });
 
       return tokens;
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'refreshToken'
+        method: 'refreshToken',
+        userId: tokenRecord.user_id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's signed-in devices
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the calling request
+   * @returns {Promise<Array>} Sessions
+   */
+  async getSessions(userId, currentSessionId = null) {
+    const sessions = await sessionRepository.findActiveByUser(userId);
+
+    return sessions.map(session => ({
+      id: session.id,
+      device_name: session.device_name,
+      ip_address: session.ip_address,
+      user_agent: session.user_agent,
+      created_at: session.created_at,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Sign a device out
+   * Its refresh tokens are revoked and its access tokens stop working.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const session = await sessionRepository.findActiveForUser(sessionId, userId);
+
+      if (!session) {
+        throw new NotFoundError('Session');
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await revokeSession(session.id, 'REVOKED', tx);
+      });
+
+      logger.security('Session revoked by user', {
+        userId,
+        details: { sessionId }
+      });
+
+      return true;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'revokeSession',
+        userId,
+        sessionId
       });
       throw error;
     }
@@ -253,9 +367,10 @@ class AuthService {
    * @param {string} userId - User ID
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Updated user
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, context = {}) {
     try {
       const user = await userRepository.findByIdOrFail(userId);
 
@@ -278,11 +393,21 @@ class AuthService {
       // Hash new password
       const newPasswordHash = await bcrypt.hash(newPassword, config.security.bcryptRounds);
 
-      // Update password
-      const updatedUser = await userRepository.updatePassword(userId, newPasswordHash);
+      const updatedUser = await prisma.$transaction(async (tx) => {
+        const updated = await userRepository.updatePassword(userId, newPasswordHash, tx);
 
-      // Revoke all tokens (force re-login)
-      await revokeAllUserTokens(userId);
+        // Revoke all tokens (force re-login)
+        await revokeAllUserTokens(userId, tx);
+
+        await auditLogRepository.record({
+          action: 'user.password_changed',
+          entity: 'user',
+          entityId: userId,
+          context
+        }, tx);
+
+        return updated;
+      });
 
       logger.info('Password changed successfully', {
         userId: user.id
@@ -300,28 +425,56 @@ class AuthService {
 
   /**
    * Request password reset
+   * Sends a single-use reset link. At most config.passwordReset.maxRequests
+   * links are sent per account per window; the response never reveals
+   * whether the email exists or was rate limited.
    * @param {string} email - User email
+   * @param {string} ip - Requesting IP address
    * @returns {Promise<Object>} Reset token info
    */
-  async requestPasswordReset(email) {
+  async requestPasswordReset(email, ip = null) {
+    const response = {
+      message: 'If the email exists, a reset link will be sent'
+    };
+
     try {
       const user = await userRepository.findByEmail(email);
 
       if (!user) {
         // Don't reveal if email exists
         logger.security('Password reset requested for non-existent email', {
-          email
+          email,
+          ip
         });
-        return {
-          message: 'If the email exists, a reset link will be sent'
-        };
+        return response;
       }
 
-      // Generate reset token (valid for 1 hour)
-      const resetToken = await this.generateResetToken(user.id);
+      const { maxRequests, windowMinutes } = config.passwordReset;
+      const issued = await passwordResetTokenRepository.countIssuedSince(
+        user.id,
+        new Date(Date.now() - windowMinutes * 60 * 1000)
+      );
 
-      // TODO: Send email with reset link
-      // await emailService.sendPasswordResetEmail(user.email, resetToken);
+      if (issued >= maxRequests) {
+        logger.security('Password reset rate limit reached', {
+          userId: user.id,
+          ip,
+          details: { issued, windowMinutes }
+        });
+        return response;
+      }
+
+      const resetToken = await this.generateResetToken(user.id, ip);
+
+      try {
+        await emailService.sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        // The token stays valid; the user can request another email
+        logger.errorWithContext(error, {
+          method: 'sendPasswordResetEmail',
+          userId: user.id
+        });
+      }
 
       logger.info('Password reset requested', {
         userId: user.id,
@@ -329,7 +482,7 @@ class AuthService {
       });
 
       return {
-        message: 'If the email exists, a reset link will be sent',
+        ...response,
         // In development, return token
         ...(config.app.isDevelopment && { resetToken })
       };
@@ -344,26 +497,42 @@ class AuthService {
 
   /**
    * Reset password with token
+   * Uses up the token, invalidates the user's other reset links and signs
+   * the user out everywhere.
    * @param {string} resetToken - Reset token
    * @param {string} newPassword - New password
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Success message
    */
-  async resetPassword(resetToken, newPassword) {
+  async resetPassword(resetToken, newPassword, context = {}) {
     try {
       // Verify reset token
-      const userId = await this.verifyResetToken(resetToken);
+      const tokenRecord = await this.verifyResetToken(resetToken);
+      const userId = tokenRecord.user_id;
 
       // Hash new password
       const newPasswordHash = await bcrypt.hash(newPassword, config.security.bcryptRounds);
 
-      // Update password
-      await userRepository.updatePassword(userId, newPasswordHash);
-
-      // Revoke all tokens
-      await revokeAllUserTokens(userId);
-
-      // Delete reset token
-      await this.deleteResetToken(resetToken);
+      await prisma.$transaction(async (tx) => {
+        // Only one request can use the token
+        if (!(await passwordResetTokenRepository.consume(tokenRecord.id, tx))) {
+          throw new UnauthorizedError('Invalid or expired reset token');
+        }
+
+        await userRepository.updatePassword(userId, newPasswordHash, tx);
+        await passwordResetTokenRepository.invalidateForUser(userId, tx);
+
+        // Revoke all tokens (force re-login)
+        await revokeAllUserTokens(userId, tx);
+
+        // The caller is signed out, so the actor is the account owner
+        await auditLogRepository.record({
+          action: 'user.password_reset',
+          entity: 'user',
+          entityId: userId,
+          context: { ...context, actorId: userId }
+        }, tx);
+      });
 
       logger.info('Password reset successfully', {
         userId
@@ -382,20 +551,35 @@ class AuthService {
 
   /**
    * Verify email
-   * @param {string} userId - User ID
-   * @param {string} verificationToken - Verification token
+   * Accepts the token from the verification link, or the 6-digit code from
+   * the same email. A code is short, so it is only accepted from the
+   * signed-in user it was sent to and stops working after
+   * config.emailVerification.maxCodeAttempts wrong guesses.
+   * @param {Object} verification - { token } or { code }
+   * @param {string} userId - Signed-in user ID (required for a code)
    * @returns {Promise<Object>} Updated user
    */
-  async verifyEmail(userId, verificationToken) {
+  async verifyEmail({ token, code }, userId = null) {
     try {
-      // TODO: Verify token
-      // For now, just verify the email
+      const tokenRecord = token
+        ? await this.findVerificationByToken(token)
+        : await this.findVerificationByCode(userId, code);
 
-      const user = await userRepository.verifyEmail(userId);
+      const user = await prisma.$transaction(async (tx) => {
+        // A link and a code from the same email cannot both be used
+        if (!(await emailVerificationTokenRepository.consume(tokenRecord.id, tx))) {
+          throw new BadRequestError('Invalid or expired verification code');
+        }
+
+        await emailVerificationTokenRepository.invalidateForUser(tokenRecord.user_id, tx);
+
+        return userRepository.verifyEmail(tokenRecord.user_id, tx);
+      });
 
       logger.info('Email verified', {
         userId: user.id,
-        email: user.email
+        email: user.email,
+        method: token ? 'link' : 'code'
       });
 
       return user;
@@ -408,6 +592,56 @@ class AuthService {
     }
   }
 
+  /**
+   * Resend the verification email
+   * At most one email per config.emailVerification.resendCooldownSeconds.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Success message
+   */
+  async resendEmailVerification(userId) {
+    try {
+      const user = await userRepository.findById(userId);
+
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+
+      if (user.email_verified) {
+        throw new BadRequestError('Email is already verified');
+      }
+
+      const latest = await emailVerificationTokenRepository.findLatestForUser(userId);
+      const { resendCooldownSeconds } = config.emailVerification;
+
+      if (latest) {
+        const waitSeconds = Math.ceil(
+          (latest.created_at.getTime() + resendCooldownSeconds * 1000 - Date.now()) / 1000
+        );
+
+        if (waitSeconds > 0) {
+          throw new TooManyRequestsError(
+            `Please wait ${waitSeconds} seconds before requesting another verification email`,
+            waitSeconds
+          );
+        }
+      }
+
+      const verification = await this.sendEmailVerification(user);
+
+      return {
+        message: 'Verification email sent',
+        // In development, return the token and code
+        ...(config.app.isDevelopment && verification)
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'resendEmailVerification',
+        userId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get current user profile
    * @param {string} userId - User ID
@@ -468,34 +702,224 @@ class AuthService {
 
   /**
    * Generate password reset token
+   * Replaces any unused token of the user; only the hash is stored.
+   * @param {string} userId - User ID
+   * @param {string} ip - Requesting IP address
+   * @returns {Promise<string>} Raw token for the reset link
    * @private
    */
-  async generateResetToken(userId) {
-    const crypto = require('crypto');
+  async generateResetToken(userId, ip = null) {
     const token = crypto.randomBytes(32).toString('hex');
-    const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+    const expiresAt = new Date(Date.now() + config.passwordReset.tokenTtlMinutes * 60 * 1000);
+
+    await prisma.$transaction(async (tx) => {
+      await passwordResetTokenRepository.invalidateForUser(userId, tx);
+      await passwordResetTokenRepository.create({
+        user_id: userId,
+        token_hash: this.hashToken(token),
+        expires_at: expiresAt,
+        requested_ip: ip
+      }, { tx });
+    });
 
-    // Store token in database (you need to create this table)
-    // For now, return the token
     return token;
   }
 
   /**
    * Verify reset token
+   * @param {string} token - Raw token from the reset link
+   * @returns {Promise<Object>} Token record
+   * @throws {UnauthorizedError} If the token is unknown, used or expired
    * @private
    */
   async verifyResetToken(token) {
-    // TODO: Implement token verification
-    // For now, throw error
-    throw new UnauthorizedError('Invalid or expired reset token');
+    const tokenRecord = await passwordResetTokenRepository.findUsable(this.hashToken(token));
+
+    if (!tokenRecord) {
+      logger.security('Invalid password reset token used', {});
+      throw new UnauthorizedError('Invalid or expired reset token');
+    }
+
+    return tokenRecord;
+  }
+
+  /**
+   * Hash a reset or verification token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Record a successful login and issue tokens for a new session
+   * @param {Object} user - User
+   * @param {Object} device - { ip, userAgent, deviceName }
+   * @returns {Promise<Object>} User with tokens
+   * @private
+   */
+  async completeLogin(user, device = {}) {
+    // Record successful login
+    await userRepository.recordLoginAttempt(user.id, true);
+
+    logger.info('User logged in successfully', {
+      userId: user.id,
+      email: user.email,
+      ip: device.ip
+    });
+
+    // Generate tokens
+    const tokens = await generateTokens(user, device);
+
+    // Get user with balance
+    const userWithBalance = await userRepository.getUserWithBalance(user.id);
+
+    return {
+      user: userRepository.sanitizeUser(userWithBalance),
+      ...tokens
+    };
+  }
+
+  /**
+   * Refuse sign-in to locked accounts
+   * @param {string} userId - User ID
+   * @throws {UnauthorizedError} If the account is locked
+   * @private
+   */
+  async assertNotLocked(userId) {
+    const lockStatus = await userRepository.isAccountLocked(userId);
+
+    if (lockStatus.locked) {
+      throw new UnauthorizedError(
+        `Account is locked. Please try again in ${lockStatus.remainingMinutes} minutes`
+      );
+    }
   }
 
   /**
-   * Delete reset token
+   * Refuse sign-in to suspended and deactivated accounts
+   * @param {Object} user - User
+   * @param {string} ip - User IP address
+   * @throws {UnauthorizedError} If the account cannot sign in
+   * @private
+   */
+  assertCanSignIn(user, ip = null) {
+    // Check if account is suspended
+    if (user.status === 'SUSPENDED') {
+      logger.security('Suspended user login attempt', {
+        userId: user.id,
+        email: user.email,
+        ip
+      });
+      throw new UnauthorizedError('Your account has been suspended. Please contact support.');
+    }
+
+    // Check if account is deactivated
+    if (user.status === 'DEACTIVATED') {
+      throw new UnauthorizedError('Your account has been deactivated');
+    }
+  }
+
+  /**
+   * Issue a verification link and code and email them
+   * Replaces any unused token of the user; only hashes are stored. A failed
+   * send is logged and the user can ask for a resend.
+   * @param {Object} user - User
+   * @returns {Promise<Object>} Raw { verificationToken, verificationCode }
+   * @private
+   */
+  async sendEmailVerification(user) {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    const verificationCode = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + config.emailVerification.tokenTtlHours * 60 * 60 * 1000);
+
+    await prisma.$transaction(async (tx) => {
+      await emailVerificationTokenRepository.invalidateForUser(user.id, tx);
+      await emailVerificationTokenRepository.create({
+        user_id: user.id,
+        token_hash: this.hashToken(verificationToken),
+        code_hash: this.hashVerificationCode(user.id, verificationCode),
+        expires_at: expiresAt
+      }, { tx });
+    });
+
+    try {
+      await emailService.sendEmailVerification(user, verificationToken, verificationCode);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'sendEmailVerification',
+        userId: user.id
+      });
+    }
+
+    return { verificationToken, verificationCode };
+  }
+
+  /**
+   * Find the usable verification token for a link token
+   * @param {string} token - Raw token from the verification link
+   * @returns {Promise<Object>} Token record
+   * @throws {BadRequestError} If the token is unknown, used or expired
+   * @private
+   */
+  async findVerificationByToken(token) {
+    const tokenRecord = await emailVerificationTokenRepository.findUsableByHash(this.hashToken(token));
+
+    if (!tokenRecord) {
+      throw new BadRequestError('Invalid or expired verification link');
+    }
+
+    return tokenRecord;
+  }
+
+  /**
+   * Find the usable verification token for a code, counting wrong guesses
+   * @param {string} userId - Signed-in user ID
+   * @param {string} code - 6-digit code
+   * @returns {Promise<Object>} Token record
+   * @throws {UnauthorizedError} If no user is signed in
+   * @throws {BadRequestError} If the code is wrong, used up or expired
+   * @private
+   */
+  async findVerificationByCode(userId, code) {
+    if (!userId) {
+      throw new UnauthorizedError('Sign in to verify your email with a code');
+    }
+
+    const tokenRecord = await emailVerificationTokenRepository.findUsableForUser(userId);
+
+    if (!tokenRecord || tokenRecord.attempts >= config.emailVerification.maxCodeAttempts) {
+      throw new BadRequestError('Invalid or expired verification code. Request a new one.');
+    }
+
+    const expected = Buffer.from(tokenRecord.code_hash, 'hex');
+    const actual = Buffer.from(this.hashVerificationCode(userId, code), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      await emailVerificationTokenRepository.recordFailedAttempt(tokenRecord.id);
+
+      logger.security('Invalid email verification code', {
+        userId,
+        details: { attempts: tokenRecord.attempts + 1 }
+      });
+      throw new BadRequestError('Invalid or expired verification code');
+    }
+
+    return tokenRecord;
+  }
+
+  /**
+   * Hash a verification code for storage and comparison.
+   * The user ID is mixed in so equal codes of different users differ.
+   * @param {string} userId - User ID
+   * @param {string} code - 6-digit code
+   * @returns {string} SHA-256 hex digest
    * @private
    */
-  async deleteResetToken(token) {
-    // TODO: Implement token deletion
+  hashVerificationCode(userId, code) {
+    return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
   }
 
   /**
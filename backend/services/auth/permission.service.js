@@ -0,0 +1,198 @@
+/**
+ * Permission Service
+ *
+ * Resolves the named permissions of back-office roles and lets a super
+ * admin change them and assign roles.
+ *
+ * SUPER_ADMIN always holds every permission. Other staff roles hold the
+ * permissions stored for them in role_permissions, or the defaults in
+ * DEFAULT_ROLE_PERMISSIONS while nothing is stored. Sellers hold none.
+ *
+ * Location: backend/services/auth/permission.service.js
+ */
+
+const rolePermissionRepository = require('../../database/repositories/rolePermission.repository');
+const userRepository = require('../../database/repositories/user.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  STAFF_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+class PermissionService {
+  constructor() {
+    // role -> { permissions, expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the permissions of a role
+   * @param {string} role - User role
+   * @returns {Promise<Array<string>>} Permission names
+   */
+  async getPermissions(role) {
+    if (role === 'SUPER_ADMIN') {
+      return Object.values(PERMISSIONS);
+    }
+
+    if (!this.isConfigurable(role)) {
+      return [];
+    }
+
+    const cached = this.cache.get(role);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const stored = await rolePermissionRepository.findByRole(role);
+    const permissions = stored.length > 0 ? stored : DEFAULT_ROLE_PERMISSIONS[role] || [];
+
+    this.cache.set(role, {
+      permissions,
+      expiresAt: Date.now() + config.permissions.cacheSeconds * 1000
+    });
+
+    return permissions;
+  }
+
+  /**
+   * List the back-office roles with their permissions
+   * @returns {Promise<Object>} { roles, permissions }
+   */
+  async getRoles() {
+    const rows = await rolePermissionRepository.findAll();
+
+    const roles = STAFF_ROLES.map(role => {
+      const stored = rows.filter(row => row.role === role).map(row => row.permission);
+
+      if (role === 'SUPER_ADMIN') {
+        return { role, permissions: Object.values(PERMISSIONS), configurable: false, uses_defaults: false };
+      }
+
+      return {
+        role,
+        permissions: stored.length > 0 ? stored : DEFAULT_ROLE_PERMISSIONS[role] || [],
+        configurable: true,
+        uses_defaults: stored.length === 0
+      };
+    });
+
+    return {
+      roles,
+      permissions: Object.values(PERMISSIONS)
+    };
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} role - Staff role (not SUPER_ADMIN)
+   * @param {Array<string>} permissions - Permission names
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} { role, permissions }
+   */
+  async setRolePermissions(role, permissions, context = {}) {
+    try {
+      if (!this.isConfigurable(role)) {
+        throw new BadRequestError(`Permissions of ${role} cannot be changed`);
+      }
+
+      const before = await this.getPermissions(role);
+      const after = [...new Set(permissions)].sort();
+
+      await prisma.$transaction(async (tx) => {
+        await rolePermissionRepository.replaceForRole(role, after, context.actorId, tx);
+        await auditLogRepository.record({
+          action: 'role.permissions_updated',
+          entity: 'role',
+          changes: { role, before, after },
+          context
+        }, tx);
+      });
+
+      this.cache.delete(role);
+
+      logger.security('Role permissions updated', {
+        userId: context.actorId,
+        ip: context.ip,
+        details: { role, permissions: after }
+      });
+
+      return { role, permissions: after };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'setRolePermissions',
+        role
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a role to a user
+   * @param {string} userId - User ID
+   * @param {string} role - New role
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated user
+   */
+  async changeUserRole(userId, role, context = {}) {
+    try {
+      if (userId === context.actorId) {
+        throw new ForbiddenError('You cannot change your own role');
+      }
+
+      const user = await userRepository.findById(userId);
+
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+
+      if (user.role === role) {
+        throw new BadRequestError(`User is already ${role}`);
+      }
+
+      let updated;
+
+      await prisma.$transaction(async (tx) => {
+        updated = await userRepository.updateRole(userId, role, tx);
+        await auditLogRepository.record({
+          action: 'user.role_changed',
+          entity: 'user',
+          entityId: userId,
+          changes: { before: user.role, after: role },
+          context
+        }, tx);
+      });
+
+      return updated;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'changeUserRole',
+        userId,
+        role
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a role's permissions are stored in role_permissions
+   * @param {string} role - User role
+   * @returns {boolean}
+   */
+  isConfigurable(role) {
+    return STAFF_ROLES.includes(role) && role !== 'SUPER_ADMIN';
+  }
+}
+
+// Export singleton instance
+module.exports = new PermissionService();
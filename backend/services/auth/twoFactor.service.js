@@ -0,0 +1,407 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP enrolment, backup codes and code checks for sign-in and step-up.
+ *
+ * Enrolment is two steps: setup stores a new secret and returns it with an
+ * otpauth:// URI for the authenticator app; enable confirms it with a first
+ * code and returns the backup codes, which are only ever shown once.
+ *
+ * Wherever a code is asked for, a 6-digit TOTP code or an unused backup
+ * code is accepted. A TOTP code works only once.
+ *
+ * Location: backend/services/auth/twoFactor.service.js
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const userRepository = require('../../database/repositories/user.repository');
+const twoFactorSecretRepository = require('../../database/repositories/twoFactorSecret.repository');
+const twoFactorBackupCodeRepository = require('../../database/repositories/twoFactorBackupCode.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const { prisma } = require('../../src/config/database.config');
+const totp = require('../../src/shared/utils/totp');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { STAFF_ROLES } = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+const TOTP_CODE = /^\d{6}$/;
+
+class TwoFactorService {
+  /**
+   * Get a user's 2FA status
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabled_at, backup_codes_remaining, required }
+   */
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+    const secret = await twoFactorSecretRepository.findByUserId(userId);
+
+    return {
+      enabled: user.two_factor_enabled,
+      enabled_at: secret ? secret.enabled_at : null,
+      backup_codes_remaining: user.two_factor_enabled
+        ? await twoFactorBackupCodeRepository.countUnused(userId)
+        : 0,
+      required: this.isRequired(user)
+    };
+  }
+
+  /**
+   * Start enrolment: create a secret for the authenticator app
+   * Replaces a secret that was set up but never confirmed.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUrl }
+   */
+  async setup(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.two_factor_enabled) {
+        throw new BadRequestError('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+
+      await twoFactorSecretRepository.savePending(userId, this.encrypt(secret));
+
+      logger.info('Two-factor setup started', { userId });
+
+      return {
+        secret,
+        otpauthUrl: totp.keyUri({
+          secret,
+          account: user.email,
+          issuer: config.twoFactor.issuer
+        })
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'setupTwoFactor',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolment with a first code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - 6-digit TOTP code
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} { enabled, backupCodes }
+   */
+  async enable(userId, code, context = {}) {
+    try {
+      const user = await this.findUser(userId);
+      const secret = await twoFactorSecretRepository.findByUserId(userId);
+
+      if (user.two_factor_enabled) {
+        throw new BadRequestError('Two-factor authentication is already enabled');
+      }
+
+      if (!secret) {
+        throw new BadRequestError('Start two-factor setup first');
+      }
+
+      const step = totp.verify(this.decrypt(secret.secret_encrypted), code);
+
+      if (step === null) {
+        throw new BadRequestError('Invalid authentication code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+
+      await prisma.$transaction(async (tx) => {
+        if (!(await twoFactorSecretRepository.markStepUsed(secret.id, step, { enabled_at: new Date() }, tx))) {
+          throw new BadRequestError('Invalid authentication code');
+        }
+
+        await userRepository.setTwoFactorEnabled(userId, true, tx);
+        await twoFactorBackupCodeRepository.replaceForUser(
+          userId,
+          backupCodes.map(backupCode => this.hashBackupCode(userId, backupCode)),
+          tx
+        );
+        await auditLogRepository.record({
+          action: 'user.two_factor_enabled',
+          entity: 'user',
+          entityId: userId,
+          context
+        }, tx);
+      });
+
+      return {
+        enabled: true,
+        backupCodes
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'enableTwoFactor',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn 2FA off. Needs the password and a current code.
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - TOTP or backup code
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} { enabled }
+   */
+  async disable(userId, password, code, context = {}) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.two_factor_enabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled');
+      }
+
+      if (this.isRequired(user)) {
+        throw new ForbiddenError('Two-factor authentication is required for admin accounts');
+      }
+
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        throw new UnauthorizedError('Current password is incorrect');
+      }
+
+      await this.assertCode(userId, code);
+
+      await prisma.$transaction(async (tx) => {
+        await twoFactorSecretRepository.deleteForUser(userId, tx);
+        await twoFactorBackupCodeRepository.deleteForUser(userId, tx);
+        await userRepository.setTwoFactorEnabled(userId, false, tx);
+        await auditLogRepository.record({
+          action: 'user.two_factor_disabled',
+          entity: 'user',
+          entityId: userId,
+          context
+        }, tx);
+      });
+
+      return { enabled: false };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'disableTwoFactor',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the backup codes. The old ones stop working.
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or backup code
+   * @returns {Promise<Object>} { backupCodes }
+   */
+  async regenerateBackupCodes(userId, code) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.two_factor_enabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled');
+      }
+
+      await this.assertCode(userId, code);
+
+      const backupCodes = this.generateBackupCodes();
+
+      await twoFactorBackupCodeRepository.replaceForUser(
+        userId,
+        backupCodes.map(backupCode => this.hashBackupCode(userId, backupCode))
+      );
+
+      logger.security('Two-factor backup codes regenerated', { userId });
+
+      return { backupCodes };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'regenerateBackupCodes',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP or backup code and use it up
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or backup code
+   * @returns {Promise<string|null>} 'totp' or 'backup_code', or null if invalid
+   */
+  async verifyCode(userId, code) {
+    if (!code) {
+      return null;
+    }
+
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+
+    if (TOTP_CODE.test(normalized)) {
+      const secret = await twoFactorSecretRepository.findByUserId(userId);
+
+      if (!secret || !secret.enabled_at) {
+        return null;
+      }
+
+      const step = totp.verify(this.decrypt(secret.secret_encrypted), normalized, {
+        afterStep: secret.last_used_step
+      });
+
+      return step !== null && (await twoFactorSecretRepository.markStepUsed(secret.id, step))
+        ? 'totp'
+        : null;
+    }
+
+    if (await twoFactorBackupCodeRepository.consume(userId, this.hashBackupCode(userId, normalized))) {
+      const remaining = await twoFactorBackupCodeRepository.countUnused(userId);
+
+      logger.security('Two-factor backup code used', {
+        userId,
+        details: { remaining }
+      });
+
+      return 'backup_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Require a valid TOTP or backup code
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or backup code
+   * @returns {Promise<string>} 'totp' or 'backup_code'
+   * @throws {UnauthorizedError} If the code is missing or invalid
+   */
+  async assertCode(userId, code) {
+    const method = await this.verifyCode(userId, code);
+
+    if (!method) {
+      logger.security('Invalid two-factor code', { userId });
+      throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    return method;
+  }
+
+  /**
+   * Require a current code for a sensitive action (step-up)
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or backup code
+   * @param {string} action - What the code is for, used in messages
+   * @throws {ForbiddenError} If the user has not enabled 2FA
+   * @throws {UnauthorizedError} If the code is missing or invalid
+   */
+  async requireStepUp(userId, code, action) {
+    const user = await this.findUser(userId);
+
+    if (!user.two_factor_enabled) {
+      throw new ForbiddenError(`Enable two-factor authentication to ${action}`);
+    }
+
+    if (!code) {
+      throw new UnauthorizedError(`An authentication code is required to ${action}`);
+    }
+
+    await this.assertCode(userId, code);
+  }
+
+  /**
+   * Whether a user must keep 2FA enabled
+   * @param {Object} user - User
+   * @returns {boolean}
+   */
+  isRequired(user) {
+    return STAFF_ROLES.includes(user.role) && config.twoFactor.requiredForAdmins;
+  }
+
+  /**
+   * Find a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User
+   * @private
+   */
+  async findUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return user;
+  }
+
+  /**
+   * Generate a set of backup codes, formatted xxxxx-xxxxx
+   * @returns {Array<string>} Backup codes
+   * @private
+   */
+  generateBackupCodes() {
+    return Array.from({ length: config.twoFactor.backupCodeCount }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a backup code for storage and lookup
+   * @param {string} userId - User ID
+   * @param {string} code - Backup code, with or without the dash
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  hashBackupCode(userId, code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(`${userId}:${normalized}`).digest('hex');
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage (AES-256-GCM)
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext, hex encoded
+   * @private
+   */
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} payload - iv:tag:ciphertext
+   * @returns {string} Base32 secret
+   * @private
+   */
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Derive the 256-bit encryption key
+   * @returns {Buffer}
+   * @private
+   */
+  getKey() {
+    return crypto.createHash('sha256').update(String(config.twoFactor.encryptionKey)).digest();
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorService();
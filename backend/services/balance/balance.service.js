@@ -2,54 +2,124 @@
  * Balance Service
  * 
  * Manages user account balances and ensures balance integrity.
- * Works in conjunction with Pool Account Service.
+ * Works in conjunction with Pool Account Service. Every mutation is posted
+ * to the double-entry journal (see LedgerService), which also keeps the
+ * AccountBalance projection in step within the same transaction.
+ *
+ * A seller holds a separate balance per currency (config.pool.currencies).
+ * Reads take a currency argument and mutations a context.currency, both
+ * defaulting to config.pool.currency.
  * 
  * Location: src/services/balance/balanceService.js
  */
 
 const balanceRepository = require('../../database/repositories/balance.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
 const ledgerService = require('./ledger.service');
+const config = require('../../src/config/environment.config');
+const { LEDGER_ACCOUNT_TYPES, LEDGER_ENTRY_TYPES } = require('../../src/config/constants.config');
 const logger = require('../../src/shared/utils/logger');
 const {
-  InsufficientBalanceError,
   NotFoundError,
   DatabaseError
 } = require('../../src/shared/utils/ApiError');
 
 class BalanceService {
   /**
-   * Get user's balance
+   * Get user's balance in one currency
    * @param {string} userId - User ID
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Balance information
    */
-  async getBalance(userId) {
+  async getBalance(userId, currency = config.pool.currency) {
     try {
-      const balance = await balanceRepository.getOrCreate(userId);
+      const balance = await balanceRepository.getOrCreate(userId, currency);
 
       if (!balance) {
         throw new NotFoundError('Balance');
       }
 
-      return {
-        available: parseFloat(balance.available_balance),
-        pending: parseFloat(balance.pending_balance),
-        reserved: parseFloat(balance.reserved_balance),
-        totalEarned: parseFloat(balance.total_earned),
-        totalWithdrawn: parseFloat(balance.total_withdrawn),
-        currency: balance.currency,
-        lastUpdated: balance.updated_at
-      };
+      return this.formatBalance(balance);
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'getBalance',
-        userId
+        userId,
+        currency
       });
       throw new DatabaseError('Failed to get balance');
     }
   }
 
   /**
-   * Initialize balance for a new user
+   * Get user's balance in every supported currency (zero where the user
+   * holds none yet)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} One balance per currency
+   */
+  async getBalances(userId) {
+    try {
+      const balances = await balanceRepository.getAllByUserId(userId);
+      const currencies = [...new Set([
+        ...config.pool.currencies,
+        ...balances.map(balance => balance.currency)
+      ])];
+
+      return currencies.map(currency => {
+        const balance = balances.find(row => row.currency === currency);
+
+        return balance
+          ? this.formatBalance(balance)
+          : {
+            available: 0,
+            pending: 0,
+            reserved: 0,
+            totalEarned: 0,
+            totalWithdrawn: 0,
+            currency,
+            lastUpdated: null
+          };
+      });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'getBalances',
+        userId
+      });
+      throw new DatabaseError('Failed to get balances');
+    }
+  }
+
+  /**
+   * Shape an AccountBalance row for responses
+   * @param {Object} balance - AccountBalance row
+   * @returns {Object} Balance information
+   * @private
+   */
+  formatBalance(balance) {
+    return {
+      available: parseFloat(balance.available_balance),
+      pending: parseFloat(balance.pending_balance),
+      reserved: parseFloat(balance.reserved_balance),
+      totalEarned: parseFloat(balance.total_earned),
+      totalWithdrawn: parseFloat(balance.total_withdrawn),
+      currency: balance.currency,
+      lastUpdated: balance.updated_at
+    };
+  }
+
+  /**
+   * Unique key of a user's balance row in one currency
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code (default currency if omitted)
+   * @returns {Object} Prisma where clause
+   * @private
+   */
+  balanceKey(userId, currency = config.pool.currency) {
+    return { user_id_currency: { user_id: userId, currency } };
+  }
+
+  /**
+   * Initialize balance for a new user in the default currency. Balances
+   * in other currencies are created by their first posting.
    * @param {string} userId - User ID
    * @returns {Promise<Object>} Created balance
    */
@@ -58,17 +128,9 @@ class BalanceService {
       // Use getOrCreate instead of create to handle duplicates gracefully
       const balance = await balanceRepository.getOrCreate(userId);
 
-      logger.info('Balance initialized', { userId });
+      logger.info('Balance initialized', { userId, currency: balance.currency });
 
-      return {
-        available: parseFloat(balance.available_balance),
-        pending: parseFloat(balance.pending_balance),
-        reserved: parseFloat(balance.reserved_balance),
-        totalEarned: parseFloat(balance.total_earned),
-        totalWithdrawn: parseFloat(balance.total_withdrawn),
-        currency: balance.currency,
-        lastUpdated: balance.updated_at
-      };
+      return this.formatBalance(balance);
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'initializeBalance',
@@ -83,11 +145,12 @@ class BalanceService {
    * Check if user has sufficient available balance
    * @param {string} userId - User ID
    * @param {number} amount - Amount to check
+   * @param {string} currency - Currency code
    * @returns {Promise<boolean>} True if sufficient balance
    */
-  async checkSufficientBalance(userId, amount) {
+  async checkSufficientBalance(userId, amount, currency = config.pool.currency) {
     try {
-      const balance = await balanceRepository.getByUserId(userId);
+      const balance = await balanceRepository.getByUserId(userId, currency);
 
       if (!balance) {
         return false;
@@ -98,48 +161,79 @@ class BalanceService {
       logger.errorWithContext(error, {
         method: 'checkSufficientBalance',
         userId,
-        amount
+        amount,
+        currency
       });
       throw new DatabaseError('Failed to check balance');
     }
   }
 
+  /**
+   * Post a movement between two of the user's journal accounts
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} userId - User ID
+   * @param {Object} movement - entryType, debit, credit, amount, description
+   * @param {Object} context - currency, referenceType, referenceId, createdBy, description, metadata
+   * @returns {Promise<Object>} Updated AccountBalance row
+   */
+  async postMovement(tx, userId, movement, context = {}) {
+    const { currency, referenceType, referenceId, createdBy, description, metadata } = context;
+
+    const { balances } = await ledgerService.transfer({
+      ...movement,
+      userId,
+      currency,
+      referenceType,
+      referenceId,
+      createdBy,
+      metadata,
+      description: description || movement.description
+    }, tx);
+
+    return balances[userId];
+  }
+
   /**
    * Credit balance (add funds) with ledger entry
-   * Used for deposits, refunds, etc.
-   * 
+   * Funds arrive in the gateway float on the user's behalf (refunds, reversals).
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to credit
    * @param {string} source - Source of credit
    * @param {Object} metadata - Additional metadata
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, createdBy, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async creditBalance(userId, amount, source = 'deposit', metadata = {}) {
+  async creditBalance(userId, amount, source = 'deposit', metadata = {}, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Credit amount must be positive');
     }
 
     try {
-      // Get current balance
-      const currentBalance = await balanceRepository.getOrCreate(userId);
-      const balanceBefore = parseFloat(currentBalance.available_balance);
-
-      // Credit balance using repository
-      const updatedBalance = await balanceRepository.creditAvailable(userId, amount);
-      const balanceAfter = parseFloat(updatedBalance.available_balance);
+      const updatedBalance = await ledgerService.runInTransaction(context.tx, async (tx) => {
+        await this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.CREDIT,
+          debit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          amount,
+          description: `Credit from ${source}`
+        }, { ...context, metadata: { source, ...metadata } });
+
+        return tx.accountBalance.update({
+          where: this.balanceKey(userId, context.currency),
+          data: { total_earned: { increment: amount } }
+        });
+      });
 
-      // Record in ledger
-      await ledgerService.recordCredit(
+      logger.info('Balance credited', {
         userId,
         amount,
-        balanceBefore,
-        balanceAfter,
         source,
-        metadata
-      );
+        newBalance: updatedBalance.available_balance
+      });
 
       return {
-        available: balanceAfter,
+        available: parseFloat(updatedBalance.available_balance),
         pending: parseFloat(updatedBalance.pending_balance),
         reserved: parseFloat(updatedBalance.reserved_balance),
         totalEarned: parseFloat(updatedBalance.total_earned)
@@ -151,26 +245,39 @@ class BalanceService {
         amount,
         source
       });
-      throw new DatabaseError('Failed to credit balance');
+      throw error;
     }
   }
 
   /**
    * Debit balance (remove funds)
-   * Used for sales, withdrawals, fees, etc.
-   * 
+   * Funds leave the gateway float directly from the available balance.
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to debit
    * @param {string} transactionId - Related transaction ID
+   * @param {Object} context - Optional { tx, currency, referenceType, createdBy, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async debitBalance(userId, amount, transactionId = null) {
+  async debitBalance(userId, amount, transactionId = null, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Debit amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.debitAvailable(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, (tx) =>
+        this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.DEBIT,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          credit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          amount,
+          description: 'Balance debited'
+        }, {
+          referenceType: transactionId ? 'transaction' : undefined,
+          referenceId: transactionId,
+          ...context
+        })
+      );
 
       logger.info('Balance debited', {
         userId,
@@ -199,18 +306,27 @@ class BalanceService {
   /**
    * Reserve funds (move from available to reserved)
    * Used when initiating a transaction before completion
-   * 
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to reserve
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async reserveFunds(userId, amount) {
+  async reserveFunds(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Reserve amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.reserveFunds(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, (tx) =>
+        this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.RESERVE,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_RESERVED,
+          amount,
+          description: 'Funds reserved'
+        }, context)
+      );
 
       logger.info('Funds reserved', {
         userId,
@@ -236,18 +352,27 @@ class BalanceService {
   /**
    * Release reserved funds back to available
    * Used when a transaction fails or is cancelled
-   * 
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to release
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async releaseReservedFunds(userId, amount) {
+  async releaseReservedFunds(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Release amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.releaseReservedFunds(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, (tx) =>
+        this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.RELEASE,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_RESERVED,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          amount,
+          description: 'Reserved funds released'
+        }, context)
+      );
 
       logger.info('Reserved funds released', {
         userId,
@@ -272,19 +397,29 @@ class BalanceService {
 
   /**
    * Complete reserved transaction (deduct from reserved)
-   * Used when a transaction completes successfully
-   * 
+   * Used when a transaction completes successfully; the reserved funds
+   * are settled out of the gateway float.
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to complete
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async completeReservedTransaction(userId, amount) {
+  async completeReservedTransaction(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.completeReservedTransaction(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, (tx) =>
+        this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.SETTLEMENT,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_RESERVED,
+          credit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          amount,
+          description: 'Reserved funds settled'
+        }, context)
+      );
 
       logger.info('Reserved transaction completed', {
         userId,
@@ -308,18 +443,28 @@ class BalanceService {
 
   /**
    * Move funds to pending (for deposits awaiting approval)
-   * 
+   * Funds received at the gateway are held until approved.
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to move to pending
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async moveToPending(userId, amount) {
+  async moveToPending(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.moveToPending(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, (tx) =>
+        this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.PENDING_CREDIT,
+          debit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_PENDING,
+          amount,
+          description: 'Funds received pending approval'
+        }, context)
+      );
 
       logger.info('Funds moved to pending', {
         userId,
@@ -343,18 +488,32 @@ class BalanceService {
 
   /**
    * Approve pending funds (move from pending to available)
-   * 
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to approve
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, createdBy, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async approvePending(userId, amount) {
+  async approvePending(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.approvePending(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, async (tx) => {
+        await this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.PENDING_APPROVAL,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_PENDING,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          amount,
+          description: 'Pending funds approved'
+        }, context);
+
+        return tx.accountBalance.update({
+          where: this.balanceKey(userId, context.currency),
+          data: { total_earned: { increment: amount } }
+        });
+      });
 
       logger.info('Pending funds approved', {
         userId,
@@ -379,18 +538,28 @@ class BalanceService {
 
   /**
    * Reject pending funds (remove from pending)
-   * 
+   * Rejected funds are returned out of the gateway float.
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Amount to reject
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, createdBy, description }
    * @returns {Promise<Object>} Updated balance
    */
-  async rejectPending(userId, amount) {
+  async rejectPending(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new DatabaseError('Amount must be positive');
     }
 
     try {
-      const result = await balanceRepository.rejectPending(userId, amount);
+      const result = await ledgerService.runInTransaction(context.tx, (tx) =>
+        this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.PENDING_REJECTION,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_PENDING,
+          credit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          amount,
+          description: 'Pending funds rejected'
+        }, context)
+      );
 
       logger.info('Pending funds rejected', {
         userId,
@@ -412,16 +581,112 @@ class BalanceService {
     }
   }
 
+  /**
+   * Adjust available balance (admin correction)
+   * Positive adjustments are funded from the unallocated pool, negative
+   * adjustments are returned to it.
+   *
+   * @param {string} userId - User ID
+   * @param {number} amount - Adjustment amount (positive or negative)
+   * @param {string} reason - Reason for adjustment
+   * @param {string} adjustedBy - Admin who made adjustment
+   * @param {Object} context - Optional { tx, currency, audit }, audit being
+   *   the request context written to the audit log
+   * @returns {Promise<Object>} Balance before/after adjustment
+   */
+  async adjustBalance(userId, amount, reason, adjustedBy, context = {}) {
+    if (!amount) {
+      throw new DatabaseError('Adjustment amount must not be zero');
+    }
+
+    try {
+      const { balanceBefore, balance } = await ledgerService.runInTransaction(context.tx, async (tx) => {
+        const current = await tx.accountBalance.findUnique({
+          where: this.balanceKey(userId, context.currency)
+        });
+
+        const increase = amount > 0;
+
+        // A credit may open the seller's first balance in a currency
+        if (!current && !increase) {
+          throw new NotFoundError('Balance');
+        }
+
+        const availableBefore = current ? current.available_balance : 0;
+
+        const updated = await this.postMovement(tx, userId, {
+          entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+          debit: increase ? LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED : LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          credit: increase ? LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE : LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          amount: Math.abs(amount),
+          description: `Balance adjustment: ${reason}`
+        }, {
+          currency: context.currency,
+          referenceType: 'user',
+          referenceId: userId,
+          createdBy: adjustedBy,
+          metadata: {
+            adjustment_type: increase ? 'increase' : 'decrease',
+            reason,
+            adjusted_by: adjustedBy
+          }
+        });
+
+        await auditLogRepository.recordChange({
+          action: 'balance.adjusted',
+          entity: 'user',
+          entityId: userId,
+          before: { available_balance: availableBefore },
+          after: { available_balance: updated.available_balance },
+          details: { adjustment: amount, currency: updated.currency, reason },
+          context: { ...context.audit, actorId: adjustedBy }
+        }, tx);
+
+        return {
+          balanceBefore: parseFloat(availableBefore),
+          balance: updated
+        };
+      });
+
+      const balanceAfter = parseFloat(balance.available_balance);
+
+      logger.info('Balance adjusted', {
+        userId,
+        amount,
+        reason,
+        adjustedBy,
+        balanceBefore,
+        balanceAfter
+      });
+
+      return {
+        balanceBefore,
+        balanceAfter,
+        adjustment: amount,
+        currency: balance.currency
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'adjustBalance',
+        userId,
+        amount
+      });
+      throw error;
+    }
+  }
+
   /**
    * Record withdrawal (update total_withdrawn)
-   * 
+   * Statistic only - the funds movement is posted by completeReservedTransaction.
+   *
    * @param {string} userId - User ID
    * @param {number} amount - Withdrawal amount
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Updated balance
    */
-  async recordWithdrawal(userId, amount) {
+  async recordWithdrawal(userId, amount, currency = config.pool.currency) {
     try {
-      const result = await balanceRepository.recordWithdrawal(userId, amount);
+      const result = await balanceRepository.recordWithdrawal(userId, amount, currency);
 
       logger.info('Withdrawal recorded', {
         userId,
@@ -445,11 +710,12 @@ class BalanceService {
   /**
    * Get balance summary with statistics
    * @param {string} userId - User ID
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Detailed balance summary
    */
-  async getBalanceSummary(userId) {
+  async getBalanceSummary(userId, currency = config.pool.currency) {
     try {
-      const balance = await this.getBalance(userId);
+      const balance = await this.getBalance(userId, currency);
 
       // Calculate net balance
       const netBalance = balance.totalEarned - balance.totalWithdrawn;
@@ -485,7 +751,9 @@ class BalanceService {
    */
   async getMultipleBalances(userIds) {
     try {
-      const balances = await balanceRepository.getMultipleBalances(userIds);
+      const balances = await balanceRepository.findMany({
+        user_id: { in: userIds }
+      });
 
       return balances.map(balance => ({
         userId: balance.user_id,
@@ -505,11 +773,12 @@ class BalanceService {
 
   /**
    * Get total allocated balance across all users
+   * @param {string} currency - Currency code
    * @returns {Promise<number>} Total allocated balance
    */
-  async getTotalAllocated() {
+  async getTotalAllocated(currency = config.pool.currency) {
     try {
-      const result = await balanceRepository.getTotalAllocated();
+      const result = await balanceRepository.getTotalAllocated(currency);
 
       return result;
     } catch (error) {
@@ -523,11 +792,12 @@ class BalanceService {
   /**
    * Reconcile user balance
    * @param {string} userId - User ID
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Reconciliation result
    */
-  async reconcileBalance(userId) {
+  async reconcileBalance(userId, currency = config.pool.currency) {
     try {
-      const result = await ledgerService.reconcileBalance(userId);
+      const result = await ledgerService.reconcileBalance(userId, currency);
       return result;
     } catch (error) {
       logger.errorWithContext(error, {
@@ -563,11 +833,12 @@ class BalanceService {
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Balance statistics
    */
-  async getBalanceStats(userId, startDate = null, endDate = null) {
+  async getBalanceStats(userId, startDate = null, endDate = null, currency = config.pool.currency) {
     try {
-      const stats = await ledgerService.getUserLedgerSummary(userId, startDate, endDate);
+      const stats = await ledgerService.getUserLedgerSummary(userId, startDate, endDate, currency);
       return stats;
     } catch (error) {
       logger.errorWithContext(error, {
@@ -1,176 +1,603 @@
 /**
  * Ledger Service
- * 
- * Maintains complete audit trail of all balance changes.
- * Every credit/debit operation is logged here for reconciliation.
- * 
+ *
+ * Double-entry journal for every movement of money in the system.
+ * Each posting is a JournalEntry whose debit and credit lines balance.
+ * AccountBalance and PoolAccount rows are projections of the journal and
+ * are updated inside the same database transaction as the posting, so
+ * balances can always be re-derived (and reconciled) from the journal.
+ *
  * Location: src/services/balance/ledgerService.js
  */
 
+const crypto = require('crypto');
 const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const {
+  LEDGER_ACCOUNT_TYPES,
+  SELLER_LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  HASH_CHAINS
+} = require('../../src/config/constants.config');
 const logger = require('../../src/shared/utils/logger');
-const { DatabaseError } = require('../../src/shared/utils/ApiError');
+const hashChain = require('../../src/shared/utils/hashChain');
+const {
+  DatabaseError,
+  NotFoundError,
+  PoolAccountError,
+  InsufficientBalanceError
+} = require('../../src/shared/utils/ApiError');
+
+// AccountBalance column projected from each seller account
+const BALANCE_COLUMNS = {
+  [LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE]: 'available_balance',
+  [LEDGER_ACCOUNT_TYPES.SELLER_PENDING]: 'pending_balance',
+  [LEDGER_ACCOUNT_TYPES.SELLER_RESERVED]: 'reserved_balance'
+};
+
+/**
+ * Convert an amount to integer cents to avoid floating point drift
+ * @param {number|string|Object} amount - Amount (number, string or Decimal)
+ * @returns {number} Amount in cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Convert integer cents back to an amount
+ * @param {number} cents - Amount in cents
+ * @returns {number} Amount
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Asset and expense accounts grow with debits, every other account with credits
+const DEBIT_NORMAL_ACCOUNTS = [
+  LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+  LEDGER_ACCOUNT_TYPES.PLATFORM_EXPENSES
+];
+
+/**
+ * Get the normal balance side of an account type
+ * @param {string} accountType - Ledger account type
+ * @returns {string} DEBIT or CREDIT
+ */
+function normalBalanceOf(accountType) {
+  return DEBIT_NORMAL_ACCOUNTS.includes(accountType) ? 'DEBIT' : 'CREDIT';
+}
 
 class LedgerService {
   /**
-   * Record a ledger entry
-   * @param {Object} entry - Ledger entry data
-   * @returns {Promise<Object>} Created ledger entry
+   * Build the unique code of a ledger account
+   * @param {string} accountType - Ledger account type
+   * @param {string|null} userId - Owner (seller accounts only)
+   * @param {string} currency - Currency code
+   * @returns {string} Account code
+   */
+  accountCode(accountType, userId, currency) {
+    return userId
+      ? `${accountType}:${userId}:${currency}`
+      : `${accountType}:${currency}`;
+  }
+
+  /**
+   * Get a ledger account, creating it on first use
+   * @param {Object} client - Prisma client or transaction client
+   * @param {string} accountType - Ledger account type
+   * @param {string|null} userId - Owner (seller accounts only)
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Ledger account
+   */
+  async getOrCreateAccount(client, accountType, userId = null, currency = config.pool.currency) {
+    const isSellerAccount = SELLER_LEDGER_ACCOUNTS.includes(accountType);
+
+    if (isSellerAccount && !userId) {
+      throw new DatabaseError(`User ID is required for ${accountType} account`);
+    }
+
+    const ownerId = isSellerAccount ? userId : null;
+    const code = this.accountCode(accountType, ownerId, currency);
+
+    return client.ledgerAccount.upsert({
+      where: { code },
+      create: {
+        code,
+        account_type: accountType,
+        user_id: ownerId,
+        currency,
+        normal_balance: normalBalanceOf(accountType)
+      },
+      update: {}
+    });
+  }
+
+  /**
+   * Run a callback in the given transaction client or a new transaction
+   * Lets callers compose several postings into one atomic unit.
+   * @param {Object|null} tx - Existing Prisma transaction client
+   * @param {Function} callback - Callback receiving the transaction client
+   * @returns {Promise<*>} Callback result
+   */
+  async runInTransaction(tx, callback) {
+    return tx ? callback(tx) : prisma.$transaction(callback);
+  }
+
+  /**
+   * Post a balanced journal entry and update balance projections
+   * Runs in its own transaction unless a transaction client is given.
+   *
+   * @param {Object} entry - Journal entry
+   * @param {string} entry.entryType - One of LEDGER_ENTRY_TYPES
+   * @param {Array<Object>} entry.lines - Lines ({ account, direction, amount, userId? })
+   * @param {string} [entry.userId] - Seller the entry relates to
+   * @param {string} [entry.currency] - Currency code
+   * @param {string} [entry.description] - Human readable description
+   * @param {string} [entry.referenceType] - Related entity type (transaction, deposit_request...)
+   * @param {string} [entry.referenceId] - Related entity ID
+   * @param {string} [entry.createdBy] - Admin/user who triggered the entry
+   * @param {Object} [entry.metadata] - Additional metadata
+   * @param {boolean} [entry.allowNegative] - Skip negative balance guards (gateway reconciliation)
+   * @param {boolean} [entry.skipProjections] - Journal only: the projections already hold
+   *   the amounts (opening balances of data that predates the journal)
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} { entry, balances, pool }
    */
-  async recordEntry(entry) {
+  async postEntry(entry, tx = null) {
+    if (!tx) {
+      return this.runInTransaction(null, (client) => this.postEntry(entry, client));
+    }
+
     const {
-      user_id,
-      transaction_id,
-      entry_type,
-      amount,
-      balance_before,
-      balance_after,
+      entryType,
+      lines,
+      userId = null,
+      currency = config.pool.currency,
       description,
-      metadata
+      referenceType,
+      referenceId,
+      createdBy,
+      metadata,
+      allowNegative = false,
+      skipProjections = false
     } = entry;
 
-    try {
-      // Use transaction table as ledger
-      const ledgerEntry = await prisma.transaction.create({
-        data: {
-          user_id,
-          transaction_type: entry_type,
-          amount,
-          currency: 'USD',
-          status: 'COMPLETED',
-          description: description || `${entry_type} - Balance ${entry_type === 'DEPOSIT' ? 'credit' : 'debit'}`,
-          metadata: {
-            ledger: true,
-            balance_before,
-            balance_after,
-            change: balance_after - balance_before,
-            ...metadata
-          },
-          completed_at: new Date()
-        }
-      });
+    this.validateLines(lines);
 
-      logger.info('Ledger entry recorded', {
-        entryId: ledgerEntry.id,
-        userId: user_id,
-        type: entry_type,
-        amount,
-        balanceBefore: balance_before,
-        balanceAfter: balance_after
-      });
+    const resolvedLines = [];
+    for (const line of lines) {
+      const account = await this.getOrCreateAccount(
+        tx,
+        line.account,
+        line.userId || userId,
+        currency
+      );
 
-      return ledgerEntry;
-
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'recordEntry',
-        userId: user_id,
-        type: entry_type,
-        amount
+      resolvedLines.push({
+        account,
+        direction: line.direction,
+        cents: toCents(line.amount)
       });
-      throw new DatabaseError('Failed to record ledger entry');
     }
+
+    // Id and timestamp are set here so the sealed content matches the row
+    const data = {
+      id: crypto.randomUUID(),
+      entry_type: entryType,
+      description,
+      user_id: userId,
+      currency,
+      reference_type: referenceType,
+      reference_id: referenceId ? String(referenceId) : null,
+      created_by: createdBy,
+      metadata,
+      created_at: new Date()
+    };
+
+    const lineData = resolvedLines.map(line => ({
+      account_id: line.account.id,
+      direction: line.direction,
+      amount: fromCents(line.cents)
+    }));
+
+    const link = await hashChain.seal(
+      tx,
+      HASH_CHAINS.JOURNAL.model,
+      HASH_CHAINS.JOURNAL.lockKey,
+      this.chainContent({ ...data, lines: lineData })
+    );
+
+    const journalEntry = await tx.journalEntry.create({
+      data: {
+        ...data,
+        ...link,
+        lines: { create: lineData }
+      },
+      include: { lines: true }
+    });
+
+    const projections = skipProjections
+      ? { balances: {}, pool: null }
+      : await this.applyProjections(tx, resolvedLines, currency, allowNegative);
+
+    logger.info('Journal entry posted', {
+      entryId: journalEntry.id,
+      type: entryType,
+      userId,
+      referenceType,
+      referenceId,
+      lines: resolvedLines.map(line => ({
+        account: line.account.code,
+        direction: line.direction,
+        amount: fromCents(line.cents)
+      }))
+    });
+
+    return {
+      entry: journalEntry,
+      ...projections
+    };
   }
 
   /**
-   * Record a credit entry
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount credited
-   * @param {number} balanceBefore - Balance before credit
-   * @param {number} balanceAfter - Balance after credit
-   * @param {string} source - Source of credit
-   * @param {Object} metadata - Additional metadata
-   * @returns {Promise<Object>} Ledger entry
+   * Content of a journal entry covered by its hash: the entry fields and
+   * its lines (sorted, amounts in cents)
+   * @param {Object} entry - Journal entry with lines
+   * @returns {Object} Hashable content
    */
-  async recordCredit(userId, amount, balanceBefore, balanceAfter, source, metadata = {}) {
-    return this.recordEntry({
-      user_id: userId,
-      entry_type: 'DEPOSIT',
-      amount,
-      balance_before: balanceBefore,
-      balance_after: balanceAfter,
-      description: `Credit from ${source}`,
-      metadata: {
-        source,
-        operation: 'credit',
-        ...metadata
+  chainContent(entry) {
+    const lines = entry.lines
+      .map(line => ({
+        account_id: line.account_id,
+        direction: line.direction,
+        amount: toCents(line.amount)
+      }))
+      .sort((a, b) =>
+        `${a.account_id}:${a.direction}:${a.amount}`.localeCompare(`${b.account_id}:${b.direction}:${b.amount}`)
+      );
+
+    return {
+      id: entry.id,
+      entry_type: entry.entry_type,
+      description: entry.description ?? null,
+      user_id: entry.user_id ?? null,
+      currency: entry.currency,
+      reference_type: entry.reference_type ?? null,
+      reference_id: entry.reference_id ?? null,
+      created_by: entry.created_by ?? null,
+      metadata: entry.metadata ?? null,
+      created_at: entry.created_at,
+      lines
+    };
+  }
+
+  /**
+   * Post a two-line entry moving an amount from one account to another
+   * @param {Object} transfer - Entry fields plus debit/credit account types and amount
+   * @param {string} transfer.debit - Account type to debit
+   * @param {string} transfer.credit - Account type to credit
+   * @param {number} transfer.amount - Amount
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} { entry, balances, pool }
+   */
+  async transfer(transfer, tx = null) {
+    const { debit, credit, amount, ...entry } = transfer;
+
+    return this.postEntry({
+      ...entry,
+      lines: [
+        { account: debit, direction: 'DEBIT', amount },
+        { account: credit, direction: 'CREDIT', amount }
+      ]
+    }, tx);
+  }
+
+  /**
+   * Validate that journal lines are well formed and balanced
+   * @param {Array<Object>} lines - Journal lines
+   * @throws {DatabaseError} If lines are invalid or unbalanced
+   */
+  validateLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new DatabaseError('Journal entry requires at least two lines');
+    }
+
+    let debits = 0;
+    let credits = 0;
+
+    for (const line of lines) {
+      if (!Object.values(LEDGER_ACCOUNT_TYPES).includes(line.account)) {
+        throw new DatabaseError(`Unknown ledger account type: ${line.account}`);
       }
-    });
+
+      const cents = toCents(line.amount);
+
+      if (!Number.isFinite(cents) || cents <= 0) {
+        throw new DatabaseError('Journal line amount must be positive');
+      }
+
+      if (line.direction === 'DEBIT') {
+        debits += cents;
+      } else if (line.direction === 'CREDIT') {
+        credits += cents;
+      } else {
+        throw new DatabaseError(`Invalid journal line direction: ${line.direction}`);
+      }
+    }
+
+    if (debits !== credits) {
+      throw new DatabaseError(
+        `Journal entry is not balanced (debits ${fromCents(debits)}, credits ${fromCents(credits)})`
+      );
+    }
   }
 
   /**
-   * Record a debit entry
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount debited
-   * @param {number} balanceBefore - Balance before debit
-   * @param {number} balanceAfter - Balance after debit
-   * @param {string} purpose - Purpose of debit
-   * @param {Object} metadata - Additional metadata
-   * @returns {Promise<Object>} Ledger entry
+   * Apply posted lines to AccountBalance and PoolAccount projections
+   * Seller buckets map to AccountBalance columns and roll up into the pool's
+   * allocated balance; the gateway float is the pool total.
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} lines - Resolved lines ({ account, direction, cents })
+   * @param {string} currency - Currency code
+   * @param {boolean} allowNegative - Skip negative balance guards
+   * @returns {Promise<Object>} { balances: { [userId]: AccountBalance }, pool: PoolAccount|null }
    */
-  async recordDebit(userId, amount, balanceBefore, balanceAfter, purpose, metadata = {}) {
-    return this.recordEntry({
-      user_id: userId,
-      entry_type: 'SALE',
-      amount,
-      balance_before: balanceBefore,
-      balance_after: balanceAfter,
-      description: `Debit for ${purpose}`,
-      metadata: {
-        purpose,
-        operation: 'debit',
-        ...metadata
+  async applyProjections(tx, lines, currency, allowNegative = false) {
+    const balanceDeltas = {};
+    const poolDeltas = {
+      total_balance: 0,
+      allocated_balance: 0,
+      reserved_balance: 0
+    };
+    let unallocatedDelta = 0;
+
+    for (const line of lines) {
+      const { account_type: accountType, user_id: userId } = line.account;
+      const signed = line.direction === normalBalanceOf(accountType) ? line.cents : -line.cents;
+
+      if (BALANCE_COLUMNS[accountType]) {
+        const column = BALANCE_COLUMNS[accountType];
+        balanceDeltas[userId] = balanceDeltas[userId] || {};
+        balanceDeltas[userId][column] = (balanceDeltas[userId][column] || 0) + signed;
+        poolDeltas.allocated_balance += signed;
+      } else if (accountType === LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT) {
+        poolDeltas.total_balance += signed;
+      } else if (accountType === LEDGER_ACCOUNT_TYPES.POOL_RESERVED) {
+        poolDeltas.reserved_balance += signed;
+      } else if (accountType === LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED) {
+        unallocatedDelta += signed;
+      }
+    }
+
+    const balances = {};
+
+    for (const [userId, deltas] of Object.entries(balanceDeltas)) {
+      const columns = Object.keys(deltas).filter(column => deltas[column] !== 0);
+
+      if (columns.length === 0) {
+        continue;
+      }
+
+      const update = {};
+      const create = {
+        user_id: userId,
+        available_balance: 0,
+        pending_balance: 0,
+        reserved_balance: 0,
+        currency
+      };
+
+      for (const column of columns) {
+        update[column] = { increment: fromCents(deltas[column]) };
+        create[column] = fromCents(deltas[column]);
+      }
+
+      const balance = await tx.accountBalance.upsert({
+        where: { user_id_currency: { user_id: userId, currency } },
+        create,
+        update
+      });
+
+      if (!allowNegative) {
+        for (const column of columns) {
+          const after = toCents(balance[column]);
+
+          if (after < 0) {
+            throw new InsufficientBalanceError(
+              fromCents(-deltas[column]),
+              fromCents(after - deltas[column])
+            );
+          }
+        }
+      }
+
+      balances[userId] = balance;
+    }
+
+    let pool = null;
+    const poolChanged = Object.values(poolDeltas).some(delta => delta !== 0) ||
+                        unallocatedDelta !== 0;
+
+    if (poolChanged) {
+      const current = await tx.poolAccount.findFirst({ where: { currency } });
+
+      if (!current) {
+        throw new PoolAccountError('Pool account not found');
+      }
+
+      const update = {};
+      for (const [column, delta] of Object.entries(poolDeltas)) {
+        if (delta !== 0) {
+          update[column] = { increment: fromCents(delta) };
+        }
+      }
+
+      pool = Object.keys(update).length > 0
+        ? await tx.poolAccount.update({ where: { id: current.id }, data: update })
+        : current;
+
+      if (!allowNegative) {
+        for (const column of ['total_balance', 'reserved_balance']) {
+          if (poolDeltas[column] < 0 && toCents(pool[column]) < 0) {
+            throw new PoolAccountError(`Pool ${column.replace('_', ' ')} cannot go negative`);
+          }
+        }
       }
+
+      if (!allowNegative && unallocatedDelta < 0) {
+        const unallocated = toCents(pool.total_balance) -
+                            toCents(pool.allocated_balance) -
+                            toCents(pool.reserved_balance);
+
+        if (unallocated < 0) {
+          throw new InsufficientBalanceError(
+            fromCents(-unallocatedDelta),
+            fromCents(unallocated - unallocatedDelta)
+          );
+        }
+      }
+    }
+
+    return { balances, pool };
+  }
+
+  /**
+   * Sum journal lines into a signed balance for the given normal side
+   * @param {Object} where - JournalLine filter
+   * @param {string} normalBalance - DEBIT or CREDIT
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>} Balance in cents
+   */
+  async sumLines(where, normalBalance, client = prisma) {
+    const sums = await client.journalLine.groupBy({
+      by: ['direction'],
+      where,
+      _sum: { amount: true }
     });
+
+    return sums.reduce((total, row) => {
+      const cents = toCents(row._sum.amount || 0);
+      return total + (row.direction === normalBalance ? cents : -cents);
+    }, 0);
   }
 
   /**
-   * Record balance adjustment
+   * Derive a user's balances from the journal
    * @param {string} userId - User ID
-   * @param {number} amount - Adjustment amount (positive or negative)
-   * @param {number} balanceBefore - Balance before adjustment
-   * @param {number} balanceAfter - Balance after adjustment
-   * @param {string} reason - Reason for adjustment
-   * @param {string} adjustedBy - Admin who made adjustment
-   * @returns {Promise<Object>} Ledger entry
+   * @param {string} currency - Currency code
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Derived available/pending/reserved balances
    */
-  async recordAdjustment(userId, amount, balanceBefore, balanceAfter, reason, adjustedBy) {
-    return this.recordEntry({
-      user_id: userId,
-      entry_type: 'ADJUSTMENT',
-      amount: Math.abs(amount),
-      balance_before: balanceBefore,
-      balance_after: balanceAfter,
-      description: `Balance adjustment: ${reason}`,
-      metadata: {
-        adjustment_type: amount > 0 ? 'increase' : 'decrease',
-        reason,
-        adjusted_by: adjustedBy,
-        operation: 'adjustment'
+  async getDerivedUserBalance(userId, currency = config.pool.currency, client = prisma) {
+    const [available, pending, reserved] = await Promise.all(
+      SELLER_LEDGER_ACCOUNTS.map(accountType =>
+        this.sumLines(
+          { account: { user_id: userId, account_type: accountType, currency } },
+          normalBalanceOf(accountType),
+          client
+        )
+      )
+    );
+
+    return {
+      available: fromCents(available),
+      pending: fromCents(pending),
+      reserved: fromCents(reserved)
+    };
+  }
+
+  /**
+   * Derive pool balances from the journal
+   * @param {string} currency - Currency code
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Derived pool balances
+   */
+  async getDerivedPoolBalance(currency = config.pool.currency, client = prisma) {
+    const sumOf = (accountTypes) => this.sumLines(
+      { account: { account_type: { in: accountTypes }, currency } },
+      normalBalanceOf(accountTypes[0]),
+      client
+    );
+
+    const [total, allocated, reserved, unallocated, fees, commission, expenses] = await Promise.all([
+      sumOf([LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT]),
+      sumOf(SELLER_LEDGER_ACCOUNTS),
+      sumOf([LEDGER_ACCOUNT_TYPES.POOL_RESERVED]),
+      sumOf([LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED]),
+      sumOf([LEDGER_ACCOUNT_TYPES.PLATFORM_FEES]),
+      sumOf([LEDGER_ACCOUNT_TYPES.PLATFORM_COMMISSION]),
+      sumOf([LEDGER_ACCOUNT_TYPES.PLATFORM_EXPENSES])
+    ]);
+
+    return {
+      total: fromCents(total),
+      allocated: fromCents(allocated),
+      reserved: fromCents(reserved),
+      unallocated: fromCents(unallocated),
+      fees: fromCents(fees),
+      commission: fromCents(commission),
+      expenses: fromCents(expenses)
+    };
+  }
+
+  /**
+   * Get trial balance (total debits vs total credits)
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Trial balance
+   */
+  async getTrialBalance(currency = config.pool.currency) {
+    try {
+      const sums = await prisma.journalLine.groupBy({
+        by: ['direction'],
+        where: { account: { currency } },
+        _sum: { amount: true }
+      });
+
+      const totals = { DEBIT: 0, CREDIT: 0 };
+      for (const row of sums) {
+        totals[row.direction] = toCents(row._sum.amount || 0);
       }
-    });
+
+      return {
+        currency,
+        debits: fromCents(totals.DEBIT),
+        credits: fromCents(totals.CREDIT),
+        isBalanced: totals.DEBIT === totals.CREDIT
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'getTrialBalance',
+        currency
+      });
+      throw new DatabaseError('Failed to get trial balance');
+    }
   }
 
   /**
-   * Get ledger entries for user
+   * Get ledger lines for user
    * @param {string} userId - User ID
-   * @param {Object} filters - Filter options
+   * @param {Object} filters - Filter options (entry_type, account, currency, startDate, endDate)
    * @param {Object} pagination - Pagination options
-   * @returns {Promise<Object>} Paginated ledger entries
+   * @returns {Promise<Object>} Paginated ledger lines
    */
   async getUserLedger(userId, filters = {}, pagination = {}) {
-    const { startDate, endDate, entry_type } = filters;
+    const { startDate, endDate, entry_type, account, currency } = filters;
     const { page = 1, limit = 50 } = pagination;
     const skip = (page - 1) * limit;
 
     try {
       const where = {
-        user_id: userId,
-        'metadata.ledger': true
+        account: {
+          user_id: userId,
+          ...(account && { account_type: account }),
+          ...(currency && { currency })
+        }
       };
 
       if (entry_type) {
-        where.transaction_type = entry_type;
+        where.entry = { entry_type };
       }
 
       if (startDate || endDate) {
@@ -179,36 +606,46 @@ class LedgerService {
         if (endDate) where.created_at.lte = new Date(endDate);
       }
 
-      const [entries, total] = await Promise.all([
-        prisma.transaction.findMany({
+      const [lines, total] = await Promise.all([
+        prisma.journalLine.findMany({
           where,
           skip,
           take: limit,
           orderBy: { created_at: 'desc' },
-          select: {
-            id: true,
-            transaction_type: true,
-            amount: true,
-            description: true,
-            metadata: true,
-            created_at: true
+          include: {
+            entry: true,
+            account: {
+              select: {
+                account_type: true,
+                normal_balance: true,
+                currency: true
+              }
+            }
           }
         }),
-        prisma.transaction.count({ where })
+        prisma.journalLine.count({ where })
       ]);
 
       return {
-        data: entries.map(entry => ({
-          id: entry.id,
-          type: entry.transaction_type,
-          amount: parseFloat(entry.amount),
-          description: entry.description,
-          balanceBefore: entry.metadata?.balance_before,
-          balanceAfter: entry.metadata?.balance_after,
-          change: entry.metadata?.change,
-          metadata: entry.metadata,
-          timestamp: entry.created_at
-        })),
+        data: lines.map(line => {
+          const amount = parseFloat(line.amount);
+
+          return {
+            id: line.id,
+            entryId: line.entry_id,
+            type: line.entry.entry_type,
+            account: line.account.account_type,
+            currency: line.account.currency,
+            direction: line.direction,
+            amount,
+            change: line.direction === line.account.normal_balance ? amount : -amount,
+            description: line.entry.description,
+            referenceType: line.entry.reference_type,
+            referenceId: line.entry.reference_id,
+            metadata: line.entry.metadata,
+            timestamp: line.created_at
+          };
+        }),
         pagination: {
           page,
           limit,
@@ -227,72 +664,86 @@ class LedgerService {
   }
 
   /**
-   * Get ledger summary for user
+   * Get ledger summary for user's available balance in one currency
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Ledger summary
    */
-  async getUserLedgerSummary(userId, startDate, endDate) {
+  async getUserLedgerSummary(userId, startDate, endDate, currency = config.pool.currency) {
     try {
       const where = {
-        user_id: userId,
-        'metadata.ledger': true,
-        created_at: {
-          gte: startDate,
-          lte: endDate
+        account: {
+          user_id: userId,
+          account_type: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          currency
         }
       };
 
-      const [credits, debits, adjustments] = await Promise.all([
-        prisma.transaction.aggregate({
-          where: {
-            ...where,
-            'metadata.operation': 'credit'
-          },
+      if (startDate || endDate) {
+        where.created_at = {};
+        if (startDate) where.created_at.gte = startDate;
+        if (endDate) where.created_at.lte = endDate;
+      }
+
+      const [byDirection, adjustments, commission] = await Promise.all([
+        prisma.journalLine.groupBy({
+          by: ['direction'],
+          where,
           _sum: { amount: true },
           _count: true
         }),
-        prisma.transaction.aggregate({
+        prisma.journalLine.aggregate({
           where: {
             ...where,
-            'metadata.operation': 'debit'
+            entry: { entry_type: LEDGER_ENTRY_TYPES.ADJUSTMENT }
           },
           _sum: { amount: true },
           _count: true
         }),
-        prisma.transaction.aggregate({
+        prisma.journalLine.aggregate({
           where: {
             ...where,
-            'metadata.operation': 'adjustment'
+            direction: 'CREDIT',
+            entry: { entry_type: LEDGER_ENTRY_TYPES.COMMISSION }
           },
           _sum: { amount: true },
           _count: true
         })
       ]);
 
-      const totalCredits = parseFloat(credits._sum.amount) || 0;
-      const totalDebits = parseFloat(debits._sum.amount) || 0;
+      const credits = byDirection.find(row => row.direction === 'CREDIT');
+      const debits = byDirection.find(row => row.direction === 'DEBIT');
+
+      const totalCredits = credits ? parseFloat(credits._sum.amount) || 0 : 0;
+      const totalDebits = debits ? parseFloat(debits._sum.amount) || 0 : 0;
       const totalAdjustments = parseFloat(adjustments._sum.amount) || 0;
+      const totalCommission = parseFloat(commission._sum.amount) || 0;
 
       return {
+        currency,
         period: {
           start: startDate,
           end: endDate
         },
         credits: {
           total: totalCredits,
-          count: credits._count
+          count: credits ? credits._count : 0
         },
         debits: {
           total: totalDebits,
-          count: debits._count
+          count: debits ? debits._count : 0
         },
         adjustments: {
           total: totalAdjustments,
           count: adjustments._count
         },
-        netChange: totalCredits - totalDebits
+        commission: {
+          total: totalCommission,
+          count: commission._count
+        },
+        netChange: fromCents(toCents(totalCredits) - toCents(totalDebits))
       };
 
     } catch (error) {
@@ -306,66 +757,67 @@ class LedgerService {
 
   /**
    * Reconcile user balance with ledger
-   * Verifies balance matches sum of all ledger entries
+   * Verifies every stored balance bucket matches the journal-derived balance
    * @param {string} userId - User ID
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Reconciliation result
    */
-  async reconcileBalance(userId) {
+  async reconcileBalance(userId, currency = config.pool.currency) {
     try {
-      // Get current balance
       const balance = await prisma.accountBalance.findUnique({
-        where: { user_id: userId }
+        where: { user_id_currency: { user_id: userId, currency } }
       });
 
       if (!balance) {
-        throw new Error('Balance not found');
+        throw new NotFoundError('Balance');
       }
 
-      // Get all ledger entries
-      const entries = await prisma.transaction.findMany({
-        where: {
-          user_id: userId,
-          'metadata.ledger': true
-        },
-        orderBy: { created_at: 'asc' }
-      });
+      const [derived, entryCount, lastLine] = await Promise.all([
+        this.getDerivedUserBalance(userId, currency),
+        prisma.journalLine.count({
+          where: { account: { user_id: userId, currency } }
+        }),
+        prisma.journalLine.findFirst({
+          where: { account: { user_id: userId, currency } },
+          orderBy: { created_at: 'desc' },
+          select: { created_at: true }
+        })
+      ]);
+
+      const buckets = {
+        available: { actual: parseFloat(balance.available_balance), calculated: derived.available },
+        pending: { actual: parseFloat(balance.pending_balance), calculated: derived.pending },
+        reserved: { actual: parseFloat(balance.reserved_balance), calculated: derived.reserved }
+      };
 
-      // Calculate expected balance from ledger
-      let calculatedBalance = 0;
-      for (const entry of entries) {
-        const operation = entry.metadata?.operation;
-        const amount = parseFloat(entry.amount);
-
-        if (operation === 'credit') {
-          calculatedBalance += amount;
-        } else if (operation === 'debit') {
-          calculatedBalance -= amount;
-        } else if (operation === 'adjustment') {
-          const adjustmentType = entry.metadata?.adjustment_type;
-          calculatedBalance += adjustmentType === 'increase' ? amount : -amount;
+      let worstDifference = 0;
+      for (const bucket of Object.values(buckets)) {
+        bucket.difference = fromCents(toCents(bucket.actual) - toCents(bucket.calculated));
+
+        if (Math.abs(bucket.difference) > Math.abs(worstDifference)) {
+          worstDifference = bucket.difference;
         }
       }
 
-      const actualBalance = parseFloat(balance.available_balance);
-      const difference = actualBalance - calculatedBalance;
-      const isReconciled = Math.abs(difference) < 0.01; // Allow for rounding
-
       const result = {
         userId,
-        actualBalance,
-        calculatedBalance,
-        difference,
-        isReconciled,
-        entryCount: entries.length,
-        lastEntry: entries[entries.length - 1]?.created_at
+        currency,
+        actualBalance: buckets.available.actual,
+        calculatedBalance: buckets.available.calculated,
+        difference: worstDifference,
+        isReconciled: worstDifference === 0,
+        buckets,
+        entryCount,
+        lastEntry: lastLine?.created_at
       };
 
-      if (!isReconciled) {
+      if (!result.isReconciled) {
         logger.warn('Balance reconciliation mismatch', result);
       } else {
         logger.info('Balance reconciliation successful', {
           userId,
-          balance: actualBalance
+          currency,
+          balance: result.actualBalance
         });
       }
 
@@ -374,34 +826,108 @@ class LedgerService {
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'reconcileBalance',
-        userId
+        userId,
+        currency
       });
       throw new DatabaseError('Failed to reconcile balance');
     }
   }
 
   /**
-   * Get all ledger entries (admin)
+   * Reconcile pool account with ledger
+   * Compares the stored pool balances with the journal and checks
+   * that the journal itself balances.
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Reconciliation result
+   */
+  async reconcilePool(currency = config.pool.currency) {
+    try {
+      const pool = await prisma.poolAccount.findFirst({ where: { currency } });
+
+      if (!pool) {
+        throw new PoolAccountError('Pool account not found');
+      }
+
+      const [derived, trialBalance] = await Promise.all([
+        this.getDerivedPoolBalance(currency),
+        this.getTrialBalance(currency)
+      ]);
+
+      const buckets = {
+        total: { actual: parseFloat(pool.total_balance), calculated: derived.total },
+        allocated: { actual: parseFloat(pool.allocated_balance), calculated: derived.allocated },
+        reserved: { actual: parseFloat(pool.reserved_balance), calculated: derived.reserved }
+      };
+
+      let worstDifference = 0;
+      for (const bucket of Object.values(buckets)) {
+        bucket.difference = fromCents(toCents(bucket.actual) - toCents(bucket.calculated));
+
+        if (Math.abs(bucket.difference) > Math.abs(worstDifference)) {
+          worstDifference = bucket.difference;
+        }
+      }
+
+      const result = {
+        currency,
+        buckets,
+        unallocated: derived.unallocated,
+        fees: derived.fees,
+        commission: derived.commission,
+        expenses: derived.expenses,
+        trialBalance,
+        difference: worstDifference,
+        isReconciled: worstDifference === 0 && trialBalance.isBalanced,
+        timestamp: new Date()
+      };
+
+      if (!result.isReconciled) {
+        logger.warn('Pool ledger reconciliation mismatch', result);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'reconcilePool',
+        currency
+      });
+      throw new DatabaseError('Failed to reconcile pool ledger');
+    }
+  }
+
+  /**
+   * Get all journal entries (admin)
    * @param {Object} filters - Filter options
    * @param {Object} pagination - Pagination options
    * @returns {Promise<Object>} Paginated entries
    */
   async getAllLedgerEntries(filters = {}, pagination = {}) {
-    const { startDate, endDate, userId, entry_type } = filters;
+    const { startDate, endDate, userId, entry_type, referenceType, referenceId, currency } = filters;
     const { page = 1, limit = 50 } = pagination;
     const skip = (page - 1) * limit;
 
     try {
-      const where = {
-        'metadata.ledger': true
-      };
+      const where = {};
 
       if (userId) {
         where.user_id = userId;
       }
 
       if (entry_type) {
-        where.transaction_type = entry_type;
+        where.entry_type = entry_type;
+      }
+
+      if (referenceType) {
+        where.reference_type = referenceType;
+      }
+
+      if (referenceId) {
+        where.reference_id = referenceId;
+      }
+
+      if (currency) {
+        where.currency = currency;
       }
 
       if (startDate || endDate) {
@@ -411,36 +937,46 @@ class LedgerService {
       }
 
       const [entries, total] = await Promise.all([
-        prisma.transaction.findMany({
+        prisma.journalEntry.findMany({
           where,
           skip,
           take: limit,
           orderBy: { created_at: 'desc' },
           include: {
-            user: {
-              select: {
-                id: true,
-                email: true,
-                business_name: true
+            lines: {
+              include: {
+                account: {
+                  select: {
+                    code: true,
+                    account_type: true,
+                    user_id: true
+                  }
+                }
               }
             }
           }
         }),
-        prisma.transaction.count({ where })
+        prisma.journalEntry.count({ where })
       ]);
 
       return {
         data: entries.map(entry => ({
           id: entry.id,
           userId: entry.user_id,
-          userEmail: entry.user.email,
-          businessName: entry.user.business_name,
-          type: entry.transaction_type,
-          amount: parseFloat(entry.amount),
+          type: entry.entry_type,
+          currency: entry.currency,
           description: entry.description,
-          balanceBefore: entry.metadata?.balance_before,
-          balanceAfter: entry.metadata?.balance_after,
+          referenceType: entry.reference_type,
+          referenceId: entry.reference_id,
+          createdBy: entry.created_by,
           metadata: entry.metadata,
+          lines: entry.lines.map(line => ({
+            account: line.account.account_type,
+            accountCode: line.account.code,
+            userId: line.account.user_id,
+            direction: line.direction,
+            amount: parseFloat(line.amount)
+          })),
           timestamp: entry.created_at
         })),
         pagination: {
@@ -460,37 +996,58 @@ class LedgerService {
   }
 
   /**
-   * Export ledger for accounting
+   * Export available-balance ledger for accounting
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
-   * @returns {Promise<Array>} Ledger entries in accounting format
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array>} Ledger lines in accounting format
    */
-  async exportLedger(userId, startDate, endDate) {
+  async exportLedger(userId, startDate, endDate, currency = config.pool.currency) {
     try {
-      const entries = await prisma.transaction.findMany({
-        where: {
-          user_id: userId,
-          'metadata.ledger': true,
-          created_at: {
-            gte: startDate,
-            lte: endDate
-          }
-        },
-        orderBy: { created_at: 'asc' }
-      });
+      const accountWhere = {
+        user_id: userId,
+        account_type: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+        currency
+      };
 
-      return entries.map((entry, index) => ({
-        entryNumber: index + 1,
-        date: entry.created_at.toISOString().split('T')[0],
-        time: entry.created_at.toISOString().split('T')[1],
-        type: entry.transaction_type,
-        description: entry.description,
-        debit: entry.metadata?.operation === 'debit' ? parseFloat(entry.amount) : 0,
-        credit: entry.metadata?.operation === 'credit' ? parseFloat(entry.amount) : 0,
-        balance: entry.metadata?.balance_after || 0,
-        reference: entry.id
-      }));
+      const [openingCents, lines] = await Promise.all([
+        this.sumLines(
+          { account: accountWhere, created_at: { lt: startDate } },
+          'CREDIT'
+        ),
+        prisma.journalLine.findMany({
+          where: {
+            account: accountWhere,
+            created_at: {
+              gte: startDate,
+              lte: endDate
+            }
+          },
+          orderBy: { created_at: 'asc' },
+          include: { entry: true }
+        })
+      ]);
+
+      let runningCents = openingCents;
+
+      return lines.map((line, index) => {
+        const amount = parseFloat(line.amount);
+        runningCents += line.direction === 'CREDIT' ? toCents(amount) : -toCents(amount);
+
+        return {
+          entryNumber: index + 1,
+          date: line.created_at.toISOString().split('T')[0],
+          time: line.created_at.toISOString().split('T')[1],
+          type: line.entry.entry_type,
+          description: line.entry.description,
+          debit: line.direction === 'DEBIT' ? amount : 0,
+          credit: line.direction === 'CREDIT' ? amount : 0,
+          balance: fromCents(runningCents),
+          currency,
+          reference: line.entry.reference_id || line.entry_id
+        };
+      });
 
     } catch (error) {
       logger.errorWithContext(error, {
@@ -503,4 +1060,4 @@ class LedgerService {
 }
 
 // Export singleton instance
-module.exports = new LedgerService();
\ No newline at end of file
+module.exports = new LedgerService();
@@ -0,0 +1,295 @@
+/**
+ * Bank Account Service
+ *
+ * Manages the bank accounts sellers receive payouts into.
+ *
+ * - Account numbers and IBANs are masked in every response.
+ * - A seller has one default account, used when a payout names no account.
+ * - Changing an account's details clears its verification and cancels any
+ *   verification in progress.
+ * - Payouts can only go to an account the seller owns and that is verified.
+ *
+ * Location: backend/services/bankAccount/bankAccount.service.js
+ */
+
+const bankAccountRepository = require('../../database/repositories/bankAccount.repository');
+const bankAccountVerificationRepository = require('../../database/repositories/bankAccountVerification.repository');
+const ledgerService = require('../balance/ledger.service');
+const payoutRepository = require('../../database/repositories/payout.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const logger = require('../../src/shared/utils/logger');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+/**
+ * Payout statuses that still need the destination account
+ */
+const OPEN_PAYOUT_STATUSES = ['PENDING', 'PROCESSING', 'SUBMITTED'];
+
+class BankAccountService {
+  /**
+   * Add a bank account
+   * @param {string} userId - User ID
+   * @param {Object} data - Bank account details
+   * @returns {Promise<Object>} Bank account (masked)
+   */
+  async addBankAccount(userId, data) {
+    try {
+      const duplicate = await bankAccountRepository.findDuplicate(
+        userId,
+        data.account_number,
+        data.bank_name
+      );
+
+      if (duplicate) {
+        throw new ConflictError('This bank account has already been added');
+      }
+
+      const account = await bankAccountRepository.createForUser(userId, data);
+
+      logger.info('Bank account added', {
+        accountId: account.id,
+        userId,
+        isDefault: account.is_default
+      });
+
+      return this.toPublic(account);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'addBankAccount',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's bank accounts
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Bank accounts (masked)
+   */
+  async getBankAccounts(userId) {
+    const accounts = await bankAccountRepository.findByUserId(userId);
+    return accounts.map(account => this.toPublic(account));
+  }
+
+  /**
+   * Get one of a user's bank accounts
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Bank account (masked)
+   */
+  async getBankAccount(accountId, userId) {
+    return this.toPublic(await this.findOwned(accountId, userId));
+  }
+
+  /**
+   * Update a bank account's details. The account must be verified again.
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @param {Object} data - Fields to update
+   * @param {Object} context - Request context { actorId, ip, userAgent }
+   * @returns {Promise<Object>} Bank account (masked)
+   */
+  async updateBankAccount(accountId, userId, data, context = {}) {
+    try {
+      const existing = await this.findOwned(accountId, userId);
+
+      const account = await ledgerService.runInTransaction(null, async (tx) => {
+        await bankAccountVerificationRepository.cancelPending(accountId, tx);
+
+        const updated = await bankAccountRepository.update(accountId, {
+          ...data,
+          verification_status: 'UNVERIFIED',
+          verified: false,
+          verified_at: null
+        }, { tx });
+
+        if (existing.verification_status !== 'UNVERIFIED') {
+          await auditLogRepository.record({
+            action: 'bank_account.verification_reset',
+            entity: 'bank_account',
+            entityId: accountId,
+            changes: {
+              before: { verification_status: existing.verification_status },
+              after: { verification_status: 'UNVERIFIED' },
+              reason: 'Account details changed',
+              fields: Object.keys(data)
+            },
+            context
+          }, tx);
+        }
+
+        return updated;
+      });
+
+      logger.info('Bank account updated', {
+        accountId,
+        userId,
+        fields: Object.keys(data)
+      });
+
+      return this.toPublic(account);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'updateBankAccount',
+        accountId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Make an account the user's default
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Bank account (masked)
+   */
+  async setDefaultBankAccount(accountId, userId) {
+    await this.findOwned(accountId, userId);
+
+    const account = await bankAccountRepository.setDefault(accountId, userId);
+
+    logger.info('Default bank account changed', {
+      accountId,
+      userId
+    });
+
+    return this.toPublic(account);
+  }
+
+  /**
+   * Delete a bank account that no open payout is going to
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { deleted, new_default_id }
+   */
+  async deleteBankAccount(accountId, userId) {
+    try {
+      await this.findOwned(accountId, userId);
+
+      const openPayouts = await payoutRepository.count({
+        bank_account_id: accountId,
+        status: { in: OPEN_PAYOUT_STATUSES }
+      });
+
+      if (openPayouts > 0) {
+        throw new BadRequestError('This bank account has payouts in progress and cannot be deleted');
+      }
+
+      const newDefault = await bankAccountRepository.deleteForUser(accountId, userId);
+
+      logger.info('Bank account deleted', {
+        accountId,
+        userId,
+        newDefaultId: newDefault?.id
+      });
+
+      return {
+        deleted: true,
+        new_default_id: newDefault ? newDefault.id : null
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'deleteBankAccount',
+        accountId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the account a payout is sent to: the given account, or the
+   * user's default. It must belong to the user and be verified.
+   * @param {string} userId - User ID
+   * @param {string} [accountId] - Bank account ID
+   * @returns {Promise<Object>} Bank account (unmasked)
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async getPayoutAccount(userId, accountId = null) {
+    const account = accountId
+      ? await bankAccountRepository.findByIdForUser(accountId, userId)
+      : await bankAccountRepository.findDefault(userId);
+
+    if (!account) {
+      throw accountId
+        ? new NotFoundError('Bank account')
+        : new BadRequestError('Add a bank account or choose one for this payout');
+    }
+
+    if (!account.verified) {
+      throw new BadRequestError('Bank account must be verified before it can receive payouts');
+    }
+
+    return account;
+  }
+
+  /**
+   * Provider payout destination for an account
+   * @param {Object} account - Bank account (unmasked)
+   * @returns {Object} Destination details
+   */
+  toDestination(account) {
+    return {
+      account_holder_name: account.account_holder_name,
+      account_number: account.account_number,
+      bank_name: account.bank_name,
+      bank_code: account.bank_code,
+      swift_code: account.swift_code,
+      iban: account.iban,
+      country: account.country
+    };
+  }
+
+  /**
+   * Find an account owned by a user
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Bank account
+   * @throws {NotFoundError} If it doesn't exist or belongs to someone else
+   */
+  async findOwned(accountId, userId) {
+    const account = await bankAccountRepository.findByIdForUser(accountId, userId);
+
+    if (!account) {
+      throw new NotFoundError('Bank account');
+    }
+
+    return account;
+  }
+
+  /**
+   * Mask all but the last four characters
+   * @param {string|null} value - Account number or IBAN
+   * @returns {string|null}
+   */
+  mask(value) {
+    if (!value) {
+      return value;
+    }
+
+    const visible = value.slice(-4);
+    return `${'*'.repeat(Math.max(value.length - 4, 4))}${visible}`;
+  }
+
+  /**
+   * Bank account as returned by the API
+   * @param {Object} account - Bank account
+   * @returns {Object} Bank account with masked numbers
+   */
+  toPublic(account) {
+    return {
+      ...account,
+      account_number: this.mask(account.account_number),
+      iban: this.mask(account.iban)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BankAccountService();
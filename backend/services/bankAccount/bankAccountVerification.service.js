@@ -0,0 +1,647 @@
+/**
+ * Bank Account Verification Service
+ *
+ * Proves a seller controls a bank account before it can receive payouts.
+ * Two methods:
+ * - Proof review: the seller uploads a bank statement or bank letter and
+ *   an admin approves or rejects it.
+ * - Micro-deposits: two small random amounts are sent to the account
+ *   through the payout provider and the seller confirms them. The amounts
+ *   are paid by the platform, not from the seller's balance: each one is
+ *   journalled as a platform expense out of the gateway float. An account
+ *   gets a limited number of rounds (config.bankVerification), spaced out
+ *   by a cooldown.
+ *
+ * Starting a new attempt cancels the one in progress. Every status change
+ * is written to the audit log.
+ *
+ * Location: backend/services/bankAccount/bankAccountVerification.service.js
+ */
+
+const crypto = require('crypto');
+const bankAccountService = require('./bankAccount.service');
+const bankAccountRepository = require('../../database/repositories/bankAccount.repository');
+const bankAccountVerificationRepository = require('../../database/repositories/bankAccountVerification.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const ledgerService = require('../balance/ledger.service');
+const fileStorageService = require('../storage/fileStorage.service');
+const paymentFactory = require('../payment/paymentFactory');
+const poolAccountService = require('../poolAccount/poolAccount.service');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_ENTRY_TYPES,
+  PAYMENT_OPERATIONS,
+  PROVIDER_TRANSACTION_STATUS
+} = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  PaymentFailedError,
+  ServiceUnavailableError,
+  TooManyRequestsError
+} = require('../../src/shared/utils/ApiError');
+
+const AUDIT_ENTITY = 'bank_account';
+
+class BankAccountVerificationService {
+  /**
+   * Get an account's verification status and current attempt
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { verification_status, verified, verified_at, attempt }
+   */
+  async getStatus(accountId, userId) {
+    const account = await bankAccountService.findOwned(accountId, userId);
+    const attempt = await bankAccountVerificationRepository.findLatest(accountId);
+
+    return {
+      verification_status: account.verification_status,
+      verified: account.verified,
+      verified_at: account.verified_at,
+      attempt: attempt ? this.toPublic(attempt) : null
+    };
+  }
+
+  /**
+   * Upload proof of account ownership for admin review
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file (multer)
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Verification attempt
+   */
+  async submitProof(accountId, userId, file, context = {}) {
+    const account = await this.findUnverified(accountId, userId);
+    const document = await fileStorageService.save(file, `bank-accounts/${accountId}`);
+
+    try {
+      const verification = await ledgerService.runInTransaction(null, async (tx) => {
+        await bankAccountVerificationRepository.cancelPending(accountId, tx);
+
+        const created = await bankAccountVerificationRepository.create({
+          bank_account_id: accountId,
+          user_id: userId,
+          method: 'PROOF_REVIEW',
+          document_path: document.path,
+          document_name: document.name,
+          document_mime_type: document.mime_type
+        }, { tx });
+
+        await this.changeStatus(account, 'PENDING_REVIEW', {
+          action: 'bank_account.proof_submitted',
+          verificationId: created.id,
+          context
+        }, tx);
+
+        return created;
+      });
+
+      logger.info('Bank account proof submitted', {
+        accountId,
+        userId,
+        verificationId: verification.id
+      });
+
+      return this.toPublic(verification);
+    } catch (error) {
+      await fileStorageService.remove(document.path).catch(() => {});
+
+      logger.errorWithContext(error, {
+        method: 'submitProof',
+        accountId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send two micro-deposits to the account
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Verification attempt
+   */
+  async startMicroDeposits(accountId, userId, context = {}) {
+    const account = await this.findUnverified(accountId, userId);
+    const pending = await bankAccountVerificationRepository.findPending(accountId);
+
+    if (pending && pending.method === 'MICRO_DEPOSIT' && !this.isExpired(pending)) {
+      throw new ConflictError('Micro-deposits have already been sent to this account');
+    }
+
+    await this.assertCanRequestMicroDeposits(accountId);
+
+    const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.PAYOUT, { userId });
+    const amounts = this.generateAmounts();
+    const { microDepositExpiryDays, microDepositCurrency: currency } = config.bankVerification;
+    const total = amounts.reduce((sum, amount) => sum + Math.round(amount * 100), 0) / 100;
+
+    if (!(await poolAccountService.checkAvailableFunds(total, currency))) {
+      throw new ServiceUnavailableError('Micro-deposits', 'Micro-deposits are unavailable right now, upload proof instead');
+    }
+
+    const verification = await ledgerService.runInTransaction(null, async (tx) => {
+      await bankAccountVerificationRepository.cancelPending(accountId, tx);
+
+      const created = await bankAccountVerificationRepository.create({
+        bank_account_id: accountId,
+        user_id: userId,
+        method: 'MICRO_DEPOSIT',
+        amounts,
+        currency,
+        provider: provider.name,
+        expires_at: new Date(Date.now() + microDepositExpiryDays * 24 * 60 * 60 * 1000)
+      }, { tx });
+
+      await this.changeStatus(account, 'MICRO_DEPOSITS_SENT', {
+        action: 'bank_account.micro_deposits_sent',
+        verificationId: created.id,
+        context
+      }, tx);
+
+      return created;
+    });
+
+    const references = [];
+
+    try {
+      for (const [index, amount] of amounts.entries()) {
+        const reference = `${verification.id}-${index + 1}`;
+        const result = await provider.payout({
+          reference,
+          amount,
+          currency,
+          destination: bankAccountService.toDestination(account)
+        });
+
+        if (result.status === PROVIDER_TRANSACTION_STATUS.FAILED) {
+          throw new PaymentFailedError(`Micro-deposit rejected by ${provider.name}`);
+        }
+
+        references.push(result.reference || reference);
+
+        await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.MICRO_DEPOSIT,
+          debit: LEDGER_ACCOUNT_TYPES.PLATFORM_EXPENSES,
+          credit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          amount,
+          currency,
+          description: 'Bank account verification micro-deposit',
+          referenceType: 'bank_account_verification',
+          referenceId: verification.id,
+          metadata: {
+            bank_account_id: accountId,
+            reference,
+            gateway_reference: result.reference || null,
+            provider: provider.name
+          }
+        });
+      }
+    } catch (error) {
+      await this.fail(verification, account, error.message, {
+        gateway_references: references
+      }, context);
+
+      logger.errorWithContext(error, {
+        method: 'startMicroDeposits',
+        accountId,
+        verificationId: verification.id
+      });
+      throw new PaymentFailedError('Micro-deposits could not be sent to this account. Check the account details or upload proof instead.');
+    }
+
+    const updated = await bankAccountVerificationRepository.update(verification.id, {
+      gateway_references: references
+    });
+
+    logger.info('Bank account micro-deposits sent', {
+      accountId,
+      userId,
+      verificationId: verification.id,
+      provider: provider.name
+    });
+
+    return this.toPublic(updated);
+  }
+
+  /**
+   * Refuse a new micro-deposit round once the account has used them all or
+   * the last one was requested too recently
+   * @param {string} accountId - Bank account ID
+   * @returns {Promise<void>}
+   * @throws {BadRequestError|TooManyRequestsError}
+   */
+  async assertCanRequestMicroDeposits(accountId) {
+    const { maxMicroDepositRequests, microDepositCooldownHours } = config.bankVerification;
+    const history = await bankAccountVerificationRepository.getMicroDepositHistory(accountId);
+
+    if (history.count >= maxMicroDepositRequests) {
+      throw new BadRequestError('No more micro-deposits can be sent to this account. Upload proof of ownership instead.');
+    }
+
+    if (history.last_requested_at) {
+      const availableAt = history.last_requested_at.getTime() + microDepositCooldownHours * 60 * 60 * 1000;
+
+      if (availableAt > Date.now()) {
+        throw new TooManyRequestsError(
+          `New micro-deposits can be requested after ${new Date(availableAt).toISOString()}`,
+          Math.ceil((availableAt - Date.now()) / 1000)
+        );
+      }
+    }
+  }
+
+  /**
+   * Confirm the micro-deposit amounts received
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @param {Array<number>} amounts - The two amounts, in any order
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Verification attempt
+   */
+  async confirmMicroDeposits(accountId, userId, amounts, context = {}) {
+    const account = await this.findUnverified(accountId, userId);
+    const pending = await bankAccountVerificationRepository.findPending(accountId);
+
+    if (!pending || pending.method !== 'MICRO_DEPOSIT') {
+      throw new BadRequestError('No micro-deposit verification is in progress for this account');
+    }
+
+    if (this.isExpired(pending)) {
+      await this.fail(pending, account, 'Micro-deposits expired', {}, context);
+      throw new BadRequestError('Micro-deposits have expired. Request new ones to verify this account.');
+    }
+
+    const verification = await bankAccountVerificationRepository.recordAttempt(pending.id);
+
+    if (!verification) {
+      throw new ConflictError('This verification was completed by another request');
+    }
+
+    if (this.amountsMatch(verification.amounts, amounts)) {
+      const approved = await ledgerService.runInTransaction(null, async (tx) => {
+        const resolved = await bankAccountVerificationRepository.resolve(verification.id, 'APPROVED', {}, tx);
+
+        if (!resolved) {
+          throw new ConflictError('This verification was completed by another request');
+        }
+
+        await this.changeStatus(account, 'VERIFIED', {
+          action: 'bank_account.verified',
+          verificationId: verification.id,
+          method: 'MICRO_DEPOSIT',
+          context
+        }, tx);
+
+        return resolved;
+      });
+
+      logger.info('Bank account verified by micro-deposits', {
+        accountId,
+        userId,
+        verificationId: verification.id
+      });
+
+      return this.toPublic(approved);
+    }
+
+    const remaining = config.bankVerification.maxConfirmAttempts - verification.attempts;
+
+    if (remaining <= 0) {
+      await this.fail(verification, account, 'Too many incorrect confirmation attempts', {}, context);
+      throw new BadRequestError('Too many incorrect attempts. Request new micro-deposits or upload proof instead.');
+    }
+
+    throw new BadRequestError(`The amounts do not match. ${remaining} attempt(s) remaining.`);
+  }
+
+  /**
+   * List verification attempts (Admin)
+   * @param {Object} filters - { status, method }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated verifications
+   */
+  async listVerifications(filters = {}, pagination = {}) {
+    const result = await bankAccountVerificationRepository.list(filters, pagination);
+
+    return {
+      ...result,
+      data: result.data.map(verification => this.toReview(verification))
+    };
+  }
+
+  /**
+   * Get a verification attempt with its account (Admin)
+   * @param {string} verificationId - Verification ID
+   * @returns {Promise<Object>} Verification
+   */
+  async getVerification(verificationId) {
+    return this.toReview(await this.findVerification(verificationId));
+  }
+
+  /**
+   * Get the proof document of an attempt (Admin)
+   * @param {string} verificationId - Verification ID
+   * @returns {Promise<Object>} { content, name, mime_type }
+   */
+  async getDocument(verificationId) {
+    const verification = await this.findVerification(verificationId);
+
+    if (!verification.document_path) {
+      throw new NotFoundError('Document');
+    }
+
+    return {
+      content: await fileStorageService.read(verification.document_path),
+      name: verification.document_name,
+      mime_type: verification.document_mime_type
+    };
+  }
+
+  /**
+   * Approve uploaded proof and verify the account (Admin)
+   * @param {string} verificationId - Verification ID
+   * @param {string} adminId - Admin user ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Verification
+   */
+  async approveProof(verificationId, adminId, context = {}) {
+    const verification = await this.findReviewable(verificationId);
+
+    const approved = await ledgerService.runInTransaction(null, async (tx) => {
+      const resolved = await bankAccountVerificationRepository.resolve(verificationId, 'APPROVED', {
+        reviewed_by: adminId,
+        reviewed_at: new Date()
+      }, tx);
+
+      if (!resolved) {
+        throw new ConflictError('This verification has already been reviewed');
+      }
+
+      await this.changeStatus(verification.bank_account, 'VERIFIED', {
+        action: 'bank_account.verified',
+        verificationId,
+        method: 'PROOF_REVIEW',
+        context
+      }, tx);
+
+      return resolved;
+    });
+
+    logger.info('Bank account proof approved', {
+      verificationId,
+      accountId: verification.bank_account_id,
+      adminId
+    });
+
+    return this.toPublic(approved);
+  }
+
+  /**
+   * Reject uploaded proof (Admin)
+   * @param {string} verificationId - Verification ID
+   * @param {string} adminId - Admin user ID
+   * @param {string} reason - Rejection reason, shown to the seller
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Verification
+   */
+  async rejectProof(verificationId, adminId, reason, context = {}) {
+    const verification = await this.findReviewable(verificationId);
+
+    const rejected = await ledgerService.runInTransaction(null, async (tx) => {
+      const resolved = await bankAccountVerificationRepository.resolve(verificationId, 'REJECTED', {
+        reviewed_by: adminId,
+        reviewed_at: new Date(),
+        rejection_reason: reason
+      }, tx);
+
+      if (!resolved) {
+        throw new ConflictError('This verification has already been reviewed');
+      }
+
+      await this.changeStatus(verification.bank_account, 'UNVERIFIED', {
+        action: 'bank_account.proof_rejected',
+        verificationId,
+        reason,
+        context
+      }, tx);
+
+      return resolved;
+    });
+
+    logger.info('Bank account proof rejected', {
+      verificationId,
+      accountId: verification.bank_account_id,
+      adminId
+    });
+
+    return this.toPublic(rejected);
+  }
+
+  /**
+   * Fail a micro-deposit attempt and return the account to UNVERIFIED
+   * @param {Object} verification - Verification attempt
+   * @param {Object} account - Bank account
+   * @param {string} reason - Failure reason
+   * @param {Object} data - Extra fields to store on the attempt
+   * @param {Object} context - Request context
+   * @returns {Promise<void>}
+   */
+  async fail(verification, account, reason, data = {}, context = {}) {
+    await ledgerService.runInTransaction(null, async (tx) => {
+      const resolved = await bankAccountVerificationRepository.resolve(verification.id, 'FAILED', {
+        ...data,
+        rejection_reason: reason
+      }, tx);
+
+      if (resolved) {
+        await this.changeStatus(account, 'UNVERIFIED', {
+          action: 'bank_account.verification_failed',
+          verificationId: verification.id,
+          reason,
+          context
+        }, tx);
+      }
+    });
+
+    logger.warn('Bank account verification failed', {
+      accountId: account.id,
+      verificationId: verification.id,
+      reason
+    });
+  }
+
+  /**
+   * Update an account's verification status and write the audit entry
+   * @param {Object} account - Bank account before the change
+   * @param {string} status - New BankAccountVerificationStatus
+   * @param {Object} audit - { action, verificationId, method, reason, context }
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object>} Updated bank account
+   */
+  async changeStatus(account, status, audit, tx) {
+    const { action, context, ...details } = audit;
+    const updated = await bankAccountRepository.setVerificationStatus(account.id, status, tx);
+
+    await auditLogRepository.record({
+      action,
+      entity: AUDIT_ENTITY,
+      entityId: account.id,
+      changes: {
+        before: {
+          verification_status: account.verification_status,
+          verified: account.verified
+        },
+        after: {
+          verification_status: updated.verification_status,
+          verified: updated.verified
+        },
+        ...details
+      },
+      context
+    }, tx);
+
+    return updated;
+  }
+
+  /**
+   * Find an account owned by a user that still needs verifying
+   * @param {string} accountId - Bank account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Bank account
+   */
+  async findUnverified(accountId, userId) {
+    const account = await bankAccountService.findOwned(accountId, userId);
+
+    if (account.verified) {
+      throw new BadRequestError('Bank account is already verified');
+    }
+
+    return account;
+  }
+
+  /**
+   * Find a verification attempt with its account
+   * @param {string} verificationId - Verification ID
+   * @returns {Promise<Object>} Verification
+   */
+  async findVerification(verificationId) {
+    const verification = await bankAccountVerificationRepository.findForReview(verificationId);
+
+    if (!verification) {
+      throw new NotFoundError('Bank account verification');
+    }
+
+    return verification;
+  }
+
+  /**
+   * Find a proof review that is waiting for an admin
+   * @param {string} verificationId - Verification ID
+   * @returns {Promise<Object>} Verification
+   */
+  async findReviewable(verificationId) {
+    const verification = await this.findVerification(verificationId);
+
+    if (verification.method !== 'PROOF_REVIEW') {
+      throw new BadRequestError('Only proof uploads can be reviewed');
+    }
+
+    if (verification.status !== 'PENDING') {
+      throw new BadRequestError(`This verification is already ${verification.status}`);
+    }
+
+    return verification;
+  }
+
+  /**
+   * Pick two different random amounts within the configured range
+   * @returns {Array<number>} Amounts in dollars
+   */
+  generateAmounts() {
+    const { microDepositMinCents, microDepositMaxCents } = config.bankVerification;
+    const first = crypto.randomInt(microDepositMinCents, microDepositMaxCents + 1);
+    let second = first;
+
+    while (second === first) {
+      second = crypto.randomInt(microDepositMinCents, microDepositMaxCents + 1);
+    }
+
+    return [first / 100, second / 100];
+  }
+
+  /**
+   * Compare confirmed amounts with the ones sent, in any order
+   * @param {Array} sent - Amounts sent (Decimal)
+   * @param {Array<number>} confirmed - Amounts entered by the seller
+   * @returns {boolean}
+   */
+  amountsMatch(sent, confirmed) {
+    const toCents = values => values
+      .map(value => Math.round(parseFloat(value) * 100))
+      .sort((a, b) => a - b);
+
+    const expected = toCents(sent);
+    const actual = toCents(confirmed);
+
+    return expected.length === actual.length &&
+      expected.every((cents, index) => cents === actual[index]);
+  }
+
+  /**
+   * Check whether a micro-deposit attempt has expired
+   * @param {Object} verification - Verification attempt
+   * @returns {boolean}
+   */
+  isExpired(verification) {
+    return Boolean(verification.expires_at && verification.expires_at < new Date());
+  }
+
+  /**
+   * Attempt as shown to the seller: no amounts or storage paths
+   * @param {Object} verification - Verification attempt
+   * @returns {Object}
+   */
+  toPublic(verification) {
+    const maxAttempts = config.bankVerification.maxConfirmAttempts;
+
+    return {
+      id: verification.id,
+      method: verification.method,
+      status: verification.status,
+      document_name: verification.document_name,
+      rejection_reason: verification.rejection_reason,
+      attempts_remaining: verification.method === 'MICRO_DEPOSIT'
+        ? Math.max(maxAttempts - verification.attempts, 0)
+        : undefined,
+      currency: verification.currency || undefined,
+      expires_at: verification.expires_at,
+      created_at: verification.created_at,
+      completed_at: verification.completed_at
+    };
+  }
+
+  /**
+   * Attempt as shown to reviewers: no amounts, masked account number
+   * @param {Object} verification - Verification with bank_account
+   * @returns {Object}
+   */
+  toReview(verification) {
+    const { amounts, document_path, bank_account, ...rest } = verification;
+
+    return {
+      ...rest,
+      has_document: Boolean(document_path),
+      bank_account: bank_account
+        ? { ...bank_account, account_number: bankAccountService.mask(bank_account.account_number) }
+        : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BankAccountVerificationService();
@@ -0,0 +1,285 @@
+/**
+ * Commission Service
+ *
+ * The gateway pays a commission on airtime, bundle and ZESA sales: it
+ * settles less than the face value of the sale, so the commission stays
+ * in the gateway float. Once a sale settles, the commission is split
+ * between the seller and the platform at the seller's share for the
+ * product and their KYC tier (config.commission.sellerSharePercent) and
+ * posted as one COMMISSION journal entry:
+ *
+ *   DEBIT  GATEWAY_FLOAT        total commission
+ *   CREDIT SELLER_AVAILABLE     seller's share
+ *   CREDIT PLATFORM_COMMISSION  platform's share
+ *
+ * The split is also stored on the sale transaction for reporting.
+ *
+ * Location: backend/services/commission/commission.service.js
+ */
+
+const balanceService = require('../balance/balance.service');
+const ledgerService = require('../balance/ledger.service');
+const limitService = require('../limit/limit.service');
+const transactionRepository = require('../../database/repositories/transaction.repository');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { LEDGER_ACCOUNT_TYPES, LEDGER_ENTRY_TYPES } = require('../../src/config/constants.config');
+
+class CommissionService {
+  /**
+   * Settle a completed sale's reserved funds and credit its commission,
+   * in one database transaction
+   * @param {Object} transaction - Completed SALE transaction
+   * @param {string} product - One of PAYMENT_PRODUCTS
+   * @param {number|string|null} commission - Commission reported by the gateway
+   * @param {Object} [tx] - Transaction client to join (e.g. a provider callback)
+   * @returns {Promise<Object>} Transaction with its commission split
+   */
+  async settleSale(transaction, product, commission, tx = null) {
+    const amount = parseFloat(transaction.amount);
+
+    try {
+      return await ledgerService.runInTransaction(tx, async (client) => {
+        await balanceService.completeReservedTransaction(transaction.user_id, amount, {
+          tx: client,
+          currency: transaction.currency,
+          referenceType: 'transaction',
+          referenceId: transaction.id
+        });
+
+        return this.creditCommission(transaction, product, commission, client);
+      });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'settleSale',
+        transactionId: transaction.id,
+        product
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check the seller's limits, reserve a sale's funds and record it PENDING,
+   * in one database transaction under the seller's lock. The PENDING sale
+   * counts toward the limits while the provider delivers it.
+   * @param {Object} data - Sale data (user_id, amount, currency, description, metadata)
+   * @param {string} limitProduct - One of LIMIT_PRODUCTS
+   * @param {number} [reserveAmount] - Funds to reserve, if more than the amount
+   * @returns {Promise<Object>} PENDING SALE transaction
+   * @throws {TransactionLimitError}
+   */
+  async reserveSale(data, limitProduct, reserveAmount = data.amount) {
+    const { user_id: userId, amount, currency } = data;
+
+    return limitService.recordWithinLimits(userId, limitProduct, amount, currency, async (tx) => {
+      await balanceService.reserveFunds(userId, reserveAmount, { tx, currency });
+
+      return transactionRepository.create({
+        ...data,
+        transaction_type: 'SALE',
+        status: 'PENDING'
+      }, { tx });
+    });
+  }
+
+  /**
+   * Fail a sale nothing was delivered for: release its reserved funds and
+   * mark it FAILED
+   * @param {Object} sale - PENDING SALE transaction
+   * @param {Error} error - Why the sale failed
+   * @param {number} [reserveAmount] - Funds reserved, if more than the amount
+   * @returns {Promise<Object>} FAILED transaction
+   */
+  async failSale(sale, error, reserveAmount = parseFloat(sale.amount)) {
+    return ledgerService.runInTransaction(null, async (tx) => {
+      await balanceService.releaseReservedFunds(sale.user_id, reserveAmount, {
+        tx,
+        currency: sale.currency,
+        referenceType: 'transaction',
+        referenceId: sale.id
+      });
+
+      return transactionRepository.updateStatus(sale.id, 'FAILED', {
+        error_message: error.message
+      }, tx);
+    });
+  }
+
+  /**
+   * Record and settle a sale the provider has already delivered.
+   * The airtime or token can't be taken back, so nothing here releases the
+   * reserved funds: if the sale can't be recorded it stays PENDING with its
+   * funds reserved and the provider reference is logged, and if it can't be
+   * settled it is kept PROCESSING and flagged for reconciliation until a
+   * provider callback (or an admin replaying it) settles it.
+   * @param {Object} sale - PENDING SALE transaction (see reserveSale)
+   * @param {Object} data - What the provider delivered (status COMPLETED,
+   *   gateway_transaction_id, metadata, ...)
+   * @param {string} product - One of PAYMENT_PRODUCTS
+   * @param {number|string|null} commission - Commission reported by the gateway
+   * @returns {Promise<Object>} Settled or flagged transaction
+   */
+  async recordDeliveredSale(sale, data, product, commission) {
+    let transaction;
+
+    try {
+      transaction = await transactionRepository.update(sale.id, data);
+    } catch (error) {
+      logger.error('Sale delivered but not recorded, reconciliation required', {
+        transactionId: sale.id,
+        userId: sale.user_id,
+        product,
+        amount: sale.amount,
+        currency: sale.currency,
+        reference: data.gateway_transaction_id,
+        error: error.message
+      });
+      throw error;
+    }
+
+    try {
+      return await this.settleSale(transaction, product, commission);
+    } catch (error) {
+      logger.error('Sale delivered but not settled, reconciliation required', {
+        transactionId: transaction.id,
+        userId: transaction.user_id,
+        product,
+        reference: transaction.gateway_transaction_id,
+        error: error.message
+      });
+
+      return this.flagForReconciliation(transaction, error);
+    }
+  }
+
+  /**
+   * Mark a delivered sale whose settlement failed
+   * @param {Object} transaction - SALE transaction
+   * @param {Error} error - Settlement error
+   * @returns {Promise<Object>} Flagged transaction (unchanged if the update fails too)
+   */
+  async flagForReconciliation(transaction, error) {
+    try {
+      return await transactionRepository.update(transaction.id, {
+        status: 'PROCESSING',
+        completed_at: null,
+        error_message: `Settlement failed: ${error.message}`,
+        metadata: { ...transaction.metadata, needs_reconciliation: true }
+      });
+    } catch (updateError) {
+      logger.errorWithContext(updateError, {
+        method: 'flagForReconciliation',
+        transactionId: transaction.id
+      });
+      return transaction;
+    }
+  }
+
+  /**
+   * Split a sale's commission and post it to the ledger
+   * @param {Object} transaction - Completed SALE transaction
+   * @param {string} product - One of PAYMENT_PRODUCTS
+   * @param {number|string|null} commission - Commission reported by the gateway
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object>} Transaction with its commission split
+   */
+  async creditCommission(transaction, product, commission, tx) {
+    const userId = transaction.user_id;
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { kyc_tier: true }
+    });
+
+    const split = this.split(this.parseAmount(commission), product, user.kyc_tier);
+
+    if (split.total === 0) {
+      return transaction;
+    }
+
+    const lines = [
+      { account: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT, direction: 'DEBIT', amount: split.total },
+      { account: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE, direction: 'CREDIT', amount: split.seller },
+      { account: LEDGER_ACCOUNT_TYPES.PLATFORM_COMMISSION, direction: 'CREDIT', amount: split.platform }
+    ].filter(line => line.amount > 0);
+
+    await ledgerService.postEntry({
+      entryType: LEDGER_ENTRY_TYPES.COMMISSION,
+      userId,
+      currency: transaction.currency,
+      description: `Commission on ${product} sale`,
+      referenceType: 'transaction',
+      referenceId: transaction.id,
+      metadata: {
+        product,
+        tier: user.kyc_tier,
+        seller_share_percent: split.sellerSharePercent
+      },
+      lines
+    }, tx);
+
+    if (split.seller > 0) {
+      await tx.accountBalance.update({
+        where: balanceService.balanceKey(userId, transaction.currency),
+        data: { total_earned: { increment: split.seller } }
+      });
+    }
+
+    const updated = await transactionRepository.update(transaction.id, {
+      commission_amount: split.total,
+      seller_commission: split.seller,
+      platform_commission: split.platform
+    }, { tx });
+
+    logger.info('Sale commission credited', {
+      transactionId: transaction.id,
+      userId,
+      product,
+      tier: user.kyc_tier,
+      ...split
+    });
+
+    return updated;
+  }
+
+  /**
+   * Split a commission between the seller and the platform. The seller's
+   * share is rounded to the cent and the platform keeps the remainder.
+   * @param {number} total - Total commission
+   * @param {string} product - One of PAYMENT_PRODUCTS
+   * @param {string} tier - Seller's KYC tier
+   * @returns {Object} { total, seller, platform, sellerSharePercent }
+   */
+  split(total, product, tier) {
+    const sellerSharePercent = config.commission.sellerSharePercent[product]?.[tier] ?? 0;
+    const totalCents = Math.round(total * 100);
+    const sellerCents = Math.round(totalCents * Math.min(Math.max(sellerSharePercent, 0), 100) / 100);
+
+    return {
+      total: totalCents / 100,
+      seller: sellerCents / 100,
+      platform: (totalCents - sellerCents) / 100,
+      sellerSharePercent
+    };
+  }
+
+  /**
+   * Read a commission reported by the gateway ("0.25", "$0.25" or 0.25)
+   * @param {number|string|null} commission - Reported commission
+   * @returns {number} Amount, 0 if missing or unreadable
+   */
+  parseAmount(commission) {
+    if (commission === null || commission === undefined) {
+      return 0;
+    }
+
+    const amount = typeof commission === 'number'
+      ? commission
+      : parseFloat(String(commission).replace(/[^\d.]/g, ''));
+
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new CommissionService();
@@ -7,14 +7,25 @@
  */
 
 const depositRepository = require('../../database/repositories/deposit.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
 const poolAccountService = require('../poolAccount/poolAccount.service');
+const paymentFactory = require('../payment/paymentFactory');
+const ledgerService = require('../balance/ledger.service');
+const feeService = require('../fee/fee.service');
+const limitService = require('../limit/limit.service');
+const { eventHelpers } = require('../../events/eventEmitter');
 const logger = require('../../src/shared/utils/logger');
 const config = require('../../src/config/environment.config');
+const {
+  FEE_OPERATIONS,
+  LIMIT_PRODUCTS,
+  PAYMENT_PRODUCTS,
+  PROVIDER_TRANSACTION_STATUS
+} = require('../../src/config/constants.config');
 const {
   BadRequestError,
   NotFoundError,
-  InsufficientBalanceError,
-  TransactionLimitError
+  InsufficientBalanceError
 } = require('../../src/shared/utils/ApiError');
 
 class DepositService {
@@ -25,34 +36,58 @@ class DepositService {
    * @returns {Promise<Object>} Created deposit request
    */
   async createDepositRequest(userId, depositData) {
-    const { amount, payment_method, gateway_reference } = depositData;
+    const {
+      amount,
+      currency = config.pool.currency,
+      payment_method,
+      gateway_reference,
+      mobile_number
+    } = depositData;
 
     try {
-      // Validate amount limits
-      if (amount < config.limits.minDepositAmount) {
-        throw new TransactionLimitError(config.limits.minDepositAmount, 'minimum deposit');
-      }
+      // Wallet providers (e.g. EcoCash) collect the deposit from the payer directly
+      const provider = paymentFactory.forPaymentMethod(payment_method);
+      const collects = Boolean(provider?.supportsProduct(PAYMENT_PRODUCTS.WALLET_PAYMENT));
 
-      if (amount > config.limits.maxDepositAmount) {
-        throw new TransactionLimitError(config.limits.maxDepositAmount, 'maximum deposit');
+      if (collects && !mobile_number) {
+        throw new BadRequestError(`A mobile number is required for ${payment_method} deposits`);
       }
 
-      // Create deposit request
-      const deposit = await depositRepository.create({
-        user_id: userId,
-        amount,
-        currency: 'USD',
-        payment_method,
-        gateway_reference,
-        status: 'PENDING'
-      });
+      // The fee is quoted now and kept from the deposit when it is approved
+      const feeQuote = await feeService.quote(FEE_OPERATIONS.DEPOSIT, amount, currency);
+
+      // Check the deposit limits of the seller and create the deposit
+      // request in one transaction
+      const deposit = await limitService.recordWithinLimits(userId, LIMIT_PRODUCTS.DEPOSIT, amount, currency, (tx) =>
+        depositRepository.create({
+          user_id: userId,
+          amount,
+          fee_amount: feeQuote.fee,
+          currency,
+          payment_method,
+          gateway_reference,
+          status: 'PENDING',
+          ...(collects && {
+            metadata: {
+              provider: provider.name,
+              mobile_number
+            }
+          })
+        }, { tx })
+      );
 
       logger.info('Deposit request created', {
         depositId: deposit.id,
         userId,
-        amount
+        amount,
+        currency,
+        fee: feeQuote.fee
       });
 
+      if (collects) {
+        return await this.collectDeposit(deposit, provider);
+      }
+
       return deposit;
 
     } catch (error) {
@@ -65,13 +100,90 @@ class DepositService {
     }
   }
 
+  /**
+   * Start collecting a deposit from the payer's wallet
+   * The deposit stays PENDING until the provider confirms payment.
+   * @param {Object} deposit - Deposit request
+   * @param {PaymentProvider} provider - Collecting provider
+   * @returns {Promise<Object>} Updated deposit request
+   */
+  async collectDeposit(deposit, provider) {
+    try {
+      const result = await provider.charge({
+        product: PAYMENT_PRODUCTS.WALLET_PAYMENT,
+        amount: parseFloat(deposit.amount),
+        currency: deposit.currency,
+        reference: deposit.id,
+        details: {
+          mobile_number: deposit.metadata.mobile_number,
+          description: 'Account deposit'
+        }
+      });
+
+      return await depositRepository.update(deposit.id, {
+        gateway_reference: result.reference,
+        metadata: {
+          ...deposit.metadata,
+          provider_reference: result.provider_reference || null,
+          provider_status: result.status
+        }
+      });
+    } catch (error) {
+      await depositRepository.update(deposit.id, {
+        status: 'CANCELLED',
+        metadata: {
+          ...deposit.metadata,
+          provider_error: error.message
+        }
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a provider-backed deposit was paid before it is approved
+   * Manual deposits (no provider or no reference) are left to the admin, as
+   * are deposits through providers without a lookup endpoint (xash), which
+   * are confirmed by the provider's callback or by the admin.
+   * @param {Object} deposit - Deposit request
+   * @returns {Promise<Object|null>} Provider transaction, or null if not applicable
+   * @throws {BadRequestError} If the payment is not complete or the amount differs
+   */
+  async verifyWithProvider(deposit) {
+    const provider = paymentFactory.forPaymentMethod(deposit.payment_method);
+
+    if (!provider || !deposit.gateway_reference || !provider.supportsLookup()) {
+      return null;
+    }
+
+    const result = await provider.lookupTransaction(deposit.gateway_reference, {
+      mobile_number: deposit.metadata?.mobile_number
+    });
+
+    if (result.status !== PROVIDER_TRANSACTION_STATUS.COMPLETED) {
+      throw new BadRequestError(
+        `Deposit payment is ${result.status.toLowerCase()} at ${provider.name}`
+      );
+    }
+
+    if (result.amount !== null && Math.abs(result.amount - parseFloat(deposit.amount)) >= 0.01) {
+      throw new BadRequestError(
+        `Deposit amount does not match the ${provider.name} payment of ${result.amount}`
+      );
+    }
+
+    return result;
+  }
+
   /**
    * Approve a deposit request (Admin only)
    * @param {string} depositId - Deposit ID
-   * @param {string} approvedBy - Admin user ID
+   * @param {string} approvedBy - Admin user ID (null when confirmed by the gateway)
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Approved deposit with updated balance
    */
-  async approveDeposit(depositId, approvedBy) {
+  async approveDeposit(depositId, approvedBy, context = {}) {
     try {
       // Get deposit request
       const deposit = await depositRepository.findById(depositId);
@@ -85,9 +197,13 @@ class DepositService {
         throw new BadRequestError('Deposit has already been processed');
       }
 
+      // Confirm payment with the provider (if any)
+      await this.verifyWithProvider(deposit);
+
       // Check if pool has sufficient unallocated funds
       const hasAvailableFunds = await poolAccountService.checkAvailableFunds(
-        parseFloat(deposit.amount)
+        parseFloat(deposit.amount),
+        deposit.currency
       );
 
       if (!hasAvailableFunds) {
@@ -97,19 +213,52 @@ class DepositService {
         );
       }
 
-      // Approve deposit
-      const approvedDeposit = await depositRepository.approveDeposit(depositId, approvedBy);
+      // Approve, allocate funds and publish the event atomically
+      const approvedDeposit = await ledgerService.runInTransaction(null, async (tx) => {
+        const approved = await depositRepository.approveDeposit(depositId, approvedBy, tx);
 
-      // Allocate funds to user
-      await poolAccountService.allocateToUser(
-        deposit.user_id,
-        parseFloat(deposit.amount)
-      );
+        await poolAccountService.allocateToUser(
+          deposit.user_id,
+          parseFloat(deposit.amount),
+          {
+            tx,
+            currency: deposit.currency,
+            referenceType: 'deposit_request',
+            referenceId: depositId,
+            createdBy: approvedBy,
+            description: 'Deposit approved'
+          }
+        );
+
+        await feeService.chargeFee({
+          userId: deposit.user_id,
+          operation: FEE_OPERATIONS.DEPOSIT,
+          fee: deposit.fee_amount,
+          currency: deposit.currency,
+          referenceType: 'deposit_request',
+          referenceId: depositId,
+          createdBy: approvedBy
+        }, tx);
+
+        await eventHelpers.depositApproved(approved, approvedBy, { tx });
+
+        await auditLogRepository.recordChange({
+          action: 'deposit.approved',
+          entity: 'deposit_request',
+          entityId: depositId,
+          before: deposit,
+          after: approved,
+          context: { ...context, actorId: approvedBy }
+        }, tx);
+
+        return approved;
+      });
 
       logger.info('Deposit approved and funds allocated', {
         depositId,
         userId: deposit.user_id,
         amount: deposit.amount,
+        currency: deposit.currency,
         approvedBy
       });
 
@@ -129,9 +278,10 @@ class DepositService {
    * Reject a deposit request (Admin only)
    * @param {string} depositId - Deposit ID
    * @param {string} reason - Rejection reason
+   * @param {Object} context - Request context (empty when rejected by the gateway)
    * @returns {Promise<Object>} Rejected deposit
    */
-  async rejectDeposit(depositId, reason) {
+  async rejectDeposit(depositId, reason, context = {}) {
     try {
       const deposit = await depositRepository.findById(depositId);
 
@@ -143,7 +293,22 @@ class DepositService {
         throw new BadRequestError('Deposit has already been processed');
       }
 
-      const rejectedDeposit = await depositRepository.rejectDeposit(depositId, reason);
+      const rejectedDeposit = await ledgerService.runInTransaction(null, async (tx) => {
+        const rejected = await depositRepository.rejectDeposit(depositId, reason, tx);
+        await eventHelpers.depositRejected(rejected, reason, { tx });
+
+        await auditLogRepository.recordChange({
+          action: 'deposit.rejected',
+          entity: 'deposit_request',
+          entityId: depositId,
+          before: deposit,
+          after: rejected,
+          details: { reason },
+          context
+        }, tx);
+
+        return rejected;
+      });
 
       logger.info('Deposit rejected', {
         depositId,
@@ -7,16 +7,17 @@
  * Location: backend/services/electricity/electricity.service.js
  */
 
-const paymentGatewayService = require('../payment/paymentGateway.service');
+const paymentFactory = require('../payment/paymentFactory');
 const balanceService = require('../balance/balance.service');
+const commissionService = require('../commission/commission.service');
 const transactionRepository = require('../../database/repositories/transaction.repository');
 const logger = require('../../src/shared/utils/logger');
 const config = require('../../src/config/environment.config');
+const { PAYMENT_OPERATIONS, PAYMENT_PRODUCTS, LIMIT_PRODUCTS } = require('../../src/config/constants.config');
 const {
   BadRequestError,
   InsufficientBalanceError,
-  ServiceUnavailableError,
-  PaymentFailedError
+  ServiceUnavailableError
 } = require('../../src/shared/utils/ApiError');
 
 class ElectricityService {
@@ -28,32 +29,21 @@ class ElectricityService {
    */
   async checkAccount(meterNumber, currency) {
     try {
-      const token = await paymentGatewayService.authenticate();
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.ELECTRICITY);
 
-      const response = await paymentGatewayService.client.post(
-        '/electricity/check-account',
-        {
-          meter_number: meterNumber,
-          currency
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
-
-      if (!response.data.success) {
-        throw new BadRequestError(response.data.message || 'Invalid meter number');
-      }
+      const account = await provider.verifyAccount(PAYMENT_PRODUCTS.ELECTRICITY, {
+        meter_number: meterNumber,
+        currency
+      });
 
       logger.info('ZESA account verified', {
+        provider: provider.name,
         meterNumber,
         currency,
-        customerName: response.data.data.customer_name
+        customerName: account.customer_name
       });
 
-      return response.data.data;
+      return account;
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'checkAccount',
@@ -76,121 +66,94 @@ class ElectricityService {
    * @returns {Promise<Object>} Purchase result with tokens
    */
   async buyTokens(userId, purchaseData) {
-    const { meter_number, amount, currency = 'USD' } = purchaseData;
+    const { meter_number, amount, currency = config.pool.currency } = purchaseData;
 
     try {
-      // Validate amount limits
-      if (amount < config.limits.minTransactionAmount) {
-        throw new BadRequestError(`Minimum electricity purchase is $${config.limits.minTransactionAmount}`);
-      }
-
-      if (amount > config.limits.maxTransactionAmount) {
-        throw new BadRequestError(`Maximum electricity purchase is $${config.limits.maxTransactionAmount}`);
-      }
-
       // Check user balance
-      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount);
+      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount, currency);
       
       if (!hasSufficientBalance) {
-        const balance = await balanceService.getBalance(userId);
+        const balance = await balanceService.getBalance(userId, currency);
         throw new InsufficientBalanceError(amount, balance.available);
       }
 
-      // Reserve funds
-      await balanceService.reserveFunds(userId, amount);
-
-      let transaction;
+      const provider = await paymentFactory.forOperation(PAYMENT_OPERATIONS.ELECTRICITY, { userId });
 
-      try {
-        // Authenticate with gateway
-        const token = await paymentGatewayService.authenticate();
-
-        // Make token purchase request
-        const response = await paymentGatewayService.client.post(
-          '/electricity/buy-tokens',
-          {
-            meter_number,
-            amount,
-            currency
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          }
-        );
-
-        if (!response.data.success) {
-          throw new PaymentFailedError('Token purchase failed', response.data.message);
+      // Check the ZESA and sales limits of the seller, reserve the funds
+      // and record the sale as pending
+      const sale = await commissionService.reserveSale({
+        user_id: userId,
+        amount,
+        currency,
+        description: `ZESA tokens for meter ${meter_number}`,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.ELECTRICITY,
+          provider: provider.name,
+          meter_number
         }
+      }, LIMIT_PRODUCTS.ELECTRICITY);
 
-        const tokenData = response.data.data;
+      let result;
 
-        // Create transaction record
-        transaction = await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
+      try {
+        // Make token purchase request
+        result = await provider.charge({
+          product: PAYMENT_PRODUCTS.ELECTRICITY,
           amount,
           currency,
-          status: 'COMPLETED',
-          description: `ZESA tokens for meter ${meter_number}`,
-          customer_name: tokenData.customer_name,
-          metadata: {
-            service_type: 'electricity',
-            meter_number,
-            meter_currency: tokenData.meter_currency,
-            customer_name: tokenData.customer_name,
-            customer_address: tokenData.customer_address,
-            kwh: tokenData.kwh,
-            energy: tokenData.energy,
-            debt: tokenData.debt,
-            rea: tokenData.rea,
-            vat: tokenData.vat,
-            tendered_currency: tokenData.tendered_currency,
-            tendered: tokenData.tendered,
-            total_amt: tokenData.total_amt,
-            date: tokenData.date,
-            tokens: tokenData.tokens,
-            commission: tokenData.commission,
-            gateway_response: tokenData
-          },
-          completed_at: new Date()
+          details: { meter_number }
         });
+      } catch (error) {
+        // Nothing was delivered: release the reserved funds
+        await commissionService.failSale(sale, error);
 
-        // Deduct from user balance
-        await balanceService.completeReservedTransaction(userId, amount);
+        throw error;
+      }
 
-        logger.info('ZESA tokens purchased', {
-          transactionId: transaction.id,
-          userId,
-          amount,
+      const tokenData = result.details;
+
+      // Delivered: record the sale, settle the reserved funds and credit
+      // the seller's commission. Nothing is rolled back from here on.
+      const transaction = await commissionService.recordDeliveredSale(sale, {
+        status: 'COMPLETED',
+        gateway_transaction_id: result.reference,
+        customer_name: tokenData.customer_name,
+        metadata: {
+          service_type: PAYMENT_PRODUCTS.ELECTRICITY,
+          provider: provider.name,
           meter_number,
+          meter_currency: tokenData.meter_currency,
+          customer_name: tokenData.customer_name,
+          customer_address: tokenData.customer_address,
           kwh: tokenData.kwh,
-          tokensCount: tokenData.tokens?.length || 0
-        });
-
-        return {
-          transaction,
-          details: tokenData
-        };
-
-      } catch (error) {
-        // Rollback: Release reserved funds
-        await balanceService.releaseReservedFunds(userId, amount);
+          energy: tokenData.energy,
+          debt: tokenData.debt,
+          rea: tokenData.rea,
+          vat: tokenData.vat,
+          tendered_currency: tokenData.tendered_currency,
+          tendered: tokenData.tendered,
+          total_amt: tokenData.total_amt,
+          date: tokenData.date,
+          tokens: tokenData.tokens,
+          commission: tokenData.commission,
+          gateway_response: tokenData
+        },
+        completed_at: new Date()
+      }, PAYMENT_PRODUCTS.ELECTRICITY, tokenData.commission);
 
-        // Create failed transaction record
-        await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
-          amount,
-          status: 'FAILED',
-          description: `Failed ZESA token purchase for meter ${meter_number}`,
-          error_message: error.message,
-          failed_at: new Date()
-        });
+      logger.info('ZESA tokens purchased', {
+        transactionId: transaction.id,
+        userId,
+        amount,
+        meter_number,
+        kwh: tokenData.kwh,
+        tokensCount: tokenData.tokens?.length || 0
+      });
 
-        throw error;
-      }
+      return {
+        transaction,
+        details: tokenData
+      };
 
     } catch (error) {
       logger.errorWithContext(error, {
@@ -307,11 +270,18 @@ class ElectricityService {
         return sum + commissionAmount;
       }, 0);
 
+      // Seller's share, credited to their balance
+      const commissionEarned = transactions.reduce(
+        (sum, t) => sum + parseFloat(t.seller_commission || 0),
+        0
+      );
+
       return {
         totalTransactions: transactions.length,
         totalAmount,
         totalKwh,
         totalCommission,
+        commissionEarned,
         averageAmount: transactions.length > 0 ? totalAmount / transactions.length : 0,
         averageKwh: transactions.length > 0 ? totalKwh / transactions.length : 0
       };
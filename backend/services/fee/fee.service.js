@@ -0,0 +1,546 @@
+/**
+ * Fee Service
+ *
+ * Platform fees on deposits, payouts, sales and refunds. Each operation has
+ * at most one active fee schedule per currency, managed by admins:
+ * - FLAT: a fixed amount
+ * - PERCENTAGE: a percentage of the amount
+ * - TIERED: the first tier whose up_to covers the amount (up_to null is
+ *   open-ended) charges its flat amount plus its percentage
+ * and the result is held between the schedule's min_fee and max_fee.
+ *
+ * A fee is quoted before the operation and the quoted amount is charged
+ * when it completes, as a COMPLETED FEE transaction linked to the operation
+ * (reference_type, reference_id) and one FEE journal entry:
+ *
+ *   DEBIT  SELLER_AVAILABLE / SELLER_RESERVED  fee
+ *   CREDIT PLATFORM_FEES                       fee
+ *
+ * Fees on deposits and refunds are kept from the amount credited to the
+ * seller; fees on payouts and sales are charged on top of the amount and
+ * reserved with it.
+ *
+ * Location: backend/services/fee/fee.service.js
+ */
+
+const feeScheduleRepository = require('../../database/repositories/feeSchedule.repository');
+const transactionRepository = require('../../database/repositories/transaction.repository');
+const fxQuoteRepository = require('../../database/repositories/fxQuote.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const ledgerService = require('../balance/ledger.service');
+const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  FEE_OPERATIONS,
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_ENTRY_TYPES
+} = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+const AUDIT_ENTITY = 'fee_schedule';
+
+// Operations whose fee is kept from the amount instead of added to it
+const DEDUCTED_OPERATIONS = [FEE_OPERATIONS.DEPOSIT, FEE_OPERATIONS.REFUND];
+
+// Schedule fields an admin can set
+const SCHEDULE_FIELDS = [
+  'name',
+  'type',
+  'flat_amount',
+  'percentage',
+  'tiers',
+  'min_fee',
+  'max_fee'
+];
+
+/**
+ * Convert an amount to integer cents
+ * @param {number|string|Object|null} amount - Amount (number, string or Decimal)
+ * @returns {number} Amount in cents, 0 if missing
+ */
+function toCents(amount) {
+  return amount === null || amount === undefined ? 0 : Math.round(parseFloat(amount) * 100);
+}
+
+class FeeService {
+  /**
+   * Work out the fee a schedule charges on an amount
+   * @param {Object} schedule - Fee schedule
+   * @param {number} amount - Operation amount
+   * @returns {number} Fee, rounded to the cent
+   */
+  calculate(schedule, amount) {
+    const percentOf = (percentage) => amount * parseFloat(percentage || 0) / 100;
+    let fee;
+
+    switch (schedule.type) {
+      case 'FLAT':
+        fee = parseFloat(schedule.flat_amount || 0);
+        break;
+
+      case 'PERCENTAGE':
+        fee = percentOf(schedule.percentage);
+        break;
+
+      case 'TIERED': {
+        const tier = (schedule.tiers || []).find(
+          candidate => candidate.up_to === null || candidate.up_to === undefined || amount <= candidate.up_to
+        );
+
+        fee = tier ? parseFloat(tier.flat || 0) + percentOf(tier.percentage) : 0;
+        break;
+      }
+
+      default:
+        fee = 0;
+    }
+
+    let cents = Math.max(Math.round(fee * 100), 0);
+
+    if (schedule.min_fee !== null && schedule.min_fee !== undefined) {
+      cents = Math.max(cents, toCents(schedule.min_fee));
+    }
+
+    if (schedule.max_fee !== null && schedule.max_fee !== undefined) {
+      cents = Math.min(cents, toCents(schedule.max_fee));
+    }
+
+    return cents / 100;
+  }
+
+  /**
+   * Quote the fee of an operation under the active schedule
+   * @param {string} operation - One of FEE_OPERATIONS
+   * @param {number} amount - Operation amount
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Quote with the fee and what the seller pays or receives
+   */
+  async quote(operation, amount, currency = config.pool.currency) {
+    if (!FEE_OPERATIONS[operation]) {
+      throw new BadRequestError(`Unknown fee operation: ${operation}`);
+    }
+
+    const schedule = await feeScheduleRepository.findActive(operation, currency);
+    const deducted = DEDUCTED_OPERATIONS.includes(operation);
+    let fee = schedule ? this.calculate(schedule, amount) : 0;
+
+    // A fee kept from the amount can never exceed it
+    if (deducted) {
+      fee = Math.min(toCents(fee), toCents(amount)) / 100;
+    }
+
+    return {
+      operation,
+      amount,
+      currency,
+      fee,
+      schedule_id: schedule?.id || null,
+      schedule_name: schedule?.name || null,
+      ...(deducted
+        ? { net_amount: (toCents(amount) - toCents(fee)) / 100 }
+        : { total_amount: (toCents(amount) + toCents(fee)) / 100 })
+    };
+  }
+
+  /**
+   * Charge a quoted fee: record the FEE transaction and post it to the
+   * ledger. Runs inside the operation's database transaction.
+   * @param {Object} charge - Fee details
+   * @param {string} charge.userId - Seller paying the fee
+   * @param {string} charge.operation - One of FEE_OPERATIONS
+   * @param {number} charge.fee - Fee amount (nothing is charged if 0)
+   * @param {string} charge.referenceType - transaction, deposit_request or payout_request
+   * @param {string} charge.referenceId - ID of the operation
+   * @param {string} [charge.fromAccount] - SELLER_AVAILABLE or SELLER_RESERVED
+   * @param {string} [charge.currency] - Currency code
+   * @param {string} [charge.scheduleId] - Schedule the fee was quoted under
+   * @param {string} [charge.createdBy] - User who triggered the operation
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object|null>} FEE transaction, or null if there was no fee
+   */
+  async chargeFee(charge, tx) {
+    const {
+      userId,
+      operation,
+      fee,
+      referenceType,
+      referenceId,
+      fromAccount = LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+      currency = config.pool.currency,
+      scheduleId = null,
+      createdBy = null
+    } = charge;
+
+    const amount = toCents(fee) / 100;
+
+    if (amount <= 0) {
+      return null;
+    }
+
+    const feeTransaction = await transactionRepository.create({
+      user_id: userId,
+      transaction_type: 'FEE',
+      amount,
+      currency,
+      status: 'COMPLETED',
+      completed_at: new Date(),
+      description: `${operation.toLowerCase()} fee`,
+      reference_type: referenceType,
+      reference_id: String(referenceId),
+      metadata: {
+        operation,
+        schedule_id: scheduleId
+      }
+    }, { tx });
+
+    await ledgerService.transfer({
+      entryType: LEDGER_ENTRY_TYPES.FEE,
+      userId,
+      currency,
+      debit: fromAccount,
+      credit: LEDGER_ACCOUNT_TYPES.PLATFORM_FEES,
+      amount,
+      description: `Fee on ${operation.toLowerCase()}`,
+      referenceType: 'transaction',
+      referenceId: feeTransaction.id,
+      createdBy,
+      metadata: {
+        operation,
+        schedule_id: scheduleId,
+        charged_on: { type: referenceType, id: String(referenceId) }
+      }
+    }, tx);
+
+    logger.info('Fee charged', {
+      feeTransactionId: feeTransaction.id,
+      userId,
+      operation,
+      amount,
+      referenceType,
+      referenceId
+    });
+
+    return feeTransaction;
+  }
+
+  /**
+   * List fee schedules (Admin)
+   * @param {Object} filters - { operation, currency, is_active }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated schedules
+   */
+  async listSchedules(filters = {}, pagination = {}) {
+    return feeScheduleRepository.list(filters, pagination);
+  }
+
+  /**
+   * Get the active schedule of every operation
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Schedule (or null) per operation
+   */
+  async getActiveSchedules(currency = config.pool.currency) {
+    const schedules = {};
+
+    for (const operation of Object.values(FEE_OPERATIONS)) {
+      schedules[operation] = await feeScheduleRepository.findActive(operation, currency);
+    }
+
+    return schedules;
+  }
+
+  /**
+   * Create a fee schedule (Admin). An active schedule replaces the one
+   * currently active for its operation and currency.
+   * @param {Object} data - Schedule fields plus operation, currency and is_active
+   * @param {string} adminId - Admin user ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(data, adminId, context = {}) {
+    const { operation, currency = config.pool.currency, is_active = true } = data;
+    const fields = this.pickFields(data);
+
+    this.assertComplete(fields);
+
+    try {
+      const schedule = await prisma.$transaction(async (tx) => {
+        if (is_active) {
+          await feeScheduleRepository.deactivateOthers(operation, currency, null, tx);
+        }
+
+        const created = await feeScheduleRepository.create({
+          ...fields,
+          operation,
+          currency,
+          is_active,
+          created_by: adminId
+        }, { tx });
+
+        await auditLogRepository.record({
+          action: 'fee_schedule.created',
+          entity: AUDIT_ENTITY,
+          entityId: created.id,
+          changes: { operation, currency, is_active, ...this.pickFields(created) },
+          context
+        }, tx);
+
+        return created;
+      });
+
+      logger.info('Fee schedule created', {
+        scheduleId: schedule.id,
+        operation,
+        currency,
+        adminId
+      });
+
+      return schedule;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'createSchedule',
+        operation,
+        adminId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a fee schedule (Admin). Activating a schedule retires the one
+   * currently active for its operation and currency.
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} data - Schedule fields and is_active
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(scheduleId, data, context = {}) {
+    const schedule = await this.getSchedule(scheduleId);
+    const changes = this.pickFields(data);
+
+    if (data.is_active !== undefined) {
+      changes.is_active = data.is_active;
+    }
+
+    const merged = { ...schedule, ...changes };
+    this.assertComplete(merged);
+
+    try {
+      const updated = await prisma.$transaction(async (tx) => {
+        if (changes.is_active && !schedule.is_active) {
+          await feeScheduleRepository.deactivateOthers(schedule.operation, schedule.currency, scheduleId, tx);
+        }
+
+        const saved = await feeScheduleRepository.update(scheduleId, changes, { tx });
+
+        await auditLogRepository.recordChange({
+          action: 'fee_schedule.updated',
+          entity: AUDIT_ENTITY,
+          entityId: scheduleId,
+          before: { is_active: schedule.is_active, ...this.pickFields(schedule) },
+          after: { is_active: saved.is_active, ...this.pickFields(saved) },
+          context
+        }, tx);
+
+        return saved;
+      });
+
+      logger.info('Fee schedule updated', {
+        scheduleId,
+        actorId: context.actorId
+      });
+
+      return updated;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'updateSchedule',
+        scheduleId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate a fee schedule (Admin). The operation is free until another
+   * schedule is activated.
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Deactivated schedule
+   */
+  async deactivateSchedule(scheduleId, context = {}) {
+    const schedule = await this.getSchedule(scheduleId);
+
+    if (!schedule.is_active) {
+      throw new BadRequestError('Fee schedule is already inactive');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const deactivated = await feeScheduleRepository.update(scheduleId, { is_active: false }, { tx });
+
+      await auditLogRepository.recordChange({
+        action: 'fee_schedule.deactivated',
+        entity: AUDIT_ENTITY,
+        entityId: scheduleId,
+        before: { is_active: true },
+        after: { is_active: false },
+        details: { operation: schedule.operation, currency: schedule.currency },
+        context
+      }, tx);
+
+      return deactivated;
+    });
+  }
+
+  /**
+   * Get a fee schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Schedule
+   */
+  async getSchedule(scheduleId) {
+    const schedule = await feeScheduleRepository.findById(scheduleId);
+
+    if (!schedule) {
+      throw new NotFoundError('Fee schedule');
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Platform revenue in one currency: fees by operation, the platform's
+   * share of sale commission and the spread kept on conversions out of
+   * the currency, for a period (all time if no dates are given)
+   * @param {Date} startDate - Start date (optional)
+   * @param {Date} endDate - End date (optional)
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} { currency, fees, commission, fx, total }
+   */
+  async getRevenue(startDate = null, endDate = null, currency = config.pool.currency) {
+    const where = { status: 'COMPLETED', currency };
+
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) where.created_at.gte = startDate;
+      if (endDate) where.created_at.lte = endDate;
+    }
+
+    try {
+      const operations = Object.values(FEE_OPERATIONS);
+
+      const [feeSums, commission, fx] = await Promise.all([
+        Promise.all(operations.map(operation => transactionRepository.aggregate({
+          where: {
+            ...where,
+            transaction_type: 'FEE',
+            metadata: { path: ['operation'], equals: operation }
+          },
+          _sum: { amount: true },
+          _count: true
+        }))),
+        transactionRepository.aggregate({
+          where: { ...where, transaction_type: 'SALE', platform_commission: { not: null } },
+          _sum: { platform_commission: true },
+          _count: true
+        }),
+        fxQuoteRepository.getSpreadRevenue(currency, startDate, endDate)
+      ]);
+
+      const byOperation = {};
+      let feeCents = 0;
+      let feeCount = 0;
+
+      operations.forEach((operation, index) => {
+        const sum = feeSums[index];
+        const total = sum._sum.amount ? parseFloat(sum._sum.amount) : 0;
+
+        byOperation[operation] = { total, count: sum._count };
+        feeCents += toCents(total);
+        feeCount += sum._count;
+      });
+
+      const commissionTotal = commission._sum.platform_commission
+        ? parseFloat(commission._sum.platform_commission)
+        : 0;
+
+      return {
+        currency,
+        fees: {
+          total: feeCents / 100,
+          count: feeCount,
+          byOperation
+        },
+        commission: {
+          total: commissionTotal,
+          count: commission._count
+        },
+        fx,
+        total: (feeCents + toCents(commissionTotal) + toCents(fx.total)) / 100
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'getRevenue',
+        startDate,
+        endDate,
+        currency
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a schedule has the fields its type needs
+   * @param {Object} schedule - Schedule fields
+   * @throws {BadRequestError} If a field is missing
+   * @private
+   */
+  assertComplete(schedule) {
+    const required = {
+      FLAT: 'flat_amount',
+      PERCENTAGE: 'percentage',
+      TIERED: 'tiers'
+    }[schedule.type];
+
+    const value = schedule[required];
+
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+      throw new BadRequestError(`A ${schedule.type.toLowerCase()} fee schedule needs ${required}`);
+    }
+
+    if (
+      schedule.min_fee !== null && schedule.min_fee !== undefined &&
+      schedule.max_fee !== null && schedule.max_fee !== undefined &&
+      toCents(schedule.min_fee) > toCents(schedule.max_fee)
+    ) {
+      throw new BadRequestError('min_fee cannot be greater than max_fee');
+    }
+  }
+
+  /**
+   * Pick the admin-editable fields of a schedule. Tiers are kept in
+   * ascending up_to order, with the open-ended tier last.
+   * @param {Object} data - Schedule or request body
+   * @returns {Object} Fields present in data
+   * @private
+   */
+  pickFields(data) {
+    const fields = SCHEDULE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+
+    if (Array.isArray(fields.tiers)) {
+      const limitOf = (tier) => (tier.up_to === null || tier.up_to === undefined ? Infinity : tier.up_to);
+      fields.tiers = [...fields.tiers].sort((a, b) => limitOf(a) - limitOf(b));
+    }
+
+    return fields;
+  }
+}
+
+// Export singleton instance
+module.exports = new FeeService();
@@ -0,0 +1,549 @@
+/**
+ * FX Service
+ *
+ * Converts float between a seller's currency balances. Admins keep one
+ * active rate per currency pair in the local rates table; a pair with no
+ * rate of its own is quoted at the inverse of the opposite pair's rate.
+ *
+ * A seller first asks for a quote, which locks the rate for
+ * config.fx.quoteTtlSeconds:
+ *
+ *   spread    = from_amount * spread_percent, rounded to the cent
+ *   to_amount = (from_amount - spread) * rate, rounded down to the cent
+ *
+ * Executing the quote marks it EXECUTED and posts one FX_CONVERSION journal
+ * entry per currency, in one database transaction:
+ *
+ *   from_currency:  DEBIT  SELLER_AVAILABLE  from_amount
+ *                   CREDIT POOL_UNALLOCATED  from_amount - spread
+ *                   CREDIT PLATFORM_FEES     spread
+ *
+ *   to_currency:    DEBIT  POOL_UNALLOCATED  to_amount
+ *                   CREDIT SELLER_AVAILABLE  to_amount
+ *
+ * so the seller's funds return to one pool and are allocated from the
+ * other, and the spread is platform revenue in the currency converted from.
+ *
+ * Location: backend/services/fx/fx.service.js
+ */
+
+const fxRateRepository = require('../../database/repositories/fxRate.repository');
+const fxQuoteRepository = require('../../database/repositories/fxQuote.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const balanceService = require('../balance/balance.service');
+const ledgerService = require('../balance/ledger.service');
+const poolAccountService = require('../poolAccount/poolAccount.service');
+const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { LEDGER_ACCOUNT_TYPES, LEDGER_ENTRY_TYPES } = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  NotFoundError,
+  InsufficientBalanceError,
+  ServiceUnavailableError
+} = require('../../src/shared/utils/ApiError');
+
+const AUDIT_ENTITY = 'fx_rate';
+
+// Rate fields an admin can set
+const RATE_FIELDS = ['rate', 'spread_percent'];
+
+/**
+ * Convert an amount to integer cents
+ * @param {number|string|Object} amount - Amount (number, string or Decimal)
+ * @returns {number} Amount in cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Round a rate to the precision it is stored at
+ * @param {number} rate - Rate
+ * @returns {number} Rate with at most 8 decimal places
+ */
+function roundRate(rate) {
+  return Number(rate.toFixed(8));
+}
+
+class FxService {
+  /**
+   * List the active rates (rates are per unit of from_currency, before
+   * the spread)
+   * @returns {Promise<Array<Object>>} Active rates by pair
+   */
+  async getRates() {
+    const rates = await fxRateRepository.findAllActive();
+
+    return rates.map(rate => ({
+      from_currency: rate.from_currency,
+      to_currency: rate.to_currency,
+      rate: parseFloat(rate.rate),
+      spread_percent: parseFloat(rate.spread_percent),
+      updated_at: rate.updated_at
+    }));
+  }
+
+  /**
+   * Find the rate to quote a pair at: its own active rate, or the inverse
+   * of the opposite pair's
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @returns {Promise<Object>} { id, rate, spreadPercent }
+   * @throws {BadRequestError} If the pair has no current rate
+   */
+  async findRate(fromCurrency, toCurrency) {
+    let rate = null;
+    const direct = await fxRateRepository.findActive(fromCurrency, toCurrency);
+
+    if (direct) {
+      rate = {
+        id: direct.id,
+        rate: parseFloat(direct.rate),
+        spreadPercent: parseFloat(direct.spread_percent),
+        updatedAt: direct.updated_at
+      };
+    } else {
+      const opposite = await fxRateRepository.findActive(toCurrency, fromCurrency);
+
+      if (opposite) {
+        rate = {
+          id: opposite.id,
+          rate: roundRate(1 / parseFloat(opposite.rate)),
+          spreadPercent: parseFloat(opposite.spread_percent),
+          updatedAt: opposite.updated_at
+        };
+      }
+    }
+
+    const maxAgeMs = config.fx.maxRateAgeHours * 60 * 60 * 1000;
+
+    if (!rate || Date.now() - new Date(rate.updatedAt).getTime() > maxAgeMs) {
+      throw new BadRequestError(`No current exchange rate from ${fromCurrency} to ${toCurrency}`);
+    }
+
+    return rate;
+  }
+
+  /**
+   * Quote a conversion and lock its rate for the seller
+   * @param {string} userId - Seller ID
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @param {number} amount - Amount of fromCurrency to convert
+   * @returns {Promise<Object>} Quote, valid until expires_at
+   */
+  async quote(userId, fromCurrency, toCurrency, amount) {
+    if (fromCurrency === toCurrency) {
+      throw new BadRequestError('Cannot convert a currency to itself');
+    }
+
+    try {
+      const rate = await this.findRate(fromCurrency, toCurrency);
+
+      const fromCents = toCents(amount);
+      const spreadCents = Math.round(fromCents * rate.spreadPercent / 100);
+      // toFixed first so float noise (e.g. 2099.9999999) doesn't lose a cent
+      const toAmountCents = Math.floor(Number(((fromCents - spreadCents) * rate.rate).toFixed(6)));
+
+      if (toAmountCents <= 0) {
+        throw new BadRequestError('Amount is too small to convert');
+      }
+
+      const balance = await balanceService.getBalance(userId, fromCurrency);
+
+      if (balance.available < fromCents / 100) {
+        throw new InsufficientBalanceError(fromCents / 100, balance.available);
+      }
+
+      await this.assertPoolCanCover(toAmountCents / 100, toCurrency);
+
+      const quote = await fxQuoteRepository.create({
+        user_id: userId,
+        rate_id: rate.id,
+        from_currency: fromCurrency,
+        to_currency: toCurrency,
+        from_amount: fromCents / 100,
+        rate: rate.rate,
+        spread_percent: rate.spreadPercent,
+        spread_amount: spreadCents / 100,
+        to_amount: toAmountCents / 100,
+        expires_at: new Date(Date.now() + config.fx.quoteTtlSeconds * 1000)
+      });
+
+      logger.info('FX quote issued', {
+        quoteId: quote.id,
+        userId,
+        fromCurrency,
+        toCurrency,
+        fromAmount: fromCents / 100,
+        toAmount: toAmountCents / 100,
+        rate: rate.rate
+      });
+
+      return this.formatQuote(quote);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'quote',
+        userId,
+        fromCurrency,
+        toCurrency,
+        amount
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a seller's quote: convert the balances at the locked rate
+   * @param {string} userId - Seller ID
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} { conversion, balances }
+   */
+  async convert(userId, quoteId) {
+    const quote = await fxQuoteRepository.findById(quoteId);
+
+    if (!quote || quote.user_id !== userId) {
+      throw new NotFoundError('FX quote');
+    }
+
+    if (quote.status === 'EXECUTED') {
+      throw new BadRequestError('FX quote has already been executed');
+    }
+
+    if (new Date(quote.expires_at) <= new Date()) {
+      throw new BadRequestError('FX quote has expired, request a new one');
+    }
+
+    const fromAmount = parseFloat(quote.from_amount);
+    const spreadAmount = parseFloat(quote.spread_amount);
+    const toAmount = parseFloat(quote.to_amount);
+
+    await this.assertPoolCanCover(toAmount, quote.to_currency);
+
+    try {
+      const result = await ledgerService.runInTransaction(null, async (tx) => {
+        const claimed = await fxQuoteRepository.claim(quoteId, userId, tx);
+
+        if (!claimed) {
+          throw new BadRequestError('FX quote is no longer available, request a new one');
+        }
+
+        const metadata = {
+          from_currency: quote.from_currency,
+          to_currency: quote.to_currency,
+          from_amount: fromAmount,
+          to_amount: toAmount,
+          rate: parseFloat(quote.rate)
+        };
+
+        const source = await ledgerService.postEntry({
+          entryType: LEDGER_ENTRY_TYPES.FX_CONVERSION,
+          userId,
+          currency: quote.from_currency,
+          description: `Conversion to ${quote.to_currency}`,
+          referenceType: 'fx_quote',
+          referenceId: quoteId,
+          metadata: { ...metadata, leg: 'FROM', spread_amount: spreadAmount },
+          lines: [
+            { account: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE, direction: 'DEBIT', amount: fromAmount },
+            { account: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED, direction: 'CREDIT', amount: (toCents(fromAmount) - toCents(spreadAmount)) / 100 },
+            { account: LEDGER_ACCOUNT_TYPES.PLATFORM_FEES, direction: 'CREDIT', amount: spreadAmount }
+          ].filter(line => line.amount > 0)
+        }, tx);
+
+        const target = await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.FX_CONVERSION,
+          userId,
+          currency: quote.to_currency,
+          debit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          amount: toAmount,
+          description: `Conversion from ${quote.from_currency}`,
+          referenceType: 'fx_quote',
+          referenceId: quoteId,
+          metadata: { ...metadata, leg: 'TO' }
+        }, tx);
+
+        const executed = await tx.fxQuote.findUnique({ where: { id: quoteId } });
+
+        return {
+          conversion: this.formatQuote(executed),
+          balances: [
+            balanceService.formatBalance(source.balances[userId]),
+            balanceService.formatBalance(target.balances[userId])
+          ]
+        };
+      });
+
+      logger.info('Currency converted', {
+        quoteId,
+        userId,
+        fromCurrency: quote.from_currency,
+        toCurrency: quote.to_currency,
+        fromAmount,
+        toAmount,
+        spreadAmount
+      });
+
+      return result;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'convert',
+        userId,
+        quoteId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a seller's conversions
+   * @param {string} userId - Seller ID
+   * @param {Object} filters - { from_currency, to_currency, startDate, endDate }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated conversions
+   */
+  async getConversions(userId, filters = {}, pagination = {}) {
+    const result = await fxQuoteRepository.listConversions(userId, filters, pagination);
+
+    return {
+      ...result,
+      data: result.data.map(quote => this.formatQuote(quote))
+    };
+  }
+
+  /**
+   * List exchange rates (Admin)
+   * @param {Object} filters - { from_currency, to_currency, is_active }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated rates
+   */
+  async listRates(filters = {}, pagination = {}) {
+    return fxRateRepository.list(filters, pagination);
+  }
+
+  /**
+   * Set an exchange rate (Admin). An active rate replaces the one
+   * currently active for its pair.
+   * @param {Object} data - from_currency, to_currency, rate, spread_percent and is_active
+   * @param {string} adminId - Admin user ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Created rate
+   */
+  async createRate(data, adminId, context = {}) {
+    const { from_currency, to_currency, is_active = true } = data;
+    const fields = this.pickFields(data);
+
+    if (from_currency === to_currency) {
+      throw new BadRequestError('A rate needs two different currencies');
+    }
+
+    try {
+      const rate = await prisma.$transaction(async (tx) => {
+        if (is_active) {
+          await fxRateRepository.deactivateOthers(from_currency, to_currency, null, tx);
+        }
+
+        const created = await fxRateRepository.create({
+          ...fields,
+          from_currency,
+          to_currency,
+          is_active,
+          created_by: adminId
+        }, { tx });
+
+        await auditLogRepository.record({
+          action: 'fx_rate.created',
+          entity: AUDIT_ENTITY,
+          entityId: created.id,
+          changes: { from_currency, to_currency, is_active, ...fields },
+          context
+        }, tx);
+
+        return created;
+      });
+
+      logger.info('FX rate created', {
+        rateId: rate.id,
+        fromCurrency: from_currency,
+        toCurrency: to_currency,
+        rate: fields.rate,
+        adminId
+      });
+
+      return rate;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'createRate',
+        fromCurrency: from_currency,
+        toCurrency: to_currency,
+        adminId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an exchange rate (Admin). Activating a rate retires the one
+   * currently active for its pair.
+   * @param {string} rateId - Rate ID
+   * @param {Object} data - rate, spread_percent and is_active
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated rate
+   */
+  async updateRate(rateId, data, context = {}) {
+    const rate = await this.getRate(rateId);
+    const changes = this.pickFields(data);
+
+    if (data.is_active !== undefined) {
+      changes.is_active = data.is_active;
+    }
+
+    try {
+      const updated = await prisma.$transaction(async (tx) => {
+        if (changes.is_active && !rate.is_active) {
+          await fxRateRepository.deactivateOthers(rate.from_currency, rate.to_currency, rateId, tx);
+        }
+
+        const saved = await fxRateRepository.update(rateId, changes, { tx });
+
+        await auditLogRepository.recordChange({
+          action: 'fx_rate.updated',
+          entity: AUDIT_ENTITY,
+          entityId: rateId,
+          before: { is_active: rate.is_active, ...this.pickFields(rate) },
+          after: { is_active: saved.is_active, ...this.pickFields(saved) },
+          details: { from_currency: rate.from_currency, to_currency: rate.to_currency },
+          context
+        }, tx);
+
+        return saved;
+      });
+
+      logger.info('FX rate updated', {
+        rateId,
+        actorId: context.actorId
+      });
+
+      return updated;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'updateRate',
+        rateId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate an exchange rate (Admin). The pair cannot be quoted until
+   * another rate is activated.
+   * @param {string} rateId - Rate ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Deactivated rate
+   */
+  async deactivateRate(rateId, context = {}) {
+    const rate = await this.getRate(rateId);
+
+    if (!rate.is_active) {
+      throw new BadRequestError('FX rate is already inactive');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const deactivated = await fxRateRepository.update(rateId, { is_active: false }, { tx });
+
+      await auditLogRepository.recordChange({
+        action: 'fx_rate.deactivated',
+        entity: AUDIT_ENTITY,
+        entityId: rateId,
+        before: { is_active: true },
+        after: { is_active: false },
+        details: { from_currency: rate.from_currency, to_currency: rate.to_currency },
+        context
+      }, tx);
+
+      return deactivated;
+    });
+  }
+
+  /**
+   * Get an exchange rate
+   * @param {string} rateId - Rate ID
+   * @returns {Promise<Object>} Rate
+   */
+  async getRate(rateId) {
+    const rate = await fxRateRepository.findById(rateId);
+
+    if (!rate) {
+      throw new NotFoundError('FX rate');
+    }
+
+    return rate;
+  }
+
+  /**
+   * Check the pool of a currency has the unallocated float a conversion
+   * into it needs
+   * @param {number} amount - Amount to allocate
+   * @param {string} currency - Currency converted to
+   * @throws {ServiceUnavailableError} If the pool cannot cover it
+   * @private
+   */
+  async assertPoolCanCover(amount, currency) {
+    const hasFunds = await poolAccountService.checkAvailableFunds(amount, currency);
+
+    if (!hasFunds) {
+      throw new ServiceUnavailableError(
+        'Currency conversion',
+        `Conversions to ${currency} are unavailable right now, please try again later`
+      );
+    }
+  }
+
+  /**
+   * Format a quote for the seller
+   * @param {Object} quote - FxQuote row
+   * @returns {Object} Quote with numeric amounts and the rate after the spread
+   * @private
+   */
+  formatQuote(quote) {
+    const fromAmount = parseFloat(quote.from_amount);
+    const toAmount = parseFloat(quote.to_amount);
+
+    return {
+      id: quote.id,
+      from_currency: quote.from_currency,
+      to_currency: quote.to_currency,
+      from_amount: fromAmount,
+      to_amount: toAmount,
+      rate: parseFloat(quote.rate),
+      spread_percent: parseFloat(quote.spread_percent),
+      spread_amount: parseFloat(quote.spread_amount),
+      effective_rate: roundRate(toAmount / fromAmount),
+      status: quote.status,
+      expires_at: quote.expires_at,
+      executed_at: quote.executed_at,
+      created_at: quote.created_at
+    };
+  }
+
+  /**
+   * Pick the admin-editable fields of a rate
+   * @param {Object} data - Rate or request body
+   * @returns {Object} Fields present in data
+   * @private
+   */
+  pickFields(data) {
+    return RATE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+}
+
+// Export singleton instance
+module.exports = new FxService();
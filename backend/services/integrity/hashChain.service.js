@@ -0,0 +1,160 @@
+/**
+ * Hash Chain Service
+ *
+ * Verifies the tamper-evident hash chains over the journal and the audit
+ * log (see src/shared/utils/hashChain.js). A chain is walked in sequence
+ * order and the first row that does not check out is reported:
+ * - missing_record: a sequence number is skipped (row deleted)
+ * - broken_link: prev_hash is not the previous row's hash (rows reordered,
+ *   or a row re-hashed after an edit)
+ * - content_modified: the row no longer matches its own hash
+ *
+ * Rows written before the chain existed carry no chain fields and are not
+ * covered. Deleting the newest rows leaves a valid, shorter chain, so each
+ * result includes the head for comparison with earlier runs.
+ *
+ * Location: backend/services/integrity/hashChain.service.js
+ */
+
+const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const hashChain = require('../../src/shared/utils/hashChain');
+const ledgerService = require('../balance/ledger.service');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const { HASH_CHAINS } = require('../../src/config/constants.config');
+const { BadRequestError } = require('../../src/shared/utils/ApiError');
+
+/**
+ * How to read each chain's rows and rebuild their hashed content
+ */
+const CHAIN_READERS = {
+  [HASH_CHAINS.JOURNAL.name]: {
+    ...HASH_CHAINS.JOURNAL,
+    include: { lines: true },
+    content: (row) => ledgerService.chainContent(row)
+  },
+  [HASH_CHAINS.AUDIT.name]: {
+    ...HASH_CHAINS.AUDIT,
+    content: (row) => auditLogRepository.chainContent(row)
+  }
+};
+
+class HashChainService {
+  /**
+   * Verify one chain from its first row to its newest
+   * @param {string} name - Chain name (journal or audit)
+   * @returns {Promise<Object>} { chain, isValid, checked, head, brokenAt }
+   */
+  async verifyChain(name) {
+    const reader = CHAIN_READERS[name];
+
+    if (!reader) {
+      throw new BadRequestError(`Unknown hash chain: ${name}`);
+    }
+
+    const batchSize = config.integrity.verifyBatchSize;
+    let expectedSeq = 1;
+    let prevHash = hashChain.GENESIS_HASH;
+    let checked = 0;
+    let brokenAt = null;
+
+    try {
+      while (!brokenAt) {
+        const rows = await prisma[reader.model].findMany({
+          where: { chain_seq: { gte: expectedSeq } },
+          orderBy: { chain_seq: 'asc' },
+          take: batchSize,
+          ...(reader.include && { include: reader.include })
+        });
+
+        for (const row of rows) {
+          brokenAt = this.checkRow(reader, row, expectedSeq, prevHash);
+
+          if (brokenAt) {
+            break;
+          }
+
+          checked++;
+          expectedSeq++;
+          prevHash = row.hash;
+        }
+
+        if (rows.length < batchSize) {
+          break;
+        }
+      }
+
+      const result = {
+        chain: name,
+        isValid: !brokenAt,
+        checked,
+        head: checked > 0 ? { sequence: expectedSeq - 1, hash: prevHash } : null,
+        brokenAt,
+        timestamp: new Date()
+      };
+
+      if (brokenAt) {
+        logger.security('Hash chain verification failed', {
+          details: { chain: name, brokenAt }
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'verifyChain',
+        chain: name
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify every chain
+   * @returns {Promise<Array<Object>>} One result per chain
+   */
+  async verifyAll() {
+    const results = [];
+
+    for (const name of Object.keys(CHAIN_READERS)) {
+      results.push(await this.verifyChain(name));
+    }
+
+    return results;
+  }
+
+  /**
+   * Check one row against the position it should hold in the chain
+   * @param {Object} reader - Chain reader
+   * @param {Object} row - Row (with chain fields)
+   * @param {number} expectedSeq - Sequence number it should have
+   * @param {string} prevHash - Hash of the row before it
+   * @returns {Object|null} Broken link details, or null if the row is intact
+   * @private
+   */
+  checkRow(reader, row, expectedSeq, prevHash) {
+    const broken = (reason) => ({
+      sequence: expectedSeq,
+      id: row.id,
+      reason
+    });
+
+    if (row.chain_seq !== expectedSeq) {
+      return { ...broken('missing_record'), id: null, found: row.chain_seq };
+    }
+
+    if (row.prev_hash !== prevHash) {
+      return broken('broken_link');
+    }
+
+    if (hashChain.computeHash(row.prev_hash, reader.content(row)) !== row.hash) {
+      return broken('content_modified');
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new HashChainService();
@@ -0,0 +1,578 @@
+/**
+ * KYC Service
+ *
+ * Seller onboarding. A seller registers as PENDING at the UNVERIFIED tier,
+ * fills in their business registration details, uploads the registration
+ * certificate and the ID of at least one director, and submits the
+ * application. An admin approves it, which activates the account at the
+ * VERIFIED tier, or rejects it with a reason the seller can act on before
+ * submitting again.
+ *
+ * The tier decides whether a seller may withdraw (config.kyc.tiers): the
+ * payout service calls assertPayoutsAllowed before moving money. Tier sales
+ * caps are limit rules (services/limit).
+ * Every change is written to the audit log.
+ *
+ * Location: backend/services/kyc/kyc.service.js
+ */
+
+const kycApplicationRepository = require('../../database/repositories/kycApplication.repository');
+const kycDocumentRepository = require('../../database/repositories/kycDocument.repository');
+const userRepository = require('../../database/repositories/user.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const fileStorageService = require('../storage/fileStorage.service');
+const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+const AUDIT_ENTITY = 'kyc_application';
+
+// Statuses in which the seller can still change the application
+const EDITABLE_STATUSES = ['DRAFT', 'REJECTED'];
+
+// Documents an application needs before it can be submitted
+const REQUIRED_DOCUMENTS = ['BUSINESS_REGISTRATION', 'DIRECTOR_ID'];
+
+// Business registration fields the seller fills in
+const APPLICATION_FIELDS = [
+  'registered_name',
+  'registration_number',
+  'business_type',
+  'tax_number',
+  'registered_address',
+  'country'
+];
+
+class KycService {
+  /**
+   * Get a seller's KYC status and application
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { tier, account_status, application, missing_documents }
+   */
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+    const application = await kycApplicationRepository.findByUserId(userId);
+
+    return {
+      tier: user.kyc_tier,
+      account_status: user.status,
+      limits: config.kyc.tiers[user.kyc_tier],
+      application: application ? this.toPublic(application) : null,
+      missing_documents: this.missingDocuments(application)
+    };
+  }
+
+  /**
+   * Create or update a seller's business registration details
+   * @param {string} userId - User ID
+   * @param {Object} data - Business registration fields
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Application
+   */
+  async saveApplication(userId, data, context = {}) {
+    const existing = await kycApplicationRepository.findByUserId(userId);
+    const fields = this.pickFields(data);
+
+    if (existing) {
+      this.assertEditable(existing);
+    }
+
+    try {
+      const application = await prisma.$transaction(async (tx) => {
+        const saved = existing
+          ? await kycApplicationRepository.update(existing.id, fields, { tx })
+          : await kycApplicationRepository.create({ ...fields, user_id: userId }, { tx });
+
+        await auditLogRepository.recordChange({
+          action: existing ? 'kyc.application_updated' : 'kyc.application_created',
+          entity: AUDIT_ENTITY,
+          entityId: saved.id,
+          before: existing ? this.pickFields(existing) : null,
+          after: this.pickFields(saved),
+          context
+        }, tx);
+
+        return saved;
+      });
+
+      logger.info('KYC application saved', {
+        userId,
+        applicationId: application.id
+      });
+
+      return this.toPublic(await kycApplicationRepository.findByUserId(userId));
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'saveApplication',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a document to a seller's application
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file (multer)
+   * @param {Object} details - { type, director_name }
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Document
+   */
+  async uploadDocument(userId, file, details, context = {}) {
+    const application = await this.findEditable(userId);
+    const count = await kycDocumentRepository.countForApplication(application.id);
+
+    if (count >= config.kyc.maxDocuments) {
+      throw new BadRequestError(`An application can have at most ${config.kyc.maxDocuments} documents`);
+    }
+
+    const stored = await fileStorageService.save(file, `kyc/${application.id}`);
+
+    try {
+      const document = await prisma.$transaction(async (tx) => {
+        const created = await kycDocumentRepository.create({
+          application_id: application.id,
+          type: details.type,
+          director_name: details.director_name,
+          path: stored.path,
+          name: stored.name,
+          mime_type: stored.mime_type,
+          size: stored.size
+        }, { tx });
+
+        await auditLogRepository.record({
+          action: 'kyc.document_uploaded',
+          entity: AUDIT_ENTITY,
+          entityId: application.id,
+          changes: {
+            document_id: created.id,
+            type: created.type,
+            director_name: created.director_name,
+            name: created.name
+          },
+          context
+        }, tx);
+
+        return created;
+      });
+
+      logger.info('KYC document uploaded', {
+        userId,
+        applicationId: application.id,
+        documentId: document.id,
+        type: document.type
+      });
+
+      return this.toPublicDocument(document);
+    } catch (error) {
+      await fileStorageService.remove(stored.path).catch(() => {});
+
+      logger.errorWithContext(error, {
+        method: 'uploadDocument',
+        userId,
+        applicationId: application.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a document from a seller's application
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {Object} context - Request context
+   * @returns {Promise<void>}
+   */
+  async removeDocument(userId, documentId, context = {}) {
+    const application = await this.findEditable(userId);
+    const document = await kycDocumentRepository.findForApplication(documentId, application.id);
+
+    if (!document) {
+      throw new NotFoundError('Document');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await kycDocumentRepository.remove(document.id, tx);
+
+      await auditLogRepository.record({
+        action: 'kyc.document_removed',
+        entity: AUDIT_ENTITY,
+        entityId: application.id,
+        changes: {
+          document_id: document.id,
+          type: document.type,
+          name: document.name
+        },
+        context
+      }, tx);
+    });
+
+    // The record is gone, so a file left behind is only wasted space
+    await fileStorageService.remove(document.path).catch((error) => {
+      logger.warn('KYC document file could not be removed', {
+        documentId,
+        path: document.path,
+        error: error.message
+      });
+    });
+
+    logger.info('KYC document removed', {
+      userId,
+      applicationId: application.id,
+      documentId
+    });
+  }
+
+  /**
+   * Submit a seller's application for review
+   * @param {string} userId - User ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Application
+   */
+  async submit(userId, context = {}) {
+    const application = await this.findEditable(userId);
+    const missing = this.missingDocuments(application);
+
+    if (missing.length > 0) {
+      throw new BadRequestError(`Upload the missing documents before submitting: ${missing.join(', ')}`);
+    }
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        await kycApplicationRepository.update(application.id, {
+          status: 'PENDING',
+          submitted_at: new Date(),
+          reviewed_by: null,
+          reviewed_at: null,
+          rejection_reason: null
+        }, { tx });
+
+        await auditLogRepository.recordChange({
+          action: 'kyc.submitted',
+          entity: AUDIT_ENTITY,
+          entityId: application.id,
+          before: { status: application.status },
+          after: { status: 'PENDING' },
+          context
+        }, tx);
+      });
+
+      logger.info('KYC application submitted', {
+        userId,
+        applicationId: application.id
+      });
+
+      return this.toPublic(await kycApplicationRepository.findByUserId(userId));
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'submit',
+        userId,
+        applicationId: application.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List applications for review (Admin)
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated applications
+   */
+  async listApplications(filters = {}, pagination = {}) {
+    const result = await kycApplicationRepository.list(filters, pagination);
+
+    return {
+      ...result,
+      data: result.data.map(application => this.toReview(application))
+    };
+  }
+
+  /**
+   * Get an application with its documents and seller (Admin)
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object>} Application
+   */
+  async getApplication(applicationId) {
+    return this.toReview(await this.findApplication(applicationId));
+  }
+
+  /**
+   * Get a document of an application (Admin)
+   * @param {string} applicationId - Application ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} { content, name, mime_type }
+   */
+  async getDocument(applicationId, documentId) {
+    const document = await kycDocumentRepository.findForApplication(documentId, applicationId);
+
+    if (!document) {
+      throw new NotFoundError('Document');
+    }
+
+    return {
+      content: await fileStorageService.read(document.path),
+      name: document.name,
+      mime_type: document.mime_type
+    };
+  }
+
+  /**
+   * Approve an application and verify the seller (Admin)
+   * @param {string} applicationId - Application ID
+   * @param {string} adminId - Admin user ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Application
+   */
+  async approve(applicationId, adminId, context = {}) {
+    const application = await this.findReviewable(applicationId);
+
+    const { approved, user } = await prisma.$transaction(async (tx) => {
+      const resolved = await kycApplicationRepository.resolve(applicationId, 'APPROVED', {
+        reviewed_by: adminId
+      }, tx);
+
+      if (!resolved) {
+        throw new ConflictError('This application has already been reviewed');
+      }
+
+      const updatedUser = await userRepository.updateKycTier(application.user_id, 'VERIFIED', tx);
+
+      await auditLogRepository.recordChange({
+        action: 'kyc.approved',
+        entity: AUDIT_ENTITY,
+        entityId: applicationId,
+        before: {
+          status: application.status,
+          user_status: application.user.status,
+          kyc_tier: application.user.kyc_tier
+        },
+        after: {
+          status: resolved.status,
+          user_status: updatedUser.status,
+          kyc_tier: updatedUser.kyc_tier
+        },
+        details: { user_id: application.user_id },
+        context
+      }, tx);
+
+      return { approved: resolved, user: updatedUser };
+    });
+
+    logger.info('KYC application approved', {
+      applicationId,
+      userId: application.user_id,
+      adminId
+    });
+
+    return this.toReview({
+      ...application,
+      ...approved,
+      user: { ...application.user, status: user.status, kyc_tier: user.kyc_tier }
+    });
+  }
+
+  /**
+   * Reject an application (Admin)
+   * @param {string} applicationId - Application ID
+   * @param {string} adminId - Admin user ID
+   * @param {string} reason - Rejection reason, shown to the seller
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Application
+   */
+  async reject(applicationId, adminId, reason, context = {}) {
+    const application = await this.findReviewable(applicationId);
+
+    const rejected = await prisma.$transaction(async (tx) => {
+      const resolved = await kycApplicationRepository.resolve(applicationId, 'REJECTED', {
+        reviewed_by: adminId,
+        rejection_reason: reason
+      }, tx);
+
+      if (!resolved) {
+        throw new ConflictError('This application has already been reviewed');
+      }
+
+      await auditLogRepository.recordChange({
+        action: 'kyc.rejected',
+        entity: AUDIT_ENTITY,
+        entityId: applicationId,
+        before: { status: application.status },
+        after: { status: resolved.status },
+        details: { user_id: application.user_id, reason },
+        context
+      }, tx);
+
+      return resolved;
+    });
+
+    logger.info('KYC application rejected', {
+      applicationId,
+      userId: application.user_id,
+      adminId
+    });
+
+    return this.toReview({ ...application, ...rejected });
+  }
+
+  /**
+   * Refuse a payout request if the seller's tier does not allow payouts
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError}
+   */
+  async assertPayoutsAllowed(userId) {
+    const user = await this.findUser(userId);
+
+    if (!config.kyc.tiers[user.kyc_tier].payouts) {
+      throw new ForbiddenError('Payouts are available once your business verification (KYC) is approved');
+    }
+  }
+
+  /**
+   * Find a user or throw
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User
+   */
+  async findUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return user;
+  }
+
+  /**
+   * Find a seller's application that they can still change
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Application with documents
+   */
+  async findEditable(userId) {
+    const application = await kycApplicationRepository.findByUserId(userId);
+
+    if (!application) {
+      throw new BadRequestError('Enter your business registration details first');
+    }
+
+    this.assertEditable(application);
+
+    return application;
+  }
+
+  /**
+   * Refuse changes to an application under review or approved
+   * @param {Object} application - Application
+   * @throws {BadRequestError}
+   */
+  assertEditable(application) {
+    if (!EDITABLE_STATUSES.includes(application.status)) {
+      throw new BadRequestError(`This application is ${application.status} and can no longer be changed`);
+    }
+  }
+
+  /**
+   * Find an application with its documents and seller
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object>} Application
+   */
+  async findApplication(applicationId) {
+    const application = await kycApplicationRepository.findForReview(applicationId);
+
+    if (!application) {
+      throw new NotFoundError('KYC application');
+    }
+
+    return application;
+  }
+
+  /**
+   * Find an application that is waiting for an admin
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object>} Application
+   */
+  async findReviewable(applicationId) {
+    const application = await this.findApplication(applicationId);
+
+    if (application.status !== 'PENDING') {
+      throw new BadRequestError(`This application is already ${application.status}`);
+    }
+
+    return application;
+  }
+
+  /**
+   * Required document types an application does not have yet
+   * @param {Object|null} application - Application with documents
+   * @returns {Array<string>} Missing KycDocumentType values
+   */
+  missingDocuments(application) {
+    const types = new Set((application?.documents || []).map(document => document.type));
+
+    return REQUIRED_DOCUMENTS.filter(type => !types.has(type));
+  }
+
+  /**
+   * Keep only the business registration fields
+   * @param {Object} data - Request body or application
+   * @returns {Object}
+   */
+  pickFields(data) {
+    return APPLICATION_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Application as shown to the seller: no reviewer or storage paths
+   * @param {Object} application - Application with documents
+   * @returns {Object}
+   */
+  toPublic(application) {
+    const { reviewed_by, documents = [], ...rest } = application;
+
+    return {
+      ...rest,
+      documents: documents.map(document => this.toPublicDocument(document))
+    };
+  }
+
+  /**
+   * Document as shown to the seller and reviewers: no storage path
+   * @param {Object} document - Document
+   * @returns {Object}
+   */
+  toPublicDocument(document) {
+    const { path, ...rest } = document;
+
+    return rest;
+  }
+
+  /**
+   * Application as shown to reviewers
+   * @param {Object} application - Application with documents and user
+   * @returns {Object}
+   */
+  toReview(application) {
+    const { documents = [], ...rest } = application;
+
+    return {
+      ...rest,
+      documents: documents.map(document => this.toPublicDocument(document)),
+      missing_documents: this.missingDocuments(application)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new KycService();
@@ -0,0 +1,647 @@
+/**
+ * Limit Service
+ *
+ * Transaction limits per product (LIMIT_PRODUCTS), checked by the services
+ * before they move money. Each limit rule bounds one product in one
+ * currency, either per transaction (min_amount, max_amount) or over a
+ * calendar period (max_amount and/or max_count for DAILY, WEEKLY and
+ * MONTHLY).
+ *
+ * A rule applies to one seller, to every seller at a KYC tier, or to all
+ * sellers. For each product, period and currency only the most specific
+ * active rule counts: the seller's own, else their tier's, else the one
+ * for everyone. AIRTIME and ELECTRICITY sales are also checked against the
+ * SALE rules.
+ *
+ * Period usage includes sales still in flight and payout and deposit
+ * requests that have not failed, so a limit is not reset by requests that
+ * are still being processed. Services check the limits and record the
+ * request in one transaction that holds a lock on the seller's balance
+ * row (recordWithinLimits), so concurrent requests cannot all pass
+ * against the same usage.
+ *
+ * Location: backend/services/limit/limit.service.js
+ */
+
+const limitRuleRepository = require('../../database/repositories/limitRule.repository');
+const transactionRepository = require('../../database/repositories/transaction.repository');
+const payoutRepository = require('../../database/repositories/payout.repository');
+const depositRepository = require('../../database/repositories/deposit.repository');
+const balanceRepository = require('../../database/repositories/balance.repository');
+const userRepository = require('../../database/repositories/user.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const { prisma } = require('../../src/config/database.config');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  LIMIT_PRODUCTS,
+  LIMIT_PERIODS,
+  PAYMENT_PRODUCTS
+} = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  NotFoundError,
+  TransactionLimitError
+} = require('../../src/shared/utils/ApiError');
+
+const AUDIT_ENTITY = 'limit_rule';
+
+// Sales of each product, by the service_type recorded on the transaction
+const PRODUCT_SERVICE_TYPES = {
+  [LIMIT_PRODUCTS.AIRTIME]: [
+    PAYMENT_PRODUCTS.AIRTIME_DIRECT,
+    PAYMENT_PRODUCTS.AIRTIME_VOUCHER,
+    PAYMENT_PRODUCTS.BUNDLE
+  ],
+  [LIMIT_PRODUCTS.ELECTRICITY]: [PAYMENT_PRODUCTS.ELECTRICITY]
+};
+
+// Products whose transactions also count toward another product's limits
+const PARENT_PRODUCTS = {
+  [LIMIT_PRODUCTS.AIRTIME]: LIMIT_PRODUCTS.SALE,
+  [LIMIT_PRODUCTS.ELECTRICITY]: LIMIT_PRODUCTS.SALE
+};
+
+// How each product is named in limit messages
+const PRODUCT_LABELS = {
+  [LIMIT_PRODUCTS.SALE]: 'sale',
+  [LIMIT_PRODUCTS.AIRTIME]: 'airtime',
+  [LIMIT_PRODUCTS.ELECTRICITY]: 'ZESA',
+  [LIMIT_PRODUCTS.PAYOUT]: 'payout',
+  [LIMIT_PRODUCTS.DEPOSIT]: 'deposit'
+};
+
+// Rule fields an admin can change after creating a rule
+const RULE_FIELDS = ['min_amount', 'max_amount', 'max_count'];
+
+/**
+ * Convert an amount to integer cents
+ * @param {number|string|Object|null} amount - Amount (number, string or Decimal)
+ * @returns {number|null} Amount in cents, null if missing
+ */
+function toCents(amount) {
+  return amount === null || amount === undefined ? null : Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Format cents as an amount with its currency
+ * @param {number} cents - Amount in cents
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "200.00 USD"
+ */
+function formatAmount(cents, currency) {
+  return `${(cents / 100).toFixed(2)} ${currency}`;
+}
+
+class LimitService {
+  /**
+   * Check a seller's limits and record the transaction that counts toward
+   * them in one database transaction. The seller's balance row in the
+   * currency is locked first, so concurrent requests of the same seller
+   * are checked one at a time and each sees the ones recorded before it.
+   * @param {string} userId - Seller ID
+   * @param {string} product - One of LIMIT_PRODUCTS
+   * @param {number} amount - Transaction amount
+   * @param {string} currency - Currency code
+   * @param {Function} record - (tx) => Promise, reserves the funds and/or
+   *   creates the sale, payout or deposit
+   * @returns {Promise<*>} What record returns
+   * @throws {TransactionLimitError}
+   */
+  async recordWithinLimits(userId, product, amount, currency, record) {
+    // A seller without a balance in the currency yet gets one to lock
+    await balanceRepository.getOrCreate(userId, currency);
+
+    return prisma.$transaction(async (tx) => {
+      await balanceRepository.lockForUpdate(userId, currency, tx);
+      await this.assertWithinLimits(userId, product, amount, currency, tx);
+
+      return record(tx);
+    });
+  }
+
+  /**
+   * Refuse a transaction that breaks one of the seller's limits. Run it
+   * through recordWithinLimits when the transaction is about to be
+   * recorded, so period usage cannot change before it is.
+   * @param {string} userId - Seller ID
+   * @param {string} product - One of LIMIT_PRODUCTS
+   * @param {number} amount - Transaction amount
+   * @param {string} currency - Currency code
+   * @param {Object} [tx] - Prisma transaction client to read usage with
+   * @returns {Promise<void>}
+   * @throws {TransactionLimitError}
+   */
+  async assertWithinLimits(userId, product, amount, currency = config.pool.currency, tx = null) {
+    const user = await this.findUser(userId);
+    const products = [product, PARENT_PRODUCTS[product]].filter(Boolean);
+    const rules = await this.getEffectiveRules(user, products, currency);
+    const amountCents = toCents(amount);
+
+    for (const rule of rules) {
+      const label = PRODUCT_LABELS[rule.product];
+      const minCents = toCents(rule.min_amount);
+      const maxCents = toCents(rule.max_amount);
+
+      if (rule.period === LIMIT_PERIODS.TRANSACTION) {
+        if (minCents !== null && amountCents < minCents) {
+          throw new TransactionLimitError(
+            minCents / 100,
+            `minimum ${label}`,
+            `Minimum ${label} amount is ${formatAmount(minCents, currency)}`
+          );
+        }
+
+        if (maxCents !== null && amountCents > maxCents) {
+          throw this.limitReached(userId, rule, amount, currency,
+            `Maximum ${label} amount is ${formatAmount(maxCents, currency)}`);
+        }
+
+        continue;
+      }
+
+      const used = await this.getUsage(userId, rule.product, rule.period, currency, tx);
+      const period = rule.period.charAt(0) + rule.period.slice(1).toLowerCase();
+
+      if (rule.max_count !== null && used.count + 1 > rule.max_count) {
+        throw this.limitReached(userId, rule, amount, currency,
+          `${period} ${label} limit of ${rule.max_count} transactions reached`);
+      }
+
+      if (maxCents !== null && toCents(used.total) + amountCents > maxCents) {
+        const remaining = Math.max(maxCents - toCents(used.total), 0);
+
+        throw this.limitReached(userId, rule, amount, currency,
+          `${period} ${label} limit of ${formatAmount(maxCents, currency)} exceeded. ` +
+          `Remaining: ${formatAmount(remaining, currency)}`);
+      }
+    }
+  }
+
+  /**
+   * Get a seller's limits in one currency, with what they have used of
+   * each period limit
+   * @param {string} userId - Seller ID
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array<Object>>} One entry per product and period with a rule
+   */
+  async getSellerLimits(userId, currency = config.pool.currency) {
+    const user = await this.findUser(userId);
+    const rules = await this.getEffectiveRules(user, Object.values(LIMIT_PRODUCTS), currency);
+    const limits = [];
+
+    for (const rule of rules) {
+      const limit = {
+        rule_id: rule.id,
+        product: rule.product,
+        period: rule.period,
+        currency,
+        scope: this.scopeOf(rule),
+        min_amount: rule.min_amount === null ? null : parseFloat(rule.min_amount),
+        max_amount: rule.max_amount === null ? null : parseFloat(rule.max_amount),
+        max_count: rule.max_count
+      };
+
+      if (rule.period !== LIMIT_PERIODS.TRANSACTION) {
+        const used = await this.getUsage(userId, rule.product, rule.period, currency);
+
+        limit.period_start = this.periodStart(rule.period);
+        limit.used = used;
+        limit.remaining = {
+          amount: limit.max_amount === null
+            ? null
+            : Math.max(toCents(limit.max_amount) - toCents(used.total), 0) / 100,
+          count: rule.max_count === null ? null : Math.max(rule.max_count - used.count, 0)
+        };
+      }
+
+      limits.push(limit);
+    }
+
+    return limits;
+  }
+
+  /**
+   * Pick the rule that counts for each product and period: the seller's
+   * own, else their tier's, else the one for everyone
+   * @param {Object} user - Seller (id, kyc_tier)
+   * @param {Array<string>} products - LimitProducts
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array<Object>>} Effective rules
+   */
+  async getEffectiveRules(user, products, currency) {
+    const rules = await limitRuleRepository.findApplicable(user.id, user.kyc_tier, products, currency);
+    const specificity = (rule) => (rule.user_id ? 2 : rule.tier ? 1 : 0);
+    const effective = {};
+
+    for (const rule of rules) {
+      const key = `${rule.product}:${rule.period}`;
+
+      if (!effective[key] || specificity(rule) > specificity(effective[key])) {
+        effective[key] = rule;
+      }
+    }
+
+    const periodOrder = Object.values(LIMIT_PERIODS);
+
+    return Object.values(effective).sort((a, b) =>
+      products.indexOf(a.product) - products.indexOf(b.product) ||
+      periodOrder.indexOf(a.period) - periodOrder.indexOf(b.period)
+    );
+  }
+
+  /**
+   * Value and number of a seller's transactions of a product in the
+   * current period
+   * @param {string} userId - Seller ID
+   * @param {string} product - One of LIMIT_PRODUCTS
+   * @param {string} period - DAILY, WEEKLY or MONTHLY
+   * @param {string} currency - Currency code
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} { total, count }
+   */
+  async getUsage(userId, product, period, currency, tx = null) {
+    const since = this.periodStart(period);
+
+    switch (product) {
+      case LIMIT_PRODUCTS.PAYOUT:
+        return payoutRepository.getUsage(userId, since, currency, tx);
+
+      case LIMIT_PRODUCTS.DEPOSIT:
+        return depositRepository.getUsage(userId, since, currency, tx);
+
+      default:
+        return transactionRepository.getSalesUsage(
+          userId,
+          since,
+          currency,
+          PRODUCT_SERVICE_TYPES[product] || null,
+          tx
+        );
+    }
+  }
+
+  /**
+   * Start of the current calendar period
+   * @param {string} period - DAILY, WEEKLY or MONTHLY
+   * @param {Date} now - Current time
+   * @returns {Date} Midnight today, on Monday or on the 1st
+   */
+  periodStart(period, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+
+    if (period === LIMIT_PERIODS.WEEKLY) {
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if (period === LIMIT_PERIODS.MONTHLY) {
+      start.setDate(1);
+    }
+
+    return start;
+  }
+
+  /**
+   * List limit rules (Admin)
+   * @param {Object} filters - { product, period, currency, user_id, tier, is_active }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated rules
+   */
+  async listRules(filters = {}, pagination = {}) {
+    return limitRuleRepository.list(filters, pagination);
+  }
+
+  /**
+   * Create a limit rule (Admin). An active rule replaces the one currently
+   * active for its scope, product, period and currency.
+   * @param {Object} data - product, period, currency, user_id or tier, limits and is_active
+   * @param {string} adminId - Admin user ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(data, adminId, context = {}) {
+    const {
+      product,
+      period,
+      currency = config.pool.currency,
+      user_id = null,
+      tier = null,
+      is_active = true
+    } = data;
+    const fields = this.pickFields(data);
+
+    if (user_id && tier) {
+      throw new BadRequestError('A limit rule applies to a seller or a tier, not both');
+    }
+
+    if (user_id) {
+      await this.findUser(user_id);
+    }
+
+    this.assertComplete({ period, ...fields });
+
+    const scope = { product, period, currency, user_id, tier };
+
+    try {
+      const rule = await prisma.$transaction(async (tx) => {
+        if (is_active) {
+          await limitRuleRepository.deactivateOthers(scope, null, tx);
+        }
+
+        const created = await limitRuleRepository.create({
+          ...scope,
+          ...fields,
+          is_active,
+          created_by: adminId
+        }, { tx });
+
+        await auditLogRepository.record({
+          action: 'limit_rule.created',
+          entity: AUDIT_ENTITY,
+          entityId: created.id,
+          changes: { ...scope, ...fields, is_active },
+          context
+        }, tx);
+
+        return created;
+      });
+
+      logger.info('Limit rule created', {
+        ruleId: rule.id,
+        product,
+        period,
+        currency,
+        userId: user_id,
+        tier,
+        adminId
+      });
+
+      return rule;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'createRule',
+        product,
+        period,
+        adminId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a limit rule (Admin). Activating a rule retires the one
+   * currently active for its scope, product, period and currency.
+   * @param {string} ruleId - Rule ID
+   * @param {Object} data - Limits and is_active
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(ruleId, data, context = {}) {
+    const rule = await this.getRule(ruleId);
+    const changes = this.pickFields(data);
+
+    if (data.is_active !== undefined) {
+      changes.is_active = data.is_active;
+    }
+
+    this.assertComplete({ ...rule, ...changes });
+
+    try {
+      const updated = await prisma.$transaction(async (tx) => {
+        if (changes.is_active && !rule.is_active) {
+          await limitRuleRepository.deactivateOthers(rule, ruleId, tx);
+        }
+
+        const saved = await limitRuleRepository.update(ruleId, changes, { tx });
+
+        await auditLogRepository.recordChange({
+          action: 'limit_rule.updated',
+          entity: AUDIT_ENTITY,
+          entityId: ruleId,
+          before: { is_active: rule.is_active, ...this.pickFields(rule) },
+          after: { is_active: saved.is_active, ...this.pickFields(saved) },
+          details: { product: rule.product, period: rule.period, currency: rule.currency },
+          context
+        }, tx);
+
+        return saved;
+      });
+
+      logger.info('Limit rule updated', {
+        ruleId,
+        actorId: context.actorId
+      });
+
+      return updated;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'updateRule',
+        ruleId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate a limit rule (Admin). A less specific rule, if any, applies
+   * in its place.
+   * @param {string} ruleId - Rule ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Deactivated rule
+   */
+  async deactivateRule(ruleId, context = {}) {
+    const rule = await this.getRule(ruleId);
+
+    if (!rule.is_active) {
+      throw new BadRequestError('Limit rule is already inactive');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const deactivated = await limitRuleRepository.update(ruleId, { is_active: false }, { tx });
+
+      await auditLogRepository.recordChange({
+        action: 'limit_rule.deactivated',
+        entity: AUDIT_ENTITY,
+        entityId: ruleId,
+        before: { is_active: true },
+        after: { is_active: false },
+        details: { product: rule.product, period: rule.period, currency: rule.currency },
+        context
+      }, tx);
+
+      return deactivated;
+    });
+  }
+
+  /**
+   * Get a limit rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object>} Rule
+   */
+  async getRule(ruleId) {
+    const rule = await limitRuleRepository.findById(ruleId);
+
+    if (!rule) {
+      throw new NotFoundError('Limit rule');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Create the default rules of each supported currency
+   * (config.limits.defaults) that has no limit rules yet, so a currency
+   * added to config.pool.currencies later is not left without limits
+   * @returns {Promise<number>} Number of rules created
+   */
+  async initializeDefaults() {
+    try {
+      let created = 0;
+
+      for (const currency of config.pool.currencies) {
+        if (await limitRuleRepository.count({ currency }) > 0) {
+          continue;
+        }
+
+        const defaults = config.limits.defaults[currency];
+
+        if (!defaults) {
+          logger.warn('No default limit rules for currency, add them through the admin API', {
+            currency
+          });
+          continue;
+        }
+
+        for (const rule of defaults) {
+          await limitRuleRepository.create({ currency, ...rule });
+        }
+
+        created += defaults.length;
+
+        logger.info('Default limit rules created', {
+          count: defaults.length,
+          currency
+        });
+      }
+
+      return created;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'initializeDefaults'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Log and build the error for a limit a transaction would break
+   * @param {string} userId - Seller ID
+   * @param {Object} rule - Rule that was hit
+   * @param {number} amount - Transaction amount
+   * @param {string} currency - Currency code
+   * @param {string} message - Message for the seller
+   * @returns {TransactionLimitError} Error to throw
+   * @private
+   */
+  limitReached(userId, rule, amount, currency, message) {
+    logger.warn('Transaction limit reached', {
+      userId,
+      ruleId: rule.id,
+      product: rule.product,
+      period: rule.period,
+      scope: this.scopeOf(rule),
+      amount,
+      currency
+    });
+
+    return new TransactionLimitError(
+      rule.max_amount === null ? rule.max_count : parseFloat(rule.max_amount),
+      `${rule.period.toLowerCase()} ${PRODUCT_LABELS[rule.product]}`,
+      message
+    );
+  }
+
+  /**
+   * Who a rule applies to
+   * @param {Object} rule - Limit rule
+   * @returns {string} SELLER, TIER or ALL
+   * @private
+   */
+  scopeOf(rule) {
+    if (rule.user_id) {
+      return 'SELLER';
+    }
+
+    return rule.tier ? 'TIER' : 'ALL';
+  }
+
+  /**
+   * Check a rule sets the limits its period uses
+   * @param {Object} rule - period and limit fields
+   * @throws {BadRequestError} If a limit is missing or does not fit the period
+   * @private
+   */
+  assertComplete(rule) {
+    const isSet = (value) => value !== null && value !== undefined;
+
+    if (rule.period === LIMIT_PERIODS.TRANSACTION) {
+      if (isSet(rule.max_count)) {
+        throw new BadRequestError('A per-transaction limit cannot have max_count');
+      }
+
+      if (!isSet(rule.min_amount) && !isSet(rule.max_amount)) {
+        throw new BadRequestError('A per-transaction limit needs min_amount or max_amount');
+      }
+
+      if (
+        isSet(rule.min_amount) && isSet(rule.max_amount) &&
+        toCents(rule.min_amount) > toCents(rule.max_amount)
+      ) {
+        throw new BadRequestError('min_amount cannot be greater than max_amount');
+      }
+
+      return;
+    }
+
+    if (isSet(rule.min_amount)) {
+      throw new BadRequestError(`A ${rule.period.toLowerCase()} limit cannot have min_amount`);
+    }
+
+    if (!isSet(rule.max_amount) && !isSet(rule.max_count)) {
+      throw new BadRequestError(`A ${rule.period.toLowerCase()} limit needs max_amount or max_count`);
+    }
+  }
+
+  /**
+   * Pick the admin-editable fields of a rule
+   * @param {Object} data - Rule or request body
+   * @returns {Object} Fields present in data
+   * @private
+   */
+  pickFields(data) {
+    return RULE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Find a user or throw
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User
+   * @private
+   */
+  async findUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return user;
+  }
+}
+
+// Export singleton instance
+module.exports = new LimitService();
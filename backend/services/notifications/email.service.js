@@ -198,10 +198,11 @@ class EmailService {
   /**
    * Send email verification email
    * @param {Object} user - User object
-   * @param {string} verificationToken - Verification token
+   * @param {string} verificationToken - Verification token for the link
+   * @param {string} verificationCode - 6-digit code for the mobile app
    * @returns {Promise<Object>}
    */
-  async sendEmailVerification(user, verificationToken) {
+  async sendEmailVerification(user, verificationToken, verificationCode) {
     const verificationUrl = `${config.app.frontendUrl}/verify-email?token=${verificationToken}`;
 
     return this.sendEmail({
@@ -211,7 +212,8 @@ class EmailService {
       context: {
         userName: user.business_name,
         verificationUrl,
-        expiryHours: 24,
+        verificationCode,
+        expiryHours: config.emailVerification.tokenTtlHours,
         supportEmail: config.email.from.email,
         year: new Date().getFullYear()
       }
@@ -234,7 +236,7 @@ class EmailService {
       context: {
         userName: user.business_name,
         resetUrl,
-        expiryHours: 1,
+        expiryMinutes: config.passwordReset.tokenTtlMinutes,
         supportEmail: config.email.from.email,
         year: new Date().getFullYear()
       }
@@ -403,6 +405,30 @@ class EmailService {
     });
   }
 
+  /**
+   * Send webhook endpoint disabled email
+   * @param {Object} user - User object
+   * @param {Object} webhook - Disabled webhook endpoint
+   * @param {string} reason - Why it was disabled
+   * @returns {Promise<Object>}
+   */
+  async sendWebhookDisabledEmail(user, webhook, reason) {
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Webhook Endpoint Disabled',
+      template: 'alerts/webhook-disabled',
+      context: {
+        userName: user.business_name,
+        webhookUrl: webhook.url,
+        reason,
+        disabledDate: new Date().toLocaleString(),
+        settingsUrl: `${config.app.frontendUrl}/settings/webhooks`,
+        supportEmail: config.email.from.email,
+        year: new Date().getFullYear()
+      }
+    });
+  }
+
   /**
    * Clear template cache
    */
@@ -0,0 +1,147 @@
+/**
+ * Outbox Service
+ *
+ * Drains the event outbox: every published event is handed to the handlers
+ * registered for it (see events/index.js) at least once.
+ *
+ * - A handler failure fails the whole event, which is retried with
+ *   exponential backoff. Each handler that succeeds is recorded on the
+ *   event and skipped on retries; handlers also receive the outbox event
+ *   id to key their side effects on, since a crash between running a
+ *   handler and recording it still runs it again.
+ * - After config.outbox.maxAttempts failures the event is dead-lettered
+ *   for an admin to inspect and retry.
+ * - Events locked by a worker that died are picked up again once the lock
+ *   is older than config.outbox.lockTimeoutSeconds.
+ *
+ * Location: backend/services/outbox/outbox.service.js
+ */
+
+const outboxRepository = require('../../database/repositories/outbox.repository');
+const { appEvents } = require('../../events/eventEmitter');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { BadRequestError, NotFoundError } = require('../../src/shared/utils/ApiError');
+
+class OutboxService {
+  /**
+   * Handle a batch of ready events
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Object>} { processed, failed, dead }
+   */
+  async processBatch(limit = config.outbox.batchSize) {
+    const staleBefore = new Date(Date.now() - config.outbox.lockTimeoutSeconds * 1000);
+    const events = await outboxRepository.findReady(limit, staleBefore);
+    const results = { processed: 0, failed: 0, dead: 0 };
+
+    for (const event of events) {
+      if (!(await outboxRepository.claim(event.id, staleBefore))) {
+        continue;
+      }
+
+      const outcome = await this.handle({ ...event, attempts: event.attempts + 1 });
+      results[outcome]++;
+    }
+
+    return results;
+  }
+
+  /**
+   * Run the handlers for one claimed event
+   * @param {Object} event - Outbox event (attempts includes this one)
+   * @returns {Promise<string>} 'processed', 'failed' or 'dead'
+   */
+  async handle(event) {
+    try {
+      await appEvents.dispatch(event.event_name, event.payload, {
+        eventId: event.id,
+        completedHandlers: event.completed_handlers || [],
+        onHandlerCompleted: (handlerName) => outboxRepository.markHandlerCompleted(event.id, handlerName)
+      });
+      await outboxRepository.markProcessed(event.id);
+      return 'processed';
+    } catch (error) {
+      const isDead = event.attempts >= config.outbox.maxAttempts;
+      const nextAttemptAt = isDead
+        ? null
+        : new Date(Date.now() + this.getBackoffSeconds(event.attempts) * 1000);
+
+      await outboxRepository.markFailed(event.id, error.message, nextAttemptAt);
+
+      if (isDead) {
+        logger.error('Outbox event dead-lettered', {
+          outboxId: event.id,
+          event: event.event_name,
+          attempts: event.attempts,
+          error: error.message
+        });
+        return 'dead';
+      }
+
+      logger.warn('Outbox event failed, will retry', {
+        outboxId: event.id,
+        event: event.event_name,
+        attempts: event.attempts,
+        nextAttemptAt,
+        error: error.message
+      });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Seconds to wait before retry n: base * 2^(n-1), capped at one hour
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Seconds
+   */
+  getBackoffSeconds(attempts) {
+    return Math.min(config.outbox.backoffBaseSeconds * Math.pow(2, attempts - 1), 3600);
+  }
+
+  /**
+   * Get dead-lettered events (Admin)
+   * @param {Object} filters - { event_name }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated events
+   */
+  async getDeadLetters(filters = {}, pagination = {}) {
+    return outboxRepository.getDeadLetters(filters, pagination);
+  }
+
+  /**
+   * Put a dead-lettered event back in the queue (Admin)
+   * @param {string} eventId - Outbox event ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Requeued event
+   */
+  async retryDeadLetter(eventId, adminId) {
+    const event = await outboxRepository.findById(eventId);
+
+    if (!event) {
+      throw new NotFoundError('Outbox event');
+    }
+
+    if (!(await outboxRepository.requeue(eventId))) {
+      throw new BadRequestError(`Only dead-lettered events can be retried (event is ${event.status})`);
+    }
+
+    logger.info('Outbox event requeued', {
+      outboxId: eventId,
+      event: event.event_name,
+      adminId
+    });
+
+    return outboxRepository.findById(eventId);
+  }
+
+  /**
+   * Get outbox counts by status (Admin)
+   * @returns {Promise<Object>} Counts keyed by status
+   */
+  async getStats() {
+    return outboxRepository.countByStatus();
+  }
+}
+
+// Export singleton instance
+module.exports = new OutboxService();
@@ -0,0 +1,550 @@
+/**
+ * EcoCash Adapter
+ *
+ * Payment provider adapter for the EcoCash merchant API.
+ * Collects payments from a customer's EcoCash wallet (used for seller
+ * deposits), pays out to a seller's wallet (cash-out payouts), looks up
+ * transaction status and refunds collections.
+ *
+ * Charges are asynchronous: the customer confirms the payment on their
+ * handset, so a charge starts out PENDING and is settled either by the
+ * notify callback or by looking the transaction up.
+ *
+ * Location: backend/services/payment/ecocashAdapater.js
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  PAYMENT_PROVIDERS,
+  PAYMENT_OPERATIONS,
+  PAYMENT_PRODUCTS,
+  PROVIDER_TRANSACTION_STATUS
+} = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  PaymentFailedError,
+  ServiceUnavailableError
+} = require('../../src/shared/utils/ApiError');
+
+/**
+ * EcoCash transactionOperationStatus values mapped to normalized statuses
+ */
+const STATUS_MAP = {
+  'COMPLETED': PROVIDER_TRANSACTION_STATUS.COMPLETED,
+  'CHARGED': PROVIDER_TRANSACTION_STATUS.COMPLETED,
+  'PENDING SUBSCRIBER VALIDATION': PROVIDER_TRANSACTION_STATUS.PENDING,
+  'PENDING': PROVIDER_TRANSACTION_STATUS.PENDING,
+  'FAILED': PROVIDER_TRANSACTION_STATUS.FAILED,
+  'REFUSED': PROVIDER_TRANSACTION_STATUS.FAILED,
+  'DECLINED': PROVIDER_TRANSACTION_STATUS.FAILED,
+  'REFUNDED': PROVIDER_TRANSACTION_STATUS.REFUNDED,
+  'REVERSED': PROVIDER_TRANSACTION_STATUS.REFUNDED
+};
+
+class EcocashAdapter extends PaymentProvider {
+  constructor() {
+    super(
+      PAYMENT_PROVIDERS.ECOCASH,
+      [PAYMENT_OPERATIONS.DEPOSIT, PAYMENT_OPERATIONS.CASH_OUT],
+      [PAYMENT_PRODUCTS.WALLET_PAYMENT]
+    );
+
+    this.settings = config.payment.ecocash;
+
+    this.client = axios.create({
+      baseURL: this.settings.baseUrl,
+      timeout: this.settings.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Whether merchant credentials are set
+   * @returns {boolean}
+   */
+  isConfigured() {
+    const { baseUrl, username, password, merchantCode, merchantPin, merchantNumber } = this.settings;
+    return Boolean(baseUrl && username && password && merchantCode && merchantPin && merchantNumber);
+  }
+
+  /**
+   * EcoCash uses HTTP basic auth on every request
+   * @returns {Promise<Object>} Axios auth option
+   */
+  async authenticate() {
+    if (!this.isConfigured()) {
+      throw new ServiceUnavailableError('EcoCash', 'EcoCash credentials are not configured');
+    }
+
+    return {
+      username: this.settings.username,
+      password: this.settings.password
+    };
+  }
+
+  /**
+   * Make an authenticated request to EcoCash
+   * @param {string} method - HTTP method
+   * @param {string} url - Endpoint path
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, url, data = undefined) {
+    const auth = await this.authenticate();
+
+    logger.info('EcoCash API Request', { method, url });
+
+    const response = await this.client.request({ method, url, data, auth });
+
+    return response.data;
+  }
+
+  /**
+   * Normalize a mobile number to the 2637XXXXXXXX format EcoCash expects
+   * @param {string} mobileNumber - Mobile number
+   * @returns {string} MSISDN
+   */
+  toMsisdn(mobileNumber) {
+    const digits = String(mobileNumber || '').replace(/\D/g, '');
+
+    if (digits.startsWith('263')) {
+      return digits;
+    }
+
+    if (digits.startsWith('0')) {
+      return `263${digits.slice(1)}`;
+    }
+
+    return `263${digits}`;
+  }
+
+  /**
+   * Map an EcoCash status to PROVIDER_TRANSACTION_STATUS
+   * @param {string} status - transactionOperationStatus
+   * @returns {string} Normalized status
+   */
+  normalizeStatus(status) {
+    return STATUS_MAP[String(status || '').toUpperCase()] || PROVIDER_TRANSACTION_STATUS.PENDING;
+  }
+
+  /**
+   * Normalize an EcoCash transaction payload
+   * @param {Object} body - EcoCash response body
+   * @param {string} fallbackReference - Client correlator used for the request
+   * @returns {Object} Normalized transaction
+   */
+  toResult(body, fallbackReference) {
+    const charging = body.paymentAmount?.charginginformation || {};
+
+    return {
+      provider: this.name,
+      reference: body.clientCorrelator || fallbackReference,
+      provider_reference: body.ecocashReference || null,
+      status: this.normalizeStatus(body.transactionOperationStatus),
+      amount: charging.amount !== undefined ? parseFloat(charging.amount) : null,
+      currency: charging.currency || body.currencyCode || null,
+      mobile_number: body.endUserId || null,
+      raw: body
+    };
+  }
+
+  /**
+   * Collect a payment from a customer's EcoCash wallet
+   * @param {Object} request - Charge request
+   * @param {string} request.reference - Our reference (used to build the client correlator)
+   * @param {number} request.amount - Amount to collect
+   * @param {string} request.currency - Currency code
+   * @param {Object} request.details - { mobile_number, description }
+   * @returns {Promise<Object>} Normalized charge result (usually PENDING)
+   */
+  async charge(request) {
+    if (!this.supportsProduct(request.product)) {
+      return this.unsupported(`${request.product} charge`);
+    }
+
+    const { amount, currency = 'USD', reference, details = {} } = request;
+
+    if (!details.mobile_number) {
+      throw new BadRequestError('EcoCash mobile number is required');
+    }
+
+    const msisdn = this.toMsisdn(details.mobile_number);
+    const clientCorrelator = `${reference}-${crypto.randomBytes(4).toString('hex')}`;
+
+    try {
+      const body = await this.request('post', '/transactions/amount', {
+        clientCorrelator,
+        notifyUrl: this.settings.notifyUrl,
+        referenceCode: reference,
+        tranType: 'MER',
+        endUserId: msisdn,
+        remarks: details.description || 'Deposit',
+        transactionOperationStatus: 'Charged',
+        paymentAmount: {
+          charginginformation: {
+            amount,
+            currency,
+            description: details.description || 'Deposit'
+          },
+          chargeMetaData: {
+            channel: 'WEB',
+            purchaseCategoryCode: 'Online Payment',
+            onBeHalfOf: this.settings.merchantName
+          }
+        },
+        merchantCode: this.settings.merchantCode,
+        merchantPin: this.settings.merchantPin,
+        merchantNumber: this.settings.merchantNumber,
+        currencyCode: currency,
+        countryCode: 'ZW',
+        superMerchantName: this.settings.merchantName,
+        merchantName: this.settings.merchantName
+      });
+
+      const result = this.toResult(body, clientCorrelator);
+
+      if (result.status === PROVIDER_TRANSACTION_STATUS.FAILED) {
+        throw new PaymentFailedError('EcoCash payment failed', body.transactionOperationStatus);
+      }
+
+      logger.transaction('ecocash_charge_initiated', {
+        reference,
+        clientCorrelator,
+        amount,
+        currency,
+        status: result.status
+      });
+
+      return {
+        ...result,
+        amount,
+        currency,
+        commission: null,
+        details: { mobile_number: msisdn }
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'charge',
+        provider: this.name,
+        reference,
+        amount
+      });
+
+      if (error instanceof PaymentFailedError || error instanceof BadRequestError) {
+        throw error;
+      }
+
+      throw new PaymentFailedError('EcoCash payment failed', error.response?.data?.message || error.message);
+    }
+  }
+
+  /**
+   * Look up a collection by its client correlator
+   * @param {string} reference - Client correlator returned by charge()
+   * @param {Object} options - { mobile_number } of the paying customer
+   * @returns {Promise<Object>} Normalized transaction status
+   */
+  async lookupTransaction(reference, options = {}) {
+    if (!options.mobile_number) {
+      throw new BadRequestError('EcoCash lookups require the paying mobile number');
+    }
+
+    const msisdn = this.toMsisdn(options.mobile_number);
+
+    try {
+      const body = await this.request(
+        'get',
+        `/${msisdn}/transactions/amount/${encodeURIComponent(reference)}`
+      );
+
+      return this.toResult(body, reference);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'lookupTransaction',
+        provider: this.name,
+        reference
+      });
+
+      throw new ServiceUnavailableError('EcoCash', 'Failed to look up transaction');
+    }
+  }
+
+  /**
+   * Refund a completed collection
+   * @param {Object} request - Refund request
+   * @param {string} request.reference - Client correlator of the original charge
+   * @param {number} request.amount - Amount to refund
+   * @param {string} request.currency - Currency code
+   * @param {Object} request.details - { mobile_number, provider_reference, reason }
+   * @returns {Promise<Object>} Normalized refund result
+   */
+  async refund(request) {
+    const { reference, amount, currency = 'USD', details = {} } = request;
+
+    if (!details.mobile_number || !details.provider_reference) {
+      throw new BadRequestError('EcoCash refunds require the mobile number and EcoCash reference');
+    }
+
+    const clientCorrelator = `${reference}-refund-${crypto.randomBytes(4).toString('hex')}`;
+
+    try {
+      const body = await this.request('post', '/transactions/refund', {
+        clientCorrelator,
+        referenceCode: reference,
+        tranType: 'REF',
+        endUserId: this.toMsisdn(details.mobile_number),
+        originalEcocashReference: details.provider_reference,
+        remarks: details.reason || 'Refund',
+        paymentAmount: {
+          charginginformation: {
+            amount,
+            currency,
+            description: details.reason || 'Refund'
+          },
+          chargeMetaData: {
+            channel: 'WEB',
+            purchaseCategoryCode: 'Online Payment',
+            onBeHalfOf: this.settings.merchantName
+          }
+        },
+        merchantCode: this.settings.merchantCode,
+        merchantPin: this.settings.merchantPin,
+        merchantNumber: this.settings.merchantNumber,
+        currencyCode: currency,
+        countryCode: 'ZW',
+        superMerchantName: this.settings.merchantName,
+        merchantName: this.settings.merchantName
+      });
+
+      const result = this.toResult(body, clientCorrelator);
+
+      if (result.status === PROVIDER_TRANSACTION_STATUS.FAILED) {
+        throw new PaymentFailedError('EcoCash refund failed', body.transactionOperationStatus);
+      }
+
+      logger.transaction('ecocash_refund', {
+        reference,
+        clientCorrelator,
+        amount,
+        currency
+      });
+
+      return { ...result, amount, currency };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'refund',
+        provider: this.name,
+        reference,
+        amount
+      });
+
+      if (error instanceof PaymentFailedError) {
+        throw error;
+      }
+
+      throw new PaymentFailedError('EcoCash refund failed', error.response?.data?.message || error.message);
+    }
+  }
+
+  /**
+   * Pay out to a seller's EcoCash wallet (merchant-to-customer transfer).
+   * The client correlator is derived from our reference only, so submitting
+   * the same payout twice is rejected by EcoCash as a duplicate; the payout
+   * already held by EcoCash is then looked up and returned. Timeouts, network
+   * errors and 5xx responses leave the outcome unknown and are not reported
+   * as a failure.
+   * @param {Object} request - Payout request
+   * @param {string} request.reference - Our payout reference
+   * @param {number} request.amount - Amount to pay out
+   * @param {string} request.currency - Currency code
+   * @param {Object} request.destination - { mobile_number }
+   * @returns {Promise<Object>} Normalized payout result (usually PENDING)
+   */
+  async payout(request) {
+    const { reference, amount, currency = 'USD', destination = {} } = request;
+
+    if (!destination.mobile_number) {
+      throw new BadRequestError('EcoCash mobile number is required');
+    }
+
+    const clientCorrelator = `${reference}-payout`;
+
+    try {
+      const body = await this.request('post', '/transactions/amount', {
+        clientCorrelator,
+        notifyUrl: this.settings.notifyUrl,
+        referenceCode: reference,
+        tranType: 'MTC',
+        endUserId: this.toMsisdn(destination.mobile_number),
+        remarks: 'Payout',
+        paymentAmount: {
+          charginginformation: {
+            amount,
+            currency,
+            description: 'Payout'
+          },
+          chargeMetaData: {
+            channel: 'WEB',
+            purchaseCategoryCode: 'Online Payment',
+            onBeHalfOf: this.settings.merchantName
+          }
+        },
+        merchantCode: this.settings.merchantCode,
+        merchantPin: this.settings.merchantPin,
+        merchantNumber: this.settings.merchantNumber,
+        currencyCode: currency,
+        countryCode: 'ZW',
+        superMerchantName: this.settings.merchantName,
+        merchantName: this.settings.merchantName
+      });
+
+      const result = this.toResult(body, clientCorrelator);
+
+      if (result.status === PROVIDER_TRANSACTION_STATUS.FAILED) {
+        throw new PaymentFailedError('EcoCash payout failed', body.transactionOperationStatus);
+      }
+
+      logger.transaction('ecocash_payout', {
+        reference,
+        clientCorrelator,
+        amount,
+        currency,
+        status: result.status
+      });
+
+      return { ...result, amount, currency };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'payout',
+        provider: this.name,
+        reference,
+        amount
+      });
+
+      if (error instanceof PaymentFailedError) {
+        throw error;
+      }
+
+      const status = error.response?.status;
+      const message = error.response?.data?.message || error.message;
+
+      if (status && status < 500) {
+        if (status === 409 || /duplicate/i.test(message || '')) {
+          const existing = await this.lookupTransaction(clientCorrelator, destination);
+
+          logger.warn('EcoCash payout already submitted, using existing transaction', {
+            reference,
+            clientCorrelator,
+            status: existing.status
+          });
+
+          return { ...existing, amount, currency };
+        }
+
+        throw new PaymentFailedError('EcoCash payout failed', message);
+      }
+
+      throw new ServiceUnavailableError('EcoCash', 'EcoCash did not confirm the payout, its status will be checked again');
+    }
+  }
+
+  /**
+   * Authenticate a notify callback. EcoCash doesn't sign callbacks, so the
+   * notify URL carries a shared token (?token=) that must match the
+   * configured webhook secret. Fails closed when no secret is set.
+   * @param {Object} request - { rawBody, headers, query }
+   * @returns {boolean}
+   */
+  verifyWebhook({ headers = {}, query = {} }) {
+    const secret = this.settings.webhookSecret;
+
+    if (!secret) {
+      logger.warn('EcoCash webhook received but ECOCASH_WEBHOOK_SECRET is not set');
+      return false;
+    }
+
+    const token = query.token || headers['x-webhook-token'];
+
+    return this.safeCompare(secret, Array.isArray(token) ? token[0] : token);
+  }
+
+  /**
+   * Normalize a notify callback. EcoCash resends the full transaction on
+   * every status change, so the event ID combines the reference and status.
+   * @param {Object} payload - Callback body
+   * @returns {Object} Webhook event
+   */
+  parseWebhook(payload) {
+    if (!payload || (!payload.clientCorrelator && !payload.ecocashReference)) {
+      throw new BadRequestError('Invalid EcoCash callback payload');
+    }
+
+    const result = this.toResult(payload, payload.clientCorrelator);
+    const status = String(payload.transactionOperationStatus || 'UNKNOWN').toUpperCase();
+
+    return {
+      eventId: `${payload.ecocashReference || payload.clientCorrelator}:${status}`,
+      type: `transaction.${result.status.toLowerCase()}`,
+      reference: result.reference,
+      clientReference: payload.referenceCode || null,
+      status: result.status,
+      amount: result.amount,
+      currency: result.currency,
+      providerReference: result.provider_reference
+    };
+  }
+
+  /**
+   * Check EcoCash configuration and connectivity
+   * @returns {Promise<Object>} Health status
+   */
+  async checkHealth() {
+    if (!this.isConfigured()) {
+      return {
+        provider: this.name,
+        status: 'unconfigured',
+        baseURL: this.settings.baseUrl || null,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    try {
+      // Any HTTP response (even 4xx) proves the API is reachable
+      await this.client.request({
+        method: 'get',
+        url: '/',
+        auth: await this.authenticate(),
+        validateStatus: () => true
+      });
+
+      return {
+        provider: this.name,
+        status: 'healthy',
+        baseURL: this.settings.baseUrl,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('EcoCash health check failed', {
+        error: error.message
+      });
+
+      return {
+        provider: this.name,
+        status: 'unhealthy',
+        baseURL: this.settings.baseUrl,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EcocashAdapter();
@@ -0,0 +1,178 @@
+/**
+ * Payment Factory
+ *
+ * Registry of payment provider adapters and the single place that decides
+ * which provider handles an operation. Resolution order:
+ *
+ * 1. The seller's preferred provider (users.payment_provider), if it serves the operation
+ * 2. The per-operation override (config.payment.operations[operation])
+ * 3. The default provider (config.payment.provider)
+ *
+ * Location: backend/services/payment/paymentFactory.js
+ */
+
+const paymentGatewayService = require('./paymentGateway.service');
+const ecocashAdapter = require('./ecocashAdapater');
+const userRepository = require('../../database/repositories/user.repository');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { PAYMENT_OPERATIONS } = require('../../src/config/constants.config');
+const {
+  BadRequestError,
+  ServiceUnavailableError
+} = require('../../src/shared/utils/ApiError');
+
+class PaymentFactory {
+  constructor() {
+    this.providers = new Map();
+
+    this.register(paymentGatewayService);
+    this.register(ecocashAdapter);
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {PaymentProvider} provider - Adapter instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {PaymentProvider} Adapter
+   * @throws {BadRequestError} If the provider is not registered
+   */
+  getProvider(name) {
+    const provider = this.providers.get(String(name || '').toLowerCase());
+
+    if (!provider) {
+      throw new BadRequestError(`Unknown payment provider: ${name}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  hasProvider(name) {
+    return this.providers.has(String(name || '').toLowerCase());
+  }
+
+  /**
+   * Get the default provider
+   * @returns {PaymentProvider} Adapter
+   */
+  getDefaultProvider() {
+    return this.getProvider(config.payment.provider);
+  }
+
+  /**
+   * Resolve the provider for an operation
+   * @param {string} operation - PAYMENT_OPERATIONS value
+   * @param {Object} options - { userId } to honour a seller's preferred provider
+   * @returns {Promise<PaymentProvider>} Adapter
+   * @throws {ServiceUnavailableError} If no provider can serve the operation
+   */
+  async forOperation(operation, options = {}) {
+    if (!Object.values(PAYMENT_OPERATIONS).includes(operation)) {
+      throw new BadRequestError(`Unknown payment operation: ${operation}`);
+    }
+
+    const candidates = [];
+
+    if (options.userId) {
+      const user = await userRepository.findById(options.userId, {
+        select: { payment_provider: true }
+      });
+
+      if (user?.payment_provider) {
+        candidates.push(user.payment_provider);
+      }
+    }
+
+    candidates.push(config.payment.operations[operation], config.payment.provider);
+
+    for (const name of candidates) {
+      if (!name || !this.hasProvider(name)) {
+        continue;
+      }
+
+      const provider = this.getProvider(name);
+
+      if (provider.supports(operation)) {
+        return provider;
+      }
+
+      logger.warn('Payment provider does not support operation, falling back', {
+        provider: name,
+        operation,
+        userId: options.userId
+      });
+    }
+
+    throw new ServiceUnavailableError(
+      'Payment Gateway',
+      `No payment provider is available for ${operation}`
+    );
+  }
+
+  /**
+   * Resolve the provider that collects a deposit paid with a given method
+   * (e.g. payment_method 'ecocash'). Manual methods such as bank transfers
+   * have no provider.
+   * @param {string} paymentMethod - Deposit payment method
+   * @returns {PaymentProvider|null} Adapter or null
+   */
+  forPaymentMethod(paymentMethod) {
+    if (!paymentMethod || !this.hasProvider(paymentMethod)) {
+      return null;
+    }
+
+    const provider = this.getProvider(paymentMethod);
+
+    return provider.supports(PAYMENT_OPERATIONS.DEPOSIT) ? provider : null;
+  }
+
+  /**
+   * List registered providers
+   * @returns {Array<Object>} Provider summaries
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      operations: provider.operations,
+      products: provider.products,
+      configured: provider.isConfigured(),
+      isDefault: provider.name === config.payment.provider
+    }));
+  }
+
+  /**
+   * Check health of every configured provider
+   * @returns {Promise<Array<Object>>} Health results
+   */
+  async checkHealth() {
+    return Promise.all(
+      Array.from(this.providers.values()).map(async (provider) => {
+        try {
+          return await provider.checkHealth();
+        } catch (error) {
+          return {
+            provider: provider.name,
+            status: 'unhealthy',
+            error: error.message,
+            timestamp: new Date().toISOString()
+          };
+        }
+      })
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new PaymentFactory();
@@ -4,28 +4,93 @@
  * Integrates with external wallet API (xash.co.zw) for payment processing.
  * Handles authentication, balance checking, and transaction processing.
  * 
+ * This is the xash adapter of the payment provider layer (see paymentProvider.js).
+ * Services should obtain it through paymentFactory rather than requiring it directly.
+ * 
  * Location: src/services/payment/paymentGatewayService.js
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
 const config = require('../../src/config/environment.config');
 const logger = require('../../src/shared/utils/logger');
 const {
+  PAYMENT_PROVIDERS,
+  PAYMENT_OPERATIONS,
+  PAYMENT_PRODUCTS,
+  PROVIDER_TRANSACTION_STATUS
+} = require('../../src/config/constants.config');
+const {
+  BadRequestError,
   PaymentFailedError,
   ServiceUnavailableError,
   UnauthorizedError
 } = require('../../src/shared/utils/ApiError');
 
-class PaymentGatewayService {
+/**
+ * Purchase endpoints per product
+ * Each entry builds the request path/body and names the failure message
+ */
+const PRODUCT_ENDPOINTS = {
+  [PAYMENT_PRODUCTS.AIRTIME_DIRECT]: {
+    path: () => '/airtime/direct',
+    body: ({ amount, currency, details }) => ({
+      mobile_phone: details.mobile_phone,
+      amount,
+      currency
+    }),
+    failureMessage: 'Airtime purchase failed'
+  },
+  [PAYMENT_PRODUCTS.AIRTIME_VOUCHER]: {
+    path: ({ details }) => `/airtime/direct/voucher/${details.carrier}`,
+    body: ({ currency, details }) => ({
+      amount: details.voucher_value,
+      currency,
+      quantity: details.quantity
+    }),
+    failureMessage: 'Voucher purchase failed'
+  },
+  [PAYMENT_PRODUCTS.BUNDLE]: {
+    path: ({ details }) => `/bundles/buy/${details.bundle_id}`,
+    body: ({ details }) => ({
+      mobile_phone: details.mobile_phone
+    }),
+    failureMessage: 'Bundle purchase failed'
+  },
+  [PAYMENT_PRODUCTS.ELECTRICITY]: {
+    path: () => '/electricity/buy-tokens',
+    body: ({ amount, currency, details }) => ({
+      meter_number: details.meter_number,
+      amount,
+      currency
+    }),
+    failureMessage: 'Token purchase failed'
+  }
+};
+
+class PaymentGatewayService extends PaymentProvider {
   constructor() {
+    // The xash API has no bank payout or transaction lookup endpoint, so
+    // payout() and lookupTransaction() fall through to the base class and
+    // fail as unsupported. Bank payouts need PAYMENT_PROVIDER_PAYOUT set to
+    // a provider that implements them.
+    super(PAYMENT_PROVIDERS.XASH, [
+      PAYMENT_OPERATIONS.AIRTIME,
+      PAYMENT_OPERATIONS.ELECTRICITY,
+      PAYMENT_OPERATIONS.DEPOSIT
+    ], Object.keys(PRODUCT_ENDPOINTS));
+
+    const gatewayConfig = config.payment.xash;
+
     // Determine base URL based on environment
     this.baseURL = config.app.isProduction
-      ? process.env.GATEWAY_BASE_URL || 'https://xv.xash.co.zw/api/v1'
-      : process.env.GATEWAY_BASE_URL_DEV || 'https://xvdev.xash.co.zw/api/v1';
+      ? gatewayConfig.baseUrl
+      : gatewayConfig.baseUrlDev;
 
     // Gateway credentials
-    this.userNumber = process.env.GATEWAY_USER_NUMBER;
-    this.password = process.env.GATEWAY_PASSWORD;
+    this.userNumber = gatewayConfig.userNumber;
+    this.password = gatewayConfig.password;
 
     // Access token storage
     this.accessToken = null;
@@ -34,7 +99,7 @@ class PaymentGatewayService {
     // Axios instance
     this.client = axios.create({
       baseURL: this.baseURL,
-      timeout: 30000, // 30 seconds
+      timeout: gatewayConfig.timeout,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
@@ -126,6 +191,49 @@ class PaymentGatewayService {
     }
   }
 
+  /**
+   * Whether gateway credentials are set
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.userNumber && this.password);
+  }
+
+  /**
+   * Make an authenticated request to the gateway
+   * Re-authenticates and retries once if the token has expired.
+   * @param {string} method - HTTP method
+   * @param {string} url - Endpoint path
+   * @param {Object} options - { data, params }
+   * @param {boolean} isRetry - Internal retry flag
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, url, options = {}, isRetry = false) {
+    const token = await this.authenticate();
+
+    try {
+      const response = await this.client.request({
+        method,
+        url,
+        data: options.data,
+        params: options.params,
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401 && !isRetry) {
+        this.accessToken = null;
+        this.tokenExpiry = null;
+        return this.request(method, url, options, true);
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Logout from the gateway
    * @returns {Promise<boolean>} Success status
@@ -157,10 +265,13 @@ class PaymentGatewayService {
   }
 
   /**
-   * Get wallet balance from gateway
+   * Get wallet balance from gateway. The gateway keeps one wallet per
+   * currency; wallets reported without a currency are taken to be in the
+   * default currency.
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Wallet balance information
    */
-  async getWalletBalance() {
+  async getWalletBalance(currency = config.pool.currency) {
     try {
       // Ensure we have a valid token
       const token = await this.authenticate();
@@ -171,9 +282,13 @@ class PaymentGatewayService {
         }
       });
 
+      const wallet = response.data.success && Array.isArray(response.data.data)
+        ? response.data.data.find(item =>
+          (item.currency || config.pool.currency).toUpperCase() === currency)
+        : null;
+
       // Handle response structure
-      if (response.data.success && response.data.data && response.data.data.length > 0) {
-        const wallet = response.data.data[0];
+      if (wallet) {
 
         const walletData = {
           total_balance: parseFloat(wallet.value) || 0,
@@ -182,7 +297,7 @@ class PaymentGatewayService {
                             parseFloat(wallet.value_pending || 0),
           pending_balance: parseFloat(wallet.value_pending) || 0,
           on_hold: parseFloat(wallet.value_on_hold) || 0,
-          currency: wallet.currency || 'USD',
+          currency,
           raw_data: wallet
         };
 
@@ -195,20 +310,21 @@ class PaymentGatewayService {
         return walletData;
       } else {
         // Return default values if no data
-        logger.warn('No wallet data returned from gateway');
+        logger.warn('No wallet data returned from gateway', { currency });
         
         return {
           total_balance: 0,
           available_balance: 0,
           pending_balance: 0,
           on_hold: 0,
-          currency: 'USD',
+          currency,
           raw_data: null
         };
       }
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'getWalletBalance'
+        method: 'getWalletBalance',
+        currency
       });
 
       if (error.response?.status === 401) {
@@ -218,7 +334,7 @@ class PaymentGatewayService {
         
         // Retry once
         try {
-          return await this.getWalletBalance();
+          return await this.getWalletBalance(currency);
         } catch (retryError) {
           throw new UnauthorizedError('Failed to authenticate with payment gateway');
         }
@@ -228,6 +344,247 @@ class PaymentGatewayService {
     }
   }
 
+  /**
+   * Get wallet balance (provider interface)
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Wallet balance information
+   */
+  async getBalance(currency) {
+    return this.getWalletBalance(currency);
+  }
+
+  /**
+   * Purchase a product (airtime, vouchers, bundles, electricity)
+   * @param {Object} request - Charge request
+   * @param {string} request.product - PAYMENT_PRODUCTS value
+   * @param {number} request.amount - Amount charged to the seller
+   * @param {string} request.currency - Currency code
+   * @param {Object} request.details - Product-specific details
+   * @returns {Promise<Object>} Normalized charge result
+   */
+  async charge(request) {
+    const endpoint = PRODUCT_ENDPOINTS[request.product];
+
+    if (!this.supportsProduct(request.product)) {
+      return this.unsupported(`${request.product} charge`);
+    }
+
+    const { amount, currency = 'USD', details = {} } = request;
+
+    try {
+      const body = await this.request('post', endpoint.path({ details }), {
+        data: endpoint.body({ amount, currency, details })
+      });
+
+      if (!body.success) {
+        throw new PaymentFailedError(endpoint.failureMessage, body.message);
+      }
+
+      const data = body.data || {};
+
+      logger.transaction('gateway_charge', {
+        provider: this.name,
+        product: request.product,
+        amount,
+        currency,
+        reference: request.reference
+      });
+
+      return {
+        provider: this.name,
+        reference: data.transaction_id || data.reference || null,
+        status: PROVIDER_TRANSACTION_STATUS.COMPLETED,
+        amount,
+        currency,
+        commission: data.commission,
+        details: data,
+        raw: body
+      };
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'charge',
+        product: request.product,
+        amount
+      });
+
+      if (error instanceof PaymentFailedError) {
+        throw error;
+      }
+
+      throw new PaymentFailedError(endpoint.failureMessage, error.message);
+    }
+  }
+
+  /**
+   * Refund a previous charge (provider interface)
+   * @param {Object} request - { reference, amount }
+   * @returns {Promise<Object>} Normalized refund result
+   */
+  async refund(request) {
+    const result = await this.refundPayment(request.reference, request.amount);
+
+    return {
+      provider: this.name,
+      reference: result.id,
+      status: PROVIDER_TRANSACTION_STATUS.COMPLETED,
+      amount: request.amount,
+      currency: request.currency || 'USD',
+      raw: result.raw_response
+    };
+  }
+
+  /**
+   * Get catalogue data used by purchase flows
+   * @param {string} catalog - 'carriers', 'voucher_values' or 'bundles'
+   * @param {Object} params - Catalogue filters ({ carrier } for voucher values)
+   * @returns {Promise<*>} Catalogue data
+   */
+  async getCatalog(catalog, params = {}) {
+    switch (catalog) {
+      case 'carriers': {
+        const body = await this.request('get', '/airtime/carriers');
+        if (!body.success) {
+          throw new ServiceUnavailableError('Payment Gateway', 'Failed to retrieve carriers');
+        }
+        return body.data;
+      }
+
+      case 'voucher_values': {
+        const body = await this.request('get', `/airtime/direct/${params.carrier}/values`);
+        if (!body.success) {
+          throw new ServiceUnavailableError('Payment Gateway', 'Failed to retrieve voucher values');
+        }
+        return {
+          values: body.data,
+          allowCustomAmount: body.allow_custom_amount
+        };
+      }
+
+      case 'bundles': {
+        const body = await this.request('get', '/bundles', { params });
+        if (!body.success) {
+          throw new ServiceUnavailableError('Payment Gateway', 'Failed to retrieve bundles');
+        }
+        return body.data;
+      }
+
+      default:
+        return this.unsupported(`${catalog} catalogue`);
+    }
+  }
+
+  /**
+   * Verify a customer account before purchase
+   * @param {string} product - PAYMENT_PRODUCTS value
+   * @param {Object} details - { meter_number, currency } for electricity
+   * @returns {Promise<Object>} Account details
+   */
+  async verifyAccount(product, details = {}) {
+    if (product !== PAYMENT_PRODUCTS.ELECTRICITY) {
+      return this.unsupported(`${product} account verification`);
+    }
+
+    const body = await this.request('post', '/electricity/check-account', {
+      data: {
+        meter_number: details.meter_number,
+        currency: details.currency
+      }
+    });
+
+    if (!body.success) {
+      throw new BadRequestError(body.message || 'Invalid meter number');
+    }
+
+    return body.data;
+  }
+
+  /**
+   * Map a gateway status string to PROVIDER_TRANSACTION_STATUS
+   * @param {string} status - Gateway status
+   * @returns {string} Normalized status
+   */
+  normalizeStatus(status) {
+    const value = String(status || '').toUpperCase();
+
+    if (['SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'COMPLETE', 'PAID'].includes(value)) {
+      return PROVIDER_TRANSACTION_STATUS.COMPLETED;
+    }
+
+    if (['FAILED', 'FAILURE', 'DECLINED', 'CANCELLED', 'REJECTED', 'ERROR'].includes(value)) {
+      return PROVIDER_TRANSACTION_STATUS.FAILED;
+    }
+
+    if (['REFUNDED', 'REVERSED'].includes(value)) {
+      return PROVIDER_TRANSACTION_STATUS.REFUNDED;
+    }
+
+    return PROVIDER_TRANSACTION_STATUS.PENDING;
+  }
+
+  /**
+   * Verify a signed gateway callback.
+   * The gateway signs `${timestamp}.${rawBody}` with HMAC-SHA256 using the
+   * shared webhook secret and sends the hex digest in X-Xash-Signature and
+   * the unix timestamp in X-Xash-Timestamp. Old timestamps are rejected so a
+   * captured callback can't be replayed later.
+   * @param {Object} request - { rawBody, headers }
+   * @returns {boolean}
+   */
+  verifyWebhook({ rawBody, headers = {} }) {
+    const secret = config.payment.xash.webhookSecret;
+
+    if (!secret) {
+      logger.warn('Gateway webhook received but GATEWAY_WEBHOOK_SECRET is not set');
+      return false;
+    }
+
+    const signature = headers['x-xash-signature'];
+    const timestamp = parseInt(headers['x-xash-timestamp'], 10);
+
+    if (!signature || !rawBody || Number.isNaN(timestamp)) {
+      return false;
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestamp);
+
+    if (ageSeconds > config.payment.webhookToleranceSeconds) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody.toString('utf8')}`)
+      .digest('hex');
+
+    return this.safeCompare(expected, String(signature).replace(/^sha256=/, ''));
+  }
+
+  /**
+   * Normalize a gateway callback
+   * @param {Object} payload - { id, type, data: { transaction_id, reference, status, amount, currency } }
+   * @returns {Object} Webhook event
+   */
+  parseWebhook(payload) {
+    const data = payload?.data || {};
+    const eventId = payload?.id || payload?.event_id;
+
+    if (!eventId || !(data.transaction_id || data.reference)) {
+      throw new BadRequestError('Invalid gateway callback payload');
+    }
+
+    return {
+      eventId: String(eventId),
+      type: payload.type || payload.event || null,
+      reference: data.transaction_id || data.reference,
+      clientReference: data.client_reference || data.reference || null,
+      status: this.normalizeStatus(data.status),
+      amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+      currency: data.currency || null,
+      commission: data.commission ?? null,
+      providerReference: data.transaction_id || null
+    };
+  }
+
   /**
    * Process a payment transaction
    * Note: Implementation depends on the gateway's payment endpoint
@@ -361,6 +718,7 @@ class PaymentGatewayService {
       await this.getWalletBalance();
 
       return {
+        provider: this.name,
         status: 'healthy',
         gateway: 'xash.co.zw',
         baseURL: this.baseURL,
@@ -373,6 +731,7 @@ class PaymentGatewayService {
       });
 
       return {
+        provider: this.name,
         status: 'unhealthy',
         gateway: 'xash.co.zw',
         baseURL: this.baseURL,
@@ -387,13 +746,14 @@ class PaymentGatewayService {
    * Sync pool account balance with gateway wallet
    * This method should be called periodically to keep balances in sync
    * 
+   * @param {string} currency - Currency of the pool (and wallet) to sync
    * @returns {Promise<Object>} Sync result with balance information
    */
-  async syncPoolBalance() {
+  async syncPoolBalance(currency = config.pool.currency) {
     try {
-      logger.info('Starting pool balance sync with gateway');
+      logger.info('Starting pool balance sync with gateway', { currency });
 
-      const walletBalance = await this.getWalletBalance();
+      const walletBalance = await this.getWalletBalance(currency);
 
       // Return the available balance for pool account sync
       return {
@@ -407,7 +767,8 @@ class PaymentGatewayService {
       };
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'syncPoolBalance'
+        method: 'syncPoolBalance',
+        currency
       });
 
       throw new ServiceUnavailableError(
@@ -0,0 +1,200 @@
+/**
+ * Payment Provider
+ *
+ * Base class for payment provider adapters. Every adapter exposes the same
+ * interface so services never talk to a provider's HTTP API directly:
+ *
+ * - authenticate()                 Obtain/refresh provider credentials
+ * - getBalance(currency)           Wallet/float balance held at the provider
+ * - charge(request)                Purchase a product or collect a payment
+ * - refund(request)                Refund a previous charge
+ * - payout(request)                Send funds to a bank account or wallet
+ * - lookupTransaction(ref, opts)   Fetch the current status of a transaction
+ * - checkHealth()                  Connectivity/credential check
+ *
+ * Catalogue helpers used by purchase flows:
+ *
+ * - getCatalog(catalog, params)    Carriers, voucher values, bundles
+ * - verifyAccount(product, data)   Customer account lookup (e.g. meter number)
+ *
+ * Inbound webhooks (status callbacks):
+ *
+ * - verifyWebhook(request)         Authenticate a callback ({ rawBody, headers, query })
+ * - parseWebhook(payload, headers) Normalize a callback into a webhook event
+ *
+ * Adapters override the methods they support and list the business
+ * operations (PAYMENT_OPERATIONS) they can serve and the products
+ * (PAYMENT_PRODUCTS) they can charge. Anything not overridden fails with
+ * a clear "not supported" error.
+ *
+ * Location: backend/services/payment/paymentProvider.js
+ */
+
+const crypto = require('crypto');
+const { BadRequestError } = require('../../src/shared/utils/ApiError');
+
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name (PAYMENT_PROVIDERS value)
+   * @param {Array<string>} operations - Supported PAYMENT_OPERATIONS
+   * @param {Array<string>} products - PAYMENT_PRODUCTS accepted by charge()
+   */
+  constructor(name, operations = [], products = []) {
+    this.name = name;
+    this.operations = operations;
+    this.products = products;
+  }
+
+  /**
+   * Check whether this provider can serve a business operation
+   * @param {string} operation - PAYMENT_OPERATIONS value
+   * @returns {boolean}
+   */
+  supports(operation) {
+    return this.operations.includes(operation);
+  }
+
+  /**
+   * Check whether charge() accepts a product
+   * @param {string} product - PAYMENT_PRODUCTS value
+   * @returns {boolean}
+   */
+  supportsProduct(product) {
+    return this.products.includes(product);
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Check whether this provider can look up a transaction's status
+   * @returns {boolean} True if lookupTransaction() is implemented
+   */
+  supportsLookup() {
+    return this.lookupTransaction !== PaymentProvider.prototype.lookupTransaction;
+  }
+
+  /**
+   * Throw a consistent error for operations the provider doesn't implement
+   * @param {string} operation - Operation name
+   * @throws {BadRequestError}
+   */
+  unsupported(operation) {
+    throw new BadRequestError(`${operation} is not supported by the ${this.name} provider`);
+  }
+
+  async authenticate() {
+    return this.unsupported('authenticate');
+  }
+
+  /**
+   * @param {string} [currency] - Currency of the wallet (default currency if omitted)
+   * @returns {Promise<Object>} { total_balance, available_balance, pending_balance, on_hold, currency }
+   */
+  async getBalance(currency) {
+    return this.unsupported('balance');
+  }
+
+  /**
+   * @param {Object} request - { product, amount, currency, reference, details }
+   * @returns {Promise<Object>} { provider, reference, status, amount, currency, commission, details, raw }
+   */
+  async charge(request) {
+    return this.unsupported('charge');
+  }
+
+  /**
+   * @param {Object} request - { reference, amount, currency, details }
+   * @returns {Promise<Object>} { provider, reference, status, amount, currency, raw }
+   */
+  async refund(request) {
+    return this.unsupported('refund');
+  }
+
+  /**
+   * Throw PaymentFailedError (or BadRequestError before sending) only when
+   * the payout was definitively rejected and no money will move; any other
+   * error means the outcome is unknown. A reference the provider rejects as
+   * a duplicate was already submitted: return that transaction instead.
+   * @param {Object} request - { reference, amount, currency, destination }
+   * @returns {Promise<Object>} { provider, reference, status, amount, currency, raw }
+   */
+  async payout(request) {
+    return this.unsupported('payout');
+  }
+
+  /**
+   * @param {string} reference - Provider or client reference
+   * @param {Object} options - Provider-specific lookup data
+   * @returns {Promise<Object>} { provider, reference, status, amount, currency, raw }
+   */
+  async lookupTransaction(reference, options = {}) {
+    return this.unsupported('transaction lookup');
+  }
+
+  /**
+   * @returns {Promise<Object>} { provider, status, ... }
+   */
+  async checkHealth() {
+    return this.unsupported('health check');
+  }
+
+  /**
+   * @param {string} catalog - Catalogue name
+   * @param {Object} params - Catalogue filters
+   * @returns {Promise<*>} Catalogue data
+   */
+  async getCatalog(catalog, params = {}) {
+    return this.unsupported(`${catalog} catalogue`);
+  }
+
+  /**
+   * @param {string} product - PAYMENT_PRODUCTS value
+   * @param {Object} details - Account details to verify
+   * @returns {Promise<Object>} Account details
+   */
+  async verifyAccount(product, details = {}) {
+    return this.unsupported(`${product} account verification`);
+  }
+
+  /**
+   * @param {Object} request - { rawBody, headers, query }
+   * @returns {boolean} True if the callback is authentic and fresh
+   */
+  verifyWebhook(request) {
+    return this.unsupported('webhook');
+  }
+
+  /**
+   * @param {Object} payload - Parsed callback body
+   * @param {Object} headers - Request headers
+   * @returns {Object} { eventId, type, reference, clientReference, status, amount, currency, commission? }
+   */
+  parseWebhook(payload, headers = {}) {
+    return this.unsupported('webhook');
+  }
+
+  /**
+   * Compare two secrets in constant time
+   * @param {string} expected - Expected value
+   * @param {string} actual - Supplied value
+   * @returns {boolean}
+   */
+  safeCompare(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') {
+      return false;
+    }
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = PaymentProvider;
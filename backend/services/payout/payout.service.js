@@ -7,65 +7,109 @@
  */
 
 const payoutRepository = require('../../database/repositories/payout.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
 const balanceService = require('../balance/balance.service');
+const bankAccountService = require('../bankAccount/bankAccount.service');
+const kycService = require('../kyc/kyc.service');
+const limitService = require('../limit/limit.service');
+const bankAccountRepository = require('../../database/repositories/bankAccount.repository');
+const twoFactorService = require('../auth/twoFactor.service');
+const paymentFactory = require('../payment/paymentFactory');
+const ledgerService = require('../balance/ledger.service');
+const feeService = require('../fee/fee.service');
+const { eventHelpers } = require('../../events/eventEmitter');
 const logger = require('../../src/shared/utils/logger');
 const config = require('../../src/config/environment.config');
+const {
+  FEE_OPERATIONS,
+  LEDGER_ACCOUNT_TYPES,
+  LIMIT_PRODUCTS,
+  PAYMENT_OPERATIONS,
+  PROVIDER_TRANSACTION_STATUS
+} = require('../../src/config/constants.config');
 const {
   BadRequestError,
   NotFoundError,
   InsufficientBalanceError,
-  TransactionLimitError
+  PaymentFailedError
 } = require('../../src/shared/utils/ApiError');
 
 class PayoutService {
   /**
    * Create a payout request
+   * Payouts above config.twoFactor.payoutStepUpThreshold need a current
+   * 2FA code (two_factor_code).
    * @param {string} userId - User ID
    * @param {Object} payoutData - Payout data
    * @returns {Promise<Object>} Created payout request
    */
   async createPayoutRequest(userId, payoutData) {
-    const { amount, bank_account_id } = payoutData;
+    const {
+      amount,
+      currency = config.pool.currency,
+      method = 'BANK_TRANSFER',
+      bank_account_id,
+      mobile_number,
+      two_factor_code
+    } = payoutData;
 
     try {
-      // Validate amount limits
-      if (amount < config.limits.minPayoutAmount) {
-        throw new TransactionLimitError(config.limits.minPayoutAmount, 'minimum payout');
+      // Unverified sellers cannot withdraw
+      await kycService.assertPayoutsAllowed(userId);
+
+      // Large payouts need a current 2FA code
+      const { payoutStepUpThreshold } = config.twoFactor;
+      if (payoutStepUpThreshold > 0 && amount > payoutStepUpThreshold) {
+        await twoFactorService.requireStepUp(
+          userId,
+          two_factor_code,
+          `withdraw more than ${payoutStepUpThreshold}`
+        );
       }
 
+      // The fee is charged on top of the payout and reserved with it
+      const feeQuote = await feeService.quote(FEE_OPERATIONS.PAYOUT, amount, currency);
+      const reserveAmount = feeQuote.total_amount;
+
       // Check user has sufficient balance
-      const balance = await balanceService.getBalance(userId);
+      const balance = await balanceService.getBalance(userId, currency);
       
-      if (balance.available < amount) {
-        throw new InsufficientBalanceError(amount, balance.available);
+      if (balance.available < reserveAmount) {
+        throw new InsufficientBalanceError(reserveAmount, balance.available);
       }
 
-      // Reserve funds
-      await balanceService.reserveFunds(userId, amount);
+      // Bank transfers go to the given account or the user's default, which
+      // must belong to the user and be verified
+      const bankAccount = method === 'BANK_TRANSFER'
+        ? await bankAccountService.getPayoutAccount(userId, bank_account_id)
+        : null;
 
-      try {
-        // Create payout request
-        const payout = await payoutRepository.create({
+      // Check the payout limits of the seller, reserve the funds and create
+      // the payout request in one transaction
+      const payout = await limitService.recordWithinLimits(userId, LIMIT_PRODUCTS.PAYOUT, amount, currency, async (tx) => {
+        await balanceService.reserveFunds(userId, reserveAmount, { tx, currency });
+
+        return payoutRepository.create({
           user_id: userId,
           amount,
-          currency: 'USD',
-          bank_account_id,
+          fee_amount: feeQuote.fee,
+          currency,
+          method,
+          bank_account_id: bankAccount ? bankAccount.id : null,
+          mobile_number: method === 'MOBILE_MONEY' ? mobile_number : null,
           status: 'PENDING'
-        });
-
-        logger.info('Payout request created', {
-          payoutId: payout.id,
-          userId,
-          amount
-        });
+        }, { tx });
+      });
 
-        return payout;
+      logger.info('Payout request created', {
+        payoutId: payout.id,
+        userId,
+        amount,
+        currency,
+        fee: feeQuote.fee
+      });
 
-      } catch (error) {
-        // Rollback: Release reserved funds
-        await balanceService.releaseReservedFunds(userId, amount);
-        throw error;
-      }
+      return payout;
 
     } catch (error) {
       logger.errorWithContext(error, {
@@ -79,11 +123,13 @@ class PayoutService {
 
   /**
    * Process a payout request (Admin only)
+   * Approves the payout and submits it to the provider straight away.
    * @param {string} payoutId - Payout ID
    * @param {string} processedBy - Admin user ID
-   * @returns {Promise<Object>} Processed payout
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Payout (SUBMITTED, COMPLETED or FAILED)
    */
-  async processPayout(payoutId, processedBy) {
+  async processPayout(payoutId, processedBy, context = {}) {
     try {
       const payout = await payoutRepository.findById(payoutId);
 
@@ -96,70 +142,310 @@ class PayoutService {
       }
 
       // Mark as processing
-      await payoutRepository.markAsProcessing(payoutId, processedBy);
-
-      try {
-        // TODO: Process actual bank transfer via gateway
-        // For now, simulate success
-        const gatewayReference = `PAYOUT_${Date.now()}`;
-
-        // Complete payout
-        const completedPayout = await payoutRepository.completePayout(
-          payoutId,
-          gatewayReference
-        );
-
-        // Deduct from user's balance (release reserved and deduct)
-        await balanceService.completeReservedTransaction(
-          payout.user_id,
-          parseFloat(payout.amount)
-        );
+      const approvedPayout = await ledgerService.runInTransaction(null, async (tx) => {
+        const processing = await payoutRepository.markAsProcessing(payoutId, processedBy, tx);
+
+        if (!processing) {
+          throw new BadRequestError('Payout has already been processed');
+        }
+
+        await auditLogRepository.recordChange({
+          action: 'payout.processed',
+          entity: 'payout_request',
+          entityId: payoutId,
+          before: payout,
+          after: processing,
+          context: { ...context, actorId: processedBy }
+        }, tx);
+
+        return processing;
+      });
 
-        // Record withdrawal
-        await balanceService.recordWithdrawal(
-          payout.user_id,
-          parseFloat(payout.amount)
-        );
+      return await this.submitPayout(approvedPayout);
 
-        logger.info('Payout processed successfully', {
-          payoutId,
-          userId: payout.user_id,
-          amount: payout.amount,
-          processedBy
-        });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'processPayout',
+        payoutId,
+        processedBy
+      });
+      throw error;
+    }
+  }
 
-        return completedPayout;
+  /**
+   * Send a PROCESSING payout to its provider:
+   * - completed at once: settled
+   * - accepted for later settlement: SUBMITTED, then settled by a provider
+   *   callback or by pollSubmittedPayout
+   * - rejected: FAILED and the reserved funds released
+   * - no clear answer (timeout, provider error): left PROCESSING and sent
+   *   again later by the payout processor job; the provider answers a
+   *   resubmission with the payout it already holds
+   * @param {Object} payout - Payout request (PROCESSING)
+   * @returns {Promise<Object>} Updated payout
+   */
+  async submitPayout(payout) {
+    let provider;
+    let destination;
 
-      } catch (error) {
-        // Fail the payout
-        await payoutRepository.failPayout(payoutId, error.message);
+    try {
+      provider = await this.resolveProvider(payout);
+      destination = await this.getDestination(payout);
+    } catch (error) {
+      // Nothing was sent, so the funds can be released
+      await this.failProcessingPayout(payout, error.message);
+      throw error;
+    }
 
-        // Release reserved funds
-        await balanceService.releaseReservedFunds(
-          payout.user_id,
-          parseFloat(payout.amount)
-        );
+    let result;
 
+    try {
+      result = await provider.payout({
+        reference: payout.id,
+        amount: parseFloat(payout.amount),
+        currency: payout.currency,
+        destination
+      });
+    } catch (error) {
+      if (error instanceof PaymentFailedError || error instanceof BadRequestError) {
+        await this.failProcessingPayout(payout, error.message);
         throw error;
       }
 
-    } catch (error) {
-      logger.errorWithContext(error, {
-        method: 'processPayout',
-        payoutId,
-        processedBy
+      logger.warn('Payout outcome unknown, leaving it for resubmission', {
+        payoutId: payout.id,
+        provider: provider.name,
+        error: error.message
       });
       throw error;
     }
+
+    const gatewayReference = result.reference || payout.id;
+
+    if (result.status === PROVIDER_TRANSACTION_STATUS.COMPLETED) {
+      await this.settlePayout(payout, gatewayReference, payout.processed_by);
+
+      logger.info('Payout processed successfully', {
+        payoutId: payout.id,
+        userId: payout.user_id,
+        amount: payout.amount,
+        provider: provider.name,
+        gatewayReference
+      });
+
+      return payoutRepository.findById(payout.id);
+    }
+
+    if (result.status === PROVIDER_TRANSACTION_STATUS.FAILED) {
+      await this.failProcessingPayout(payout, `Payout rejected by ${provider.name}`);
+      return payoutRepository.findById(payout.id);
+    }
+
+    await ledgerService.runInTransaction(null, async (tx) => {
+      const submittedPayout = await payoutRepository.markSubmitted(payout.id, {
+        provider: provider.name,
+        gateway_reference: gatewayReference
+      }, tx);
+
+      if (submittedPayout) {
+        await eventHelpers.payoutSubmitted(submittedPayout, { tx });
+      }
+    });
+
+    logger.info('Payout submitted, awaiting provider confirmation', {
+      payoutId: payout.id,
+      userId: payout.user_id,
+      amount: payout.amount,
+      provider: provider.name,
+      gatewayReference
+    });
+
+    return payoutRepository.findById(payout.id);
+  }
+
+  /**
+   * Ask the provider for the outcome of a SUBMITTED payout and settle or
+   * fail it accordingly
+   * @param {Object} payout - Payout request (SUBMITTED)
+   * @returns {Promise<string>} COMPLETED, FAILED or PENDING
+   */
+  async pollSubmittedPayout(payout) {
+    const provider = paymentFactory.getProvider(payout.provider);
+
+    const result = await provider.lookupTransaction(payout.gateway_reference, {
+      mobile_number: payout.mobile_number
+    });
+
+    if (result.status === PROVIDER_TRANSACTION_STATUS.COMPLETED) {
+      await this.settlePayout(payout, payout.gateway_reference);
+      return PROVIDER_TRANSACTION_STATUS.COMPLETED;
+    }
+
+    if ([PROVIDER_TRANSACTION_STATUS.FAILED, PROVIDER_TRANSACTION_STATUS.REFUNDED].includes(result.status)) {
+      await this.failProcessingPayout(payout, `Payout failed at ${provider.name}`);
+      return PROVIDER_TRANSACTION_STATUS.FAILED;
+    }
+
+    await payoutRepository.recordStatusCheck(payout.id);
+    return PROVIDER_TRANSACTION_STATUS.PENDING;
+  }
+
+  /**
+   * Resolve the provider that executes a payout
+   * @param {Object} payout - Payout request
+   * @returns {Promise<PaymentProvider>} Adapter
+   */
+  async resolveProvider(payout) {
+    const operation = payout.method === 'MOBILE_MONEY'
+      ? PAYMENT_OPERATIONS.CASH_OUT
+      : PAYMENT_OPERATIONS.PAYOUT;
+
+    return paymentFactory.forOperation(operation, { userId: payout.user_id });
+  }
+
+  /**
+   * Build the provider destination of a payout
+   * @param {Object} payout - Payout request
+   * @returns {Promise<Object>} Bank account or wallet details
+   */
+  async getDestination(payout) {
+    if (payout.method === 'MOBILE_MONEY') {
+      if (!payout.mobile_number) {
+        throw new BadRequestError('Payout mobile number is missing');
+      }
+
+      return { mobile_number: payout.mobile_number };
+    }
+
+    const bankAccount = payout.bank_account_id
+      ? await bankAccountRepository.findById(payout.bank_account_id)
+      : null;
+
+    if (!bankAccount || bankAccount.user_id !== payout.user_id) {
+      throw new BadRequestError('Payout bank account not found');
+    }
+
+    // The account may have been edited since the payout was requested
+    if (!bankAccount.verified) {
+      throw new BadRequestError('Payout bank account is no longer verified');
+    }
+
+    return bankAccountService.toDestination(bankAccount);
+  }
+
+  /**
+   * Settle a payout the provider has paid out: mark it COMPLETED and move
+   * the reserved funds out of the seller's balance
+   * @param {Object} payout - Payout request (PROCESSING or SUBMITTED)
+   * @param {string} gatewayReference - Provider transfer reference
+   * @param {string|null} settledBy - Admin user ID, or null when settled by a callback or poll
+   * @returns {Promise<Object|null>} Completed payout, or null if it was already settled
+   */
+  async settlePayout(payout, gatewayReference, settledBy = null) {
+    const completedPayout = await ledgerService.runInTransaction(null, async (tx) => {
+      const completed = await payoutRepository.completePayout(payout.id, gatewayReference, tx);
+
+      if (!completed) {
+        return null;
+      }
+
+      // Deduct from user's balance (release reserved and deduct)
+      await balanceService.completeReservedTransaction(
+        payout.user_id,
+        parseFloat(payout.amount),
+        {
+          tx,
+          currency: payout.currency,
+          referenceType: 'payout_request',
+          referenceId: payout.id,
+          createdBy: settledBy,
+          description: 'Payout settled'
+        }
+      );
+
+      await feeService.chargeFee({
+        userId: payout.user_id,
+        operation: FEE_OPERATIONS.PAYOUT,
+        fee: payout.fee_amount,
+        currency: payout.currency,
+        fromAccount: LEDGER_ACCOUNT_TYPES.SELLER_RESERVED,
+        referenceType: 'payout_request',
+        referenceId: payout.id,
+        createdBy: settledBy
+      }, tx);
+
+      await eventHelpers.payoutCompleted(completed, { tx });
+
+      return completed;
+    });
+
+    if (!completedPayout) {
+      logger.info('Payout already settled, skipping', { payoutId: payout.id });
+      return null;
+    }
+
+    // Record withdrawal
+    await balanceService.recordWithdrawal(
+      payout.user_id,
+      parseFloat(payout.amount),
+      payout.currency
+    );
+
+    return completedPayout;
+  }
+
+  /**
+   * Amount held in reserve for a payout: the payout plus its fee
+   * @param {Object} payout - Payout request
+   * @returns {number} Reserved amount
+   * @private
+   */
+  reservedAmount(payout) {
+    return Math.round((parseFloat(payout.amount) + parseFloat(payout.fee_amount || 0)) * 100) / 100;
+  }
+
+  /**
+   * Fail a payout that was sent to the provider and return the reserved
+   * funds to the seller's available balance
+   * @param {Object} payout - Payout request (PROCESSING or SUBMITTED)
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object|null>} Failed payout, or null if it was already settled
+   */
+  async failProcessingPayout(payout, reason) {
+    return ledgerService.runInTransaction(null, async (tx) => {
+      const failedPayout = await payoutRepository.failPayout(
+        payout.id,
+        reason,
+        tx,
+        ['PROCESSING', 'SUBMITTED']
+      );
+
+      if (!failedPayout) {
+        return null;
+      }
+
+      // Release reserved funds
+      await balanceService.releaseReservedFunds(
+        payout.user_id,
+        this.reservedAmount(payout),
+        { tx, currency: payout.currency, referenceType: 'payout_request', referenceId: payout.id }
+      );
+
+      await eventHelpers.payoutFailed(failedPayout, reason, { tx });
+
+      return failedPayout;
+    });
   }
 
   /**
    * Reject a payout request (Admin only)
    * @param {string} payoutId - Payout ID
    * @param {string} reason - Rejection reason
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Rejected payout
    */
-  async rejectPayout(payoutId, reason) {
+  async rejectPayout(payoutId, reason, context = {}) {
     try {
       const payout = await payoutRepository.findById(payoutId);
 
@@ -171,14 +457,32 @@ class PayoutService {
         throw new BadRequestError('Only pending payouts can be rejected');
       }
 
-      // Release reserved funds
-      await balanceService.releaseReservedFunds(
-        payout.user_id,
-        parseFloat(payout.amount)
-      );
+      const rejectedPayout = await ledgerService.runInTransaction(null, async (tx) => {
+        const rejected = await payoutRepository.failPayout(payoutId, reason, tx, ['PENDING']);
 
-      // Fail the payout
-      const rejectedPayout = await payoutRepository.failPayout(payoutId, reason);
+        if (!rejected) {
+          throw new BadRequestError('Only pending payouts can be rejected');
+        }
+
+        // Release reserved funds
+        await balanceService.releaseReservedFunds(
+          payout.user_id,
+          this.reservedAmount(payout),
+          { tx, currency: payout.currency, referenceType: 'payout_request', referenceId: payoutId }
+        );
+
+        await auditLogRepository.recordChange({
+          action: 'payout.rejected',
+          entity: 'payout_request',
+          entityId: payoutId,
+          before: payout,
+          after: rejected,
+          details: { reason },
+          context
+        }, tx);
+
+        return rejected;
+      });
 
       logger.info('Payout rejected', {
         payoutId,
@@ -220,14 +524,24 @@ class PayoutService {
         throw new BadRequestError('Only pending payouts can be cancelled');
       }
 
-      // Release reserved funds
-      await balanceService.releaseReservedFunds(
-        userId,
-        parseFloat(payout.amount)
-      );
+      // The status change is conditional, so a payout approved (or
+      // cancelled) concurrently is not cancelled and its funds stay reserved
+      const cancelled = await ledgerService.runInTransaction(null, async (tx) => {
+        const updated = await payoutRepository.cancelPayout(payoutId, tx);
+
+        if (!updated) {
+          throw new BadRequestError('Only pending payouts can be cancelled');
+        }
 
-      // Cancel the payout
-      const cancelled = await payoutRepository.cancelPayout(payoutId);
+        // Release reserved funds
+        await balanceService.releaseReservedFunds(
+          userId,
+          this.reservedAmount(payout),
+          { tx, currency: payout.currency, referenceType: 'payout_request', referenceId: payoutId }
+        );
+
+        return updated;
+      });
 
       logger.info('Payout cancelled', {
         payoutId,
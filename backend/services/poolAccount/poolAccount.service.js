@@ -3,80 +3,173 @@
  * 
  * THE HEART OF THE PAYMENT FACILITATOR SYSTEM
  * 
- * Manages the master pool account that holds all funds before distribution.
+ * Manages the master pool accounts that hold all funds before distribution,
+ * one per supported currency (config.pool.currencies). Every operation
+ * works on one currency's pool: reads take a currency argument and
+ * mutations read context.currency, both defaulting to config.pool.currency.
  * Handles allocation, deallocation, and synchronization with payment gateway.
  * 
  * CRITICAL: All operations are atomic to prevent financial inconsistencies.
+ * Every mutation is a balanced journal posting (see LedgerService); the
+ * PoolAccount row is the projection of the gateway float, seller and
+ * pool-reserved journal accounts.
  * 
  * Location: src/services/poolAccount/poolAccountService.js
  */
 
 const { prisma } = require('../../src/config/database.config');
 const config = require('../../src/config/environment.config');
+const { LEDGER_ACCOUNT_TYPES, LEDGER_ENTRY_TYPES } = require('../../src/config/constants.config');
+const ledgerService = require('../balance/ledger.service');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
 const logger = require('../../src/shared/utils/logger');
-const {
-  PoolAccountError,
-  InsufficientBalanceError,
-  DatabaseError
-} = require('../../src/shared/utils/ApiError');
+const { PoolAccountError } = require('../../src/shared/utils/ApiError');
 
 class PoolAccountService {
   /**
    * Get the current pool account status
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Pool account details
    */
-  async getPoolStatus() {
+  async getPoolStatus(currency = config.pool.currency) {
     try {
-      const pool = await prisma.poolAccount.findFirst();
+      const pool = await this.findPool(prisma, currency);
 
       if (!pool) {
-        throw new PoolAccountError('Pool account not initialized');
+        throw new PoolAccountError(`${currency} pool account not initialized`);
       }
 
-      return {
-        totalBalance: parseFloat(pool.total_balance),
-        allocatedBalance: parseFloat(pool.allocated_balance),
-        reservedBalance: parseFloat(pool.reserved_balance),
-        unallocatedBalance: parseFloat(pool.total_balance) - 
-                           parseFloat(pool.allocated_balance) - 
-                           parseFloat(pool.reserved_balance),
-        currency: pool.currency,
-        lastSynced: pool.last_synced_at,
-        gatewayAccountId: pool.gateway_account_id
-      };
+      return this.formatStatus(pool);
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'getPoolStatus'
+        method: 'getPoolStatus',
+        currency
       });
       throw error;
     }
   }
 
+  /**
+   * Get the status of every currency's pool
+   * @returns {Promise<Array<Object>>} Pool account details, default currency first
+   */
+  async getAllPoolStatuses() {
+    try {
+      const pools = await prisma.poolAccount.findMany({
+        orderBy: { created_at: 'asc' }
+      });
+
+      return pools
+        .sort((a, b) => (b.currency === config.pool.currency) - (a.currency === config.pool.currency))
+        .map(pool => this.formatStatus(pool));
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'getAllPoolStatuses'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a currency's pool account
+   * @param {Object} client - Prisma client or transaction client
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object|null>} Pool account
+   * @private
+   */
+  findPool(client, currency = config.pool.currency) {
+    return client.poolAccount.findFirst({ where: { currency } });
+  }
+
+  /**
+   * Shape a pool account row for responses
+   * @param {Object} pool - PoolAccount row
+   * @returns {Object} Pool account details
+   * @private
+   */
+  formatStatus(pool) {
+    return {
+      totalBalance: parseFloat(pool.total_balance),
+      allocatedBalance: parseFloat(pool.allocated_balance),
+      reservedBalance: parseFloat(pool.reserved_balance),
+      unallocatedBalance: parseFloat(pool.total_balance) -
+                         parseFloat(pool.allocated_balance) -
+                         parseFloat(pool.reserved_balance),
+      currency: pool.currency,
+      lastSynced: pool.last_synced_at,
+      gatewayAccountId: pool.gateway_account_id
+    };
+  }
+
+  /**
+   * Initialize a pool account for every supported currency that has none
+   * (run during setup). The opening balance only funds the default
+   * currency's pool.
+   * @param {number} initialBalance - Initial balance of the default currency's pool
+   * @returns {Promise<Array<Object>>} Pool accounts
+   */
+  async initializePools(initialBalance = null) {
+    const pools = [];
+
+    for (const currency of config.pool.currencies) {
+      const opening = currency === config.pool.currency ? initialBalance : 0;
+      pools.push(await this.initializePool(opening, currency));
+    }
+
+    return pools;
+  }
+
   /**
    * Initialize pool account (run once during setup)
-   * @param {number} initialBalance - Initial balance to set
+   * The opening balance is posted to the journal as gateway float. Pools
+   * and balances created before the journal are brought into it by
+   * database/backfillOpeningBalances.js.
+   * @param {number} initialBalance - Initial balance to set (0 for none,
+   *   null for config.pool.initialBalance)
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Created pool account
    */
-  async initializePool(initialBalance = null) {
+  async initializePool(initialBalance = null, currency = config.pool.currency) {
     try {
       // Check if pool already exists
-      const existing = await prisma.poolAccount.findFirst();
-      
+      const existing = await this.findPool(prisma, currency);
+
       if (existing) {
         logger.warn('Pool account already initialized', {
-          poolId: existing.id
+          poolId: existing.id,
+          currency
         });
         return existing;
       }
 
-      // Create pool account
-      const pool = await prisma.poolAccount.create({
-        data: {
-          total_balance: initialBalance || config.pool.initialBalance,
-          allocated_balance: 0,
-          reserved_balance: 0,
-          currency: config.pool.currency
+      const openingBalance = initialBalance ?? config.pool.initialBalance;
+
+      const pool = await prisma.$transaction(async (tx) => {
+        const created = await tx.poolAccount.create({
+          data: {
+            total_balance: 0,
+            allocated_balance: 0,
+            reserved_balance: 0,
+            currency
+          }
+        });
+
+        if (!(openingBalance > 0)) {
+          return created;
         }
+
+        const { pool: funded } = await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.POOL_OPENING,
+          debit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          credit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          amount: openingBalance,
+          currency: created.currency,
+          description: 'Pool opening balance',
+          referenceType: 'pool_account',
+          referenceId: created.id
+        }, tx);
+
+        return funded;
       });
 
       logger.info('Pool account initialized', {
@@ -89,7 +182,8 @@ class PoolAccountService {
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'initializePool',
-        initialBalance
+        initialBalance,
+        currency
       });
       throw new PoolAccountError('Failed to initialize pool account');
     }
@@ -98,14 +192,15 @@ class PoolAccountService {
   /**
    * Check if sufficient unallocated funds are available
    * @param {number} amount - Amount to check
+   * @param {string} currency - Currency code
    * @returns {Promise<boolean>} True if sufficient funds available
    */
-  async checkAvailableFunds(amount) {
+  async checkAvailableFunds(amount, currency = config.pool.currency) {
     try {
-      const pool = await prisma.poolAccount.findFirst();
+      const pool = await this.findPool(prisma, currency);
 
       if (!pool) {
-        throw new PoolAccountError('Pool account not found');
+        throw new PoolAccountError(`${currency} pool account not found`);
       }
 
       const unallocated = parseFloat(pool.total_balance) - 
@@ -116,7 +211,8 @@ class PoolAccountService {
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'checkAvailableFunds',
-        amount
+        amount,
+        currency
       });
       throw error;
     }
@@ -124,86 +220,56 @@ class PoolAccountService {
 
   /**
    * Allocate funds to a user (when they deposit)
-   * ATOMIC OPERATION - Updates both pool and user balance
-   * 
+   * ATOMIC OPERATION - Posts pool -> seller journal entry, which updates
+   * both pool and user balance projections
+   *
    * @param {string} userId - User ID to allocate funds to
    * @param {number} amount - Amount to allocate
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, createdBy, description }
    * @returns {Promise<Object>} Updated pool and balance information
    */
-  async allocateToUser(userId, amount) {
+  async allocateToUser(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new PoolAccountError('Allocation amount must be positive');
     }
 
     try {
-      return await prisma.$transaction(async (tx) => {
-        // 1. Get current pool state with lock
-        const pool = await tx.poolAccount.findFirst();
-
-        if (!pool) {
-          throw new PoolAccountError('Pool account not found');
-        }
-
-        // 2. Calculate available funds
-        const unallocated = parseFloat(pool.total_balance) - 
-                           parseFloat(pool.allocated_balance) - 
-                           parseFloat(pool.reserved_balance);
-
-        // 3. Check if sufficient funds available
-        if (unallocated < amount) {
-          throw new InsufficientBalanceError(
-            amount,
-            unallocated
-          );
-        }
-
-        // 4. Update pool allocated balance
-        const updatedPool = await tx.poolAccount.update({
-          where: { id: pool.id },
-          data: {
-            allocated_balance: {
-              increment: amount
-            }
-          }
-        });
+      return await ledgerService.runInTransaction(context.tx, async (tx) => {
+        // Fails with InsufficientBalanceError if unallocated funds run out
+        const { balances, pool } = await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.ALLOCATION,
+          userId,
+          debit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          credit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          amount,
+          currency: context.currency,
+          description: context.description || 'Funds allocated from pool',
+          referenceType: context.referenceType,
+          referenceId: context.referenceId,
+          createdBy: context.createdBy
+        }, tx);
 
-        // 5. Update user's account balance
-        const updatedBalance = await tx.accountBalance.upsert({
-          where: { user_id: userId },
-          create: {
-            user_id: userId,
-            available_balance: amount,
-            pending_balance: 0,
-            reserved_balance: 0,
-            currency: config.pool.currency
-          },
-          update: {
-            available_balance: {
-              increment: amount
-            }
-          }
-        });
+        const updatedBalance = balances[userId];
 
-        // 6. Log the allocation
         logger.pool('allocate', {
           userId,
           amount,
-          previousAllocated: pool.allocated_balance,
-          newAllocated: updatedPool.allocated_balance,
-          previousUserBalance: updatedBalance.available_balance - amount,
+          newAllocated: pool.allocated_balance,
+          previousUserBalance: parseFloat(updatedBalance.available_balance) - amount,
           newUserBalance: updatedBalance.available_balance
         });
 
         return {
           pool: {
-            totalBalance: parseFloat(updatedPool.total_balance),
-            allocatedBalance: parseFloat(updatedPool.allocated_balance),
-            reservedBalance: parseFloat(updatedPool.reserved_balance)
+            totalBalance: parseFloat(pool.total_balance),
+            allocatedBalance: parseFloat(pool.allocated_balance),
+            reservedBalance: parseFloat(pool.reserved_balance)
           },
           userBalance: {
             available: parseFloat(updatedBalance.available_balance),
             pending: parseFloat(updatedBalance.pending_balance),
-            reserved: parseFloat(updatedBalance.reserved_balance)
+            reserved: parseFloat(updatedBalance.reserved_balance),
+            currency: updatedBalance.currency
           }
         };
       });
@@ -218,80 +284,67 @@ class PoolAccountService {
   }
 
   /**
-   * Deallocate funds from a user (when they spend or withdraw)
-   * ATOMIC OPERATION - Updates both pool and user balance
-   * 
+   * Deallocate funds from a user (return them to the unallocated pool)
+   * ATOMIC OPERATION - Posts seller -> pool journal entry, which updates
+   * both pool and user balance projections
+   *
    * @param {string} userId - User ID to deallocate funds from
    * @param {number} amount - Amount to deallocate
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, createdBy, description }
    * @returns {Promise<Object>} Updated pool and balance information
    */
-  async deallocateFromUser(userId, amount) {
+  async deallocateFromUser(userId, amount, context = {}) {
     if (amount <= 0) {
       throw new PoolAccountError('Deallocation amount must be positive');
     }
 
     try {
-      return await prisma.$transaction(async (tx) => {
-        // 1. Get user's current balance
+      return await ledgerService.runInTransaction(context.tx, async (tx) => {
         const userBalance = await tx.accountBalance.findUnique({
-          where: { user_id: userId }
+          where: {
+            user_id_currency: { user_id: userId, currency: context.currency || config.pool.currency }
+          }
         });
 
         if (!userBalance) {
           throw new PoolAccountError('User balance not found');
         }
 
-        // 2. Check if user has sufficient balance
-        if (parseFloat(userBalance.available_balance) < amount) {
-          throw new InsufficientBalanceError(
-            amount,
-            parseFloat(userBalance.available_balance)
-          );
-        }
-
-        // 3. Get pool
-        const pool = await tx.poolAccount.findFirst();
-
-        // 4. Update pool allocated balance (decrease)
-        const updatedPool = await tx.poolAccount.update({
-          where: { id: pool.id },
-          data: {
-            allocated_balance: {
-              decrement: amount
-            }
-          }
-        });
+        // Fails with InsufficientBalanceError if the user's available balance runs out
+        const { balances, pool } = await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.DEALLOCATION,
+          userId,
+          debit: LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+          credit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          amount,
+          currency: context.currency,
+          description: context.description || 'Funds returned to pool',
+          referenceType: context.referenceType,
+          referenceId: context.referenceId,
+          createdBy: context.createdBy
+        }, tx);
 
-        // 5. Update user's balance (decrease)
-        const updatedBalance = await tx.accountBalance.update({
-          where: { user_id: userId },
-          data: {
-            available_balance: {
-              decrement: amount
-            }
-          }
-        });
+        const updatedBalance = balances[userId];
 
-        // 6. Log the deallocation
         logger.pool('deallocate', {
           userId,
           amount,
-          previousAllocated: pool.allocated_balance,
-          newAllocated: updatedPool.allocated_balance,
+          newAllocated: pool.allocated_balance,
           previousUserBalance: userBalance.available_balance,
           newUserBalance: updatedBalance.available_balance
         });
 
         return {
           pool: {
-            totalBalance: parseFloat(updatedPool.total_balance),
-            allocatedBalance: parseFloat(updatedPool.allocated_balance),
-            reservedBalance: parseFloat(updatedPool.reserved_balance)
+            totalBalance: parseFloat(pool.total_balance),
+            allocatedBalance: parseFloat(pool.allocated_balance),
+            reservedBalance: parseFloat(pool.reserved_balance)
           },
           userBalance: {
             available: parseFloat(updatedBalance.available_balance),
             pending: parseFloat(updatedBalance.pending_balance),
-            reserved: parseFloat(updatedBalance.reserved_balance)
+            reserved: parseFloat(updatedBalance.reserved_balance),
+            currency: updatedBalance.currency
           }
         };
       });
@@ -308,54 +361,38 @@ class PoolAccountService {
   /**
    * Reserve funds in the pool (before transaction processing)
    * Used to prevent over-allocation during pending transactions
-   * 
+   *
    * @param {number} amount - Amount to reserve
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, description }
    * @returns {Promise<Object>} Updated pool information
    */
-  async reserveFunds(amount) {
+  async reserveFunds(amount, context = {}) {
     if (amount <= 0) {
       throw new PoolAccountError('Reserve amount must be positive');
     }
 
     try {
-      return await prisma.$transaction(async (tx) => {
-        const pool = await tx.poolAccount.findFirst();
-
-        if (!pool) {
-          throw new PoolAccountError('Pool account not found');
-        }
-
-        // Check if sufficient funds to reserve
-        const unallocated = parseFloat(pool.total_balance) - 
-                           parseFloat(pool.allocated_balance) - 
-                           parseFloat(pool.reserved_balance);
-
-        if (unallocated < amount) {
-          throw new InsufficientBalanceError(amount, unallocated);
-        }
-
-        // Update reserved balance
-        const updatedPool = await tx.poolAccount.update({
-          where: { id: pool.id },
-          data: {
-            reserved_balance: {
-              increment: amount
-            }
-          }
-        });
-
-        logger.pool('reserve', {
-          amount,
-          previousReserved: pool.reserved_balance,
-          newReserved: updatedPool.reserved_balance
-        });
+      const { pool } = await ledgerService.transfer({
+        entryType: LEDGER_ENTRY_TYPES.POOL_RESERVE,
+        debit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+        credit: LEDGER_ACCOUNT_TYPES.POOL_RESERVED,
+        amount,
+        currency: context.currency,
+        description: context.description || 'Pool funds reserved',
+        referenceType: context.referenceType,
+        referenceId: context.referenceId
+      }, context.tx);
 
-        return {
-          totalBalance: parseFloat(updatedPool.total_balance),
-          allocatedBalance: parseFloat(updatedPool.allocated_balance),
-          reservedBalance: parseFloat(updatedPool.reserved_balance)
-        };
+      logger.pool('reserve', {
+        amount,
+        newReserved: pool.reserved_balance
       });
+
+      return {
+        totalBalance: parseFloat(pool.total_balance),
+        allocatedBalance: parseFloat(pool.allocated_balance),
+        reservedBalance: parseFloat(pool.reserved_balance)
+      };
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'reserveFunds',
@@ -367,42 +404,37 @@ class PoolAccountService {
 
   /**
    * Release reserved funds (after transaction completes or fails)
-   * 
+   *
    * @param {number} amount - Amount to release
+   * @param {Object} context - Optional { tx, currency, referenceType, referenceId, description }
    * @returns {Promise<Object>} Updated pool information
    */
-  async releaseReservedFunds(amount) {
+  async releaseReservedFunds(amount, context = {}) {
     if (amount <= 0) {
       throw new PoolAccountError('Release amount must be positive');
     }
 
     try {
-      const pool = await prisma.poolAccount.findFirst();
-
-      if (!pool) {
-        throw new PoolAccountError('Pool account not found');
-      }
-
-      // Update reserved balance
-      const updatedPool = await prisma.poolAccount.update({
-        where: { id: pool.id },
-        data: {
-          reserved_balance: {
-            decrement: amount
-          }
-        }
-      });
+      const { pool } = await ledgerService.transfer({
+        entryType: LEDGER_ENTRY_TYPES.POOL_RELEASE,
+        debit: LEDGER_ACCOUNT_TYPES.POOL_RESERVED,
+        credit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+        amount,
+        currency: context.currency,
+        description: context.description || 'Pool reserved funds released',
+        referenceType: context.referenceType,
+        referenceId: context.referenceId
+      }, context.tx);
 
       logger.pool('release_reserved', {
         amount,
-        previousReserved: pool.reserved_balance,
-        newReserved: updatedPool.reserved_balance
+        newReserved: pool.reserved_balance
       });
 
       return {
-        totalBalance: parseFloat(updatedPool.total_balance),
-        allocatedBalance: parseFloat(updatedPool.allocated_balance),
-        reservedBalance: parseFloat(updatedPool.reserved_balance)
+        totalBalance: parseFloat(pool.total_balance),
+        allocatedBalance: parseFloat(pool.allocated_balance),
+        reservedBalance: parseFloat(pool.reserved_balance)
       };
     } catch (error) {
       logger.errorWithContext(error, {
@@ -415,39 +447,54 @@ class PoolAccountService {
 
   /**
    * Add funds to the pool (manual top-up by admin)
-   * 
+   *
    * @param {number} amount - Amount to add
    * @param {string} source - Source of funds (bank_transfer, gateway_deposit, etc.)
    * @param {string} reference - Reference number
+   * @param {Object} context - Optional { tx, currency, createdBy, audit },
+   *   audit being the request context written to the audit log
    * @returns {Promise<Object>} Updated pool information
    */
-  async addFundsToPool(amount, source, reference) {
+  async addFundsToPool(amount, source, reference, context = {}) {
     if (amount <= 0) {
       throw new PoolAccountError('Amount must be positive');
     }
 
     try {
-      const pool = await prisma.poolAccount.findFirst();
+      const updatedPool = await ledgerService.runInTransaction(context.tx, async (tx) => {
+        const previous = await this.findPool(tx, context.currency);
 
-      if (!pool) {
-        throw new PoolAccountError('Pool account not found');
-      }
+        const { pool } = await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.POOL_FUNDING,
+          debit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          credit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          amount,
+          currency: context.currency,
+          description: `Pool top-up from ${source}`,
+          referenceType: 'external',
+          referenceId: reference,
+          createdBy: context.createdBy,
+          metadata: { source, reference }
+        }, tx);
+
+        const updated = await tx.poolAccount.update({
+          where: { id: pool.id },
+          data: { last_synced_at: new Date() }
+        });
 
-      const updatedPool = await prisma.poolAccount.update({
-        where: { id: pool.id },
-        data: {
-          total_balance: {
-            increment: amount
-          },
-          last_synced_at: new Date()
-        }
+        await this.auditPoolChange('pool.funds_added', previous, updated, {
+          amount,
+          source,
+          reference
+        }, { ...context.audit, actorId: context.createdBy }, tx);
+
+        return updated;
       });
 
       logger.pool('add_funds', {
         amount,
         source,
         reference,
-        previousTotal: pool.total_balance,
         newTotal: updatedPool.total_balance
       });
 
@@ -455,6 +502,7 @@ class PoolAccountService {
         totalBalance: parseFloat(updatedPool.total_balance),
         allocatedBalance: parseFloat(updatedPool.allocated_balance),
         reservedBalance: parseFloat(updatedPool.reserved_balance),
+        currency: updatedPool.currency,
         addedAmount: amount
       };
     } catch (error) {
@@ -470,59 +518,65 @@ class PoolAccountService {
 
   /**
    * Remove funds from the pool (manual withdrawal by admin)
-   * 
+   *
    * @param {number} amount - Amount to remove
    * @param {string} destination - Destination of funds
    * @param {string} reference - Reference number
+   * @param {Object} context - Optional { tx, currency, createdBy, audit },
+   *   audit being the request context written to the audit log
    * @returns {Promise<Object>} Updated pool information
    */
-  async removeFundsFromPool(amount, destination, reference) {
+  async removeFundsFromPool(amount, destination, reference, context = {}) {
     if (amount <= 0) {
       throw new PoolAccountError('Amount must be positive');
     }
 
     try {
-      return await prisma.$transaction(async (tx) => {
-        const pool = await tx.poolAccount.findFirst();
-
-        if (!pool) {
-          throw new PoolAccountError('Pool account not found');
-        }
-
-        // Check if sufficient unallocated funds
-        const unallocated = parseFloat(pool.total_balance) - 
-                           parseFloat(pool.allocated_balance) - 
-                           parseFloat(pool.reserved_balance);
-
-        if (unallocated < amount) {
-          throw new InsufficientBalanceError(amount, unallocated);
-        }
-
-        const updatedPool = await tx.poolAccount.update({
+      const updatedPool = await ledgerService.runInTransaction(context.tx, async (tx) => {
+        const previous = await this.findPool(tx, context.currency);
+
+        // Fails with InsufficientBalanceError if unallocated funds run out
+        const { pool } = await ledgerService.transfer({
+          entryType: LEDGER_ENTRY_TYPES.POOL_WITHDRAWAL,
+          debit: LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+          credit: LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+          amount,
+          currency: context.currency,
+          description: `Pool withdrawal to ${destination}`,
+          referenceType: 'external',
+          referenceId: reference,
+          createdBy: context.createdBy,
+          metadata: { destination, reference }
+        }, tx);
+
+        const updated = await tx.poolAccount.update({
           where: { id: pool.id },
-          data: {
-            total_balance: {
-              decrement: amount
-            },
-            last_synced_at: new Date()
-          }
+          data: { last_synced_at: new Date() }
         });
 
-        logger.pool('remove_funds', {
+        await this.auditPoolChange('pool.funds_removed', previous, updated, {
           amount,
           destination,
-          reference,
-          previousTotal: pool.total_balance,
-          newTotal: updatedPool.total_balance
-        });
+          reference
+        }, { ...context.audit, actorId: context.createdBy }, tx);
 
-        return {
-          totalBalance: parseFloat(updatedPool.total_balance),
-          allocatedBalance: parseFloat(updatedPool.allocated_balance),
-          reservedBalance: parseFloat(updatedPool.reserved_balance),
-          removedAmount: amount
-        };
+        return updated;
       });
+
+      logger.pool('remove_funds', {
+        amount,
+        destination,
+        reference,
+        newTotal: updatedPool.total_balance
+      });
+
+      return {
+        totalBalance: parseFloat(updatedPool.total_balance),
+        allocatedBalance: parseFloat(updatedPool.allocated_balance),
+        reservedBalance: parseFloat(updatedPool.reserved_balance),
+        currency: updatedPool.currency,
+        removedAmount: amount
+      };
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'removeFundsFromPool',
@@ -536,33 +590,62 @@ class PoolAccountService {
 
   /**
    * Reconcile pool balance with gateway
-   * Syncs local pool balance with actual gateway balance
-   * 
+   * Syncs local pool balance with actual gateway balance by posting the
+   * difference between gateway float and unallocated pool funds
+   *
    * @param {number} gatewayBalance - Current balance from payment gateway
+   * @param {Object} context - Optional { currency, audit }, audit being the
+   *   request context of the admin who asked for it (empty for the
+   *   scheduled sync)
    * @returns {Promise<Object>} Reconciliation result
    */
-  async reconcileWithGateway(gatewayBalance) {
+  async reconcileWithGateway(gatewayBalance, context = {}) {
+    const currency = context.currency || config.pool.currency;
+
     try {
-      const pool = await prisma.poolAccount.findFirst();
+      const pool = await this.findPool(prisma, currency);
 
       if (!pool) {
-        throw new PoolAccountError('Pool account not found');
+        throw new PoolAccountError(`${currency} pool account not found`);
       }
 
       const localBalance = parseFloat(pool.total_balance);
-      const difference = gatewayBalance - localBalance;
+      const difference = Math.round((gatewayBalance - localBalance) * 100) / 100;
 
       // Update if there's a discrepancy
       if (Math.abs(difference) > 0.01) { // Account for floating point precision
-        const updatedPool = await prisma.poolAccount.update({
-          where: { id: pool.id },
-          data: {
-            total_balance: gatewayBalance,
-            last_synced_at: new Date()
-          }
+        const updatedPool = await prisma.$transaction(async (tx) => {
+          const increase = difference > 0;
+
+          await ledgerService.transfer({
+            entryType: LEDGER_ENTRY_TYPES.POOL_RECONCILIATION,
+            debit: increase ? LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT : LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED,
+            credit: increase ? LEDGER_ACCOUNT_TYPES.POOL_UNALLOCATED : LEDGER_ACCOUNT_TYPES.GATEWAY_FLOAT,
+            amount: Math.abs(difference),
+            currency: pool.currency,
+            description: 'Gateway balance reconciliation',
+            referenceType: 'pool_account',
+            referenceId: pool.id,
+            metadata: { localBalance, gatewayBalance },
+            // The gateway is the source of truth, even if it leaves the pool short
+            allowNegative: true
+          }, tx);
+
+          const updated = await tx.poolAccount.update({
+            where: { id: pool.id },
+            data: { last_synced_at: new Date() }
+          });
+
+          await this.auditPoolChange('pool.reconciled', pool, updated, {
+            gateway_balance: gatewayBalance,
+            difference
+          }, context.audit, tx);
+
+          return updated;
         });
 
         logger.pool('reconciled', {
+          currency,
           localBalance,
           gatewayBalance,
           difference,
@@ -571,6 +654,7 @@ class PoolAccountService {
 
         if (Math.abs(difference) > 100) { // Alert for large discrepancies
           logger.error('Large pool balance discrepancy detected', {
+            currency,
             localBalance,
             gatewayBalance,
             difference
@@ -579,6 +663,7 @@ class PoolAccountService {
 
         return {
           reconciled: true,
+          currency,
           difference,
           previousBalance: localBalance,
           newBalance: gatewayBalance
@@ -593,30 +678,61 @@ class PoolAccountService {
 
       return {
         reconciled: false,
+        currency,
         difference: 0,
         balance: localBalance
       };
     } catch (error) {
       logger.errorWithContext(error, {
         method: 'reconcileWithGateway',
-        gatewayBalance
+        gatewayBalance,
+        currency
       });
       throw new PoolAccountError('Failed to reconcile with gateway');
     }
   }
 
+  /**
+   * Write the audit entry of a pool balance change
+   * @param {string} action - Audit action
+   * @param {Object} before - Pool before the change
+   * @param {Object} after - Pool after the change
+   * @param {Object} details - Operation details
+   * @param {Object} context - Request context
+   * @param {Object} tx - Prisma transaction client
+   * @private
+   */
+  async auditPoolChange(action, before, after, details, context, tx) {
+    const balances = (pool) => ({
+      total_balance: pool.total_balance,
+      allocated_balance: pool.allocated_balance,
+      reserved_balance: pool.reserved_balance
+    });
+
+    await auditLogRepository.recordChange({
+      action,
+      entity: 'pool_account',
+      entityId: after.id,
+      before: before ? balances(before) : {},
+      after: balances(after),
+      details,
+      context
+    }, tx);
+  }
+
   /**
    * Get pool health status
    * Checks if pool is healthy and has sufficient reserves
    * 
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Health status
    */
-  async getPoolHealth() {
+  async getPoolHealth(currency = config.pool.currency) {
     try {
-      const pool = await prisma.poolAccount.findFirst();
+      const pool = await this.findPool(prisma, currency);
 
       if (!pool) {
-        throw new PoolAccountError('Pool account not found');
+        throw new PoolAccountError(`${currency} pool account not found`);
       }
 
       const totalBalance = parseFloat(pool.total_balance);
@@ -649,6 +765,7 @@ class PoolAccountService {
       return {
         status,
         warnings,
+        currency,
         balances: {
           total: totalBalance,
           allocated: allocatedBalance,
@@ -668,7 +785,8 @@ class PoolAccountService {
       };
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'getPoolHealth'
+        method: 'getPoolHealth',
+        currency
       });
       throw error;
     }
@@ -678,9 +796,10 @@ class PoolAccountService {
    * Get pool transaction history summary
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {string} currency - Currency code
    * @returns {Promise<Object>} Summary statistics
    */
-  async getPoolSummary(startDate, endDate) {
+  async getPoolSummary(startDate, endDate, currency = config.pool.currency) {
     try {
       const [allocations, deallocations, totalUsers] = await Promise.all([
         // Get total allocations in period
@@ -688,6 +807,7 @@ class PoolAccountService {
           where: {
             transaction_type: 'DEPOSIT',
             status: 'COMPLETED',
+            currency,
             created_at: {
               gte: startDate,
               lte: endDate
@@ -702,6 +822,7 @@ class PoolAccountService {
           where: {
             transaction_type: { in: ['SALE', 'PAYOUT'] },
             status: 'COMPLETED',
+            currency,
             created_at: {
               gte: startDate,
               lte: endDate
@@ -722,6 +843,7 @@ class PoolAccountService {
           start: startDate,
           end: endDate
         },
+        currency,
         allocations: {
           total: allocations._sum.amount ? parseFloat(allocations._sum.amount) : 0,
           count: allocations._count
@@ -735,7 +857,8 @@ class PoolAccountService {
       };
     } catch (error) {
       logger.errorWithContext(error, {
-        method: 'getPoolSummary'
+        method: 'getPoolSummary',
+        currency
       });
       throw error;
     }
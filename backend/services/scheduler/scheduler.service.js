@@ -0,0 +1,409 @@
+/**
+ * Scheduler Service
+ *
+ * Runs registered jobs on cron schedules, safely across several API
+ * instances.
+ *
+ * - Each job has a row in scheduled_jobs holding its schedule, pause flag
+ *   and lease. Every instance polls for due jobs. An instance runs a job
+ *   only after taking the lease with a conditional update, so exactly one
+ *   instance runs each occurrence.
+ * - A running job renews its lease. If the instance dies, the lease
+ *   expires, the job is picked up again on its next occurrence, and the
+ *   dead run is recorded as failed.
+ * - Every run is recorded in job_runs with its trigger, timing, result
+ *   and error.
+ *
+ * Jobs are registered in jobs/index.js.
+ *
+ * Location: backend/services/scheduler/scheduler.service.js
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const scheduledJobRepository = require('../../database/repositories/scheduledJob.repository');
+const jobRunRepository = require('../../database/repositories/jobRun.repository');
+const cron = require('../../src/shared/utils/cron');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { NotFoundError, ConflictError, BadRequestError } = require('../../src/shared/utils/ApiError');
+
+class SchedulerService {
+  constructor() {
+    this.definitions = new Map();
+    this.running = new Set();
+    this.interval = null;
+    this.isTicking = false;
+    this.isSynced = false;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {Object} definition - { cron, description, handler, leaseSeconds }
+   *   handler returns the run result; a result with success: false fails the run
+   * @throws {Error} If the cron expression is invalid
+   */
+  register(name, definition) {
+    cron.parse(definition.cron);
+
+    this.definitions.set(name, {
+      leaseSeconds: config.scheduler.leaseSeconds,
+      ...definition
+    });
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.interval) {
+      logger.warn('Scheduler already running');
+      return;
+    }
+
+    logger.info('Starting job scheduler', {
+      instanceId: this.instanceId,
+      jobs: Array.from(this.definitions.keys()),
+      tickSeconds: config.scheduler.tickSeconds
+    });
+
+    this.tick();
+    this.interval = setInterval(() => this.tick(), config.scheduler.tickSeconds * 1000);
+  }
+
+  /**
+   * Stop polling. Runs in progress finish; their leases are released
+   * when they do.
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('Job scheduler stopped');
+    }
+  }
+
+  /**
+   * Create rows for registered jobs and apply changed schedules
+   */
+  async sync() {
+    for (const [name, definition] of this.definitions) {
+      const job = await scheduledJobRepository.register({
+        name,
+        description: definition.description,
+        cron_expression: definition.cron,
+        next_run_at: cron.nextRun(definition.cron)
+      });
+
+      if (job.cron_expression !== definition.cron || job.description !== definition.description) {
+        await scheduledJobRepository.update(job.id, {
+          description: definition.description,
+          cron_expression: definition.cron,
+          next_run_at: cron.nextRun(definition.cron)
+        });
+
+        logger.info('Job schedule updated', {
+          job: name,
+          cron: definition.cron
+        });
+      }
+    }
+
+    this.isSynced = true;
+  }
+
+  /**
+   * Start every due job this instance can take the lease on
+   */
+  async tick() {
+    if (this.isTicking) {
+      return;
+    }
+
+    this.isTicking = true;
+
+    try {
+      if (!this.isSynced) {
+        await this.sync();
+      }
+
+      const dueJobs = await scheduledJobRepository.findDue(Array.from(this.definitions.keys()));
+
+      for (const job of dueJobs) {
+        if (this.running.has(job.name)) {
+          continue;
+        }
+
+        const claimed = await scheduledJobRepository.acquireLock(
+          job.id,
+          this.instanceId,
+          this.getLeaseExpiry(job.name),
+          {
+            due: true,
+            data: { next_run_at: cron.nextRun(job.cron_expression) }
+          }
+        );
+
+        if (!claimed) {
+          continue;
+        }
+
+        const run = await this.beginRun(job, 'SCHEDULE');
+
+        // Jobs run side by side; a long reconciliation must not hold up the others
+        this.perform(job, run);
+      }
+    } catch (error) {
+      logger.error('Scheduler tick failed', {
+        instanceId: this.instanceId,
+        error: error.message
+      });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Run a job now, outside its schedule (Admin)
+   * @param {string} name - Job name
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} The started run
+   */
+  async runNow(name, adminId) {
+    const job = await this.findJob(name);
+
+    const claimed = await scheduledJobRepository.acquireLock(
+      job.id,
+      this.instanceId,
+      this.getLeaseExpiry(name)
+    );
+
+    if (!claimed) {
+      throw new ConflictError(`Job ${name} is already running`);
+    }
+
+    const run = await this.beginRun(job, 'MANUAL', adminId);
+
+    logger.info('Job triggered manually', {
+      job: name,
+      runId: run.id,
+      adminId
+    });
+
+    this.perform(job, run);
+
+    return run;
+  }
+
+  /**
+   * Record the start of a run. The caller holds the lease.
+   * @param {Object} job - Scheduled job
+   * @param {string} trigger - SCHEDULE or MANUAL
+   * @param {string} triggeredBy - Admin user ID for manual runs
+   * @returns {Promise<Object>} Created run
+   */
+  async beginRun(job, trigger, triggeredBy = null) {
+    this.running.add(job.name);
+
+    try {
+      // Anything still RUNNING belonged to an instance whose lease expired
+      await jobRunRepository.failAbandoned(job.id);
+
+      return await jobRunRepository.start({
+        job_id: job.id,
+        trigger,
+        triggered_by: triggeredBy,
+        instance_id: this.instanceId
+      });
+    } catch (error) {
+      this.running.delete(job.name);
+      await scheduledJobRepository.releaseLock(job.id, this.instanceId);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a job's handler, record the outcome and release the lease
+   * @param {Object} job - Scheduled job
+   * @param {Object} run - Run record
+   * @returns {Promise<void>}
+   */
+  async perform(job, run) {
+    const definition = this.definitions.get(job.name);
+    const heartbeat = setInterval(() => {
+      scheduledJobRepository
+        .extendLock(job.id, this.instanceId, this.getLeaseExpiry(job.name))
+        .catch(error => logger.warn('Failed to renew job lease', {
+          job: job.name,
+          error: error.message
+        }));
+    }, definition.leaseSeconds * 1000 / 3);
+
+    logger.info('Job started', {
+      job: job.name,
+      runId: run.id,
+      trigger: run.trigger
+    });
+
+    try {
+      const result = await definition.handler();
+      const failed = result && result.success === false;
+
+      await jobRunRepository.finish(run, failed ? 'FAILED' : 'SUCCEEDED', {
+        result: this.toJson(result),
+        error_message: failed ? result.error || 'Job reported failure' : null
+      });
+
+      logger.info('Job finished', {
+        job: job.name,
+        runId: run.id,
+        status: failed ? 'FAILED' : 'SUCCEEDED'
+      });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'performJob',
+        job: job.name,
+        runId: run.id
+      });
+
+      await jobRunRepository.finish(run, 'FAILED', {
+        error_message: error.message
+      }).catch(finishError => logger.error('Failed to record job run', {
+        runId: run.id,
+        error: finishError.message
+      }));
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(job.name);
+
+      await scheduledJobRepository.releaseLock(job.id, this.instanceId)
+        .catch(error => logger.error('Failed to release job lease', {
+          job: job.name,
+          error: error.message
+        }));
+    }
+  }
+
+  /**
+   * List jobs with their schedule and last run (Admin)
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs() {
+    if (!this.isSynced) {
+      await this.sync();
+    }
+
+    const jobs = await scheduledJobRepository.findAllWithLastRun(Array.from(this.definitions.keys()));
+    const now = new Date();
+
+    return jobs.map(({ runs, ...job }) => ({
+      ...job,
+      is_running: Boolean(job.locked_until && job.locked_until > now),
+      last_run: runs[0] || null
+    }));
+  }
+
+  /**
+   * Get the run history of a job (Admin)
+   * @param {string} name - Job name
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated runs
+   */
+  async getRuns(name, filters = {}, pagination = {}) {
+    const job = await this.findJob(name);
+
+    return jobRunRepository.findByJobId(job.id, filters, pagination);
+  }
+
+  /**
+   * Stop scheduling a job. A run in progress is not interrupted. (Admin)
+   * @param {string} name - Job name
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Updated job
+   */
+  async pause(name, adminId) {
+    const job = await this.findJob(name);
+
+    if (job.is_paused) {
+      throw new BadRequestError(`Job ${name} is already paused`);
+    }
+
+    const updated = await scheduledJobRepository.pause(job.id, adminId);
+
+    logger.info('Job paused', { job: name, adminId });
+
+    return updated;
+  }
+
+  /**
+   * Resume a paused job from its next occurrence (Admin)
+   * @param {string} name - Job name
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Updated job
+   */
+  async resume(name, adminId) {
+    const job = await this.findJob(name);
+
+    if (!job.is_paused) {
+      throw new BadRequestError(`Job ${name} is not paused`);
+    }
+
+    const updated = await scheduledJobRepository.resume(job.id, cron.nextRun(job.cron_expression));
+
+    logger.info('Job resumed', {
+      job: name,
+      adminId,
+      nextRunAt: updated.next_run_at
+    });
+
+    return updated;
+  }
+
+  /**
+   * Find a registered job's row
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} Scheduled job
+   * @throws {NotFoundError} If the job is unknown
+   */
+  async findJob(name) {
+    if (!this.isSynced) {
+      await this.sync();
+    }
+
+    const job = this.definitions.has(name)
+      ? await scheduledJobRepository.findByName(name)
+      : null;
+
+    if (!job) {
+      throw new NotFoundError('Job');
+    }
+
+    return job;
+  }
+
+  /**
+   * Lease expiry for a job starting now
+   * @param {string} name - Job name
+   * @returns {Date}
+   */
+  getLeaseExpiry(name) {
+    return new Date(Date.now() + this.definitions.get(name).leaseSeconds * 1000);
+  }
+
+  /**
+   * Convert a handler result to a JSON column value
+   * @param {*} result - Handler result
+   * @returns {Object|undefined}
+   */
+  toJson(result) {
+    return result === undefined || result === null
+      ? undefined
+      : JSON.parse(JSON.stringify(result));
+  }
+}
+
+// Export singleton instance
+module.exports = new SchedulerService();
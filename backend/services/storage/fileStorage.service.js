@@ -0,0 +1,106 @@
+/**
+ * File Storage Service
+ *
+ * Stores uploaded documents (bank statements, identity documents) on local
+ * disk under config.uploads.directory. Callers keep the returned relative
+ * path and read the file back through this service; paths that resolve
+ * outside the upload directory are refused.
+ *
+ * Location: backend/services/storage/fileStorage.service.js
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { NotFoundError, BadRequestError } = require('../../src/shared/utils/ApiError');
+
+/**
+ * File extensions for accepted document types
+ */
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+class FileStorageService {
+  constructor() {
+    this.baseDirectory = path.resolve(config.uploads.directory);
+  }
+
+  /**
+   * Save an uploaded file
+   * @param {Object} file - Multer file (memory storage)
+   * @param {string} folder - Folder inside the upload directory, e.g. "bank-accounts/<id>"
+   * @returns {Promise<Object>} { path, name, mime_type, size }
+   */
+  async save(file, folder) {
+    const extension = EXTENSIONS[file.mimetype] || '';
+    const relativePath = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+    const absolutePath = this.resolve(relativePath);
+
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, file.buffer, { flag: 'wx' });
+
+    logger.info('File stored', {
+      path: relativePath,
+      size: file.size,
+      mimeType: file.mimetype
+    });
+
+    return {
+      path: relativePath,
+      name: path.basename(file.originalname || 'document').slice(0, 255),
+      mime_type: file.mimetype,
+      size: file.size
+    };
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} relativePath - Path returned by save()
+   * @returns {Promise<Buffer>} File contents
+   * @throws {NotFoundError} If the file is missing
+   */
+  async read(relativePath) {
+    try {
+      return await fs.readFile(this.resolve(relativePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError('File');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a stored file. Missing files are ignored.
+   * @param {string} relativePath - Path returned by save()
+   * @returns {Promise<void>}
+   */
+  async remove(relativePath) {
+    await fs.rm(this.resolve(relativePath), { force: true });
+  }
+
+  /**
+   * Resolve a relative path inside the upload directory
+   * @param {string} relativePath - Relative path
+   * @returns {string} Absolute path
+   * @throws {BadRequestError} If the path escapes the upload directory
+   */
+  resolve(relativePath) {
+    const absolutePath = path.resolve(this.baseDirectory, relativePath);
+
+    if (!absolutePath.startsWith(this.baseDirectory + path.sep)) {
+      throw new BadRequestError('Invalid file path');
+    }
+
+    return absolutePath;
+  }
+}
+
+// Export singleton instance
+module.exports = new FileStorageService();
@@ -7,16 +7,18 @@
  * Location: src/services/transaction/transactionService.js
  */
 
+const { prisma } = require('../../src/config/database.config');
 const transactionRepository = require('../../database/repositories/transaction.repository');
 const balanceService = require('../balance/balance.service');
-const poolAccountService = require('../poolAccount/poolAccount.service');
-const paymentGatewayService = require('../payment/paymentGateway.service');
+const ledgerService = require('../balance/ledger.service');
+const feeService = require('../fee/fee.service');
+const commissionService = require('../commission/commission.service');
 const logger = require('../../src/shared/utils/logger');
 const config = require('../../src/config/environment.config');
+const { FEE_OPERATIONS, LEDGER_ACCOUNT_TYPES, LIMIT_PRODUCTS } = require('../../src/config/constants.config');
 const {
   InsufficientBalanceError,
   PaymentFailedError,
-  TransactionLimitError,
   BadRequestError,
   NotFoundError
 } = require('../../src/shared/utils/ApiError');
@@ -29,59 +31,78 @@ class TransactionService {
    * @returns {Promise<Object>} Completed transaction
    */
   async processSale(userId, saleData) {
-    const { amount, customer_name, customer_email, description, items, metadata } = saleData;
+    const {
+      amount,
+      currency = config.pool.currency,
+      customer_name,
+      customer_email,
+      description,
+      items,
+      metadata
+    } = saleData;
 
     try {
-      // Validate amount limits
-      if (amount < config.limits.minTransactionAmount) {
-        throw new TransactionLimitError(config.limits.minTransactionAmount, 'minimum');
-      }
-
-      if (amount > config.limits.maxTransactionAmount) {
-        throw new TransactionLimitError(config.limits.maxTransactionAmount, 'maximum');
-      }
+      // The fee is charged on top of the sale and reserved with it
+      const feeQuote = await feeService.quote(FEE_OPERATIONS.SALE, amount, currency);
+      const reserveAmount = feeQuote.total_amount;
 
       // Check user has sufficient balance
-      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, amount);
+      const hasSufficientBalance = await balanceService.checkSufficientBalance(userId, reserveAmount, currency);
       
       if (!hasSufficientBalance) {
-        const balance = await balanceService.getBalance(userId);
-        throw new InsufficientBalanceError(amount, balance.available);
+        const balance = await balanceService.getBalance(userId, currency);
+        throw new InsufficientBalanceError(reserveAmount, balance.available);
       }
 
-      // Reserve funds before processing
-      await balanceService.reserveFunds(userId, amount);
+      // Check the sales limits of the seller, reserve the funds and record
+      // the sale as pending
+      const sale = await commissionService.reserveSale({
+        user_id: userId,
+        amount,
+        currency,
+        customer_name,
+        customer_email,
+        description,
+        metadata: items ? { items, ...metadata } : metadata
+      }, LIMIT_PRODUCTS.SALE, reserveAmount);
 
       let transaction;
       
       try {
         // Process payment through gateway (if needed)
         // For now, we just deduct from balance since gateway handles the actual payment
-        
-        // Create transaction record
-        transaction = await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
-          amount,
-          currency: 'USD',
-          status: 'COMPLETED',
-          customer_name,
-          customer_email,
-          description,
-          metadata: items ? { items, ...metadata } : metadata,
-          completed_at: new Date()
-        });
-
-        // Deallocate from pool and user balance
-        await poolAccountService.deallocateFromUser(userId, amount);
 
-        // Release reserved funds (already deducted by deallocate)
-        await balanceService.completeReservedTransaction(userId, amount);
+        // Complete the sale, settle reserved funds out of the gateway float
+        // and take the fee
+        transaction = await ledgerService.runInTransaction(null, async (tx) => {
+          const completed = await transactionRepository.updateStatus(sale.id, 'COMPLETED', {}, tx);
+
+          await balanceService.completeReservedTransaction(userId, amount, {
+            tx,
+            currency,
+            referenceType: 'transaction',
+            referenceId: sale.id
+          });
+
+          await feeService.chargeFee({
+            userId,
+            operation: FEE_OPERATIONS.SALE,
+            fee: feeQuote.fee,
+            currency,
+            fromAccount: LEDGER_ACCOUNT_TYPES.SELLER_RESERVED,
+            referenceType: 'transaction',
+            referenceId: sale.id,
+            scheduleId: feeQuote.schedule_id
+          }, tx);
+
+          return completed;
+        });
 
         logger.transaction('sale_completed', {
           id: transaction.id,
           userId,
           amount,
+          fee: feeQuote.fee,
           status: transaction.status
         });
 
@@ -89,18 +110,7 @@ class TransactionService {
 
       } catch (error) {
         // Rollback: Release reserved funds
-        await balanceService.releaseReservedFunds(userId, amount);
-
-        // Create failed transaction record
-        await transactionRepository.create({
-          user_id: userId,
-          transaction_type: 'SALE',
-          amount,
-          status: 'FAILED',
-          description,
-          error_message: error.message,
-          failed_at: new Date()
-        });
+        await commissionService.failSale(sale, error, reserveAmount);
 
         throw new PaymentFailedError('Sale processing failed', error.message);
       }
@@ -155,8 +165,15 @@ class TransactionService {
         throw new BadRequestError('Refund amount cannot exceed original transaction amount');
       }
 
-      // Create refund transaction using repository method
-      const refundTransaction = await transactionRepository.createRefund(
+      // The fee is kept from the amount credited back
+      const feeQuote = await feeService.quote(
+        FEE_OPERATIONS.REFUND,
+        amount,
+        originalTransaction.currency
+      );
+
+      // Create refund transaction and credit the user atomically
+      const refundTransaction = await this.recordRefund(
         {
           user_id: userId,
           transaction_type: 'REFUND',
@@ -170,17 +187,17 @@ class TransactionService {
           },
           completed_at: new Date()
         },
-        transactionId
+        transactionId,
+        null,
+        feeQuote
       );
 
-      // Allocate funds back to user
-      await poolAccountService.allocateToUser(userId, amount);
-
       logger.transaction('refund_completed', {
         id: refundTransaction.id,
         originalTransactionId: transactionId,
         userId,
-        amount
+        amount,
+        fee: feeQuote.fee
       });
 
       return refundTransaction;
@@ -195,6 +212,55 @@ class TransactionService {
     }
   }
 
+  /**
+   * Record a refund and credit the refunded amount back to the user
+   * Both happen in one database transaction so the ledger never
+   * diverges from the refund records.
+   * @param {Object} refundData - Refund transaction data
+   * @param {string} originalTransactionId - Original transaction ID
+   * @param {string} createdBy - Admin who forced the refund (optional)
+   * @param {Object} feeQuote - Refund fee quote (optional, no fee if omitted)
+   * @returns {Promise<Object>} Refund transaction
+   */
+  async recordRefund(refundData, originalTransactionId, createdBy = null, feeQuote = null) {
+    return prisma.$transaction(async (tx) => {
+      const refund = await transactionRepository.createRefund(
+        refundData,
+        originalTransactionId,
+        tx
+      );
+
+      await balanceService.creditBalance(
+        refundData.user_id,
+        parseFloat(refundData.amount),
+        'refund',
+        { original_transaction_id: originalTransactionId },
+        {
+          tx,
+          currency: refundData.currency,
+          referenceType: 'transaction',
+          referenceId: refund.id,
+          createdBy
+        }
+      );
+
+      if (feeQuote) {
+        await feeService.chargeFee({
+          userId: refundData.user_id,
+          operation: FEE_OPERATIONS.REFUND,
+          fee: feeQuote.fee,
+          currency: refundData.currency,
+          referenceType: 'transaction',
+          referenceId: refund.id,
+          scheduleId: feeQuote.schedule_id,
+          createdBy
+        }, tx);
+      }
+
+      return refund;
+    });
+  }
+
   /**
    * Get transaction by ID
    * @param {string} transactionId - Transaction ID
@@ -374,7 +440,9 @@ class TransactionService {
 
       // Release reserved funds if any
       if (parseFloat(transaction.amount) > 0) {
-        await balanceService.releaseReservedFunds(userId, parseFloat(transaction.amount));
+        await balanceService.releaseReservedFunds(userId, parseFloat(transaction.amount), {
+          currency: transaction.currency
+        });
       }
 
       // Update transaction status
@@ -0,0 +1,126 @@
+/**
+ * User Service
+ *
+ * Account changes made by a seller on their own profile or by an admin on
+ * a user: each change is written together with its audit log entry.
+ *
+ * Location: backend/services/user/user.service.js
+ */
+
+const userRepository = require('../../database/repositories/user.repository');
+const auditLogRepository = require('../../database/repositories/auditLog.repository');
+const { prisma } = require('../../src/config/database.config');
+const logger = require('../../src/shared/utils/logger');
+const { NotFoundError } = require('../../src/shared/utils/ApiError');
+
+class UserService {
+  /**
+   * Update a user's own profile
+   * @param {string} userId - User ID
+   * @param {Object} data - { business_name, phone }
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateProfile(userId, data, context = {}) {
+    return this.applyChange(userId, 'user.profile_updated', context, (tx) =>
+      userRepository.updateProfile(userId, data, tx)
+    );
+  }
+
+  /**
+   * Set a user's status (Admin)
+   * @param {string} userId - User ID
+   * @param {string} status - New status
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateStatus(userId, status, context = {}) {
+    return this.applyChange(userId, 'user.status_updated', context, (tx) =>
+      userRepository.updateStatus(userId, status, tx)
+    );
+  }
+
+  /**
+   * Set a seller's preferred payment provider (Admin)
+   * @param {string} userId - User ID
+   * @param {string|null} provider - Provider name, or null for the platform default
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated user
+   */
+  async updatePaymentProvider(userId, provider, context = {}) {
+    return this.applyChange(userId, 'user.payment_provider_updated', context, (tx) =>
+      userRepository.updatePaymentProvider(userId, provider, tx)
+    );
+  }
+
+  /**
+   * Suspend a user (Admin)
+   * @param {string} userId - User ID
+   * @param {string} reason - Suspension reason
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated user
+   */
+  async suspendUser(userId, reason, context = {}) {
+    return this.applyChange(userId, 'user.suspended', context, (tx) =>
+      userRepository.suspendUser(userId, reason, tx),
+    { reason });
+  }
+
+  /**
+   * Reactivate a user (Admin)
+   * @param {string} userId - User ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Updated user
+   */
+  async activateUser(userId, context = {}) {
+    return this.applyChange(userId, 'user.activated', context, (tx) =>
+      userRepository.activateUser(userId, tx)
+    );
+  }
+
+  /**
+   * Run a user update and audit it in one transaction
+   * @param {string} userId - User ID
+   * @param {string} action - Audit action
+   * @param {Object} context - Request context
+   * @param {Function} update - (tx) => updated (sanitized) user
+   * @param {Object} details - Extra values for the audit entry
+   * @returns {Promise<Object>} Updated user
+   * @private
+   */
+  async applyChange(userId, action, context, update, details = {}) {
+    try {
+      const user = await userRepository.findById(userId);
+
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+
+      return await prisma.$transaction(async (tx) => {
+        const updated = await update(tx);
+
+        await auditLogRepository.recordChange({
+          action,
+          entity: 'user',
+          entityId: userId,
+          before: userRepository.sanitizeUser(user),
+          after: updated,
+          details,
+          context
+        }, tx);
+
+        return updated;
+      });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'applyChange',
+        action,
+        userId
+      });
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new UserService();
@@ -0,0 +1,336 @@
+/**
+ * Gateway Webhook Service
+ *
+ * Receives status callbacks from payment providers and applies them to the
+ * deposit, payout or transaction they refer to.
+ *
+ * Flow for every callback:
+ * 1. The provider adapter authenticates it (signature or shared token).
+ *    Unauthenticated callbacks are logged and rejected without being stored.
+ * 2. The adapter normalizes the payload into a webhook event.
+ * 3. The event is stored with its raw payload; (provider, event_id) is
+ *    unique, so redeliveries of an applied event are acknowledged and skipped.
+ * 4. The event's reference is matched to a pending deposit, a submitted
+ *    payout or a pending transaction and the status transition is applied.
+ *
+ * Failed events are kept as FAILED and retried on the next redelivery, or
+ * replayed by an admin.
+ *
+ * Location: backend/services/webhook/gatewayWebhook.service.js
+ */
+
+const paymentFactory = require('../payment/paymentFactory');
+const depositService = require('../deposit/deposit.service');
+const payoutService = require('../payout/payout.service');
+const balanceService = require('../balance/balance.service');
+const ledgerService = require('../balance/ledger.service');
+const commissionService = require('../commission/commission.service');
+const webhookEventRepository = require('../../database/repositories/webhookEvent.repository');
+const depositRepository = require('../../database/repositories/deposit.repository');
+const payoutRepository = require('../../database/repositories/payout.repository');
+const transactionRepository = require('../../database/repositories/transaction.repository');
+const { eventHelpers } = require('../../events/eventEmitter');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const { PROVIDER_TRANSACTION_STATUS } = require('../../src/config/constants.config');
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+  ServiceUnavailableError
+} = require('../../src/shared/utils/ApiError');
+
+/**
+ * Request headers worth keeping with a stored event
+ */
+const STORED_HEADERS = /^(x-|content-type$|user-agent$)/i;
+
+/**
+ * Headers that carry credentials and must never be stored
+ */
+const SECRET_HEADERS = ['x-webhook-token', 'authorization', 'cookie'];
+
+class GatewayWebhookService {
+  /**
+   * Handle a callback from a payment provider
+   * @param {string} providerName - Provider name from the URL
+   * @param {Object} request - { rawBody, body, headers, query }
+   * @returns {Promise<Object>} { eventId, status, duplicate }
+   */
+  async handle(providerName, request) {
+    if (!config.features.enableWebhooks) {
+      throw new ServiceUnavailableError('Webhooks', 'Webhooks are disabled');
+    }
+
+    const provider = paymentFactory.getProvider(providerName);
+
+    if (!provider.verifyWebhook(request)) {
+      logger.security('webhook_verification_failed', {
+        provider: provider.name,
+        ip: request.ip
+      });
+      throw new UnauthorizedError('Invalid webhook signature');
+    }
+
+    const event = provider.parseWebhook(request.body, request.headers);
+
+    let record = await webhookEventRepository.createIfNew({
+      provider: provider.name,
+      event_id: event.eventId,
+      event_type: event.type,
+      reference: event.reference,
+      payload: request.body,
+      headers: this.pickHeaders(request.headers)
+    });
+
+    if (!record) {
+      const existing = await webhookEventRepository.findByEventId(provider.name, event.eventId);
+
+      // Only a failed attempt is retried; anything else is a duplicate delivery
+      if (existing.status !== 'FAILED' || !(await webhookEventRepository.reclaimFailed(existing.id))) {
+        logger.info('Duplicate webhook event ignored', {
+          provider: provider.name,
+          eventId: event.eventId,
+          status: existing.status
+        });
+
+        return { eventId: existing.id, status: existing.status, duplicate: true };
+      }
+
+      record = existing;
+    }
+
+    const result = await this.process(record, event);
+
+    return { eventId: record.id, status: result.status, duplicate: false };
+  }
+
+  /**
+   * Re-run a stored event (Admin)
+   * @param {string} id - Webhook event ID
+   * @returns {Promise<Object>} Updated event
+   */
+  async replay(id) {
+    const record = await webhookEventRepository.findById(id);
+
+    if (!record) {
+      throw new NotFoundError('Webhook event');
+    }
+
+    if (record.status !== 'FAILED') {
+      throw new BadRequestError(`Only failed events can be replayed (event is ${record.status})`);
+    }
+
+    if (!(await webhookEventRepository.reclaimFailed(record.id))) {
+      throw new BadRequestError('Webhook event is already being processed');
+    }
+
+    const provider = paymentFactory.getProvider(record.provider);
+    const event = provider.parseWebhook(record.payload, record.headers || {});
+
+    await this.process(record, event);
+
+    return webhookEventRepository.findById(id);
+  }
+
+  /**
+   * List stored events (Admin)
+   * @param {Object} filters - { provider, status, reference }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated events
+   */
+  async listEvents(filters = {}, pagination = {}) {
+    return webhookEventRepository.list(filters, pagination);
+  }
+
+  /**
+   * Apply an event and record the outcome
+   * @param {Object} record - Stored webhook event
+   * @param {Object} event - Normalized event
+   * @returns {Promise<Object>} Updated webhook event
+   */
+  async process(record, event) {
+    try {
+      const outcome = await this.apply(event);
+      const entity = outcome.entityType
+        ? { entity_type: outcome.entityType, entity_id: outcome.entityId }
+        : {};
+
+      if (outcome.ignored) {
+        logger.info('Webhook event ignored', {
+          provider: record.provider,
+          eventId: record.event_id,
+          reason: outcome.ignored
+        });
+
+        return await webhookEventRepository.markIgnored(record.id, outcome.ignored, entity);
+      }
+
+      logger.info('Webhook event processed', {
+        provider: record.provider,
+        eventId: record.event_id,
+        entityType: outcome.entityType,
+        entityId: outcome.entityId,
+        status: event.status
+      });
+
+      return await webhookEventRepository.markProcessed(record.id, entity);
+    } catch (error) {
+      await webhookEventRepository.markFailed(record.id, error.message);
+
+      logger.errorWithContext(error, {
+        method: 'processWebhookEvent',
+        provider: record.provider,
+        eventId: record.event_id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Match an event to the entity it refers to and apply it
+   * @param {Object} event - Normalized event
+   * @returns {Promise<Object>} { entityType, entityId, ignored }
+   */
+  async apply(event) {
+    const references = [event.reference, event.clientReference].filter(Boolean);
+
+    if (![PROVIDER_TRANSACTION_STATUS.COMPLETED, PROVIDER_TRANSACTION_STATUS.FAILED].includes(event.status)) {
+      return { ignored: `Status ${event.status} does not change any record` };
+    }
+
+    for (const reference of references) {
+      const deposit = await depositRepository.findByGatewayReference(reference);
+      if (deposit) {
+        return this.applyToDeposit(deposit, event);
+      }
+
+      const payout = await payoutRepository.findByGatewayReference(reference);
+      if (payout) {
+        return this.applyToPayout(payout, event);
+      }
+
+      const transaction = await transactionRepository.findByGatewayId(reference);
+      if (transaction) {
+        return this.applyToTransaction(transaction, event);
+      }
+    }
+
+    return { ignored: `No deposit, payout or transaction matches reference ${references.join(', ')}` };
+  }
+
+  /**
+   * PENDING deposit -> APPROVED (funds allocated) or REJECTED
+   * @param {Object} deposit - Deposit request
+   * @param {Object} event - Normalized event
+   * @returns {Promise<Object>} Outcome
+   */
+  async applyToDeposit(deposit, event) {
+    const entity = { entityType: 'deposit_request', entityId: deposit.id };
+
+    if (deposit.status !== 'PENDING') {
+      return { ...entity, ignored: `Deposit is already ${deposit.status}` };
+    }
+
+    if (event.status === PROVIDER_TRANSACTION_STATUS.COMPLETED) {
+      // approveDeposit re-checks the payment with the provider before allocating funds
+      await depositService.approveDeposit(deposit.id, null);
+      return entity;
+    }
+
+    const reason = `Payment failed at ${deposit.metadata?.provider || 'provider'}`;
+    await depositService.rejectDeposit(deposit.id, reason);
+    return entity;
+  }
+
+  /**
+   * SUBMITTED payout -> COMPLETED (reserved funds settled) or FAILED (released)
+   * @param {Object} payout - Payout request
+   * @param {Object} event - Normalized event
+   * @returns {Promise<Object>} Outcome
+   */
+  async applyToPayout(payout, event) {
+    const entity = { entityType: 'payout_request', entityId: payout.id };
+
+    if (!['PROCESSING', 'SUBMITTED'].includes(payout.status)) {
+      return { ...entity, ignored: `Payout is already ${payout.status}` };
+    }
+
+    // A status poll may settle the payout between the lookup and this update
+    const updated = event.status === PROVIDER_TRANSACTION_STATUS.COMPLETED
+      ? await payoutService.settlePayout(payout, payout.gateway_reference)
+      : await payoutService.failProcessingPayout(payout, 'Payout failed at provider');
+
+    if (!updated) {
+      return { ...entity, ignored: 'Payout was settled concurrently' };
+    }
+
+    return entity;
+  }
+
+  /**
+   * PENDING/PROCESSING transaction -> COMPLETED (reserved funds settled and
+   * commission credited, as for synchronous sales) or FAILED (released)
+   * @param {Object} transaction - Transaction
+   * @param {Object} event - Normalized event
+   * @returns {Promise<Object>} Outcome
+   */
+  async applyToTransaction(transaction, event) {
+    const entity = { entityType: 'transaction', entityId: transaction.id };
+
+    if (!['PENDING', 'PROCESSING'].includes(transaction.status)) {
+      return { ...entity, ignored: `Transaction is already ${transaction.status}` };
+    }
+
+    const amount = parseFloat(transaction.amount);
+    const context = {
+      currency: transaction.currency,
+      referenceType: 'transaction',
+      referenceId: transaction.id
+    };
+
+    if (event.status === PROVIDER_TRANSACTION_STATUS.COMPLETED) {
+      // The callback may report the commission; otherwise use the one
+      // returned when the sale was submitted
+      const commission = event.commission ?? transaction.metadata?.commission ?? null;
+
+      await ledgerService.runInTransaction(null, async (tx) => {
+        await commissionService.settleSale(
+          transaction,
+          transaction.metadata?.service_type,
+          commission,
+          tx
+        );
+        const completed = await transactionRepository.updateStatus(transaction.id, 'COMPLETED', {}, tx);
+        await eventHelpers.transactionCompleted(completed, { tx });
+      });
+      return entity;
+    }
+
+    const reason = 'Transaction failed at provider';
+    await ledgerService.runInTransaction(null, async (tx) => {
+      await balanceService.releaseReservedFunds(transaction.user_id, amount, { ...context, tx });
+      const failed = await transactionRepository.updateStatus(transaction.id, 'FAILED', {
+        error_message: reason
+      }, tx);
+      await eventHelpers.transactionFailed(failed, reason, { tx });
+    });
+    return entity;
+  }
+
+  /**
+   * Keep the provider headers useful for debugging, without credentials
+   * @param {Object} headers - Request headers
+   * @returns {Object} Filtered headers
+   */
+  pickHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers).filter(
+        ([name]) => STORED_HEADERS.test(name) && !SECRET_HEADERS.includes(name.toLowerCase())
+      )
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new GatewayWebhookService();
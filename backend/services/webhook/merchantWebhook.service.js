@@ -0,0 +1,508 @@
+/**
+ * Merchant Webhook Service
+ *
+ * Lets sellers register HTTPS endpoints that are notified when their
+ * transactions, deposits, payouts and balances change.
+ *
+ * Deliveries are JSON POSTs signed with the endpoint's secret:
+ *
+ *   X-Payfac-Signature: t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Endpoints must resolve to public addresses, checked when they are saved
+ * and again on every delivery (src/shared/utils/publicAddress.js). Only the
+ * response status is kept, never the response body.
+ *
+ * Every delivery is logged. Non-2xx responses and network errors are
+ * retried with exponential backoff (config.webhooks), and an endpoint that
+ * keeps failing is disabled and its owner emailed.
+ *
+ * Location: backend/services/webhook/merchantWebhook.service.js
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const merchantWebhookRepository = require('../../database/repositories/merchantWebhook.repository');
+const webhookDeliveryRepository = require('../../database/repositories/webhookDelivery.repository');
+const userRepository = require('../../database/repositories/user.repository');
+const emailService = require('../notifications/email.service');
+const { MERCHANT_WEBHOOK_EVENTS } = require('../../events/eventEmitter');
+const config = require('../../src/config/environment.config');
+const logger = require('../../src/shared/utils/logger');
+const {
+  assertPublicUrl,
+  publicHttpAgent,
+  publicHttpsAgent
+} = require('../../src/shared/utils/publicAddress');
+const {
+  BadRequestError,
+  NotFoundError
+} = require('../../src/shared/utils/ApiError');
+
+const SIGNATURE_HEADER = 'X-Payfac-Signature';
+
+class MerchantWebhookService {
+  /**
+   * Register a webhook endpoint
+   * @param {string} userId - User ID
+   * @param {Object} data - { url, events, description, secret }
+   * @returns {Promise<Object>} Endpoint, including its secret
+   */
+  async createWebhook(userId, data) {
+    try {
+      const existing = await merchantWebhookRepository.count({ user_id: userId });
+
+      if (existing >= config.webhooks.maxEndpointsPerUser) {
+        throw new BadRequestError(
+          `You can register at most ${config.webhooks.maxEndpointsPerUser} webhook endpoints`
+        );
+      }
+
+      await assertPublicUrl(data.url);
+
+      const webhook = await merchantWebhookRepository.create({
+        user_id: userId,
+        url: data.url,
+        events: this.validateEvents(data.events),
+        description: data.description,
+        secret: data.secret || this.generateSecret()
+      });
+
+      logger.info('Merchant webhook registered', {
+        webhookId: webhook.id,
+        userId,
+        events: webhook.events
+      });
+
+      // The secret is only returned when it is created or rotated
+      return webhook;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'createWebhook',
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's webhook endpoints
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Endpoints (without secrets)
+   */
+  async getWebhooks(userId) {
+    const webhooks = await merchantWebhookRepository.findByUserId(userId);
+    return webhooks.map(webhook => this.toPublic(webhook));
+  }
+
+  /**
+   * Get a webhook endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Endpoint (without secret)
+   */
+  async getWebhook(webhookId, userId) {
+    return this.toPublic(await this.findOwned(webhookId, userId));
+  }
+
+  /**
+   * Update a webhook endpoint. Re-activating a disabled endpoint clears
+   * its failure streak.
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - { url, events, description, is_active }
+   * @returns {Promise<Object>} Updated endpoint (without secret)
+   */
+  async updateWebhook(webhookId, userId, data) {
+    try {
+      const webhook = await this.findOwned(webhookId, userId);
+      const { is_active, ...changes } = data;
+
+      if (changes.events) {
+        changes.events = this.validateEvents(changes.events);
+      }
+
+      if (changes.url) {
+        await assertPublicUrl(changes.url);
+      }
+
+      let updated = Object.keys(changes).length > 0
+        ? await merchantWebhookRepository.update(webhook.id, changes)
+        : webhook;
+
+      if (is_active === true && !webhook.is_active) {
+        updated = await merchantWebhookRepository.enable(webhook.id);
+      } else if (is_active === false && webhook.is_active) {
+        await merchantWebhookRepository.disable(webhook.id, 'Disabled by user');
+        updated = await merchantWebhookRepository.findById(webhook.id);
+      }
+
+      logger.info('Merchant webhook updated', {
+        webhookId,
+        userId
+      });
+
+      return this.toPublic(updated);
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'updateWebhook',
+        webhookId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a new signing secret for an endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Endpoint, including its new secret
+   */
+  async rotateSecret(webhookId, userId) {
+    const webhook = await this.findOwned(webhookId, userId);
+
+    const updated = await merchantWebhookRepository.update(webhook.id, {
+      secret: this.generateSecret()
+    });
+
+    logger.security('webhook_secret_rotated', {
+      webhookId,
+      userId
+    });
+
+    return updated;
+  }
+
+  /**
+   * Delete a webhook endpoint and its delivery log
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(webhookId, userId) {
+    const webhook = await this.findOwned(webhookId, userId);
+
+    await merchantWebhookRepository.delete(webhook.id);
+
+    logger.info('Merchant webhook deleted', {
+      webhookId,
+      userId
+    });
+  }
+
+  /**
+   * Get the delivery log of an endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} filters - { status, event_name }
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated deliveries
+   */
+  async getDeliveries(webhookId, userId, filters = {}, pagination = {}) {
+    const webhook = await this.findOwned(webhookId, userId);
+    return webhookDeliveryRepository.findByWebhookId(webhook.id, filters, pagination);
+  }
+
+  /**
+   * Send a delivery again, whatever its previous outcome
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Delivery after the new attempt
+   */
+  async redeliver(webhookId, deliveryId, userId) {
+    const webhook = await this.findOwned(webhookId, userId);
+    const delivery = await webhookDeliveryRepository.findOne({
+      id: deliveryId,
+      webhook_id: webhook.id
+    });
+
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery');
+    }
+
+    if (!webhook.is_active) {
+      throw new BadRequestError('Re-enable the webhook endpoint before redelivering');
+    }
+
+    if (delivery.status === 'PENDING') {
+      throw new BadRequestError('Delivery is already queued');
+    }
+
+    const requeued = await webhookDeliveryRepository.requeue(delivery.id);
+
+    logger.info('Webhook delivery requeued', {
+      webhookId,
+      deliveryId,
+      userId
+    });
+
+    await this.attempt({ ...requeued, webhook });
+
+    return webhookDeliveryRepository.findById(delivery.id);
+  }
+
+  /**
+   * Queue and send an event to every endpoint of its owner that subscribes to it
+   * @param {string} eventName - EVENT_NAMES value
+   * @param {Object} data - Event data (must include userId)
+   * @param {string|null} outboxEventId - Outbox event being handled; an
+   *   endpoint that already has a delivery for it is skipped
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatch(eventName, data, outboxEventId = null) {
+    if (!config.features.enableWebhooks || !data?.userId) {
+      return 0;
+    }
+
+    const webhooks = await merchantWebhookRepository.findSubscribers(data.userId, eventName);
+    let queued = 0;
+
+    for (const webhook of webhooks) {
+      const delivery = await webhookDeliveryRepository.createIfNew({
+        webhook_id: webhook.id,
+        event_name: eventName,
+        payload: data,
+        outbox_event_id: outboxEventId,
+        next_attempt_at: new Date()
+      });
+
+      // Queued by an earlier attempt of this event; the retry job sends it
+      if (!delivery) {
+        continue;
+      }
+
+      queued++;
+      await this.attempt({ ...delivery, webhook });
+    }
+
+    return queued;
+  }
+
+  /**
+   * Send deliveries whose retry is due (called by the retry job)
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Object>} { attempted, delivered }
+   */
+  async retryDue(limit = 50) {
+    const deliveries = await webhookDeliveryRepository.findDue(limit);
+    let delivered = 0;
+
+    for (const delivery of deliveries) {
+      if (await this.attempt(delivery)) {
+        delivered++;
+      }
+    }
+
+    return { attempted: deliveries.length, delivered };
+  }
+
+  /**
+   * Make one delivery attempt
+   * @param {Object} delivery - Delivery with its webhook
+   * @returns {Promise<boolean>} True if delivered
+   */
+  async attempt(delivery) {
+    const { webhook } = delivery;
+    const leaseUntil = new Date(Date.now() + config.webhooks.timeoutMs * 2);
+
+    if (!(await webhookDeliveryRepository.claim(delivery.id, leaseUntil))) {
+      return false;
+    }
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event_name,
+      created_at: delivery.created_at,
+      data: delivery.payload
+    });
+
+    let response;
+
+    try {
+      // Also covers IP literals, which the agents' lookup never sees
+      await assertPublicUrl(webhook.url);
+
+      response = await axios.post(webhook.url, body, {
+        timeout: config.webhooks.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent,
+        responseType: 'stream',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `${config.app.name} Webhooks`,
+          'X-Payfac-Event': delivery.event_name,
+          'X-Payfac-Delivery': delivery.id,
+          [SIGNATURE_HEADER]: this.sign(webhook.secret, body)
+        }
+      });
+    } catch (error) {
+      await this.recordFailure(delivery, { error: error.message });
+      return false;
+    }
+
+    // The response body is never read or stored
+    response.data?.destroy?.();
+
+    if (response.status >= 200 && response.status < 300) {
+      await webhookDeliveryRepository.markDelivered(delivery.id, {
+        status: response.status
+      });
+      await merchantWebhookRepository.recordSuccess(webhook.id);
+
+      logger.info('Webhook delivered', {
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+        event: delivery.event_name,
+        status: response.status
+      });
+
+      return true;
+    }
+
+    await this.recordFailure(delivery, {
+      status: response.status,
+      error: `Endpoint responded with HTTP ${response.status}`
+    });
+
+    return false;
+  }
+
+  /**
+   * Record a failed attempt, schedule the retry and disable the endpoint
+   * once it has failed too many times in a row
+   * @param {Object} delivery - Delivery with its webhook
+   * @param {Object} failure - { status, error }
+   */
+  async recordFailure(delivery, failure) {
+    const { webhook } = delivery;
+    const attempt = delivery.attempts + 1;
+    const nextAttemptAt = attempt < config.webhooks.maxAttempts
+      ? new Date(Date.now() + this.getBackoffSeconds(attempt) * 1000)
+      : null;
+
+    await webhookDeliveryRepository.markAttemptFailed(delivery.id, failure, nextAttemptAt);
+    const updated = await merchantWebhookRepository.recordFailure(webhook.id);
+
+    logger.warn('Webhook delivery failed', {
+      webhookId: webhook.id,
+      deliveryId: delivery.id,
+      event: delivery.event_name,
+      attempt,
+      error: failure.error,
+      nextAttemptAt
+    });
+
+    if (updated.failure_count >= config.webhooks.disableAfterFailures) {
+      await this.disableFailingWebhook(updated);
+    }
+  }
+
+  /**
+   * Disable an endpoint that keeps failing and tell its owner
+   * @param {Object} webhook - Endpoint
+   */
+  async disableFailingWebhook(webhook) {
+    const reason = `Disabled after ${webhook.failure_count} consecutive failed deliveries`;
+
+    if (!(await merchantWebhookRepository.disable(webhook.id, reason))) {
+      return;
+    }
+
+    await webhookDeliveryRepository.failPendingForWebhook(webhook.id, 'Webhook endpoint disabled');
+
+    try {
+      const user = await userRepository.findById(webhook.user_id);
+
+      if (user) {
+        await emailService.sendWebhookDisabledEmail(user, webhook, reason);
+      }
+    } catch (error) {
+      logger.errorWithContext(error, {
+        method: 'disableFailingWebhook',
+        webhookId: webhook.id
+      });
+    }
+  }
+
+  /**
+   * Seconds to wait before retry n: base * 2^(n-1)
+   * @param {number} attempt - Attempts made so far
+   * @returns {number} Seconds
+   */
+  getBackoffSeconds(attempt) {
+    return config.webhooks.backoffBaseSeconds * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Build the signature header for a payload
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Serialized payload
+   * @param {number} timestamp - Unix timestamp (defaults to now)
+   * @returns {string} Header value
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Generate an endpoint signing secret
+   * @returns {string} Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Check subscribed event names
+   * @param {Array<string>} events - Event names
+   * @returns {Array<string>} De-duplicated event names
+   * @throws {BadRequestError} If an event can't be subscribed to
+   */
+  validateEvents(events = []) {
+    const invalid = events.filter(name => !MERCHANT_WEBHOOK_EVENTS.includes(name));
+
+    if (invalid.length > 0) {
+      throw new BadRequestError(`Unsupported webhook events: ${invalid.join(', ')}`);
+    }
+
+    return [...new Set(events)];
+  }
+
+  /**
+   * Find an endpoint owned by a user
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Endpoint
+   * @throws {NotFoundError} If not found
+   */
+  async findOwned(webhookId, userId) {
+    const webhook = await merchantWebhookRepository.findByIdForUser(webhookId, userId);
+
+    if (!webhook) {
+      throw new NotFoundError('Webhook');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Strip the secret from an endpoint
+   * @param {Object} webhook - Endpoint
+   * @returns {Object} Endpoint without secret
+   */
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+}
+
+// Export singleton instance
+module.exports = new MerchantWebhookService();
@@ -0,0 +1,269 @@
+/**
+ * Application Constants
+ *
+ * Shared constant values used across services, routes and jobs.
+ *
+ * Location: src/config/constants.config.js
+ */
+
+// ============================================
+// LEDGER
+// ============================================
+
+/**
+ * Journal account types
+ * Seller buckets, pool buckets and platform fees are credit-normal
+ * (liabilities/equity); the gateway float is the only debit-normal asset.
+ */
+const LEDGER_ACCOUNT_TYPES = {
+  SELLER_AVAILABLE: 'SELLER_AVAILABLE',
+  SELLER_PENDING: 'SELLER_PENDING',
+  SELLER_RESERVED: 'SELLER_RESERVED',
+  POOL_UNALLOCATED: 'POOL_UNALLOCATED',
+  POOL_RESERVED: 'POOL_RESERVED',
+  PLATFORM_FEES: 'PLATFORM_FEES',
+  PLATFORM_COMMISSION: 'PLATFORM_COMMISSION',
+  PLATFORM_EXPENSES: 'PLATFORM_EXPENSES',
+  GATEWAY_FLOAT: 'GATEWAY_FLOAT'
+};
+
+/**
+ * Seller-owned journal accounts (one set per user and currency)
+ */
+const SELLER_LEDGER_ACCOUNTS = [
+  LEDGER_ACCOUNT_TYPES.SELLER_AVAILABLE,
+  LEDGER_ACCOUNT_TYPES.SELLER_PENDING,
+  LEDGER_ACCOUNT_TYPES.SELLER_RESERVED
+];
+
+/**
+ * Journal entry types (the operation that produced the entry)
+ */
+const LEDGER_ENTRY_TYPES = {
+  // Pool
+  POOL_OPENING: 'POOL_OPENING',
+  POOL_FUNDING: 'POOL_FUNDING',
+  POOL_WITHDRAWAL: 'POOL_WITHDRAWAL',
+  POOL_RECONCILIATION: 'POOL_RECONCILIATION',
+  POOL_RESERVE: 'POOL_RESERVE',
+  POOL_RELEASE: 'POOL_RELEASE',
+  ALLOCATION: 'ALLOCATION',
+  DEALLOCATION: 'DEALLOCATION',
+
+  // Seller balance
+  CREDIT: 'CREDIT',
+  DEBIT: 'DEBIT',
+  RESERVE: 'RESERVE',
+  RELEASE: 'RELEASE',
+  SETTLEMENT: 'SETTLEMENT',
+  PENDING_CREDIT: 'PENDING_CREDIT',
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  PENDING_REJECTION: 'PENDING_REJECTION',
+  ADJUSTMENT: 'ADJUSTMENT',
+  COMMISSION: 'COMMISSION',
+  FEE: 'FEE',
+  // Balance held before the journal existed (database/backfillOpeningBalances.js)
+  OPENING_BALANCE: 'OPENING_BALANCE',
+
+  // Platform costs
+  MICRO_DEPOSIT: 'MICRO_DEPOSIT',
+
+  // Currency conversion (one entry per currency leg)
+  FX_CONVERSION: 'FX_CONVERSION'
+};
+
+/**
+ * Operations a fee schedule can apply to. Fees on deposits and refunds are
+ * kept from the amount credited; fees on payouts and sales are charged on
+ * top of the amount.
+ */
+const FEE_OPERATIONS = {
+  DEPOSIT: 'DEPOSIT',
+  PAYOUT: 'PAYOUT',
+  SALE: 'SALE',
+  REFUND: 'REFUND'
+};
+
+/**
+ * Products a limit rule can apply to. AIRTIME and ELECTRICITY sales also
+ * count toward the SALE limits.
+ */
+const LIMIT_PRODUCTS = {
+  SALE: 'SALE',
+  AIRTIME: 'AIRTIME',
+  ELECTRICITY: 'ELECTRICITY',
+  PAYOUT: 'PAYOUT',
+  DEPOSIT: 'DEPOSIT'
+};
+
+/**
+ * Periods a limit rule counts over. TRANSACTION bounds a single amount;
+ * the others are calendar periods.
+ */
+const LIMIT_PERIODS = {
+  TRANSACTION: 'TRANSACTION',
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+};
+
+// ============================================
+// ROLES & PERMISSIONS
+// ============================================
+
+/**
+ * Back-office roles. ADMIN and SUPER_ADMIN pass requireAdmin; the others
+ * reach only routes guarded by hasPermission.
+ */
+const STAFF_ROLES = ['SUPER_ADMIN', 'ADMIN', 'SUPPORT', 'FINANCE', 'COMPLIANCE'];
+
+/**
+ * Roles with full back-office access
+ */
+const ADMIN_ROLES = ['SUPER_ADMIN', 'ADMIN'];
+
+/**
+ * Named permissions checked by hasPermission (roleCheck.middleware)
+ */
+const PERMISSIONS = {
+  APPROVE_DEPOSIT: 'approve_deposit',
+  PROCESS_PAYOUT: 'process_payout',
+  ADJUST_BALANCE: 'adjust_balance',
+  MANAGE_POOL: 'manage_pool',
+  VIEW_USERS: 'view_users',
+  VIEW_AUDIT_LOG: 'view_audit_log',
+  REVIEW_KYC: 'review_kyc',
+  MANAGE_FEES: 'manage_fees',
+  MANAGE_LIMITS: 'manage_limits'
+};
+
+/**
+ * Permissions of each role until they are configured in role_permissions.
+ * SUPER_ADMIN always has every permission and is not configurable.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: Object.values(PERMISSIONS),
+  SUPPORT: [PERMISSIONS.VIEW_USERS],
+  FINANCE: [
+    PERMISSIONS.APPROVE_DEPOSIT,
+    PERMISSIONS.PROCESS_PAYOUT,
+    PERMISSIONS.ADJUST_BALANCE,
+    PERMISSIONS.MANAGE_POOL,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.MANAGE_FEES,
+    PERMISSIONS.MANAGE_LIMITS
+  ],
+  COMPLIANCE: [
+    PERMISSIONS.APPROVE_DEPOSIT,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.VIEW_AUDIT_LOG,
+    PERMISSIONS.REVIEW_KYC,
+    PERMISSIONS.MANAGE_LIMITS
+  ]
+};
+
+/**
+ * Admin money operations under maker-checker control
+ */
+const APPROVAL_ACTIONS = {
+  DEPOSIT_APPROVAL: 'DEPOSIT_APPROVAL',
+  PAYOUT_PROCESSING: 'PAYOUT_PROCESSING',
+  BALANCE_ADJUSTMENT: 'BALANCE_ADJUSTMENT',
+  POOL_FUNDING: 'POOL_FUNDING',
+  POOL_WITHDRAWAL: 'POOL_WITHDRAWAL'
+};
+
+/**
+ * Tamper-evident tables and the advisory lock key each is sealed under
+ * (see src/shared/utils/hashChain.js)
+ */
+const HASH_CHAINS = {
+  JOURNAL: { name: 'journal', model: 'journalEntry', lockKey: 720001 },
+  AUDIT: { name: 'audit', model: 'auditLog', lockKey: 720002 }
+};
+
+// ============================================
+// PAYMENT PROVIDERS
+// ============================================
+
+/**
+ * Registered payment provider adapters
+ */
+const PAYMENT_PROVIDERS = {
+  XASH: 'xash',
+  ECOCASH: 'ecocash'
+};
+
+/**
+ * Business operations a provider can be selected for
+ */
+const PAYMENT_OPERATIONS = {
+  AIRTIME: 'airtime',
+  ELECTRICITY: 'electricity',
+  DEPOSIT: 'deposit',
+  // Bank transfer to a seller's bank account
+  PAYOUT: 'payout',
+  // Mobile money transfer to a seller's wallet
+  CASH_OUT: 'cash_out'
+};
+
+/**
+ * Products that can be charged through a provider
+ * Values match transaction metadata.service_type
+ */
+const PAYMENT_PRODUCTS = {
+  AIRTIME_DIRECT: 'airtime_direct',
+  AIRTIME_VOUCHER: 'airtime_voucher',
+  BUNDLE: 'bundle',
+  ELECTRICITY: 'electricity',
+  WALLET_PAYMENT: 'wallet_payment'
+};
+
+/**
+ * Normalized provider transaction statuses
+ */
+const PROVIDER_TRANSACTION_STATUS = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  REFUNDED: 'REFUNDED'
+};
+
+/**
+ * Permissions an API key can be granted. Each route that accepts API keys
+ * names the scope it needs (allowApiKey in auth.middleware).
+ */
+const API_KEY_SCOPES = {
+  SALES_WRITE: 'sales:write',
+  REFUNDS_WRITE: 'refunds:write',
+  TRANSACTIONS_READ: 'transactions:read',
+  RECEIPTS_READ: 'receipts:read',
+  RECEIPTS_WRITE: 'receipts:write',
+  BALANCE_READ: 'balance:read'
+};
+
+/**
+ * Marks a bearer credential as an API key rather than a JWT
+ */
+const API_KEY_PREFIX = 'pfk_';
+
+module.exports = {
+  STAFF_ROLES,
+  ADMIN_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  APPROVAL_ACTIONS,
+  HASH_CHAINS,
+  LEDGER_ACCOUNT_TYPES,
+  SELLER_LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  FEE_OPERATIONS,
+  LIMIT_PRODUCTS,
+  LIMIT_PERIODS,
+  PAYMENT_PROVIDERS,
+  PAYMENT_OPERATIONS,
+  PAYMENT_PRODUCTS,
+  PROVIDER_TRANSACTION_STATUS,
+  API_KEY_SCOPES,
+  API_KEY_PREFIX
+};
@@ -212,17 +212,19 @@ async function getStats() {
     const [
       userCount,
       transactionCount,
-      poolAccount
+      poolAccounts
     ] = await Promise.all([
       prisma.user.count(),
       prisma.transaction.count(),
-      prisma.poolAccount.findFirst()
+      prisma.poolAccount.findMany({ select: { currency: true, total_balance: true } })
     ]);
 
     return {
       users: userCount,
       transactions: transactionCount,
-      poolBalance: poolAccount ? parseFloat(poolAccount.total_balance) : 0,
+      poolBalances: Object.fromEntries(
+        poolAccounts.map(pool => [pool.currency, parseFloat(pool.total_balance)])
+      ),
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -335,41 +337,6 @@ async function paginate(model, where = {}, options = {}) {
   };
 }
 
-/**
- * Seed pool account if it doesn't exist
- * Called during application startup
- */
-async function seedPoolAccount() {
-  try {
-    const existing = await prisma.poolAccount.findFirst();
-    
-    if (!existing) {
-      await prisma.poolAccount.create({
-        data: {
-          total_balance: config.pool.initialBalance,
-          allocated_balance: 0,
-          reserved_balance: 0,
-          currency: config.pool.currency
-        }
-      });
-      
-      logger.info('Pool account initialized', {
-        initialBalance: config.pool.initialBalance,
-        currency: config.pool.currency
-      });
-    }
-  } catch (error) {
-    logger.error('Failed to seed pool account', {
-      message: error.message
-    });
-  }
-}
-
-// Initialize pool account on startup
-if (!config.app.isTest) {
-  seedPoolAccount();
-}
-
 /**
  * Graceful shutdown handler
  */
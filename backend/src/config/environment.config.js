@@ -60,6 +60,86 @@ function parseFloat(value, defaultValue) {
   return isNaN(parsed) ? defaultValue : parsed;
 }
 
+/**
+ * Parse a comma-separated list environment variable
+ * @param {string} value - Environment variable value
+ * @param {Array<string>} defaultValue - Default value if not set
+ * @returns {Array<string>}
+ */
+function parseList(value, defaultValue = []) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the trusted reverse proxies (Express 'trust proxy' setting)
+ * @param {string} value - Environment variable value: a hop count, a
+ *   comma-separated list of addresses/subnets (or 'loopback', 'uniquelocal'),
+ *   or 'true' to trust every proxy
+ * @returns {boolean|number|Array<string>} Setting, false if not set
+ */
+function parseTrustProxy(value) {
+  const setting = String(value || '').trim();
+
+  if (!setting || setting === 'false') {
+    return false;
+  }
+
+  if (setting === 'true') {
+    return true;
+  }
+
+  if (/^\d+$/.test(setting)) {
+    return parseInt(setting, 10);
+  }
+
+  return parseList(setting);
+}
+
+/**
+ * Default limit rules of one currency (see config.limits)
+ * @param {string} prefix - Prefix of the currency's environment variables
+ * @param {Object} amounts - Amounts used when a variable is not set
+ * @returns {Array<Object>} Limit rules
+ */
+function limitDefaults(prefix, amounts) {
+  const amount = (name, defaultValue) => parseFloat(process.env[`${prefix}${name}`], defaultValue);
+
+  return [
+    {
+      product: 'SALE',
+      period: 'TRANSACTION',
+      min_amount: amount('MIN_TRANSACTION_AMOUNT', amounts.minTransaction),
+      max_amount: amount('MAX_TRANSACTION_AMOUNT', amounts.maxTransaction)
+    },
+    {
+      product: 'DEPOSIT',
+      period: 'TRANSACTION',
+      min_amount: amount('MIN_DEPOSIT_AMOUNT', amounts.minDeposit),
+      max_amount: amount('MAX_DEPOSIT_AMOUNT', amounts.maxDeposit)
+    },
+    {
+      product: 'PAYOUT',
+      period: 'TRANSACTION',
+      min_amount: amount('MIN_PAYOUT_AMOUNT', amounts.minPayout)
+    },
+    {
+      product: 'SALE',
+      period: 'DAILY',
+      tier: 'UNVERIFIED',
+      max_amount: amount('KYC_UNVERIFIED_DAILY_SALES_LIMIT', amounts.unverifiedDailySales)
+    },
+    {
+      product: 'SALE',
+      period: 'DAILY',
+      tier: 'VERIFIED',
+      max_amount: amount('DAILY_TRANSACTION_LIMIT', amounts.verifiedDailySales)
+    }
+  ];
+}
+
 // Critical environment variables that must be present
 const REQUIRED_ENV_VARS = [
   'DATABASE_URL',
@@ -81,7 +161,11 @@ const config = {
     port: parseInteger(process.env.PORT, 3000),
     isDevelopment: process.env.NODE_ENV === 'development',
     isProduction: process.env.NODE_ENV === 'production',
-    isTest: process.env.NODE_ENV === 'test'
+    isTest: process.env.NODE_ENV === 'test',
+    // Proxies whose X-Forwarded-For is believed when working out req.ip
+    // (rate limits, API key IP allow-lists, audit logs). Off by default:
+    // req.ip is then the connecting address and the header is ignored.
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
   },
 
   // Database Configuration
@@ -103,7 +187,44 @@ const config = {
 
   // Payment Gateway Configuration
   payment: {
-    provider: process.env.PAYMENT_PROVIDER || 'stripe', // 'stripe' or 'paypal'
+    provider: process.env.PAYMENT_PROVIDER || 'xash', // 'xash' or 'ecocash'
+
+    // Per-operation provider overrides (fall back to provider)
+    operations: {
+      airtime: process.env.PAYMENT_PROVIDER_AIRTIME || null,
+      electricity: process.env.PAYMENT_PROVIDER_ELECTRICITY || null,
+      deposit: process.env.PAYMENT_PROVIDER_DEPOSIT || null,
+      payout: process.env.PAYMENT_PROVIDER_PAYOUT || null,
+      cash_out: process.env.PAYMENT_PROVIDER_CASH_OUT || 'ecocash'
+    },
+
+    // xash.co.zw wallet gateway
+    xash: {
+      baseUrl: process.env.GATEWAY_BASE_URL || 'https://xv.xash.co.zw/api/v1',
+      baseUrlDev: process.env.GATEWAY_BASE_URL_DEV || 'https://xvdev.xash.co.zw/api/v1',
+      userNumber: process.env.GATEWAY_USER_NUMBER,
+      password: process.env.GATEWAY_PASSWORD,
+      timeout: parseInteger(process.env.GATEWAY_TIMEOUT_MS, 30000),
+      webhookSecret: process.env.GATEWAY_WEBHOOK_SECRET
+    },
+
+    // EcoCash merchant API
+    ecocash: {
+      baseUrl: process.env.ECOCASH_BASE_URL,
+      username: process.env.ECOCASH_USERNAME,
+      password: process.env.ECOCASH_PASSWORD,
+      merchantCode: process.env.ECOCASH_MERCHANT_CODE,
+      merchantPin: process.env.ECOCASH_MERCHANT_PIN,
+      merchantNumber: process.env.ECOCASH_MERCHANT_NUMBER,
+      merchantName: process.env.ECOCASH_MERCHANT_NAME || process.env.APP_NAME || 'Payment Facilitator Platform',
+      notifyUrl: process.env.ECOCASH_NOTIFY_URL,
+      timeout: parseInteger(process.env.ECOCASH_TIMEOUT_MS, 30000),
+      webhookSecret: process.env.ECOCASH_WEBHOOK_SECRET
+    },
+
+    // Maximum age of a signed webhook before it is rejected as a replay
+    webhookToleranceSeconds: parseInteger(process.env.WEBHOOK_TOLERANCE_SECONDS, 300),
+
     
     // Stripe Configuration
     stripe: {
@@ -125,7 +246,10 @@ const config = {
   pool: {
     initialBalance: parseFloat(process.env.POOL_INITIAL_BALANCE, 10000.00),
     minBalance: parseFloat(process.env.POOL_MIN_BALANCE, 1000.00),
+    // Default currency: used when a request does not name one
     currency: process.env.POOL_CURRENCY || 'USD',
+    // Currencies sellers can hold; each has its own pool and seller balances
+    currencies: parseList(process.env.POOL_CURRENCIES, ['USD', 'ZWG']),
     // Alert when pool balance drops below this threshold
     alertThreshold: parseFloat(process.env.POOL_ALERT_THRESHOLD, 2000.00)
   },
@@ -168,14 +292,228 @@ const config = {
     lockoutDuration: parseInteger(process.env.LOCKOUT_DURATION_MINUTES, 30) * 60 * 1000 // in ms
   },
 
-  // Transaction Limits
+  // Password reset
+  passwordReset: {
+    tokenTtlMinutes: parseInteger(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 60),
+    // Reset emails per account per window; further requests are dropped silently
+    maxRequests: parseInteger(process.env.PASSWORD_RESET_MAX_REQUESTS, 3),
+    windowMinutes: parseInteger(process.env.PASSWORD_RESET_WINDOW_MINUTES, 60)
+  },
+
+  // Email verification
+  emailVerification: {
+    tokenTtlHours: parseInteger(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS, 24),
+    resendCooldownSeconds: parseInteger(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 60),
+    // Wrong codes allowed before the code stops working and a new one must be sent
+    maxCodeAttempts: parseInteger(process.env.EMAIL_VERIFICATION_MAX_CODE_ATTEMPTS, 5),
+    // Money features that need a verified email: deposits, payouts, sales, refunds.
+    // Set to an empty value to turn enforcement off.
+    requiredFor: parseList(
+      process.env.EMAIL_VERIFICATION_REQUIRED_FOR,
+      ['deposits', 'payouts', 'sales', 'refunds']
+    )
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'PayFac',
+    // Key for encrypting TOTP secrets at rest. Falls back to JWT_SECRET;
+    // set it separately so rotating the JWT secret keeps enrolments working.
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+    challengeTtlMinutes: parseInteger(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 5),
+    backupCodeCount: parseInteger(process.env.TWO_FACTOR_BACKUP_CODE_COUNT, 10),
+    // Staff without 2FA can sign in but are refused on back-office routes until they enrol
+    requiredForAdmins: parseBoolean(process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS, false),
+    // Payouts above this amount need a current code; 0 turns step-up off
+    payoutStepUpThreshold: parseFloat(process.env.TWO_FACTOR_PAYOUT_STEP_UP_THRESHOLD, 0)
+  },
+
+  // Seller API keys
+  apiKeys: {
+    maxPerUser: parseInteger(process.env.API_KEY_MAX_PER_USER, 10),
+    // last_used_at is written at most this often per key
+    lastUsedUpdateSeconds: parseInteger(process.env.API_KEY_LAST_USED_UPDATE_SECONDS, 60)
+  },
+
+  // Back-office role permissions (role_permissions table)
+  permissions: {
+    // How long a role's permissions are cached per process after loading
+    cacheSeconds: parseInteger(process.env.ROLE_PERMISSIONS_CACHE_SECONDS, 60)
+  },
+
+  // Maker-checker approval of admin money operations. Amounts at or above
+  // a threshold need a second admin; below it one admin is enough.
+  approvals: {
+    enabled: parseBoolean(process.env.APPROVALS_ENABLED, true),
+    depositThreshold: parseFloat(process.env.APPROVAL_DEPOSIT_THRESHOLD, 1000),
+    payoutThreshold: parseFloat(process.env.APPROVAL_PAYOUT_THRESHOLD, 1000),
+    // 0 puts every balance adjustment under dual control
+    balanceAdjustmentThreshold: parseFloat(process.env.APPROVAL_BALANCE_ADJUSTMENT_THRESHOLD, 0),
+    poolThreshold: parseFloat(process.env.APPROVAL_POOL_THRESHOLD, 5000),
+    // Pending requests not reviewed within this time can no longer be approved
+    expiryHours: parseInteger(process.env.APPROVAL_EXPIRY_HOURS, 72)
+  },
+
+  // Audit Log
+  audit: {
+    // Most entries returned by one export
+    exportMaxRows: parseInteger(process.env.AUDIT_EXPORT_MAX_ROWS, 10000)
+  },
+
+  // Hash chains over the journal and audit log
+  integrity: {
+    // Rows read per query while verifying a chain
+    verifyBatchSize: parseInteger(process.env.HASH_CHAIN_VERIFY_BATCH_SIZE, 1000)
+  },
+
+  // Idempotency Keys (safe retries of money-moving requests)
+  idempotency: {
+    ttlHours: parseInteger(process.env.IDEMPOTENCY_TTL_HOURS, 24),
+    lockTimeoutSeconds: parseInteger(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, 60),
+    waitTimeoutMs: parseInteger(process.env.IDEMPOTENCY_WAIT_TIMEOUT_MS, 5000)
+  },
+
+  // Transaction limits. Each currency of pool.currencies that has no
+  // limit rules yet gets its own defaults below on start (USD from the
+  // unprefixed variables, ZWG from the ZWG_ ones); after that limits are
+  // managed through the admin API (see limit.service).
   limits: {
-    minTransactionAmount: parseFloat(process.env.MIN_TRANSACTION_AMOUNT, 1.00),
-    maxTransactionAmount: parseFloat(process.env.MAX_TRANSACTION_AMOUNT, 10000.00),
-    minDepositAmount: parseFloat(process.env.MIN_DEPOSIT_AMOUNT, 10.00),
-    maxDepositAmount: parseFloat(process.env.MAX_DEPOSIT_AMOUNT, 50000.00),
-    minPayoutAmount: parseFloat(process.env.MIN_PAYOUT_AMOUNT, 10.00),
-    dailyTransactionLimit: parseFloat(process.env.DAILY_TRANSACTION_LIMIT, 50000.00)
+    defaults: {
+      USD: limitDefaults('', {
+        minTransaction: 1.00,
+        maxTransaction: 10000.00,
+        minDeposit: 10.00,
+        maxDeposit: 50000.00,
+        minPayout: 10.00,
+        unverifiedDailySales: 200.00,
+        verifiedDailySales: 50000.00
+      }),
+      ZWG: limitDefaults('ZWG_', {
+        minTransaction: 25.00,
+        maxTransaction: 250000.00,
+        minDeposit: 250.00,
+        maxDeposit: 1250000.00,
+        minPayout: 250.00,
+        unverifiedDailySales: 5000.00,
+        verifiedDailySales: 1250000.00
+      })
+    }
+  },
+
+  // Transactional outbox (durable application events)
+  outbox: {
+    pollIntervalMs: parseInteger(process.env.OUTBOX_POLL_INTERVAL_MS, 2000),
+    batchSize: parseInteger(process.env.OUTBOX_BATCH_SIZE, 50),
+    maxAttempts: parseInteger(process.env.OUTBOX_MAX_ATTEMPTS, 10),
+    backoffBaseSeconds: parseInteger(process.env.OUTBOX_BACKOFF_BASE_SECONDS, 5),
+    // Events locked longer than this are assumed abandoned by a crashed worker
+    lockTimeoutSeconds: parseInteger(process.env.OUTBOX_LOCK_TIMEOUT_SECONDS, 300),
+    // Processed events are purged by the cleanup job after this many days
+    retentionDays: parseInteger(process.env.OUTBOX_RETENTION_DAYS, 7)
+  },
+
+  // Payout execution
+  payouts: {
+    batchSize: parseInteger(process.env.PAYOUT_BATCH_SIZE, 10),
+    // PROCESSING payouts not submitted after this long are resubmitted
+    // (submissions reuse the payout reference, so providers dedupe them)
+    resubmitAfterMinutes: parseInteger(process.env.PAYOUT_RESUBMIT_AFTER_MINUTES, 15),
+    // SUBMITTED payouts still unsettled after this long are flagged for review
+    staleAfterHours: parseInteger(process.env.PAYOUT_STALE_AFTER_HOURS, 72)
+  },
+
+  // Bank account verification
+  bankVerification: {
+    // Micro-deposits are two different random amounts in this range, in cents
+    microDepositMinCents: parseInteger(process.env.MICRO_DEPOSIT_MIN_CENTS, 1),
+    microDepositMaxCents: parseInteger(process.env.MICRO_DEPOSIT_MAX_CENTS, 99),
+    microDepositExpiryDays: parseInteger(process.env.MICRO_DEPOSIT_EXPIRY_DAYS, 7),
+    maxConfirmAttempts: parseInteger(process.env.MICRO_DEPOSIT_MAX_ATTEMPTS, 3),
+    // Currency the micro-deposits are sent in (default currency if not set)
+    microDepositCurrency: process.env.MICRO_DEPOSIT_CURRENCY || process.env.POOL_CURRENCY || 'USD',
+    // Micro-deposit rounds allowed per account, and the wait between them
+    maxMicroDepositRequests: parseInteger(process.env.MICRO_DEPOSIT_MAX_REQUESTS, 3),
+    microDepositCooldownHours: parseInteger(process.env.MICRO_DEPOSIT_COOLDOWN_HOURS, 24),
+    maxDocumentSizeMB: parseInteger(process.env.BANK_PROOF_MAX_SIZE_MB, 5)
+  },
+
+  // Share of the gateway commission credited to the seller, in percent,
+  // per product and KYC tier. The platform keeps the rest.
+  commission: {
+    sellerSharePercent: {
+      airtime_direct: {
+        UNVERIFIED: parseFloat(process.env.COMMISSION_AIRTIME_DIRECT_UNVERIFIED, 0),
+        VERIFIED: parseFloat(process.env.COMMISSION_AIRTIME_DIRECT_VERIFIED, 50)
+      },
+      airtime_voucher: {
+        UNVERIFIED: parseFloat(process.env.COMMISSION_AIRTIME_VOUCHER_UNVERIFIED, 0),
+        VERIFIED: parseFloat(process.env.COMMISSION_AIRTIME_VOUCHER_VERIFIED, 50)
+      },
+      bundle: {
+        UNVERIFIED: parseFloat(process.env.COMMISSION_BUNDLE_UNVERIFIED, 0),
+        VERIFIED: parseFloat(process.env.COMMISSION_BUNDLE_VERIFIED, 50)
+      },
+      electricity: {
+        UNVERIFIED: parseFloat(process.env.COMMISSION_ELECTRICITY_UNVERIFIED, 0),
+        VERIFIED: parseFloat(process.env.COMMISSION_ELECTRICITY_VERIFIED, 40)
+      }
+    }
+  },
+
+  // Seller KYC onboarding
+  kyc: {
+    maxDocumentSizeMB: parseInteger(process.env.KYC_DOCUMENT_MAX_SIZE_MB, 5),
+    maxDocuments: parseInteger(process.env.KYC_MAX_DOCUMENTS, 10),
+    // What a seller may do at each SellerTier. Sales limits per tier are
+    // limit rules (see limits).
+    tiers: {
+      UNVERIFIED: {
+        payouts: false
+      },
+      VERIFIED: {
+        payouts: true
+      }
+    }
+  },
+
+  // Currency conversion between seller balances
+  fx: {
+    // How long a quoted rate can be executed
+    quoteTtlSeconds: parseInteger(process.env.FX_QUOTE_TTL_SECONDS, 60),
+    // Rates not set or updated within this window are not quoted
+    maxRateAgeHours: parseInteger(process.env.FX_MAX_RATE_AGE_HOURS, 24)
+  },
+
+  // Uploaded documents (stored on local disk)
+  uploads: {
+    directory: process.env.UPLOAD_DIRECTORY || './uploads'
+  },
+
+  // Scheduled jobs (cron expressions are evaluated in UTC)
+  scheduler: {
+    enabled: parseBoolean(process.env.SCHEDULER_ENABLED, true),
+    tickSeconds: parseInteger(process.env.SCHEDULER_TICK_SECONDS, 15),
+    // A running job renews its lease; another instance may take over once it expires
+    leaseSeconds: parseInteger(process.env.SCHEDULER_LEASE_SECONDS, 120),
+    runRetentionDays: parseInteger(process.env.JOB_RUN_RETENTION_DAYS, 30),
+    jobs: {
+      poolSync: process.env.POOL_SYNC_CRON || '*/30 * * * *',
+      payoutProcessor: process.env.PAYOUT_PROCESSOR_CRON || '*/5 * * * *',
+      reconciliation: process.env.RECONCILIATION_CRON || '0 2 * * *',
+      cleanup: process.env.CLEANUP_CRON || '30 3 * * *'
+    }
+  },
+
+  // Outbound merchant webhooks
+  webhooks: {
+    timeoutMs: parseInteger(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS, 10000),
+    maxAttempts: parseInteger(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    // Retry n waits backoffBaseSeconds * 2^(n-1)
+    backoffBaseSeconds: parseInteger(process.env.WEBHOOK_BACKOFF_BASE_SECONDS, 30),
+    // Consecutive failed attempts before an endpoint is disabled
+    disableAfterFailures: parseInteger(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 20),
+    retryIntervalSeconds: parseInteger(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS, 60),
+    maxEndpointsPerUser: parseInteger(process.env.WEBHOOK_MAX_ENDPOINTS_PER_USER, 5)
   },
 
   // Feature Flags
@@ -204,7 +542,15 @@ const config = {
  * Validate payment gateway configuration
  */
 function validatePaymentConfig() {
-  if (config.payment.provider === 'stripe') {
+  if (config.payment.provider === 'xash') {
+    if (!config.payment.xash.userNumber || !config.payment.xash.password) {
+      console.warn('⚠️  Warning: GATEWAY_USER_NUMBER/GATEWAY_PASSWORD are not set. Payment processing will fail.');
+    }
+  } else if (config.payment.provider === 'ecocash') {
+    if (!config.payment.ecocash.baseUrl || !config.payment.ecocash.merchantCode) {
+      console.warn('⚠️  Warning: EcoCash credentials are not set. Payment processing will fail.');
+    }
+  } else if (config.payment.provider === 'stripe') {
     if (!config.payment.stripe.secretKey) {
       console.warn('⚠️  Warning: STRIPE_SECRET_KEY is not set. Payment processing will fail.');
     }
@@ -215,8 +561,24 @@ function validatePaymentConfig() {
   }
 }
 
+/**
+ * Validate pool currency configuration
+ */
+function validatePoolConfig() {
+  if (!config.pool.currencies.includes(config.pool.currency)) {
+    console.warn(`⚠️  Warning: POOL_CURRENCIES does not include POOL_CURRENCY (${config.pool.currency}), adding it.`);
+    config.pool.currencies.unshift(config.pool.currency);
+  }
+
+  if (!config.pool.currencies.includes(config.bankVerification.microDepositCurrency)) {
+    console.warn(`⚠️  Warning: MICRO_DEPOSIT_CURRENCY is not in POOL_CURRENCIES, using ${config.pool.currency}.`);
+    config.bankVerification.microDepositCurrency = config.pool.currency;
+  }
+}
+
 // Run validation
 validatePaymentConfig();
+validatePoolConfig();
 
 /**
  * Print configuration summary (without sensitive data)
@@ -257,6 +619,24 @@ module.exports.email = config.email;
 module.exports.cors = config.cors;
 module.exports.rateLimit = config.rateLimit;
 module.exports.security = config.security;
+module.exports.passwordReset = config.passwordReset;
+module.exports.emailVerification = config.emailVerification;
+module.exports.twoFactor = config.twoFactor;
+module.exports.apiKeys = config.apiKeys;
+module.exports.permissions = config.permissions;
+module.exports.approvals = config.approvals;
+module.exports.audit = config.audit;
+module.exports.integrity = config.integrity;
+module.exports.idempotency = config.idempotency;
 module.exports.limits = config.limits;
+module.exports.outbox = config.outbox;
+module.exports.scheduler = config.scheduler;
+module.exports.payouts = config.payouts;
+module.exports.bankVerification = config.bankVerification;
+module.exports.commission = config.commission;
+module.exports.kyc = config.kyc;
+module.exports.fx = config.fx;
+module.exports.uploads = config.uploads;
+module.exports.webhooks = config.webhooks;
 module.exports.features = config.features;
 module.exports.logging = config.logging;
\ No newline at end of file
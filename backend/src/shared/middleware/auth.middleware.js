@@ -7,9 +7,15 @@
  * Location: src/shared/middleware/auth.js
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../../config/environment.config');
 const userRepository = require('../../../database/repositories/user.repository');
+const sessionRepository = require('../../../database/repositories/session.repository');
+const refreshTokenRepository = require('../../../database/repositories/refreshToken.repository');
+const apiKeyService = require('../../../services/apiKey/apiKey.service');
+const permissionService = require('../../../services/auth/permission.service');
+const { API_KEY_PREFIX, STAFF_ROLES, ADMIN_ROLES } = require('../../config/constants.config');
 const logger = require('../utils/logger');
 const {
   UnauthorizedError,
@@ -38,6 +44,24 @@ function verifyToken(token, secret) {
   }
 }
 
+/**
+ * Verify an access token
+ * Refresh and 2FA challenge tokens carry a type and are refused, so a
+ * challenge token (password step only) cannot be used to call the API.
+ * @param {string} token - JWT token
+ * @returns {Object} Decoded token payload
+ * @throws {UnauthorizedError} If token is invalid or not an access token
+ */
+function verifyAccessToken(token) {
+  const decoded = verifyToken(token, config.jwt.secret);
+
+  if (decoded.type) {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  return decoded;
+}
+
 /**
  * Extract token from Authorization header
  * @param {Object} req - Express request object
@@ -58,9 +82,54 @@ function extractToken(req) {
   return authHeader;
 }
 
+/**
+ * Extract an API key from the X-API-Key header or a bearer token
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key or null
+ */
+function extractApiKey(req) {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const token = extractToken(req);
+
+  return token && token.startsWith(API_KEY_PREFIX) ? token : null;
+}
+
+/**
+ * Authenticate a request made with an API key
+ * The route must allow keys for a scope (see allowApiKey) and the key must
+ * hold that scope.
+ * @param {Object} req - Express request object
+ * @param {string} rawKey - API key
+ * @returns {Promise<Object>} Key owner
+ * @throws {ForbiddenError} If the route does not accept keys or the scope is missing
+ */
+async function authenticateApiKey(req, rawKey) {
+  if (!req.apiKeyScope) {
+    throw new ForbiddenError('API keys cannot be used for this endpoint');
+  }
+
+  const apiKey = await apiKeyService.verifyApiKey(rawKey, req.ip);
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    throw new ForbiddenError(`API key is missing the ${req.apiKeyScope} scope`);
+  }
+
+  req.apiKey = {
+    id: apiKey.id,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes
+  };
+
+  return apiKey.user;
+}
+
 /**
  * Main authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies a JWT (or, where allowApiKey permits, an API key) and attaches
+ * the user to request
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -68,21 +137,35 @@ function extractToken(req) {
  */
 async function authenticate(req, res, next) {
   try {
+    const apiKey = extractApiKey(req);
+
     // Extract token from header
-    const token = extractToken(req);
+    const token = apiKey || extractToken(req);
 
     if (!token) {
       throw new UnauthorizedError('No token provided');
     }
 
-    // Verify token
-    const decoded = verifyToken(token, config.jwt.secret);
+    let user;
+    let decoded = {};
 
-    // Get user from database
-    const user = await userRepository.findById(decoded.userId);
+    if (apiKey) {
+      user = await authenticateApiKey(req, apiKey);
+    } else {
+      // Verify token
+      decoded = verifyAccessToken(token);
+
+      // Get user from database
+      user = await userRepository.findById(decoded.userId);
 
-    if (!user) {
-      throw new UnauthorizedError('User not found');
+      if (!user) {
+        throw new UnauthorizedError('User not found');
+      }
+
+      // Access tokens die with their session (device sign-out, token reuse)
+      if (decoded.sid && !(await sessionRepository.isActive(decoded.sid))) {
+        throw new UnauthorizedError('Session has been revoked');
+      }
     }
 
     // Check if user account is suspended
@@ -112,6 +195,12 @@ async function authenticate(req, res, next) {
     req.user = userRepository.sanitizeUser(user);
     req.userId = user.id;
     req.userRole = user.role;
+    req.sessionId = decoded.sid || null;
+
+    // Back-office permissions, checked by hasPermission
+    if (STAFF_ROLES.includes(user.role)) {
+      req.user.permissions = await permissionService.getPermissions(user.role);
+    }
 
     // Attach token to request for potential refresh
     req.token = token;
@@ -130,6 +219,25 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Accept API keys on a route
+ * Must come before authenticate. Keys are refused on routes without it,
+ * and accepted here only when they hold the given scope. JWTs are
+ * unaffected.
+ *
+ * @param {string} scope - Required key scope (API_KEY_SCOPES)
+ * @returns {Function} Middleware function
+ *
+ * @example
+ * router.post('/sale', allowApiKey(API_KEY_SCOPES.SALES_WRITE), authenticate, controller.createSale);
+ */
+function allowApiKey(scope) {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't require it
@@ -143,7 +251,7 @@ async function optionalAuthenticate(req, res, next) {
     const token = extractToken(req);
 
     if (token) {
-      const decoded = verifyToken(token, config.jwt.secret);
+      const decoded = verifyAccessToken(token);
       const user = await userRepository.findById(decoded.userId);
 
       if (user && user.status === 'ACTIVE') {
@@ -164,7 +272,7 @@ async function optionalAuthenticate(req, res, next) {
  * Role-based access control middleware
  * Requires specific role(s) to access route
  * 
- * @param {...string} allowedRoles - Allowed roles (SELLER, ADMIN)
+ * @param {...string} allowedRoles - Allowed roles (SELLER, ADMIN, SUPER_ADMIN, ...)
  * @returns {Function} Middleware function
  * 
  * @example
@@ -197,10 +305,51 @@ function requireRole(...allowedRoles) {
 }
 
 /**
- * Admin-only access middleware
- * Shorthand for requireRole('ADMIN')
+ * Back-office access middleware
+ * requireRole(...roles), plus enrolled 2FA when
+ * config.twoFactor.requiredForAdmins is set
+ *
+ * @param {Array<string>} roles - Allowed staff roles
+ * @returns {Function} Middleware function
+ */
+function requireBackOffice(roles) {
+  const requireStaffRole = requireRole(...roles);
+
+  return (req, res, next) => {
+    requireStaffRole(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      if (config.twoFactor.requiredForAdmins && !req.user.two_factor_enabled) {
+        return next(
+          new ForbiddenError('Two-factor authentication is required for admin accounts. Set it up at /api/v1/auth/2fa/setup.')
+        );
+      }
+
+      next();
+    });
+  };
+}
+
+/**
+ * Admin-only access middleware (ADMIN or SUPER_ADMIN)
+ */
+const requireAdmin = requireBackOffice(ADMIN_ROLES);
+
+/**
+ * Any back-office role. Combine with hasPermission
+ * (roleCheck.middleware) to limit a route to a named permission.
+ *
+ * @example
+ * router.post('/deposits/:id/approve', authenticate, requireStaff, hasPermission(['approve_deposit']), controller.approve);
+ */
+const requireStaff = requireBackOffice(STAFF_ROLES);
+
+/**
+ * Super-admin-only access middleware (roles and permissions)
  */
-const requireAdmin = requireRole('ADMIN');
+const requireSuperAdmin = requireBackOffice(['SUPER_ADMIN']);
 
 /**
  * Seller-only access middleware
@@ -227,7 +376,7 @@ function requireOwnership(paramName = 'userId') {
     const resourceUserId = req.params[paramName];
 
     // Admins can access any resource
-    if (req.userRole === 'ADMIN') {
+    if (ADMIN_ROLES.includes(req.userRole)) {
       return next();
     }
 
@@ -261,7 +410,7 @@ function requireOwnershipOrAdmin(paramName = 'userId') {
     const resourceUserId = req.params[paramName];
 
     // Allow if admin or owner
-    if (req.userRole === 'ADMIN' || req.userId === resourceUserId) {
+    if (ADMIN_ROLES.includes(req.userRole) || req.userId === resourceUserId) {
       return next();
     }
 
@@ -298,6 +447,26 @@ function requireEmailVerification(req, res, next) {
   next();
 }
 
+/**
+ * Require a verified email for a money feature, when
+ * config.emailVerification.requiredFor lists it
+ *
+ * @param {string} feature - deposits, payouts, sales or refunds
+ * @returns {Function} Middleware function
+ *
+ * @example
+ * router.post('/payouts', authenticate, requireVerifiedEmailFor('payouts'), controller.create);
+ */
+function requireVerifiedEmailFor(feature) {
+  return (req, res, next) => {
+    if (!config.emailVerification.requiredFor.includes(feature)) {
+      return next();
+    }
+
+    return requireEmailVerification(req, res, next);
+  };
+}
+
 /**
  * Verify refresh token
  * Used for token refresh endpoints
@@ -318,16 +487,19 @@ async function verifyRefreshToken(req, res, next) {
     const decoded = verifyToken(refreshToken, config.jwt.refreshSecret);
 
     // Check if refresh token exists in database
-    const tokenRecord = await userRepository.prismaClient.refreshToken.findUnique({
-      where: { token: refreshToken }
-    });
+    const tokenRecord = await refreshTokenRepository.findByToken(refreshToken);
 
     if (!tokenRecord) {
       throw new UnauthorizedError('Invalid refresh token');
     }
 
+    // A rotated token presented again was copied: end the whole session
+    if (tokenRecord.rotated_at) {
+      await revokeReusedToken(tokenRecord, req.ip);
+    }
+
     // Check if token is revoked
-    if (tokenRecord.revoked_at) {
+    if (tokenRecord.revoked_at || (tokenRecord.session && tokenRecord.session.revoked_at)) {
       throw new UnauthorizedError('Refresh token has been revoked');
     }
 
@@ -339,7 +511,8 @@ async function verifyRefreshToken(req, res, next) {
     // Get user
     const user = await userRepository.findById(decoded.userId);
 
-    if (!user || user.status !== 'ACTIVE') {
+    // PENDING sellers are signed in while their KYC is reviewed
+    if (!user || !['ACTIVE', 'PENDING'].includes(user.status)) {
       throw new UnauthorizedError('User not found or inactive');
     }
 
@@ -431,14 +604,16 @@ function rateLimitAuth(maxAttempts = 5, windowMs = 15 * 60 * 1000) {
 /**
  * Generate JWT access token
  * @param {Object} user - User object
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, sessionId = null) {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      ...(sessionId && { sid: sessionId })
     },
     config.jwt.secret,
     {
@@ -452,19 +627,23 @@ function generateAccessToken(user) {
 /**
  * Generate JWT refresh token
  * @param {Object} user - User object
+ * @param {string} sessionId - Session the token belongs to
  * @returns {Object} Refresh token and expiry
  */
-function generateRefreshToken(user) {
+function generateRefreshToken(user, sessionId = null) {
   const token = jwt.sign(
     {
       userId: user.id,
-      type: 'refresh'
+      type: 'refresh',
+      ...(sessionId && { sid: sessionId })
     },
     config.jwt.refreshSecret,
     {
       expiresIn: config.jwt.refreshExpiresIn,
       issuer: config.jwt.issuer,
-      audience: config.jwt.audience
+      audience: config.jwt.audience,
+      // Tokens rotated within the same second must still differ
+      jwtid: crypto.randomUUID()
     }
   );
 
@@ -479,73 +658,174 @@ function generateRefreshToken(user) {
   return { token, expiresAt };
 }
 
+/**
+ * Generate a 2FA login challenge token
+ * Proves the password step of a login; exchanged for access and refresh
+ * tokens once a valid code is given.
+ * @param {Object} user - User object
+ * @returns {string} JWT token
+ */
+function generateChallengeToken(user) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      type: '2fa_challenge'
+    },
+    config.jwt.secret,
+    {
+      expiresIn: `${config.twoFactor.challengeTtlMinutes}m`,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    }
+  );
+}
+
+/**
+ * Verify a 2FA login challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded token payload
+ * @throws {UnauthorizedError} If the token is invalid, expired or not a challenge
+ */
+function verifyChallengeToken(token) {
+  const decoded = verifyToken(token, config.jwt.secret);
+
+  if (decoded.type !== '2fa_challenge') {
+    throw new UnauthorizedError('Invalid challenge token');
+  }
+
+  return decoded;
+}
+
 /**
  * Generate both access and refresh tokens
+ * Starts a new session unless session.sessionId continues one (rotation).
  * @param {Object} user - User object
+ * @param {Object} session - { sessionId, deviceName, ip, userAgent }
+ * @param {Object} tx - Optional transaction client
  * @returns {Promise<Object>} Tokens object
  */
-async function generateTokens(user) {
-  const accessToken = generateAccessToken(user);
-  const { token: refreshToken, expiresAt } = generateRefreshToken(user);
+async function generateTokens(user, session = {}, tx = null) {
+  const sessionId = session.sessionId || crypto.randomUUID();
+  const accessToken = generateAccessToken(user, sessionId);
+  const { token: refreshToken, expiresAt } = generateRefreshToken(user, sessionId);
+  const device = {
+    ip_address: session.ip || null,
+    user_agent: session.userAgent ? session.userAgent.substring(0, 500) : null,
+    expires_at: expiresAt
+  };
 
-  // Store refresh token in database
- await userRepository.prismaClient.refreshToken.create({
-    data: {
+  if (session.sessionId) {
+    await sessionRepository.touch(sessionId, device, tx);
+  } else {
+    await sessionRepository.create({
+      id: sessionId,
       user_id: user.id,
-      token: refreshToken,
-      expires_at: expiresAt
-    }
-  });
+      device_name: session.deviceName || null,
+      ...device
+    }, { tx });
+  }
+
+  // Store refresh token in database
+  await refreshTokenRepository.create({
+    user_id: user.id,
+    session_id: sessionId,
+    token: refreshToken,
+    expires_at: expiresAt
+  }, { tx });
 
   return {
     accessToken,
     refreshToken,
-    expiresIn: config.jwt.expiresIn
+    expiresIn: config.jwt.expiresIn,
+    sessionId
   };
 }
 
 /**
  * Revoke refresh token
+ * Ends the token's session (signs the device out).
  * @param {string} token - Refresh token to revoke
  * @returns {Promise<void>}
  */
 async function revokeRefreshToken(token) {
- await userRepository.prismaClient.refreshToken.updateMany({
-    where: { token },
-    data: { revoked_at: new Date() }
-  });
+  const tokenRecord = await refreshTokenRepository.findByToken(token);
+
+  if (tokenRecord && tokenRecord.session_id) {
+    await revokeSession(tokenRecord.session_id, 'LOGOUT');
+  } else {
+    await refreshTokenRepository.revokeByToken(token);
+  }
 
   logger.info('Refresh token revoked', { token: token.substring(0, 20) + '...' });
 }
 
+/**
+ * Revoke a session and all of its refresh tokens
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - LOGOUT, REVOKED, TOKEN_REUSE, ...
+ * @param {Object} tx - Optional transaction client
+ * @returns {Promise<boolean>} False if the session was already revoked
+ */
+async function revokeSession(sessionId, reason, tx = null) {
+  const revoked = await sessionRepository.revoke(sessionId, reason, tx);
+  await refreshTokenRepository.revokeBySession(sessionId, tx);
+
+  logger.info('Session revoked', { sessionId, reason });
+
+  return revoked;
+}
+
+/**
+ * Handle a rotated refresh token presented again
+ * Either the client or an attacker holds a copy; the session is ended so
+ * neither can continue with it.
+ * @param {Object} tokenRecord - Token record with its session
+ * @param {string} ip - Request IP address
+ * @throws {UnauthorizedError} Always
+ */
+async function revokeReusedToken(tokenRecord, ip = null) {
+  logger.security('Refresh token reuse detected', {
+    userId: tokenRecord.user_id,
+    ip,
+    details: { sessionId: tokenRecord.session_id }
+  });
+
+  if (tokenRecord.session_id) {
+    await revokeSession(tokenRecord.session_id, 'TOKEN_REUSE');
+  }
+
+  throw new UnauthorizedError('Refresh token has already been used. Please log in again.');
+}
+
 /**
  * Revoke all refresh tokens for a user
  * Useful for logout all devices
  * @param {string} userId - User ID
+ * @param {Object} tx - Optional transaction client
+ * @param {string} reason - Session revocation reason
  * @returns {Promise<void>}
  */
-async function revokeAllUserTokens(userId) {
-  const result = await userRepository.prismaClient.refreshToken.updateMany({
-    where: {
-      user_id: userId,
-      revoked_at: null
-    },
-    data: { revoked_at: new Date() }
-  });
+async function revokeAllUserTokens(userId, tx = null, reason = 'LOGOUT_ALL') {
+  const sessions = await sessionRepository.revokeAllForUser(userId, reason, tx);
+  const count = await refreshTokenRepository.revokeAllForUser(userId, tx);
 
-  logger.info('All user tokens revoked', { userId, count: result.count });
+  logger.info('All user tokens revoked', { userId, count, sessions });
 }
 
 module.exports = {
   // Middleware
   authenticate,
   optionalAuthenticate,
+  allowApiKey,
   requireRole,
   requireAdmin,
+  requireStaff,
+  requireSuperAdmin,
   requireSeller,
   requireOwnership,
   requireOwnershipOrAdmin,
   requireEmailVerification,
+  requireVerifiedEmailFor,
   verifyRefreshToken,
   rateLimitAuth,
 
@@ -553,8 +833,14 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
   revokeRefreshToken,
+  revokeSession,
+  revokeReusedToken,
   revokeAllUserTokens,
   verifyToken,
-  extractToken
+  verifyAccessToken,
+  extractToken,
+  extractApiKey
 };
\ No newline at end of file
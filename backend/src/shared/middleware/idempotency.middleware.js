@@ -0,0 +1,271 @@
+/**
+ * Idempotency Middleware
+ *
+ * Honours the Idempotency-Key header on money-moving endpoints so that a
+ * request retried by a flaky client is only executed once.
+ *
+ * - First request with a key claims it and its response is stored.
+ * - Retries with the same key and body replay the stored response.
+ * - Reusing a key with a different body or endpoint returns 409.
+ * - Retries while the first request is still running wait briefly,
+ *   then get a 409 with Retry-After.
+ *
+ * Keys are scoped per user, so the middleware must run after authenticate.
+ * A key is held until the handler responds, even if the client disconnects.
+ * A 5xx response is stored as FAILED and replayed like any other: the money
+ * operation may already have run, so the client needs a new key to try again.
+ *
+ * Location: src/shared/middleware/idempotency.middleware.js
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/environment.config');
+const idempotencyRepository = require('../../../database/repositories/idempotency.repository');
+const logger = require('../utils/logger');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ConflictError
+} = require('../utils/ApiError');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+const POLL_INTERVAL_MS = 250;
+
+/**
+ * Serialize a value with object keys sorted, so equivalent bodies hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a request (method, path and body)
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${method}\n${path}\n${canonicalize(body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check a stored key against the incoming request
+ * @param {Object} record - Stored key record
+ * @param {Object} fingerprint - Incoming request fingerprint
+ * @throws {ConflictError} If the key was used for a different request
+ */
+function assertSameRequest(record, fingerprint) {
+  if (record.method !== fingerprint.method || record.path !== fingerprint.path) {
+    throw new ConflictError(
+      `${IDEMPOTENCY_HEADER} has already been used for ${record.method} ${record.path}`
+    );
+  }
+
+  if (record.request_hash !== fingerprint.request_hash) {
+    throw new ConflictError(
+      `${IDEMPOTENCY_HEADER} has already been used with a different request body`
+    );
+  }
+}
+
+/**
+ * Claim the key, or resolve it to a stored response
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {Object} fingerprint - Request fingerprint
+ * @returns {Promise<Object>} { claimed: Object } or { replay: Object }
+ * @throws {ConflictError} On mismatch, or if the original request is still in flight
+ */
+async function acquire(userId, key, fingerprint) {
+  const { ttlHours, lockTimeoutSeconds, waitTimeoutMs } = config.idempotency;
+  const deadline = Date.now() + waitTimeoutMs;
+
+  const data = {
+    ...fingerprint,
+    expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  };
+
+  while (true) {
+    const claimed = await idempotencyRepository.claim({
+      user_id: userId,
+      key,
+      ...data
+    });
+
+    if (claimed) {
+      return { claimed };
+    }
+
+    const existing = await idempotencyRepository.findByKey(userId, key);
+
+    // Deleted between the claim and the lookup (expired and cleaned up)
+    if (!existing) {
+      continue;
+    }
+
+    const staleBefore = new Date(Date.now() - lockTimeoutSeconds * 1000);
+    const isExpired = existing.expires_at < new Date();
+    const isAbandoned = existing.status === 'IN_PROGRESS' && existing.locked_at < staleBefore;
+
+    if (isExpired || isAbandoned) {
+      if (await idempotencyRepository.reclaim(existing.id, staleBefore, data)) {
+        if (isAbandoned) {
+          logger.warn('Reclaimed abandoned idempotency key', {
+            userId,
+            keyId: existing.id,
+            lockedAt: existing.locked_at
+          });
+        }
+
+        return { claimed: { ...existing, ...data, status: 'IN_PROGRESS' } };
+      }
+      continue;
+    }
+
+    assertSameRequest(existing, fingerprint);
+
+    if (existing.status === 'COMPLETED' || existing.status === 'FAILED') {
+      return { replay: existing };
+    }
+
+    if (Date.now() >= deadline) {
+      const error = new ConflictError(
+        `A request with this ${IDEMPOTENCY_HEADER} is still being processed, please retry shortly`
+      );
+      error.retryAfter = Math.ceil(POLL_INTERVAL_MS * 4 / 1000);
+      throw error;
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Store the response when the handler sends it. The key stays claimed until
+ * then; a client disconnect does not release it because the handler keeps
+ * running.
+ * @param {Object} res - Express response object
+ * @param {Object} record - Claimed key record
+ */
+function captureResponse(res, record) {
+  const originalJson = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+
+      const isServerError = res.statusCode >= 500;
+      const store = isServerError
+        ? idempotencyRepository.fail(record.id, res.statusCode, body)
+        : idempotencyRepository.complete(record.id, res.statusCode, body);
+
+      store.catch(error => {
+        logger.errorWithContext(error, {
+          method: isServerError ? 'idempotency.fail' : 'idempotency.complete',
+          keyId: record.id
+        });
+      });
+    }
+
+    return originalJson(body);
+  };
+}
+
+/**
+ * Create idempotency middleware
+ * @param {Object} options - Options
+ * @param {boolean} options.required - Reject requests without the header (default: false)
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/sale', authenticate, validateRequest(schema), idempotent(), controller.sale);
+ */
+function idempotent(options = {}) {
+  const { required = false } = options;
+
+  return async (req, res, next) => {
+    try {
+      const key = req.get(IDEMPOTENCY_HEADER);
+
+      if (!key) {
+        if (required) {
+          throw new BadRequestError(`${IDEMPOTENCY_HEADER} header is required`);
+        }
+        return next();
+      }
+
+      if (!KEY_PATTERN.test(key)) {
+        throw new BadRequestError(
+          `${IDEMPOTENCY_HEADER} must be 1-255 printable characters without spaces`
+        );
+      }
+
+      if (!req.userId) {
+        throw new UnauthorizedError('Authentication required');
+      }
+
+      const path = `${req.baseUrl}${req.path}`;
+      const fingerprint = {
+        method: req.method,
+        path,
+        request_hash: hashRequest(req.method, path, req.body)
+      };
+
+      const { claimed, replay } = await acquire(req.userId, key, fingerprint);
+
+      if (replay) {
+        logger.info('Replaying idempotent response', {
+          userId: req.userId,
+          path,
+          keyId: replay.id
+        });
+
+        res.set(REPLAYED_HEADER, 'true');
+        return res.status(replay.response_status).json(replay.response_body);
+      }
+
+      req.idempotencyKey = key;
+      captureResponse(res, claimed);
+      next();
+    } catch (error) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotent,
+  hashRequest,
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER
+};
@@ -11,6 +11,7 @@ const rateLimit = require('express-rate-limit');
 const config = require('../../config/environment');
 const logger = require('../utils/logger');
 const { TooManyRequestsError } = require('../utils/ApiError');
+const { STAFF_ROLES } = require('../../config/constants.config');
 
 /**
  * Create a rate limiter with custom options
@@ -132,8 +133,8 @@ const adminRateLimiter = createRateLimiter({
     // Skip for test environment
     if (config.app.isTest) return true;
     
-    // Only apply to non-admin users
-    return req.user?.role !== 'ADMIN';
+    // Only apply to back-office users
+    return !STAFF_ROLES.includes(req.user?.role);
   }
 });
 
@@ -239,7 +240,7 @@ function dynamicRateLimiter() {
     const userRole = req.user?.role;
     
     let max;
-    if (userRole === 'ADMIN') {
+    if (STAFF_ROLES.includes(userRole)) {
       max = 500;
     } else if (userRole === 'SELLER') {
       max = 200;
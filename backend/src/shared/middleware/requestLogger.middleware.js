@@ -9,6 +9,8 @@
 
 const logger = require('../utils/logger');
 const config = require('../../config/environment.config');
+const { getRequestContext } = require('../utils/requestContext');
+const auditLogRepository = require('../../../database/repositories/auditLog.repository');
 
 /**
  * Request logger middleware
@@ -267,7 +269,8 @@ function errorRequestLogger(err, req, res, next) {
 
 /**
  * Security event logger
- * Logs security-related events
+ * Logs security-related events and keeps them in the audit log. A failed
+ * audit write is logged but never fails the request.
  */
 function securityLogger(event, req, details = {}) {
   logger.security(event, {
@@ -280,6 +283,24 @@ function securityLogger(event, req, details = {}) {
     details,
     timestamp: new Date().toISOString()
   });
+
+  auditLogRepository.record({
+    action: 'security.event',
+    entity: 'security',
+    changes: {
+      event,
+      request_id: req.requestId,
+      method: req.method,
+      url: req.originalUrl || req.url,
+      details
+    },
+    context: getRequestContext(req)
+  }).catch(error => {
+    logger.warn('Failed to write security event to audit log', {
+      event,
+      error: error.message
+    });
+  });
 }
 
 /**
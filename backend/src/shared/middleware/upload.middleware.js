@@ -0,0 +1,33 @@
+/**
+ * Upload Middleware
+ *
+ * Parses multipart/form-data uploads into memory with multer. Files are
+ * checked with validateFileUpload and then written by the file storage
+ * service, so nothing reaches disk before it has been validated.
+ *
+ * Location: src/shared/middleware/upload.middleware.js
+ */
+
+const multer = require('multer');
+
+/**
+ * Accept a single file in the given form field as req.file
+ * @param {string} fieldName - Form field name
+ * @param {Object} options - { maxSizeMB }
+ * @returns {Function} Middleware function
+ */
+function uploadSingle(fieldName, options = {}) {
+  const { maxSizeMB = 5 } = options;
+
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSizeMB * 1024 * 1024,
+      files: 1
+    }
+  }).single(fieldName);
+}
+
+module.exports = {
+  uploadSingle
+};
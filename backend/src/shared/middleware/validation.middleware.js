@@ -10,6 +10,8 @@
 const Joi = require('joi');
 const { ValidationError, fromJoiError } = require('../utils/ApiError');
 const logger = require('../utils/logger');
+const { STAFF_ROLES } = require('../../config/constants.config');
+const config = require('../../config/environment.config');
 
 /**
  * Validate request data against a Joi schema
@@ -220,16 +222,19 @@ const userStatus = Joi.string()
  * Validate user role
  */
 const userRole = Joi.string()
-  .valid('SELLER', 'ADMIN')
+  .valid('SELLER', ...STAFF_ROLES)
   .uppercase();
 
 /**
- * Validate currency code
+ * Validate currency code (one of the supported pool currencies). Left
+ * empty when omitted: services fall back to the default currency.
  */
 const currency = Joi.string()
-  .length(3)
   .uppercase()
-  .default('USD');
+  .valid(...config.pool.currencies)
+  .messages({
+    'any.only': `Currency must be one of ${config.pool.currencies.join(', ')}`
+  });
 
 /**
  * Validate receipt items
@@ -186,8 +186,8 @@ class PaymentFailedError extends ApiError {
  * Used when transaction exceeds allowed limits
  */
 class TransactionLimitError extends ApiError {
-  constructor(limit, type = 'transaction') {
-    super(400, `${type} limit exceeded. Maximum allowed: $${limit.toFixed(2)}`);
+  constructor(limit, type = 'transaction', message = null) {
+    super(400, message || `${type} limit exceeded. Maximum allowed: $${limit.toFixed(2)}`);
     this.name = 'TransactionLimitError';
     this.limit = limit;
     this.type = type;
@@ -0,0 +1,179 @@
+/**
+ * Cron Expressions
+ *
+ * Minimal parser for standard 5-field cron expressions
+ * (minute hour day-of-month month day-of-week), evaluated in UTC.
+ *
+ * Supported syntax per field: *, numbers, ranges (1-5), steps (*\/15, 0-30/5)
+ * and comma-separated lists. Day-of-week accepts 0-7 (0 and 7 are Sunday).
+ * As in Vixie cron, when both day fields are restricted a time matches
+ * if either one does.
+ *
+ * Location: backend/src/shared/utils/cron.js
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one field into the set of values it allows
+ * @param {string} value - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>} Allowed values
+ * @throws {Error} If the field is invalid
+ */
+function parseField(value, field) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw new Error(`Invalid ${field.name} field: ${value}`);
+    }
+
+    const [, range, start, end, step] = match;
+    let from = field.min;
+    let to = field.max;
+
+    if (range !== '*') {
+      from = parseInt(start, 10);
+      // "5/15" means "from 5 to the end, every 15"
+      to = end !== undefined ? parseInt(end, 10) : (step ? field.max : from);
+    }
+
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw new Error(`Invalid ${field.name} field: ${value}`);
+    }
+
+    for (let i = from; i <= to; i += increment) {
+      allowed.add(i);
+    }
+  }
+
+  return allowed;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+function parse(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index])
+  );
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Check whether an expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+function isValid(expression) {
+  try {
+    parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a date's day matches the day fields
+ * @param {Object} schedule - Parsed expression
+ * @param {Date} date - Date (UTC)
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the first time after a date that matches an expression
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Start point (exclusive)
+ * @returns {Date} Next matching time
+ * @throws {Error} If the expression is invalid or never matches
+ */
+function nextRun(expression, after = new Date()) {
+  const schedule = parse(expression);
+  const date = new Date(after.getTime());
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+module.exports = {
+  parse,
+  isValid,
+  nextRun
+};
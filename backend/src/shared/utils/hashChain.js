@@ -0,0 +1,96 @@
+/**
+ * Hash Chain
+ *
+ * Makes append-only tables tamper-evident. Each sealed row stores a
+ * sequence number, the hash of the row before it and
+ * SHA-256(prev_hash + canonical JSON of its content). Editing a row breaks
+ * its own hash, deleting one leaves a gap in the sequence, and re-hashing
+ * an edited row breaks the link to every row after it.
+ *
+ * Rows of a chain are sealed one at a time under a transaction-scoped
+ * advisory lock. A transaction that writes to both chains takes the
+ * journal lock before the audit lock (a posting is audited, never the
+ * other way round), so the two locks cannot deadlock.
+ *
+ * Location: backend/src/shared/utils/hashChain.js
+ */
+
+const crypto = require('crypto');
+
+// prev_hash of the first row of a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the same content
+ * always hashes the same way (Postgres jsonb does not keep key order)
+ * @param {*} value - Value (Dates and Decimals become their JSON strings)
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) {
+      return item.map(sortKeys);
+    }
+
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+
+    return item;
+  };
+
+  const json = JSON.stringify(value === undefined ? null : value);
+
+  return JSON.stringify(sortKeys(JSON.parse(json)));
+}
+
+/**
+ * Hash a row's content onto the previous hash
+ * @param {string} prevHash - Hash of the previous row
+ * @param {Object} content - Row content
+ * @returns {string} SHA-256 hex digest
+ */
+function computeHash(prevHash, content) {
+  return crypto
+    .createHash('sha256')
+    .update(`${prevHash}:${canonicalize(content)}`)
+    .digest('hex');
+}
+
+/**
+ * Work out the chain fields of a new row. Holds the chain's lock until the
+ * transaction ends, so the row must be inserted in the same transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} modelName - Prisma model of the chain
+ * @param {number} lockKey - Advisory lock key of the chain
+ * @param {Object} content - Content of the new row
+ * @returns {Promise<Object>} { chain_seq, prev_hash, hash }
+ */
+async function seal(tx, modelName, lockKey, content) {
+  // $executeRaw: pg_advisory_xact_lock returns void, which $queryRaw cannot read
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${lockKey})`;
+
+  const last = await tx[modelName].findFirst({
+    where: { chain_seq: { not: null } },
+    orderBy: { chain_seq: 'desc' },
+    select: { chain_seq: true, hash: true }
+  });
+
+  const prevHash = last ? last.hash : GENESIS_HASH;
+
+  return {
+    chain_seq: last ? last.chain_seq + 1 : 1,
+    prev_hash: prevHash,
+    hash: computeHash(prevHash, content)
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  computeHash,
+  seal
+};
@@ -0,0 +1,162 @@
+/**
+ * Public Address Checks
+ *
+ * Keeps server-side requests to user-supplied URLs (merchant webhooks) on
+ * the public internet. A host is refused when any address it resolves to
+ * is private, loopback, link-local (including cloud metadata at
+ * 169.254.169.254), carrier-grade NAT, multicast or otherwise reserved.
+ *
+ * The check runs when the URL is registered and again on every connection:
+ * publicLookup is passed to the HTTP agents so the address actually
+ * connected to is the one that was checked (no DNS rebinding).
+ *
+ * Location: backend/src/shared/utils/publicAddress.js
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { BadRequestError } = require('./ApiError');
+
+const blockList = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be contacted
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  if (family === 6) {
+    // IPv4-mapped addresses (::ffff:10.0.0.1) are checked as IPv4
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+
+    if (mapped) {
+      return blockList.check(mapped[1], 'ipv4');
+    }
+
+    return blockList.check(address, 'ipv6');
+  }
+
+  return blockList.check(address, 'ipv4');
+}
+
+/**
+ * dns.lookup replacement that fails for non-public addresses
+ * @param {string} hostname - Host to resolve
+ * @param {Object|number} options - dns.lookup options
+ * @param {Function} callback - (error, address, family) or (error, addresses)
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+
+    if (blocked || addresses.length === 0) {
+      const refused = new Error(`${hostname} resolves to a non-public address`);
+      refused.code = 'ENOTPUBLIC';
+      return callback(refused);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Refuse a URL whose host is, or resolves to, a non-public address
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the host is not public or cannot be resolved
+ */
+async function assertPublicUrl(url) {
+  let hostname;
+
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    throw new BadRequestError('URL is not valid');
+  }
+
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      throw new BadRequestError('URL must point to a public address');
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    publicLookup(hostname, {}, (error) => {
+      if (!error) {
+        return resolve();
+      }
+
+      reject(new BadRequestError(
+        error.code === 'ENOTPUBLIC'
+          ? 'URL must point to a public address'
+          : `Could not resolve ${hostname}`
+      ));
+    });
+  });
+}
+
+// Agents for outbound requests that may only reach public addresses
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+  assertPublicUrl,
+  publicHttpAgent,
+  publicHttpsAgent
+};
@@ -0,0 +1,25 @@
+/**
+ * Request Context
+ *
+ * Who made a request and from where, for audit log entries written by
+ * services that don't see the request itself.
+ *
+ * Location: src/shared/utils/requestContext.js
+ */
+
+/**
+ * Build the audit context of a request
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Object} { actorId, ip, userAgent }
+ */
+function getRequestContext(req) {
+  return {
+    actorId: req.userId || null,
+    ip: req.ip || req.socket?.remoteAddress || null,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+module.exports = {
+  getRequestContext
+};
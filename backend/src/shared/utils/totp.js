@@ -0,0 +1,172 @@
+/**
+ * Time-based One-Time Passwords
+ *
+ * RFC 6238 TOTP with the defaults authenticator apps expect:
+ * HMAC-SHA1, 6 digits, 30-second steps. Secrets are base32 encoded
+ * (RFC 4648, no padding) as in otpauth:// URIs.
+ *
+ * Location: backend/src/shared/utils/totp.js
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Accept codes from one step before and after the current one (clock drift)
+const DEFAULT_WINDOW = 1;
+
+/**
+ * Encode bytes as base32
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text without padding
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32 text. Case, spaces and padding are ignored.
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ * @throws {Error} If the text contains invalid characters
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random secret
+ * @param {number} size - Secret length in bytes (20 = 160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Step number
+ */
+function getStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step number
+ * @returns {string} Zero-padded code
+ */
+function generate(secret, step = getStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the steps around a moment
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { time, window, afterStep }
+ *   afterStep rejects codes of that step or earlier, so a code works only once
+ * @returns {number|null} The matching step, or null
+ */
+function verify(secret, code, options = {}) {
+  const { time = Date.now(), window = DEFAULT_WINDOW, afterStep = null } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getStep(time);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+
+    const expected = generate(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+ * @param {Object} params - { secret, account, issuer }
+ * @returns {string} otpauth URI
+ */
+function keyUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generate,
+  verify,
+  getStep,
+  keyUri,
+  base32Encode,
+  base32Decode
+};